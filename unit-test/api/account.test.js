@@ -0,0 +1,185 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+/**
+ * File: account.test.js
+ * Purpose: Verify full account backup and restore (GET /api/account/export, POST /api/account/import).
+ * Scope: Archive contents, validation, restore with id remapping, category reuse, externalId skipping, existing-data check,
+ *        per-row validation of restored categories and budgets.
+ * Exclusions: HTTP handling, MongoDB insertMany behavior.
+ * Key Edge Cases: Alerts whose budget is missing, transactions from recurring schedules, JSON round trip of dates,
+ *                 string amounts and unparsable transaction dates, hand-edited categories and budgets the create routes refuse.
+ */
+
+vi.mock('mongodb', () => ({
+  ObjectId: class ObjectId {
+    constructor(id) {
+      this.id = id || 'mock-id';
+    }
+    toString() {
+      return this.id;
+    }
+  },
+  MongoClient: class MongoClient {
+    static connect = vi.fn();
+  }
+}));
+
+// Mock `db.js` so the store uses its in-memory path during tests
+vi.mock('../../walletalert/apps/api/src/db.js', () => ({
+  getDb: vi.fn(() => null)
+}));
+
+describe('Account backup and restore', () => {
+  let store;
+  let account;
+  const source = 'auth0|source';
+  const target = 'auth0|target';
+
+  beforeEach(async () => {
+    vi.resetModules();
+    store = await import('../../walletalert/apps/api/src/store.js');
+    account = await import('../../walletalert/apps/api/src/account.js');
+  });
+
+  // Build a source account and return its archive as it would arrive over JSON
+  const exportSource = async () => {
+    await store.upsertUser(source, 'me@example.com', { weekStartsOn: 0, timezone: 'Europe/Berlin' });
+    await store.createCategory(source, 'Books', '📚');
+    const schedule = await store.createRecurring(source, {
+      amount: 50, category: 'Utilities', frequency: 'monthly', interval: 1, startDate: '2026-03-01',
+    });
+    await store.createBudget(source, { amount: 10, period: 'monthly' });
+    await store.createTransaction(source, { amount: 50, category: 'Utilities', recurringId: schedule.id, occurrenceDate: '2026-03-01', date: new Date().toISOString() });
+    await store.createTransaction(source, { amount: 20, category: 'Books', externalId: 'FIT-1', date: new Date().toISOString() });
+    const archive = await account.buildAccountArchive(source);
+    return JSON.parse(JSON.stringify(archive));
+  };
+
+  it('should archive settings and every collection without owner ids', async () => {
+    const archive = await exportSource();
+
+    expect(archive).toMatchObject({ format: 'walletalert-account', version: 1 });
+    expect(archive.user).toMatchObject({ email: 'me@example.com', settings: { weekStartsOn: 0, timezone: 'Europe/Berlin' } });
+    expect(archive.categories.some(c => c.name === 'Books')).toBe(true);
+    expect(archive.transactions).toHaveLength(2);
+    expect(archive.alerts.length).toBeGreaterThan(0);
+    expect(archive.transactions[0]).not.toHaveProperty('auth0_id');
+  });
+
+  it('should restore into another account with remapped references', async () => {
+    const archive = await exportSource();
+
+    const restored = await account.restoreAccountArchive(target, archive);
+
+    expect(restored).toMatchObject({ recurring: 1, budgets: 1, transactions: 2, skipped: 0 });
+    expect(restored.categories.created).toBe(1);
+    expect(await store.getUserSettings(target)).toEqual({ weekStartsOn: 0, timezone: 'Europe/Berlin' });
+
+    const [schedule] = await store.listRecurring(target);
+    const [budget] = await store.listBudgets(target);
+    const transactions = await store.listTransactions(target);
+    const alerts = await store.listAlerts(target);
+    expect(transactions.find(tx => tx.category === 'Utilities').recurringId).toBe(schedule.id);
+    expect(schedule.id).not.toBe(archive.recurring[0].id);
+    expect(alerts.length).toBeGreaterThan(0);
+    expect(alerts.every(alert => alert.budgetId === budget.id)).toBe(true);
+    expect(budget.createdAt).toBeInstanceOf(Date);
+    expect((await store.listCategories(target)).filter(c => c.name === 'Books')).toHaveLength(1);
+  });
+
+  it('should skip transactions whose statement id the account already has', async () => {
+    const archive = await exportSource();
+    await store.createTransaction(target, { amount: 20, category: 'Books', externalId: 'FIT-1' });
+
+    const restored = await account.restoreAccountArchive(target, archive);
+
+    expect(restored.skipped).toBe(1);
+    expect((await store.listTransactions(target)).filter(tx => tx.externalId === 'FIT-1')).toHaveLength(1);
+  });
+
+  it('should report whether an account has data beyond default categories', async () => {
+    await store.listCategories(target);
+    expect(await account.hasAccountData(target)).toBe(false);
+
+    await store.createBudget(target, { amount: 10, period: 'weekly' });
+    expect(await account.hasAccountData(target)).toBe(true);
+  });
+
+  it('should reject archives it cannot restore', () => {
+    const valid = { format: 'walletalert-account', version: 1, transactions: [] };
+
+    expect(account.validateAccountArchive(valid)).toBeNull();
+    expect(account.validateAccountArchive({ version: 1 })).toBe('This is not a WalletAlert account archive.');
+    expect(account.validateAccountArchive({ ...valid, version: 2 })).toMatch('Unsupported archive version 2');
+    expect(account.validateAccountArchive({ ...valid, budgets: {} })).toBe('Archive budgets must be a list of records.');
+    expect(account.validateAccountArchive({ ...valid, transactions: [{ amount: -1, category: 'Food' }] }))
+      .toBe('Archive transaction 1 is invalid.');
+    expect(account.validateAccountArchive({ ...valid, transactions: [{ amount: 5, category: 'Food', date: 'someday' }] }))
+      .toBe('Archive transaction 1 is invalid.');
+    expect(account.validateAccountArchive({ ...valid, transactions: [{ amount: 5, category: 'Food', date: null }] }))
+      .toBeNull();
+  });
+
+  it('should store restored amounts as numbers and dates as ISO strings', async () => {
+    const archive = {
+      format: 'walletalert-account',
+      version: 1,
+      transactions: [{ id: 't1', amount: '12.5', category: 'Food', date: '2026-03-01T10:00:00+01:00' }],
+    };
+    expect(account.validateAccountArchive(archive)).toBeNull();
+
+    await account.restoreAccountArchive(target, archive);
+
+    const [tx] = await store.listTransactions(target);
+    expect(tx.amount).toBe(12.5);
+    expect(tx.date).toBe('2026-03-01T09:00:00.000Z');
+  });
+
+  it('should validate restored categories and budgets like the create routes and report rejected rows', async () => {
+    const archive = {
+      format: 'walletalert-account',
+      version: 1,
+      categories: [
+        { id: 'c1', name: ' Hobbies ', type: 'expense', emoji: '🎨🎨🎨🎨', color: '#ABCDEF', stray: true },
+        { id: 'c2', name: 'Painting', type: 'expense', parentId: 'c1' },
+        { id: 'c3', name: 'Bonus', type: 'income', parentId: 'c1' },
+        { id: 'c4', name: 'Neon', color: 'pink' },
+        { id: 'c5', name: 'Gifts', type: 'transfer' },
+      ],
+      budgets: [
+        { id: 'b1', amount: '25', period: 'monthly', categories: ['Hobbies'], createdAt: '2026-01-01T00:00:00.000Z' },
+        { id: 'b2', amount: 25, period: 'fortnightly' },
+        { id: 'b3', amount: 25, period: 'monthly', categories: ['Neon'] },
+        { id: 'b4', amount: 25, period: 'custom' },
+        { id: 'b5', amount: 25, period: 'monthly', alertThresholds: [0] },
+      ],
+      alerts: [{ id: 'a1', budgetId: 'b2', threshold: 50, status: 'active' }],
+    };
+    expect(account.validateAccountArchive(archive)).toBeNull();
+
+    const restored = await account.restoreAccountArchive(target, archive);
+
+    expect(restored.rejected).toEqual([
+      { collection: 'categories', index: 4, error: 'Color must be a hex color like #4f46e5.' },
+      { collection: 'categories', index: 5, error: 'Category type must be one of: expense, income.' },
+      { collection: 'budgets', index: 2, error: expect.stringContaining('Budget period must be one of') },
+      { collection: 'budgets', index: 3, error: 'Category "Neon" does not exist.' },
+      { collection: 'budgets', index: 4, error: expect.stringContaining('Custom budget range') },
+      { collection: 'budgets', index: 5, error: 'Alert thresholds must be percentages between 1 and 1000.' },
+    ]);
+    expect(restored).toMatchObject({ budgets: 1, alerts: 0, categories: { created: 3 } });
+
+    const categories = await store.listCategories(target);
+    const hobbies = categories.find(c => c.name === 'Hobbies');
+    expect(hobbies).toMatchObject({ emoji: '🎨🎨🎨', color: '#abcdef' });
+    expect(hobbies).not.toHaveProperty('stray');
+    expect(categories.find(c => c.name === 'Painting').parentId).toBe(hobbies.id);
+    // An income category cannot sit under an expense parent, so it comes back top-level
+    expect(categories.find(c => c.name === 'Bonus')).not.toHaveProperty('parentId');
+    expect(categories.some(c => c.name === 'Neon' || c.name === 'Gifts')).toBe(false);
+
+    const [budget] = await store.listBudgets(target);
+    expect(budget).toMatchObject({ amount: 25, period: 'monthly', categories: ['Hobbies'], rollover: false });
+    expect(budget.createdAt).toEqual(new Date('2026-01-01T00:00:00.000Z'));
+  });
+});
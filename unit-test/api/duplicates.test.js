@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import {
+  transactionFingerprint,
+  findDuplicateOf,
+  findDuplicateClusters,
+  duplicateSearchRange,
+} from '../../walletalert/apps/api/src/duplicates.js';
+
+/**
+ * File: duplicates.test.js
+ * Purpose: Verify duplicate transaction detection used by POST /api/transactions, imports and GET /api/transactions/duplicates.
+ * Scope: Fingerprints, closest match inside the time window, store query bounds for candidates, cluster grouping and ordering.
+ * Exclusions: HTTP handling (409 responses, force flag) and persistence.
+ * Key Edge Cases: Case/whitespace differences, income vs expense, window boundaries, chained clusters, undated transactions.
+ */
+
+const tx = (id, date, overrides = {}) => ({
+  id,
+  amount: 4.5,
+  type: 'expense',
+  category: 'Takeout',
+  description: 'Coffee',
+  date,
+  ...overrides,
+});
+
+describe('Duplicate detection', () => {
+  describe('transactionFingerprint', () => {
+    it('should ignore case and extra whitespace in category and description', () => {
+      expect(transactionFingerprint(tx('a', null))).toBe(
+        transactionFingerprint(tx('b', null, { category: 'takeout ', description: '  coffee' }))
+      );
+    });
+
+    it('should tell income from expenses and different amounts apart', () => {
+      const base = transactionFingerprint(tx('a', null));
+
+      expect(transactionFingerprint(tx('b', null, { type: 'income' }))).not.toBe(base);
+      expect(transactionFingerprint(tx('c', null, { amount: 4.51 }))).not.toBe(base);
+      expect(transactionFingerprint(tx('d', null, { type: undefined }))).toBe(base);
+    });
+  });
+
+  describe('findDuplicateOf', () => {
+    const existing = [
+      tx('early', '2026-03-01T09:00:00.000Z'),
+      tx('close', '2026-03-01T09:50:00.000Z'),
+      tx('other', '2026-03-01T10:00:00.000Z', { category: 'Groceries' }),
+    ];
+
+    it('should return the closest matching transaction inside the window', () => {
+      const match = findDuplicateOf(tx(null, '2026-03-01T10:00:00.000Z'), existing);
+
+      expect(match.id).toBe('close');
+    });
+
+    it('should return null outside the window or without a matching fingerprint', () => {
+      expect(findDuplicateOf(tx(null, '2026-03-01T11:00:00.000Z'), existing)).toBeNull();
+      expect(findDuplicateOf(tx(null, '2026-03-01T09:00:00.000Z', { amount: 5 }), existing)).toBeNull();
+      expect(findDuplicateOf(tx(null, '2026-03-01T11:00:00.000Z'), existing, { windowMinutes: 90 }).id).toBe('close');
+    });
+
+    it('should not match a transaction against itself', () => {
+      expect(findDuplicateOf(existing[0], [existing[0]])).toBeNull();
+    });
+  });
+
+  describe('duplicateSearchRange', () => {
+    it('should cover every candidate amount and date widened by the window', () => {
+      const range = duplicateSearchRange([
+        tx(null, '2026-03-02T10:00:00.000Z'),
+        tx(null, '2026-03-01T10:00:00.000Z', { amount: 12 }),
+        tx(null, '2026-03-01T12:00:00.000Z'),
+      ], { windowMinutes: 30 });
+
+      expect(range).toEqual({
+        amounts: [4.5, 12],
+        start: new Date('2026-03-01T09:30:00.000Z'),
+        end: new Date('2026-03-02T10:30:00.000Z'),
+      });
+    });
+
+    it('should have nothing to search without candidates', () => {
+      expect(duplicateSearchRange([])).toBeNull();
+    });
+  });
+
+  describe('findDuplicateClusters', () => {
+    it('should chain matches within the window and order clusters newest first', () => {
+      const clusters = findDuplicateClusters([
+        tx('a1', '2026-03-01T09:00:00.000Z'),
+        tx('a2', '2026-03-01T09:40:00.000Z'),
+        tx('a3', '2026-03-01T10:30:00.000Z'),
+        tx('b1', '2026-03-05T12:00:00.000Z', { category: 'Groceries', amount: 20 }),
+        tx('b2', '2026-03-05T12:01:00.000Z', { category: 'Groceries', amount: 20 }),
+        tx('lone', '2026-03-09T12:00:00.000Z'),
+      ]);
+
+      expect(clusters.map(cluster => cluster.transactions.map(t => t.id))).toEqual([
+        ['b1', 'b2'],
+        ['a1', 'a2', 'a3'],
+      ]);
+    });
+
+    it('should split a fingerprint into separate clusters across gaps and skip undated entries', () => {
+      const clusters = findDuplicateClusters([
+        tx('x1', '2026-03-01T09:00:00.000Z'),
+        tx('x2', '2026-03-01T09:05:00.000Z'),
+        tx('y1', '2026-03-02T09:00:00.000Z'),
+        tx('y2', '2026-03-02T09:05:00.000Z'),
+        tx('undated', undefined),
+      ]);
+
+      expect(clusters.map(cluster => cluster.transactions.map(t => t.id))).toEqual([['y1', 'y2'], ['x1', 'x2']]);
+    });
+  });
+});
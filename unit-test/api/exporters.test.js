@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import {
+  toExportRecords,
+  exportCsv,
+  exportJson,
+  exportOfx,
+  exportTransactions,
+} from '../../walletalert/apps/api/src/exporters.js';
+import { parseOfx } from '../../walletalert/apps/api/src/importers.js';
+
+/**
+ * File: exporters.test.js
+ * Purpose: Verify transaction exports for GET /api/transactions/export.
+ * Scope: Record flattening (ordering, category name/emoji resolution, local days), CSV/JSON/OFX output.
+ * Exclusions: Query validation, filtering and HTTP streaming (route).
+ * Key Edge Cases: Quotes/commas and formula characters in CSV, XML escaping, income sign, unknown categories.
+ */
+
+const categories = [
+  { name: 'Takeout', emoji: '🍔' },
+  { name: 'Paycheck', emoji: '💰', type: 'income' },
+];
+
+const transactions = [
+  { id: 't2', amount: 900, type: 'income', category: 'paycheck', description: 'Pay & bonus', date: '2026-03-05T12:00:00.000Z' },
+  { id: 't1', amount: 4.5, category: 'Takeout', description: '=Coffee, "large"', date: '2026-03-02T01:00:00.000Z', externalId: 'ofx:021000021/1234:FIT-9' },
+  { id: 't3', amount: 12, category: 'Gone', createdAt: '2026-03-03T12:00:00.000Z' },
+];
+
+const collect = (generator) => [...generator].join('');
+
+describe('Transaction exporters', () => {
+  describe('toExportRecords', () => {
+    it('should sort oldest first and resolve category names and emoji', () => {
+      const records = toExportRecords(transactions, { categories, timezone: 'UTC' });
+
+      expect(records.map(r => r.id)).toEqual(['t1', 't3', 't2']);
+      expect(records[0]).toEqual({
+        id: 't1',
+        date: '2026-03-02',
+        type: 'expense',
+        amount: 4.5,
+        category: 'Takeout',
+        emoji: '🍔',
+        description: '=Coffee, "large"',
+        externalId: 'ofx:021000021/1234:FIT-9',
+      });
+      expect(records[2]).toMatchObject({ type: 'income', category: 'Paycheck', emoji: '💰' });
+      expect(records[1]).toMatchObject({ category: 'Gone', emoji: '', description: '' });
+    });
+
+    it('should use the local day in the given timezone', () => {
+      const [record] = toExportRecords([transactions[1]], { timezone: 'America/New_York' });
+
+      expect(record.date).toBe('2026-03-01');
+    });
+  });
+
+  describe('exportCsv', () => {
+    it('should write a header and escape quotes, commas and formula characters', () => {
+      const records = toExportRecords(transactions, { categories, timezone: 'UTC' });
+      const lines = collect(exportCsv(records)).split('\r\n');
+
+      expect(lines[0]).toBe('Date,Type,Amount,Category,Emoji,Description,Id');
+      expect(lines[1]).toBe('2026-03-02,expense,4.50,Takeout,🍔,"\'=Coffee, ""large""",t1');
+      expect(lines[3]).toBe('2026-03-05,income,900.00,Paycheck,💰,Pay & bonus,t2');
+    });
+  });
+
+  describe('exportJson', () => {
+    it('should produce a parseable document with every record', () => {
+      const records = toExportRecords(transactions, { categories, timezone: 'UTC' });
+      const exportedAt = new Date('2026-04-01T00:00:00.000Z');
+      const doc = JSON.parse(collect(exportJson(records, { exportedAt })));
+
+      expect(doc.exportedAt).toBe('2026-04-01T00:00:00.000Z');
+      expect(doc.transactions).toEqual(records);
+      expect(JSON.parse(collect(exportJson([]))).transactions).toEqual([]);
+    });
+  });
+
+  describe('exportOfx', () => {
+    it('should write signed amounts, escaped names and FITIDs that the importer reads back', () => {
+      const records = toExportRecords(transactions, { categories, timezone: 'UTC' });
+      const ofx = collect(exportOfx(records, { from: '2026-03-01', to: '2026-03-31' }));
+
+      expect(ofx).toContain('<DTSTART>20260301</DTSTART><DTEND>20260331</DTEND>');
+      expect(ofx).toContain('<NAME>Pay &amp; bonus</NAME>');
+
+      const { rows } = parseOfx(ofx, { timezone: 'UTC' });
+      expect(rows.map(row => row.input.externalId)).toEqual([
+        'ofx:021000021/1234:FIT-9',
+        'ofx:WALLETALERT/WALLETALERT:t3',
+        'ofx:WALLETALERT/WALLETALERT:t2',
+      ]);
+      expect(rows[0].input).toMatchObject({ amount: 4.5, type: 'expense', date: '2026-03-02T00:00:00.000Z' });
+      expect(rows[2].input).toMatchObject({ amount: 900, type: 'income', description: 'Pay & bonus - Paycheck' });
+    });
+  });
+
+  describe('exportTransactions', () => {
+    it('should default to CSV', () => {
+      expect(collect(exportTransactions('csv', []))).toBe('Date,Type,Amount,Category,Emoji,Description,Id\r\n');
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * File: helpers/expressMock.js
+ * Purpose: Minimal Express stand-in for route tests (express is not installed in unit-test), shared with
+ *          `vi.mock('express', () => import('./helpers/expressMock.js'))`.
+ * Scope: Router with get/post/put/delete and :params, app.use mounting, parsed `req.query` (repeated keys
+ *        become arrays), JSON body parsing, `res.status()` and `res.json()`.
+ * Exclusions: Router-level middleware, error handlers, content negotiation.
+ */
+
+// Query string as Express parses it: one value per key, or an array for repeated keys
+const parseQuery = (url) => {
+  const query = {};
+  const search = url.includes('?') ? url.slice(url.indexOf('?') + 1) : '';
+  for (const [key, value] of new URLSearchParams(search)) {
+    if (key in query) {
+      query[key] = [].concat(query[key], value);
+    } else {
+      query[key] = value;
+    }
+  }
+  return query;
+};
+
+export const Router = () => {
+  const routes = [];
+  const router = (req, res, next) => {
+    const method = req.method.toLowerCase();
+    const urlPath = (req.url || '/').split('?')[0];
+    for (const r of routes) {
+      if (r.method !== method) continue;
+      const keys = [];
+      const pattern = r.path
+        .replace(/\//g, '\\/')
+        .replace(/:([^/]+)/g, (_, key) => {
+          keys.push(key);
+          return '([^\\/]+)';
+        });
+      const m = new RegExp('^' + pattern + '$').exec(urlPath);
+      if (m) {
+        req.params = {};
+        keys.forEach((k, i) => (req.params[k] = decodeURIComponent(m[i + 1])));
+        return r.handler(req, res, next);
+      }
+    }
+    return next();
+  };
+  ['get', 'post', 'put', 'delete'].forEach((method) => {
+    router[method] = (path, handler) => routes.push({ method, path, handler });
+  });
+  return router;
+};
+
+export const json = () => (req, res, next) => {
+  let body = '';
+  req.on('data', (chunk) => (body += chunk));
+  req.on('end', () => {
+    try {
+      req.body = body ? JSON.parse(body) : {};
+    } catch (e) {
+      req.body = {};
+    }
+    next();
+  });
+};
+
+const expressFactory = () => {
+  const middlewares = [
+    (req, res, next) => {
+      // Set here rather than in Router: route files may resolve the real express Router
+      req.query = parseQuery(req.url || '/');
+      res.json = (obj) => {
+        if (!res.headersSent) res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(obj));
+      };
+      res.status = (code) => {
+        res.statusCode = code;
+        return res;
+      };
+      next();
+    },
+  ];
+
+  const app = (req, res) => {
+    let idx = 0;
+    const next = () => {
+      const mw = middlewares[idx++];
+      if (!mw) {
+        if (!res.writableEnded) res.end();
+        return;
+      }
+      try {
+        mw(req, res, next);
+      } catch (e) {
+        res.statusCode = 500;
+        res.end();
+      }
+    };
+    next();
+  };
+
+  app.use = (pathOrMw, maybeMw) => {
+    if (typeof pathOrMw !== 'string') {
+      middlewares.push(pathOrMw);
+      return;
+    }
+    const path = pathOrMw;
+    middlewares.push((req, res, next) => {
+      if (req.url === path || req.url.startsWith(path + '/') || req.url.startsWith(path + '?')) {
+        const originalUrl = req.url;
+        req.url = req.url.slice(path.length) || '/';
+        if (req.url.startsWith('?')) req.url = '/' + req.url;
+        maybeMw(req, res, (err) => {
+          req.url = originalUrl;
+          next(err);
+        });
+      } else {
+        next();
+      }
+    });
+  };
+
+  return app;
+};
+
+export default expressFactory;
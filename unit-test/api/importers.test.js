@@ -0,0 +1,332 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseCsv,
+  parseAmount,
+  parseStatementDate,
+  suggestCsvMapping,
+  mapCsvRows,
+  parseOfx,
+  parseQif,
+  detectFormat,
+  parseStatement,
+} from '../../walletalert/apps/api/src/importers.js';
+
+/**
+ * File: importers.test.js
+ * Purpose: Verify bank statement parsing for POST /api/transactions/import.
+ * Scope: CSV tokenizing (quotes, delimiters, line numbers), amount/date parsing, header-based mapping, row mapping errors,
+ *        OFX/QFX and QIF parsing, external ids, format detection.
+ * Exclusions: Transaction validation and persistence (route and store), HTTP handling.
+ * Key Edge Cases: Quoted commas and newlines, semicolon files, parenthesized negatives, day-first dates, impossible dates,
+ *                 SGML OFX without closing tags, repeated FITIDs, equal FITIDs in different accounts, identical QIF lines, non-bank QIF sections.
+ */
+
+describe('Statement importers', () => {
+  describe('parseCsv', () => {
+    it('should handle quoted delimiters, escaped quotes and CRLF line endings', () => {
+      const rows = parseCsv('Date,Description\r\n2026-03-01,"Joe\'s ""Diner"", Main St"\r\n');
+
+      expect(rows).toEqual([
+        { line: 1, cells: ['Date', 'Description'] },
+        { line: 2, cells: ['2026-03-01', 'Joe\'s "Diner", Main St'] },
+      ]);
+    });
+
+    it('should keep source line numbers across blank lines and quoted newlines', () => {
+      const rows = parseCsv('a,b\n\n"multi\nline",2\n3,4');
+
+      expect(rows.map(row => row.line)).toEqual([1, 3, 5]);
+      expect(rows[1].cells[0]).toBe('multi\nline');
+    });
+
+    it('should detect semicolon-delimited files and strip a BOM', () => {
+      const rows = parseCsv('\uFEFFDate;Amount\n01/03/2026;12,50');
+
+      expect(rows[0].cells).toEqual(['Date', 'Amount']);
+      expect(rows[1].cells).toEqual(['01/03/2026', '12,50']);
+    });
+  });
+
+  describe('parseAmount', () => {
+    it('should read currency symbols, thousands separators and signs', () => {
+      expect(parseAmount('$1,234.56')).toBe(1234.56);
+      expect(parseAmount('-4.50')).toBe(-4.5);
+      expect(parseAmount('(12.00)')).toBe(-12);
+      expect(parseAmount('+7')).toBe(7);
+    });
+
+    it('should read decimal commas', () => {
+      expect(parseAmount('12,50')).toBe(12.5);
+      expect(parseAmount('-1.234,56')).toBe(-1234.56);
+      expect(parseAmount('1,500')).toBe(1500);
+    });
+
+    it('should reject values that are not amounts', () => {
+      expect(parseAmount('')).toBeNull();
+      expect(parseAmount('abc')).toBeNull();
+      expect(parseAmount('1.2.3')).toBeNull();
+    });
+  });
+
+  describe('parseStatementDate', () => {
+    it('should read ISO dates and slash dates as month first by default', () => {
+      expect(parseStatementDate('2026-03-05')).toBe('2026-03-05');
+      expect(parseStatementDate('2026-03-05T14:00:00Z')).toBe('2026-03-05');
+      expect(parseStatementDate('3/5/2026')).toBe('2026-03-05');
+    });
+
+    it('should read day-first dates when the format says so or the month cannot be first', () => {
+      expect(parseStatementDate('3/5/2026', 'DD/MM/YYYY')).toBe('2026-05-03');
+      expect(parseStatementDate('25/12/2026')).toBe('2026-12-25');
+    });
+
+    it('should reject impossible dates and mismatched formats', () => {
+      expect(parseStatementDate('2026-02-30')).toBeNull();
+      expect(parseStatementDate('25/12/2026', 'MM/DD/YYYY')).toBeNull();
+      expect(parseStatementDate('3/5/2026', 'YYYY-MM-DD')).toBeNull();
+      expect(parseStatementDate('yesterday')).toBeNull();
+    });
+  });
+
+  describe('suggestCsvMapping', () => {
+    it('should match common bank header names', () => {
+      expect(suggestCsvMapping(['Posted Date', 'Payee', 'Amount', 'Balance'])).toEqual({
+        date: 'Posted Date',
+        description: 'Payee',
+        amount: 'Amount',
+      });
+    });
+  });
+
+  describe('mapCsvRows', () => {
+    const csv = [
+      'Date,Details,Amount,Category',
+      '2026-03-01,Groceries run,-45.20,Groceries',
+      '2026-03-02,Salary,"1,500.00",Paycheck',
+      'soon,Mystery,-1,Other',
+    ].join('\n');
+
+    it('should guess the mapping and turn signed amounts into expenses and income', () => {
+      const { mapping, rows } = mapCsvRows(csv, { amountSign: 'signed', timezone: 'UTC' });
+
+      expect(mapping).toEqual({ date: 'Date', description: 'Details', amount: 'Amount', category: 'Category' });
+      expect(rows[0]).toEqual({
+        line: 2,
+        input: {
+          amount: 45.2,
+          type: 'expense',
+          category: 'Groceries',
+          description: 'Groceries run',
+          date: '2026-03-01T00:00:00.000Z',
+        },
+      });
+      expect(rows[1].input).toMatchObject({ amount: 1500, type: 'income' });
+      expect(rows[2]).toEqual({ line: 4, error: 'Unrecognized date "soon".' });
+    });
+
+    it('should leave negative amounts for validation when every row is an expense', () => {
+      const { rows } = mapCsvRows(csv, { timezone: 'UTC' });
+
+      expect(rows[0].input).toMatchObject({ amount: -45.2, type: 'expense' });
+    });
+
+    it('should use positional columns and a default category for files without a header', () => {
+      const { headers, rows } = mapCsvRows('2026-03-01,Coffee,3.25', {
+        hasHeader: false,
+        mapping: { date: 0, description: 1, amount: 2 },
+        defaultCategory: 'Takeout',
+        timezone: 'UTC',
+      });
+
+      expect(headers).toEqual(['Column 1', 'Column 2', 'Column 3']);
+      expect(rows[0].input).toMatchObject({ amount: 3.25, category: 'Takeout', description: 'Coffee' });
+    });
+
+    it('should report unknown columns, missing required columns and invalid options', () => {
+      expect(mapCsvRows(csv, { mapping: { date: 'Posted', amount: 'Amount' } }).error)
+        .toBe('Column "Posted" for date was not found.');
+      expect(mapCsvRows(csv, { mapping: { date: 'Date' } }).error)
+        .toBe('Map the date and amount columns to import.');
+      expect(mapCsvRows(csv, { dateFormat: 'YY/MM/DD' }).error).toMatch('Date format must be one of');
+      expect(mapCsvRows('Date,Amount\n').error).toBe('The file has no rows to import.');
+    });
+  });
+
+  describe('parseOfx', () => {
+    const sgml = [
+      'OFXHEADER:100',
+      'DATA:OFXSGML',
+      '',
+      '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>',
+      '<STMTTRN>',
+      '<TRNTYPE>DEBIT',
+      '<DTPOSTED>20260301120000[-5:EST]',
+      '<TRNAMT>-12.34',
+      '<FITID>A1',
+      '<NAME>Corner Cafe &amp; Bakery',
+      '<MEMO>Card 1234',
+      '</STMTTRN>',
+      '<STMTTRN>',
+      '<TRNTYPE>CREDIT',
+      '<DTPOSTED>20260302',
+      '<TRNAMT>800.00',
+      '<FITID>A2',
+      '<NAME>Payroll',
+      '</STMTTRN>',
+      '<STMTTRN>',
+      '<DTPOSTED>20260302',
+      '<TRNAMT>800.00',
+      '<FITID>A2',
+      '</STMTTRN>',
+      '</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>',
+    ].join('\n');
+
+    it('should read SGML transactions with FITIDs as external ids', () => {
+      const { rows } = parseOfx(sgml, { defaultCategory: 'Other', defaultIncomeCategory: 'Paycheck', timezone: 'UTC' });
+
+      expect(rows[0]).toEqual({
+        line: 5,
+        input: {
+          amount: 12.34,
+          type: 'expense',
+          category: 'Other',
+          description: 'Corner Cafe & Bakery - Card 1234',
+          date: '2026-03-01T00:00:00.000Z',
+          externalId: 'ofx:A1',
+        },
+      });
+      expect(rows[1].input).toMatchObject({ amount: 800, type: 'income', category: 'Paycheck', externalId: 'ofx:A2' });
+    });
+
+    it('should scope FITIDs by the statement account', () => {
+      const statement = (bank, account, fitid) => '<STMTRS><BANKACCTFROM><BANKID>' + bank + '</BANKID><ACCTID>' + account
+        + '</ACCTID></BANKACCTFROM><BANKTRANLIST><STMTTRN><DTPOSTED>20260301</DTPOSTED><TRNAMT>-5</TRNAMT><FITID>'
+        + fitid + '</FITID></STMTTRN></BANKTRANLIST></STMTRS>';
+      const card = '<CCSTMTRS><CCACCTFROM><ACCTID>9999</ACCTID></CCACCTFROM><BANKTRANLIST><STMTTRN><DTPOSTED>20260301'
+        + '</DTPOSTED><TRNAMT>-5</TRNAMT><FITID>1</FITID></STMTTRN></BANKTRANLIST></CCSTMTRS>';
+      const xml = `<OFX>${statement('021000021', '1234', '1')}${statement('021000021', '5678', '1')}${card}</OFX>`;
+
+      const { rows } = parseOfx(xml, { timezone: 'UTC' });
+
+      expect(rows.map(row => row.input.externalId)).toEqual([
+        'ofx:021000021/1234:1',
+        'ofx:021000021/5678:1',
+        'ofx:9999:1',
+      ]);
+    });
+
+    it('should number lines and track accounts across a multi-line statement', () => {
+      const statement = (account, count) => `<STMTRS>\n<BANKACCTFROM>\n<ACCTID>${account}\n</BANKACCTFROM>\n`
+        + Array.from({ length: count }, (_, i) =>
+          `<STMTTRN>\n<DTPOSTED>20260301\n<TRNAMT>-5\n<FITID>${i}\n</STMTTRN>\n`).join('')
+        + '</STMTRS>\n';
+      const { rows } = parseOfx(`<OFX>\n${statement('A', 2500)}${statement('B', 2500)}</OFX>`, { timezone: 'UTC' });
+
+      expect(rows).toHaveLength(5000);
+      expect(rows[0]).toMatchObject({ line: 6, input: { externalId: 'ofx:A:0' } });
+      expect(rows[2499]).toMatchObject({ line: 6 + 2499 * 5, input: { externalId: 'ofx:A:2499' } });
+      expect(rows[2500]).toMatchObject({ line: 6 + 2500 * 5 + 5, input: { externalId: 'ofx:B:0' } });
+      expect(rows[4999].input.externalId).toBe('ofx:B:2499');
+    });
+
+    it('should skip a FITID repeated within the same file', () => {
+      const { rows } = parseOfx(sgml, { timezone: 'UTC' });
+
+      expect(rows[2]).toEqual({ line: 20, skipped: 'Duplicate FITID A2 in this file.' });
+    });
+
+    it('should read XML statements and report bad values per transaction', () => {
+      const xml = '<?xml version="1.0"?><OFX><STMTTRN><DTPOSTED>20260310</DTPOSTED><TRNAMT>-5</TRNAMT>'
+        + '<PAYEE>Bus</PAYEE></STMTTRN><STMTTRN><DTPOSTED>soon</DTPOSTED><TRNAMT>1</TRNAMT></STMTTRN></OFX>';
+      const { rows } = parseOfx(xml, { timezone: 'UTC' });
+
+      expect(rows[0].input).toMatchObject({ amount: 5, type: 'expense', description: 'Bus' });
+      expect(rows[0].input).not.toHaveProperty('externalId');
+      expect(rows[1]).toEqual({ line: 1, error: 'Unrecognized date "soon".' });
+    });
+
+    it('should report files without transactions', () => {
+      expect(parseOfx('<OFX></OFX>').error).toBe('No transactions were found in the OFX file.');
+    });
+  });
+
+  describe('parseQif', () => {
+    const qif = [
+      '!Account',
+      'NChecking',
+      'TBank',
+      '^',
+      '!Type:Bank',
+      "D3/ 1'26",
+      'T-4.50',
+      'PCoffee Shop',
+      'LFood:Coffee',
+      '^',
+      'D03/01/2026',
+      'T-4.50',
+      'PCoffee Shop',
+      '^',
+      'D3/2/26',
+      'U1,200.00',
+      'PEmployer',
+      'MMarch pay',
+      '^',
+      'D3/3/26',
+      'T-100',
+      'L[Savings]',
+      '^',
+    ].join('\n');
+
+    it('should read bank records with two-digit years, payees, memos and top-level categories', () => {
+      const { rows } = parseQif(qif, { defaultCategory: 'Other', timezone: 'UTC' });
+
+      expect(rows[0]).toEqual({ line: 2, skipped: 'Unsupported QIF section "!Account".' });
+      expect(rows[1]).toMatchObject({
+        line: 6,
+        input: { amount: 4.5, type: 'expense', category: 'Food', description: 'Coffee Shop', date: '2026-03-01T00:00:00.000Z' },
+      });
+      expect(rows[3].input).toMatchObject({ amount: 1200, type: 'income', description: 'Employer - March pay' });
+    });
+
+    it('should give identical lines distinct, stable external ids', () => {
+      const first = parseQif(qif, { timezone: 'UTC' }).rows;
+      const second = parseQif(qif, { timezone: 'UTC' }).rows;
+
+      expect(first[1].input.externalId).toMatch(/^qif:[0-9a-f]{20}$/);
+      expect(first[1].input.externalId).not.toBe(first[2].input.externalId);
+      expect(second.map(row => row.input?.externalId)).toEqual(first.map(row => row.input?.externalId));
+    });
+
+    it('should use the default category for transfers between accounts', () => {
+      const { rows } = parseQif(qif, { defaultCategory: 'Other', timezone: 'UTC' });
+
+      expect(rows[4].input).toMatchObject({ amount: 100, category: 'Other' });
+    });
+
+    it('should skip records from non-bank sections', () => {
+      const { rows } = parseQif('!Type:Invst\nD3/1/26\nT10\n^', { timezone: 'UTC' });
+
+      expect(rows).toEqual([{ line: 2, skipped: 'Unsupported QIF section "!Type:Invst".' }]);
+    });
+  });
+
+  describe('detectFormat and parseStatement', () => {
+    it('should detect OFX, QIF and CSV content', () => {
+      expect(detectFormat('OFXHEADER:100\nDATA:OFXSGML')).toBe('ofx');
+      expect(detectFormat('<?xml version="1.0"?>\n<OFX>')).toBe('ofx');
+      expect(detectFormat('\uFEFF!Type:Bank\n')).toBe('qif');
+      expect(detectFormat('Date,Amount\n2026-03-01,4')).toBe('csv');
+    });
+
+    it('should dispatch by detected or explicit format', () => {
+      const qif = parseStatement('!Type:Cash\nD3/1/26\nT-2\n^', { timezone: 'UTC' });
+      expect(qif.format).toBe('qif');
+      expect(qif.rows[0].input).toMatchObject({ amount: 2, type: 'expense' });
+
+      const csv = parseStatement('Date,Amount\n2026-03-01,4', { format: 'csv', timezone: 'UTC' });
+      expect(csv).toMatchObject({ format: 'csv', headers: ['Date', 'Amount'] });
+
+      expect(parseStatement('x', { format: 'xls' }).error).toBe('Import format must be one of: auto, csv, ofx, qif.');
+    });
+  });
+});
@@ -0,0 +1,235 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getPeriodRange,
+  formatLocalDate,
+  isValidTimezone,
+  sumSpending,
+  buildBudgetLedger,
+  computeBudgetStatus
+} from '../../walletalert/apps/api/src/periods.js';
+
+/**
+ * File: periods.test.js
+ * Purpose: Verify server-side budget period math used by the status routes and alert engine.
+ * Scope: Weekly/biweekly/monthly/semester/yearly/custom boundaries, in-range spending sums, category scope, status figures (remaining, utilization, days left).
+ * Exclusions: Persistence and route wiring (covered by store and route tests).
+ * Key Edge Cases: Sunday belonging to the previous Monday-start week, user week start and timezone, exclusive period end, overspent budgets.
+ */
+
+describe('Period Utilities', () => {
+  describe('getPeriodRange', () => {
+    it('should start weekly periods on Monday and span seven days', () => {
+      // Sunday 2026-03-15 belongs to the week starting Monday 2026-03-09
+      const { start, end } = getPeriodRange('weekly', new Date(2026, 2, 15, 22, 30));
+
+      expect(start).toEqual(new Date(2026, 2, 9));
+      expect(end).toEqual(new Date(2026, 2, 16));
+    });
+
+    it('should span the calendar month for monthly periods', () => {
+      const { start, end } = getPeriodRange('monthly', new Date(2026, 11, 31, 12));
+
+      expect(start).toEqual(new Date(2026, 11, 1));
+      expect(end).toEqual(new Date(2027, 0, 1));
+    });
+
+    it('should start weeks on the user\'s chosen day', () => {
+      const { start } = getPeriodRange('weekly', new Date(2026, 2, 15, 22, 30), { weekStartsOn: 0 });
+
+      expect(start).toEqual(new Date(2026, 2, 15));
+    });
+
+    it('should bound periods at midnight in the user\'s timezone', () => {
+      // 11pm Sunday in New York is already Monday in UTC
+      const lateSunday = new Date('2026-03-16T03:00:00Z');
+      const { start, end } = getPeriodRange('weekly', lateSunday, { timezone: 'America/New_York' });
+
+      expect(start.toISOString()).toBe('2026-03-09T04:00:00.000Z');
+      expect(end.toISOString()).toBe('2026-03-16T04:00:00.000Z');
+    });
+
+    it('should follow DST changes inside a zoned month', () => {
+      const { start, end } = getPeriodRange('monthly', new Date('2026-03-20T12:00:00Z'), { timezone: 'America/New_York' });
+
+      expect(start.toISOString()).toBe('2026-03-01T05:00:00.000Z');
+      expect(end.toISOString()).toBe('2026-04-01T04:00:00.000Z');
+    });
+
+    it('should align biweekly periods to the anchor date', () => {
+      const { start, end } = getPeriodRange('biweekly', new Date(2026, 2, 20), { anchorDate: '2026-03-02' });
+
+      expect(start).toEqual(new Date(2026, 2, 16));
+      expect(end).toEqual(new Date(2026, 2, 30));
+    });
+
+    it('should follow the academic calendar for semesters', () => {
+      expect(getPeriodRange('semester', new Date(2026, 4, 31)).start).toEqual(new Date(2026, 0, 1));
+      expect(getPeriodRange('semester', new Date(2026, 6, 1))).toEqual({
+        start: new Date(2026, 5, 1),
+        end: new Date(2026, 7, 1),
+      });
+      expect(getPeriodRange('semester', new Date(2026, 9, 1)).end).toEqual(new Date(2027, 0, 1));
+    });
+
+    it('should span the calendar year for yearly periods', () => {
+      const { start, end } = getPeriodRange('yearly', new Date(2026, 6, 4));
+
+      expect(start).toEqual(new Date(2026, 0, 1));
+      expect(end).toEqual(new Date(2027, 0, 1));
+    });
+
+    it('should include the last day of a custom range', () => {
+      const { start, end } = getPeriodRange('custom', new Date(2026, 6, 4), {
+        range: { start: '2026-06-01', end: '2026-08-31' },
+      });
+
+      expect(start).toEqual(new Date(2026, 5, 1));
+      expect(end).toEqual(new Date(2026, 8, 1));
+    });
+  });
+
+  describe('timezone helpers', () => {
+    it('should validate IANA timezone names', () => {
+      expect(isValidTimezone('Europe/Paris')).toBe(true);
+      expect(isValidTimezone('Mars/Base')).toBe(false);
+      expect(isValidTimezone(42)).toBe(false);
+    });
+
+    it('should format calendar dates in a timezone', () => {
+      expect(formatLocalDate(new Date('2026-03-16T03:00:00Z'), 'America/New_York')).toBe('2026-03-15');
+      expect(formatLocalDate(new Date('2026-03-16T03:00:00Z'), 'Asia/Tokyo')).toBe('2026-03-16');
+    });
+  });
+
+  describe('sumSpending', () => {
+    const start = new Date(2026, 2, 1);
+    const end = new Date(2026, 3, 1);
+
+    it('should only sum positive amounts inside the range', () => {
+      const total = sumSpending([
+        { amount: 10, date: new Date(2026, 2, 1).toISOString() },
+        { amount: 5, date: new Date(2026, 3, 1).toISOString() },
+        { amount: -3, date: new Date(2026, 2, 5).toISOString() },
+        { amount: 7, createdAt: new Date(2026, 2, 20).toISOString() },
+      ], start, end);
+
+      expect(total).toBe(17);
+    });
+
+    it('should restrict to budget categories when provided', () => {
+      const total = sumSpending([
+        { amount: 10, category: 'Takeout', date: new Date(2026, 2, 2).toISOString() },
+        { amount: 20, category: 'Groceries', date: new Date(2026, 2, 2).toISOString() },
+      ], start, end, ['takeout']);
+
+      expect(total).toBe(10);
+    });
+
+    it('should not count income as spending', () => {
+      const total = sumSpending([
+        { amount: 40, category: 'Groceries', date: new Date(2026, 2, 2).toISOString() },
+        { amount: 1500, type: 'income', category: 'Paycheck', date: new Date(2026, 2, 2).toISOString() },
+      ], start, end);
+
+      expect(total).toBe(40);
+    });
+  });
+
+  describe('computeBudgetStatus', () => {
+    it('should report spent, remaining, utilization and days left', () => {
+      const now = new Date(2026, 2, 25, 12);
+      const status = computeBudgetStatus(
+        { id: 'b1', period: 'monthly', amount: 200 },
+        [{ amount: 50, date: new Date(2026, 2, 3).toISOString() }],
+        now
+      );
+
+      expect(status).toMatchObject({
+        budgetId: 'b1',
+        period: 'monthly',
+        amount: 200,
+        spent: 50,
+        remaining: 150,
+        utilization: 25,
+        daysLeft: 7,
+      });
+      expect(status.periodStart).toEqual(new Date(2026, 2, 1));
+      expect(status.periodEnd).toEqual(new Date(2026, 3, 1));
+    });
+
+    it('should report negative remaining when overspent', () => {
+      const now = new Date(2026, 2, 10, 9);
+      const status = computeBudgetStatus(
+        { id: 'b2', period: 'weekly', amount: 40 },
+        [{ amount: 60.5, date: new Date(2026, 2, 10, 8).toISOString() }],
+        now
+      );
+
+      expect(status.remaining).toBe(-20.5);
+      expect(status.utilization).toBe(151.3);
+    });
+  });
+
+  describe('rollover ledger', () => {
+    // Rollover budgets carry each closing balance (surplus or deficit) into the next period.
+    const transactions = [
+      { amount: 60, date: new Date(2026, 0, 10).toISOString() },
+      { amount: 150, date: new Date(2026, 1, 10).toISOString() },
+      { amount: 20, date: new Date(2026, 2, 5).toISOString() },
+    ];
+    const now = new Date(2026, 2, 15);
+
+    it('should build one row per period since creation', () => {
+      const ledger = buildBudgetLedger(
+        { period: 'monthly', amount: 100, rollover: true, createdAt: new Date(2026, 0, 3) },
+        transactions,
+        now
+      );
+
+      expect(ledger.map(row => row.carriedOver)).toEqual([0, 40, -10]);
+      expect(ledger.map(row => row.balance)).toEqual([40, -10, 70]);
+    });
+
+    it('should include the carried-over amount in the current status', () => {
+      const status = computeBudgetStatus(
+        { id: 'r1', period: 'monthly', amount: 100, rollover: true, createdAt: new Date(2026, 0, 3) },
+        transactions,
+        now
+      );
+
+      expect(status).toMatchObject({ carriedOver: -10, available: 90, spent: 20, remaining: 70 });
+    });
+
+    it('should produce a single row for custom ranges', () => {
+      const ledger = buildBudgetLedger(
+        { period: 'custom', amount: 500, rollover: true, range: { start: '2026-01-01', end: '2026-03-31' }, createdAt: new Date(2026, 0, 1) },
+        transactions,
+        now
+      );
+
+      expect(ledger).toHaveLength(1);
+      expect(ledger[0]).toMatchObject({ carriedOver: 0, spent: 230, balance: 270 });
+    });
+
+    it('should not carry balances for budgets without rollover', () => {
+      const status = computeBudgetStatus(
+        { id: 'r2', period: 'monthly', amount: 100, createdAt: new Date(2026, 0, 3) },
+        transactions,
+        now
+      );
+
+      expect(status).toMatchObject({ carriedOver: 0, available: 100, remaining: 80 });
+    });
+
+    it('should only build the current period for budgets without rollover', () => {
+      const ledger = buildBudgetLedger(
+        { period: 'monthly', amount: 100, createdAt: new Date(2026, 0, 3) },
+        transactions,
+        now
+      );
+
+      expect(ledger).toHaveLength(1);
+      expect(ledger[0]).toMatchObject({ periodStart: new Date(2026, 2, 1), carriedOver: 0, spent: 20, balance: 80 });
+    });
+  });
+});
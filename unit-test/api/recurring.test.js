@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+/**
+ * File: recurring.test.js
+ * Purpose: Verify recurring transaction schedule math and the scheduler's materialization of due occurrences.
+ * Scope: Weekly/monthly/custom occurrence dates, catch-up after downtime, idempotent re-runs, paused schedules.
+ * Exclusions: Timer wiring of startRecurringScheduler, MongoDB unique index behavior, route validation.
+ * Key Edge Cases: Month-end start dates, a transaction created before a crash but not yet advanced.
+ */
+
+vi.mock('mongodb', () => ({
+  ObjectId: class ObjectId {
+    constructor(id) {
+      this.id = id || 'mock-id';
+    }
+    toString() {
+      return this.id;
+    }
+  },
+  MongoClient: class MongoClient {
+    static connect = vi.fn();
+  }
+}));
+
+// Mock `db.js` so the store uses its in-memory path during tests
+vi.mock('../../walletalert/apps/api/src/db.js', () => ({
+  getDb: vi.fn(() => null)
+}));
+
+describe('Recurring Transactions', () => {
+  let store;
+  let recurring;
+  const userId = 'auth0|recurring';
+  const rent = { amount: 900, category: 'Utilities', description: 'Rent', frequency: 'monthly', interval: 1 };
+
+  beforeEach(async () => {
+    vi.resetModules();
+    store = await import('../../walletalert/apps/api/src/store.js');
+    recurring = await import('../../walletalert/apps/api/src/recurring.js');
+  });
+
+  describe('getOccurrenceDate', () => {
+    it('should keep the start day of month, clamping to shorter months', () => {
+      const schedule = { frequency: 'monthly', interval: 1, startDate: '2026-01-31' };
+
+      expect([0, 1, 2, 3].map(i => recurring.getOccurrenceDate(schedule, i)))
+        .toEqual(['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+    });
+
+    it('should step weekly schedules by whole weeks', () => {
+      const schedule = { frequency: 'weekly', interval: 2, startDate: '2026-12-24' };
+
+      expect(recurring.getOccurrenceDate(schedule, 1)).toBe('2027-01-07');
+    });
+
+    it('should step custom schedules by days', () => {
+      const schedule = { frequency: 'custom', interval: 10, startDate: '2026-02-25' };
+
+      expect(recurring.getOccurrenceDate(schedule, 1)).toBe('2026-03-07');
+    });
+  });
+
+  describe('materializeDueRecurring', () => {
+    const now = new Date(2026, 3, 15, 12);
+
+    it('should create every missed occurrence up to today', async () => {
+      const created = await store.createRecurring(userId, { ...rent, startDate: '2026-02-01' });
+
+      expect(await recurring.materializeDueRecurring(now)).toBe(3);
+
+      const txs = await store.listTransactions(userId);
+      expect(txs.map(tx => tx.occurrenceDate)).toEqual(['2026-02-01', '2026-03-01', '2026-04-01']);
+      expect(txs.every(tx => tx.recurringId === created.id && tx.amount === 900)).toBe(true);
+      expect((await store.getRecurring(userId, created.id)).nextRunDate).toBe('2026-05-01');
+    });
+
+    it('should not create an occurrence twice across runs', async () => {
+      await store.createRecurring(userId, { ...rent, startDate: '2026-04-01' });
+
+      await recurring.materializeDueRecurring(now);
+      expect(await recurring.materializeDueRecurring(now)).toBe(0);
+      expect(await store.listTransactions(userId)).toHaveLength(1);
+    });
+
+    it('should resume after a crash between creating and advancing', async () => {
+      const created = await store.createRecurring(userId, { ...rent, startDate: '2026-04-01' });
+      // Transaction written, but the process died before nextRunDate moved on
+      await store.createTransaction(userId, {
+        amount: 900,
+        category: 'Utilities',
+        recurringId: created.id,
+        occurrenceDate: '2026-04-01',
+      });
+
+      expect(await recurring.materializeDueRecurring(now)).toBe(0);
+      expect(await store.listTransactions(userId)).toHaveLength(1);
+      expect((await store.getRecurring(userId, created.id)).occurrences).toBe(1);
+    });
+
+    it('should skip paused schedules and future start dates', async () => {
+      const paused = await store.createRecurring(userId, { ...rent, startDate: '2026-04-01' });
+      await store.updateRecurring(userId, paused.id, { active: false });
+      await store.createRecurring(userId, { ...rent, startDate: '2026-05-01' });
+
+      expect(await recurring.materializeDueRecurring(now)).toBe(0);
+    });
+
+    it('should date occurrences at midnight in the user\'s timezone', async () => {
+      await store.upsertUser(userId, 'tz@example.com', { timezone: 'Asia/Tokyo' });
+      await store.createRecurring(userId, { ...rent, startDate: '2026-04-01' });
+
+      await recurring.materializeDueRecurring(now);
+
+      const [tx] = await store.listTransactions(userId);
+      expect(tx.date).toBe('2026-03-31T15:00:00.000Z');
+    });
+  });
+});
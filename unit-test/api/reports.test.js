@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  categoryRollupNames,
+  categorySubtreeNames,
+  groupRange,
+  rollupCategoryRows,
+  summarizeTransactionList,
+} from '../../walletalert/apps/api/src/reports.js';
+
+/**
+ * File: reports.test.js
+ * Purpose: Verify the spending/income summary behind GET /api/reports/summary.
+ * Scope: Day/week/month/category grouping in a timezone, filters (range, categories, type), totals, store path,
+ *        subcategory rollups and drill-down.
+ * Exclusions: The Mongo aggregation pipeline and HTTP handling.
+ * Key Edge Cases: Week start setting, transactions near midnight in another timezone, category case differences.
+ */
+
+vi.mock('mongodb', () => ({
+  ObjectId: class ObjectId {
+    constructor(id) {
+      this.id = id || 'mock-id';
+    }
+    toString() {
+      return this.id;
+    }
+  },
+  MongoClient: class MongoClient {
+    static connect = vi.fn();
+  }
+}));
+
+// Mock `db.js` so the store uses its in-memory path during tests
+vi.mock('../../walletalert/apps/api/src/db.js', () => ({
+  getDb: vi.fn(() => null)
+}));
+
+const transactions = [
+  { id: '1', amount: 10, category: 'Food', date: '2026-03-02T12:00:00.000Z' },
+  { id: '2', amount: 5.55, category: 'food ', date: '2026-03-04T12:00:00.000Z' },
+  { id: '3', amount: 20, category: 'Rent', date: '2026-03-09T12:00:00.000Z' },
+  { id: '4', amount: 100, type: 'income', category: 'Paycheck', date: '2026-03-31T12:00:00.000Z' },
+  { id: '5', amount: 7, category: 'Food', date: '2026-04-01T02:00:00.000Z' },
+  { id: '6', amount: -3, category: 'Food', date: '2026-03-02T12:00:00.000Z' },
+];
+
+describe('groupRange', () => {
+  it('should honor the week start day and timezone', () => {
+    const date = new Date('2026-03-04T12:00:00.000Z'); // Wednesday
+
+    expect(groupRange(date, 'week', { timezone: 'UTC', weekStartsOn: 0 }).start.toISOString()).toBe('2026-03-01T00:00:00.000Z');
+    expect(groupRange(date, 'week', { timezone: 'UTC' }).start.toISOString()).toBe('2026-03-02T00:00:00.000Z');
+    expect(groupRange(date, 'day', { timezone: 'America/New_York' })).toEqual({
+      start: new Date('2026-03-04T05:00:00.000Z'),
+      end: new Date('2026-03-05T05:00:00.000Z'),
+    });
+  });
+});
+
+describe('summarizeTransactionList', () => {
+  it('should total spending and income per month, oldest first', () => {
+    const summary = summarizeTransactionList(transactions, { groupBy: 'month', timezone: 'UTC' });
+
+    expect(summary.groups.map(g => [g.key, g.spent, g.income, g.count])).toEqual([
+      ['2026-03-01', 35.55, 100, 4],
+      ['2026-04-01', 7, 0, 1],
+    ]);
+    expect(summary.totals).toEqual({ spent: 42.55, income: 100, count: 5 });
+  });
+
+  it('should place groups by the user timezone', () => {
+    const summary = summarizeTransactionList(transactions, { groupBy: 'month', timezone: 'America/New_York' });
+
+    // 02:00 UTC on April 1st is still March 31st in New York
+    expect(summary.groups.map(g => g.key)).toEqual(['2026-03-01']);
+    expect(summary.groups[0].start.toISOString()).toBe('2026-03-01T05:00:00.000Z');
+  });
+
+  it('should group by week with the range, category and type filters applied', () => {
+    const summary = summarizeTransactionList(transactions, {
+      groupBy: 'week',
+      timezone: 'UTC',
+      start: new Date('2026-03-01T00:00:00.000Z'),
+      end: new Date('2026-03-31T00:00:00.000Z'),
+      categories: ['FOOD', 'Rent'],
+      type: 'expense',
+    });
+
+    expect(summary.groups.map(g => [g.key, g.spent])).toEqual([['2026-03-02', 15.55], ['2026-03-09', 20]]);
+  });
+
+  it('should merge category spellings and order categories by spending', () => {
+    const summary = summarizeTransactionList(transactions, { groupBy: 'category', timezone: 'UTC' });
+
+    expect(summary.groups).toEqual([
+      { key: 'Food', spent: 22.55, income: 0, count: 3 },
+      { key: 'Rent', spent: 20, income: 0, count: 1 },
+      { key: 'Paycheck', spent: 0, income: 100, count: 1 },
+    ]);
+  });
+});
+
+describe('subcategory rollups', () => {
+  const categories = [
+    { id: 'e', name: 'Education' },
+    { id: 'c', name: 'College', parentId: 'e' },
+    { id: 't', name: 'Textbooks', parentId: 'e' },
+    { id: 'f', name: 'Food' },
+  ];
+
+  it('should roll subcategory rows into their parent, largest spending first', () => {
+    const rows = [
+      { key: 'Food', spent: 30, income: 0, count: 2 },
+      { key: 'college', spent: 20.1, income: 0, count: 1 },
+      { key: 'Textbooks', spent: 15.2, income: 0, count: 2 },
+      { key: 'Education', spent: 5, income: 0, count: 1 },
+    ];
+
+    expect(rollupCategoryRows(rows, categoryRollupNames(categories))).toEqual([
+      { key: 'Education', spent: 40.3, income: 0, count: 4 },
+      { key: 'Food', spent: 30, income: 0, count: 2 },
+    ]);
+  });
+
+  it('should roll up summary report categories by their `category` field', () => {
+    const rows = [{ category: 'Textbooks', spent: 10, count: 1 }, { category: 'Gifts', spent: 4, count: 1 }];
+
+    expect(rollupCategoryRows(rows, categoryRollupNames(categories), 'category')).toEqual([
+      { category: 'Education', spent: 10, count: 1 },
+      { category: 'Gifts', spent: 4, count: 1 },
+    ]);
+  });
+
+  it('should list a parent and its subcategories for drill-down', () => {
+    expect(categorySubtreeNames(categories, 'education')).toEqual(['Education', 'College', 'Textbooks']);
+    expect(categorySubtreeNames(categories, 'Food')).toEqual(['Food']);
+    expect(categorySubtreeNames(categories, 'Missing')).toBeNull();
+  });
+});
+
+describe('store.summarizeTransactions (in-memory)', () => {
+  let store;
+
+  beforeEach(async () => {
+    vi.resetModules();
+    store = await import('../../walletalert/apps/api/src/store.js');
+  });
+
+  it('should summarize only the given user', async () => {
+    await store.createTransaction('auth0|reporter', { amount: 12, category: 'Food', date: '2026-03-02T12:00:00.000Z' });
+    await store.createTransaction('auth0|other', { amount: 99, category: 'Food', date: '2026-03-02T12:00:00.000Z' });
+
+    const summary = await store.summarizeTransactions('auth0|reporter', { groupBy: 'day', timezone: 'UTC' });
+
+    expect(summary.groups).toHaveLength(1);
+    expect(summary.groups[0]).toMatchObject({ key: '2026-03-02', spent: 12, count: 1 });
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import request from 'supertest';
+
+/**
+ * File: routes-alerts.test.js
+ * Purpose: Validate alert REST routes (list and respond) independent of real Express & datastore.
+ * Scope: Status filter parsing, acknowledge, dismiss, snooze (hours/until validation), error status codes.
+ * Exclusions: Alert evaluation itself (see store.test.js), authentication token validation.
+ * Key Edge Cases: Unknown statuses, unknown alert ids (404), responses a status does not allow (400), bad snooze input.
+ */
+
+vi.mock('express', () => import('./helpers/expressMock.js'));
+
+vi.mock('../../walletalert/apps/api/src/store.js', () => ({
+  ALERT_STATUSES: ['active', 'acknowledged', 'dismissed', 'resolved'],
+  listAlerts: vi.fn(),
+  acknowledgeAlert: vi.fn(),
+  dismissAlert: vi.fn(),
+  snoozeAlert: vi.fn(),
+}));
+
+describe('Alert Routes', () => {
+  let app;
+  let store;
+
+  beforeEach(async () => {
+    vi.resetModules();
+    store = await import('../../walletalert/apps/api/src/store.js');
+    vi.clearAllMocks();
+
+    const { default: express, json } = await import('express');
+    app = express();
+    app.use(json());
+    app.use((req, res, next) => {
+      req.auth = { payload: { sub: 'auth0|testuser' } };
+      next();
+    });
+    const alertRoutes = await import('../../walletalert/apps/api/src/routes/alerts.js');
+    app.use('/api/alerts', alertRoutes.default);
+  });
+
+  describe('GET /api/alerts', () => {
+    it('should pass the status filter and snoozed flag to the store', async () => {
+      store.listAlerts.mockResolvedValue([{ id: 'a1', status: 'active' }]);
+
+      const response = await request(app).get('/api/alerts?status=active, acknowledged&includeSnoozed=true');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([{ id: 'a1', status: 'active' }]);
+      expect(store.listAlerts).toHaveBeenCalledWith('auth0|testuser', {
+        statuses: ['active', 'acknowledged'],
+        includeSnoozed: true,
+      });
+    });
+
+    it('should hide snoozed alerts by default', async () => {
+      store.listAlerts.mockResolvedValue([]);
+
+      await request(app).get('/api/alerts');
+
+      expect(store.listAlerts).toHaveBeenCalledWith('auth0|testuser', { statuses: undefined, includeSnoozed: false });
+    });
+
+    it('should reject unknown statuses', async () => {
+      const response = await request(app).get('/api/alerts?status=active,muted');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('Alert status must be one of');
+      expect(store.listAlerts).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/alerts/:id/acknowledge and /dismiss', () => {
+    it('should acknowledge an alert', async () => {
+      store.acknowledgeAlert.mockResolvedValue({ id: 'a1', status: 'acknowledged' });
+
+      const response = await request(app).post('/api/alerts/a1/acknowledge');
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('acknowledged');
+      expect(store.acknowledgeAlert).toHaveBeenCalledWith('auth0|testuser', 'a1');
+    });
+
+    it('should dismiss an alert', async () => {
+      store.dismissAlert.mockResolvedValue({ id: 'a1', status: 'dismissed' });
+
+      const response = await request(app).post('/api/alerts/a1/dismiss');
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('dismissed');
+    });
+
+    it('should return 404 for an unknown alert', async () => {
+      store.acknowledgeAlert.mockRejectedValue(new Error('Alert not found'));
+      store.dismissAlert.mockRejectedValue(new Error('Alert not found'));
+
+      const acknowledged = await request(app).post('/api/alerts/missing/acknowledge');
+      const dismissed = await request(app).post('/api/alerts/missing/dismiss');
+
+      expect(acknowledged.status).toBe(404);
+      expect(dismissed.status).toBe(404);
+      expect(dismissed.body.error).toBe('Alert not found');
+    });
+
+    it('should return 400 when the alert status does not allow the response', async () => {
+      store.dismissAlert.mockRejectedValue(new Error('Cannot dismiss a resolved alert.'));
+
+      const response = await request(app).post('/api/alerts/a1/dismiss');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Cannot dismiss a resolved alert.');
+    });
+  });
+
+  describe('POST /api/alerts/:id/snooze', () => {
+    it('should snooze for the given hours', async () => {
+      store.snoozeAlert.mockResolvedValue({ id: 'a1' });
+      const before = Date.now();
+
+      const response = await request(app).post('/api/alerts/a1/snooze').send({ hours: 2 });
+
+      expect(response.status).toBe(200);
+      const until = store.snoozeAlert.mock.calls[0][2];
+      expect(until.getTime() - before).toBeGreaterThanOrEqual(2 * 60 * 60 * 1000);
+      expect(until.getTime() - before).toBeLessThan(2 * 60 * 60 * 1000 + 60 * 1000);
+    });
+
+    it('should snooze until an explicit date', async () => {
+      store.snoozeAlert.mockResolvedValue({ id: 'a1' });
+
+      await request(app).post('/api/alerts/a1/snooze').send({ until: '2030-01-01T00:00:00.000Z' });
+
+      expect(store.snoozeAlert).toHaveBeenCalledWith('auth0|testuser', 'a1', new Date('2030-01-01T00:00:00.000Z'));
+    });
+
+    it('should reject invalid snooze input', async () => {
+      const badDate = await request(app).post('/api/alerts/a1/snooze').send({ until: 'someday' });
+      const tooLong = await request(app).post('/api/alerts/a1/snooze').send({ hours: 24 * 31 });
+
+      expect(badDate.status).toBe(400);
+      expect(badDate.body.error).toContain('valid date');
+      expect(tooLong.status).toBe(400);
+      expect(tooLong.body.error).toContain('Snooze hours');
+      expect(store.snoozeAlert).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when snoozing an unknown alert', async () => {
+      store.snoozeAlert.mockRejectedValue(new Error('Alert not found'));
+
+      const response = await request(app).post('/api/alerts/missing/snooze').send({});
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -139,7 +139,10 @@ vi.mock('../../walletalert/apps/api/src/store.js', () => ({
   listBudgets: vi.fn(),
   createBudget: vi.fn(),
   updateBudget: vi.fn(),
-  deleteBudget: vi.fn()
+  deleteBudget: vi.fn(),
+  categoryExists: vi.fn(),
+  listTransactions: vi.fn(),
+  getUserSettings: vi.fn()
 }));
 
 describe('Budget Routes', () => {
@@ -219,16 +222,132 @@ describe('Budget Routes', () => {
     });
 
     it('should reject invalid period', async () => {
-      // invalid period values should be rejected (only weekly/monthly allowed)
+      // invalid period values should be rejected (only BUDGET_PERIODS allowed)
       const response = await request(app)
         .post('/api/budgets')
         .send({
-          period: 'yearly',
+          period: 'daily',
           amount: 500
         });
 
       expect(response.status).toBe(400);
-      expect(response.body.error).toContain('weekly or monthly');
+      expect(response.body.error).toContain('must be one of');
+    });
+
+    it('should default the biweekly anchor date to today', async () => {
+      store.createBudget.mockResolvedValue({ id: '1' });
+
+      const response = await request(app)
+        .post('/api/budgets')
+        .send({ period: 'biweekly', amount: 300 });
+
+      expect(response.status).toBe(201);
+      expect(store.createBudget).toHaveBeenCalledWith(
+        'auth0|testuser',
+        expect.objectContaining({ period: 'biweekly', anchorDate: expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/) })
+      );
+    });
+
+    it('should store the range of a custom budget', async () => {
+      store.createBudget.mockResolvedValue({ id: '1' });
+
+      const response = await request(app)
+        .post('/api/budgets')
+        .send({ period: 'custom', amount: 1200, range: { start: '2026-06-01', end: '2026-08-31' } });
+
+      expect(response.status).toBe(201);
+      expect(store.createBudget).toHaveBeenCalledWith(
+        'auth0|testuser',
+        expect.objectContaining({ range: { start: '2026-06-01', end: '2026-08-31' } })
+      );
+    });
+
+    it('should reject a custom range that ends before it starts', async () => {
+      const response = await request(app)
+        .post('/api/budgets')
+        .send({ period: 'custom', amount: 1200, range: { start: '2026-08-31', end: '2026-06-01' } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('Custom budget range');
+    });
+
+    it('should reject invalid alert thresholds', async () => {
+      // thresholds must be a non-empty list of percentages
+      const response = await request(app)
+        .post('/api/budgets')
+        .send({
+          period: 'monthly',
+          amount: 500,
+          alertThresholds: [80, 'abc']
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('Alert thresholds');
+    });
+
+    it('should pass sorted alert thresholds to the store', async () => {
+      store.createBudget.mockResolvedValue({ id: '123' });
+
+      const response = await request(app)
+        .post('/api/budgets')
+        .send({
+          period: 'monthly',
+          amount: 500,
+          alertThresholds: [90, 60, 90]
+        });
+
+      expect(response.status).toBe(201);
+      expect(store.createBudget).toHaveBeenCalledWith(
+        'auth0|testuser',
+        expect.objectContaining({ alertThresholds: [60, 90] })
+      );
+    });
+
+    it('should accept existing categories for a scoped budget', async () => {
+      store.categoryExists.mockResolvedValue(true);
+      store.createBudget.mockResolvedValue({ id: '123' });
+
+      const response = await request(app)
+        .post('/api/budgets')
+        .send({
+          period: 'weekly',
+          amount: 50,
+          categories: [' Takeout ', 'takeout', 'Groceries']
+        });
+
+      expect(response.status).toBe(201);
+      expect(store.createBudget).toHaveBeenCalledWith(
+        'auth0|testuser',
+        expect.objectContaining({ categories: ['Takeout', 'Groceries'] })
+      );
+    });
+
+    it('should reject unknown budget categories', async () => {
+      store.categoryExists.mockResolvedValue(false);
+
+      const response = await request(app)
+        .post('/api/budgets')
+        .send({
+          period: 'weekly',
+          amount: 50,
+          categories: ['Nope']
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('does not exist');
+    });
+
+    it('should reject a non-boolean rollover flag', async () => {
+      const response = await request(app)
+        .post('/api/budgets')
+        .send({
+          period: 'monthly',
+          amount: 200,
+          rollover: 'yes'
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('rollover');
     });
 
     it('should default to weekly period', async () => {
@@ -287,6 +406,40 @@ describe('Budget Routes', () => {
     });
   });
 
+  describe('GET /api/budgets/status', () => {
+    // Status endpoints compute current-period figures server-side from the store data
+    it('should return status for every budget', async () => {
+      store.listBudgets.mockResolvedValue([
+        { id: '1', period: 'weekly', amount: 100 },
+        { id: '2', period: 'monthly', amount: 400, categories: ['Takeout'] }
+      ]);
+      store.listTransactions.mockResolvedValue([
+        { amount: 30, category: 'Groceries', date: new Date().toISOString() },
+        { amount: 20, category: 'Takeout', date: new Date().toISOString() }
+      ]);
+
+      const response = await request(app)
+        .get('/api/budgets/status');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveLength(2);
+      expect(response.body[0]).toMatchObject({ budgetId: '1', spent: 50, remaining: 50, utilization: 50 });
+      expect(response.body[1]).toMatchObject({ budgetId: '2', spent: 20, remaining: 380, utilization: 5 });
+      expect(response.body[0].daysLeft).toBeGreaterThanOrEqual(1);
+    });
+
+    it('should return 404 for an unknown budget status', async () => {
+      store.listBudgets.mockResolvedValue([]);
+      store.listTransactions.mockResolvedValue([]);
+
+      const response = await request(app)
+        .get('/api/budgets/999/status');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toContain('Budget not found');
+    });
+  });
+
   describe('PUT /api/budgets/:id', () => {
     // Update endpoint: validates inputs and calls store.updateBudget
     it('should update a budget', async () => {
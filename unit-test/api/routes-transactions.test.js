@@ -0,0 +1,400 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import request from 'supertest';
+
+/**
+ * File: routes-transactions.test.js
+ * Purpose: Validate transaction REST routes (list, import, search, duplicates, export, merge, update) independent of real Express & datastore.
+ * Scope: Query validation and paging, statement import reports, search/duplicates parameters, streamed export, duplicate merging, update field whitelisting.
+ * Exclusions: Statement parsing details (see importers.test.js), store queries (see store.test.js), authentication token validation.
+ * Key Edge Cases: Forged and wrong-sort cursors, already imported lines, invalid rows without skipInvalid, out-of-range limits, self-merge.
+ */
+
+vi.mock('express', () => import('./helpers/expressMock.js'));
+
+vi.mock('../../walletalert/apps/api/src/store.js', () => ({
+  TRANSACTION_TYPES: ['expense', 'income'],
+  listTransactions: vi.fn(),
+  queryTransactions: vi.fn(),
+  searchTransactions: vi.fn(),
+  getTransaction: vi.fn(),
+  createTransaction: vi.fn(),
+  createTransactions: vi.fn(),
+  findImportedExternalIds: vi.fn(),
+  findDuplicateCandidates: vi.fn(),
+  updateTransaction: vi.fn(),
+  deleteTransaction: vi.fn(),
+  categoryExists: vi.fn(),
+  listCategories: vi.fn(),
+  getUserSettings: vi.fn(),
+  isValidTransactionId: vi.fn(),
+}));
+
+const QIF = '!Type:Bank\nD3/1/26\nT-12.50\nPCoffee\nLFood\n^\nD3/2/26\nT-40\nPBooks\nLFood\n^';
+
+// A cursor as encodeCursor makes it
+const cursor = (sort, value, id) => Buffer.from(JSON.stringify({ s: sort, v: value, id })).toString('base64url');
+
+describe('Transaction Routes', () => {
+  let app;
+  let store;
+
+  beforeEach(async () => {
+    vi.resetModules();
+    store = await import('../../walletalert/apps/api/src/store.js');
+    vi.clearAllMocks();
+    store.getUserSettings.mockResolvedValue({ timezone: 'UTC' });
+    store.isValidTransactionId.mockImplementation((id) => /^[0-9a-f]{24}$/.test(id));
+    store.listCategories.mockResolvedValue([{ id: 'c1', name: 'Food', type: 'expense' }]);
+    store.listTransactions.mockResolvedValue([]);
+    store.findImportedExternalIds.mockResolvedValue(new Set());
+    store.findDuplicateCandidates.mockResolvedValue([]);
+
+    const { default: express, json } = await import('express');
+    app = express();
+    app.use(json());
+    app.use((req, res, next) => {
+      req.auth = { payload: { sub: 'auth0|testuser' } };
+      next();
+    });
+    const transactionRoutes = await import('../../walletalert/apps/api/src/routes/transactions.js');
+    app.use('/api/transactions', transactionRoutes.default);
+  });
+
+  describe('GET /api/transactions', () => {
+    it('should return every match as an array without limit or after', async () => {
+      store.queryTransactions.mockResolvedValue({ transactions: [{ id: 't1' }], nextCursor: null });
+
+      const response = await request(app).get('/api/transactions?from=2026-03-01&to=2026-03-31&category=Food&category=Rent');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([{ id: 't1' }]);
+      expect(store.queryTransactions).toHaveBeenCalledWith('auth0|testuser', {
+        categories: ['Food', 'Rent'],
+        sort: '-date',
+        start: new Date('2026-03-01T00:00:00.000Z'),
+        end: new Date('2026-04-01T00:00:00.000Z'),
+      });
+    });
+
+    it('should return a page with its cursor when a limit is passed', async () => {
+      store.queryTransactions.mockResolvedValue({ transactions: [{ id: 't1' }], nextCursor: 'next' });
+      const after = cursor('-amount', 20, 'a'.repeat(24));
+
+      const response = await request(app).get(`/api/transactions?sort=-amount&limit=1&after=${after}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ transactions: [{ id: 't1' }], nextCursor: 'next' });
+      expect(store.queryTransactions.mock.calls[0][1]).toMatchObject({
+        limit: 1,
+        after: { value: 20, id: 'a'.repeat(24) },
+      });
+    });
+
+    it('should reject invalid query parameters', async () => {
+      const badDay = await request(app).get('/api/transactions?from=03/01/2026');
+      const badRange = await request(app).get('/api/transactions?minAmount=10&maxAmount=5');
+      const badSort = await request(app).get('/api/transactions?sort=name');
+      const badLimit = await request(app).get('/api/transactions?limit=500');
+
+      expect(badDay.status).toBe(400);
+      expect(badDay.body.error).toContain('YYYY-MM-DD');
+      expect(badRange.status).toBe(400);
+      expect(badRange.body.error).toBe('maxAmount must be at least minAmount.');
+      expect(badSort.status).toBe(400);
+      expect(badSort.body.error).toContain('sort must be one of');
+      expect(badLimit.status).toBe(400);
+      expect(badLimit.body.error).toContain('limit must be a whole number');
+      expect(store.queryTransactions).not.toHaveBeenCalled();
+    });
+
+    it('should reject malformed and forged cursors', async () => {
+      const garbage = await request(app).get('/api/transactions?after=not-a-cursor');
+      const forged = await request(app).get(`/api/transactions?after=${cursor('-date', 1, 'zzz')}`);
+
+      expect(garbage.status).toBe(400);
+      expect(garbage.body.error).toBe('after is not a valid cursor.');
+      expect(forged.status).toBe(400);
+      expect(forged.body.error).toBe('after is not a valid cursor.');
+      expect(store.queryTransactions).not.toHaveBeenCalled();
+    });
+
+    it('should reject a cursor from a different sort order', async () => {
+      const after = cursor('-date', 1, 'a'.repeat(24));
+
+      const response = await request(app).get(`/api/transactions?sort=amount&after=${after}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('different sort order');
+    });
+  });
+
+  describe('POST /api/transactions', () => {
+    it('should check for duplicates near the new transaction only', async () => {
+      const existing = { id: 't9', amount: 12, category: 'Food', type: 'expense', date: '2026-03-01T12:20:00.000Z' };
+      store.categoryExists.mockResolvedValue(true);
+      store.findDuplicateCandidates.mockResolvedValue([existing]);
+
+      const response = await request(app)
+        .post('/api/transactions')
+        .send({ amount: 12, category: 'Food', date: '2026-03-01T12:00:00.000Z' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.duplicate).toEqual(existing);
+      expect(store.findDuplicateCandidates).toHaveBeenCalledWith('auth0|testuser', {
+        amounts: [12],
+        start: new Date('2026-03-01T11:00:00.000Z'),
+        end: new Date('2026-03-01T13:00:00.000Z'),
+      });
+      expect(store.listTransactions).not.toHaveBeenCalled();
+      expect(store.createTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should skip the duplicate check when forced', async () => {
+      store.categoryExists.mockResolvedValue(true);
+      store.createTransaction.mockImplementation(async (sub, tx) => ({ id: 't1', ...tx }));
+
+      const response = await request(app).post('/api/transactions?force=true').send({ amount: 12, category: 'Food' });
+
+      expect(response.status).toBe(201);
+      expect(store.findDuplicateCandidates).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/transactions/import', () => {
+    it('should require statement content', async () => {
+      const response = await request(app).post('/api/transactions/import').send({ content: '  ' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Upload a statement file to import.');
+    });
+
+    it('should report a dry run without inserting', async () => {
+      const response = await request(app).post('/api/transactions/import').send({ content: QIF, dryRun: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ dryRun: true, format: 'qif', total: 2, valid: 2, invalid: 0, skipped: 0 });
+      expect(store.createTransactions).not.toHaveBeenCalled();
+    });
+
+    it('should skip lines that were already imported and insert the rest', async () => {
+      store.findImportedExternalIds.mockImplementation(async (sub, ids) => new Set([ids[0]]));
+      store.createTransactions.mockImplementation(async (sub, txs) => txs);
+
+      const response = await request(app).post('/api/transactions/import').send({ content: QIF });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({ valid: 1, skipped: 1, imported: 1 });
+      expect(response.body.rows[0].skipped).toBe('Already imported.');
+      const [[, inserted]] = store.createTransactions.mock.calls;
+      expect(inserted).toEqual([expect.objectContaining({ amount: 40, category: 'Food', description: 'Books' })]);
+    });
+
+    it('should match rows against transactions with their amounts around their dates', async () => {
+      store.findDuplicateCandidates.mockResolvedValue([
+        { id: 't9', amount: 12.5, category: 'Food', description: 'Coffee', type: 'expense', date: '2026-03-01T18:00:00.000Z' },
+      ]);
+      store.createTransactions.mockImplementation(async (sub, txs) => txs);
+
+      const response = await request(app).post('/api/transactions/import').send({ content: QIF });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({ valid: 1, skipped: 1, imported: 1 });
+      expect(response.body.rows[0]).toMatchObject({ line: 2, duplicateOf: 't9' });
+      expect(response.body.rows[1].transaction).toMatchObject({ amount: 40, description: 'Books' });
+      expect(store.findDuplicateCandidates).toHaveBeenCalledWith('auth0|testuser', {
+        amounts: [12.5, 40],
+        start: new Date('2026-02-28T00:00:00.000Z'),
+        end: new Date('2026-03-03T00:00:00.000Z'),
+      });
+      expect(store.listTransactions).not.toHaveBeenCalled();
+    });
+
+    it('should refuse invalid rows unless skipInvalid is set', async () => {
+      store.createTransactions.mockImplementation(async (sub, txs) => txs);
+      const body = {
+        content: 'Date,Amount,Category\n2026-03-01,4,Food\nbad,x,Food',
+        format: 'csv',
+        mapping: { date: 'Date', amount: 'Amount', category: 'Category' },
+      };
+
+      const refused = await request(app).post('/api/transactions/import').send(body);
+      const skipped = await request(app).post('/api/transactions/import').send({ ...body, skipInvalid: true });
+
+      expect(refused.status).toBe(400);
+      expect(refused.body.error).toContain('1 row(s) have errors');
+      expect(skipped.status).toBe(201);
+      expect(skipped.body.imported).toBe(1);
+      expect(store.createTransactions).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('GET /api/transactions/search', () => {
+    it('should pass the query, categories and limit to the store', async () => {
+      store.searchTransactions.mockResolvedValue([{ id: 't1', score: 2 }]);
+
+      const response = await request(app).get('/api/transactions/search?q=%20coffee%20&category=Food,Treats&limit=5');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ q: 'coffee', results: [{ id: 't1', score: 2 }] });
+      expect(store.searchTransactions).toHaveBeenCalledWith('auth0|testuser', 'coffee', {
+        categories: ['Food', 'Treats'],
+        limit: 5,
+      });
+    });
+
+    it('should require q and a valid limit', async () => {
+      const missing = await request(app).get('/api/transactions/search');
+      const badLimit = await request(app).get('/api/transactions/search?q=coffee&limit=0');
+
+      expect(missing.status).toBe(400);
+      expect(missing.body.error).toContain('q is required');
+      expect(badLimit.status).toBe(400);
+      expect(badLimit.body.error).toContain('limit must be a whole number');
+      expect(store.searchTransactions).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/transactions/duplicates', () => {
+    it('should cluster likely duplicates within the window', async () => {
+      const base = { amount: 12, category: 'Food', description: 'Lunch', type: 'expense' };
+      store.listTransactions.mockResolvedValue([
+        { id: 't1', ...base, date: '2026-03-01T12:00:00.000Z' },
+        { id: 't2', ...base, date: '2026-03-01T12:03:00.000Z' },
+        { id: 't3', ...base, amount: 30, date: '2026-03-01T12:04:00.000Z' },
+      ]);
+
+      const response = await request(app).get('/api/transactions/duplicates?windowMinutes=5');
+
+      expect(response.status).toBe(200);
+      expect(response.body.windowMinutes).toBe(5);
+      expect(response.body.clusters).toHaveLength(1);
+      expect(JSON.stringify(response.body.clusters[0])).toContain('t1');
+      expect(JSON.stringify(response.body.clusters[0])).toContain('t2');
+    });
+
+    it('should reject an invalid window', async () => {
+      const response = await request(app).get('/api/transactions/duplicates?windowMinutes=-1');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('windowMinutes must be a whole number');
+    });
+  });
+
+  describe('GET /api/transactions/export', () => {
+    it('should stream the transactions in range as a CSV attachment', async () => {
+      store.listTransactions.mockResolvedValue([
+        { id: 't1', amount: 12, category: 'Food', description: 'Lunch', date: '2026-03-01T12:00:00.000Z' },
+        { id: 't2', amount: 30, category: 'Food', description: 'Dinner', date: '2026-04-01T12:00:00.000Z' },
+      ]);
+
+      const response = await request(app).get('/api/transactions/export?from=2026-03-01&to=2026-03-31');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/csv');
+      expect(response.headers['content-disposition']).toMatch(/^attachment; filename="walletalert-transactions-.*\.csv"$/);
+      expect(response.text).toContain('Lunch');
+      expect(response.text).not.toContain('Dinner');
+    });
+
+    it('should deliver every chunk of a large export', async () => {
+      store.listTransactions.mockResolvedValue(
+        Array.from({ length: 3000 }, (_, i) => ({
+          id: `t${i}`,
+          amount: 1,
+          category: 'Food',
+          description: 'x'.repeat(100),
+          date: '2026-03-01T12:00:00.000Z',
+        }))
+      );
+
+      const response = await request(app).get('/api/transactions/export?format=json');
+
+      expect(response.status).toBe(200);
+      expect(response.body.transactions).toHaveLength(3000);
+    });
+
+    it('should reject unknown formats and bad days', async () => {
+      const badFormat = await request(app).get('/api/transactions/export?format=xls');
+      const badDay = await request(app).get('/api/transactions/export?from=2026-3-1');
+
+      expect(badFormat.status).toBe(400);
+      expect(badFormat.body.error).toContain('Export format must be one of');
+      expect(badDay.status).toBe(400);
+      expect(badDay.body.error).toContain('YYYY-MM-DD');
+    });
+  });
+
+  describe('POST /api/transactions/:id/merge', () => {
+    it('should delete the duplicates and fill in missing fields on the target', async () => {
+      store.getTransaction.mockImplementation(async (sub, id) =>
+        id === 't1' ? { id: 't1', amount: 12 } : { id, amount: 12, description: 'Lunch', externalId: 'ofx:1:F1' }
+      );
+      store.deleteTransaction.mockImplementation(async (sub, id) => ({ id }));
+      store.updateTransaction.mockImplementation(async (sub, id, changes) => ({ id, amount: 12, ...changes }));
+
+      const response = await request(app).post('/api/transactions/t1/merge').send({ ids: ['t2'] });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        transaction: { id: 't1', amount: 12, description: 'Lunch', externalId: 'ofx:1:F1' },
+        removed: [{ id: 't2' }],
+      });
+      // Removed before the update: the external id is unique per user
+      expect(store.deleteTransaction.mock.invocationCallOrder[0]).toBeLessThan(
+        store.updateTransaction.mock.invocationCallOrder[0]
+      );
+    });
+
+    it('should reject missing ids and merging into itself', async () => {
+      const missing = await request(app).post('/api/transactions/t1/merge').send({});
+      const itself = await request(app).post('/api/transactions/t1/merge').send({ ids: ['t1'] });
+
+      expect(missing.status).toBe(400);
+      expect(missing.body.error).toBe('ids must list the transactions to merge.');
+      expect(itself.status).toBe(400);
+      expect(itself.body.error).toBe('A transaction cannot be merged into itself.');
+    });
+
+    it('should not delete anything when a transaction is missing', async () => {
+      store.getTransaction.mockImplementation(async (sub, id) => (id === 't1' ? { id: 't1' } : null));
+
+      const response = await request(app).post('/api/transactions/t1/merge').send({ ids: ['t2'] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Transaction not found');
+      expect(store.deleteTransaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /api/transactions/:id', () => {
+    it('should store only the validated fields', async () => {
+      store.updateTransaction.mockImplementation(async (sub, id, changes) => ({ id, ...changes }));
+
+      const response = await request(app).put('/api/transactions/t1').send({
+        amount: '15',
+        notes: 'Split',
+        auth0_id: 'auth0|someoneelse',
+        externalId: 'ofx:1:F1',
+        recurringId: 'r1',
+        occurrenceDate: '2026-03-01',
+        categoryId: 'c9',
+        createdAt: '2020-01-01T00:00:00.000Z',
+      });
+
+      expect(response.status).toBe(200);
+      expect(store.updateTransaction).toHaveBeenCalledWith('auth0|testuser', 't1', { amount: 15, notes: 'Split' });
+    });
+
+    it('should validate a changed category against the stored type', async () => {
+      store.getTransaction.mockResolvedValue({ id: 't1', type: 'income', category: 'Salary' });
+      store.categoryExists.mockResolvedValue(false);
+
+      const response = await request(app).put('/api/transactions/t1').send({ category: 'Food' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('Income category does not exist');
+      expect(store.categoryExists).toHaveBeenCalledWith('auth0|testuser', 'Food', 'income');
+      expect(store.updateTransaction).not.toHaveBeenCalled();
+    });
+  });
+});
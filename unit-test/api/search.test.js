@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  tokenize,
+  searchTerms,
+  highlightTransaction,
+  rankTransactions,
+} from '../../walletalert/apps/api/src/search.js';
+
+/**
+ * File: search.test.js
+ * Purpose: Verify transaction text search (GET /api/transactions/search) tokenizing, ranking and highlights.
+ * Scope: Stemmed and prefix word matches, field weights, highlight ranges, in-memory store search with category filter.
+ * Exclusions: The Mongo text index and its scoring.
+ * Key Edge Cases: Plural/singular forms, punctuation-only queries, equal scores ordered by date.
+ */
+
+vi.mock('mongodb', () => ({
+  ObjectId: class ObjectId {
+    constructor(id) {
+      this.id = id || 'mock-id';
+    }
+    toString() {
+      return this.id;
+    }
+  },
+  MongoClient: class MongoClient {
+    static connect = vi.fn();
+  }
+}));
+
+// Mock `db.js` so the store uses its in-memory path during tests
+vi.mock('../../walletalert/apps/api/src/db.js', () => ({
+  getDb: vi.fn(() => null)
+}));
+
+const tx = (id, fields) => ({ id, amount: 10, category: 'Food', date: '2026-03-01T12:00:00.000Z', ...fields });
+
+describe('tokenize and searchTerms', () => {
+  it('should split words with positions and stem common endings', () => {
+    expect(tokenize('Weekly groceries, Aldi!')).toEqual([
+      { stem: 'weekly', start: 0, end: 6 },
+      { stem: 'grocery', start: 7, end: 16 },
+      { stem: 'aldi', start: 18, end: 22 },
+    ]);
+    expect(searchTerms('Groceries grocery  GROCERY')).toEqual(['grocery']);
+    expect(searchTerms('?!')).toEqual([]);
+  });
+});
+
+describe('rankTransactions', () => {
+  const transactions = [
+    tx('notes', { description: 'Gift', notes: 'grocery voucher for my parents' }),
+    tx('exact', { description: 'Groceries' }),
+    tx('long', { description: 'Groceries and household cleaning supplies for the month' }),
+    tx('prefix', { description: 'Grocer on Main' }),
+    tx('none', { description: 'Pizza' }),
+  ];
+
+  it('should rank description matches over note matches and short text over long', () => {
+    const results = rankTransactions(transactions, 'grocery');
+
+    expect(results.map(r => r.transaction.id)).toEqual(['exact', 'long', 'notes']);
+  });
+
+  it('should count a word that starts with the term as a weaker match', () => {
+    const results = rankTransactions(transactions, 'groc');
+
+    expect(results.map(r => r.transaction.id)).toContain('prefix');
+    expect(results.find(r => r.transaction.id === 'prefix').score).toBeGreaterThan(0);
+  });
+
+  it('should order equal scores newest first and honor the limit', () => {
+    const same = [
+      tx('old', { description: 'Rent', date: '2026-01-01T00:00:00.000Z' }),
+      tx('new', { description: 'Rent', date: '2026-02-01T00:00:00.000Z' }),
+    ];
+
+    expect(rankTransactions(same, 'rent').map(r => r.transaction.id)).toEqual(['new', 'old']);
+    expect(rankTransactions(same, 'rent', { limit: 1 })).toHaveLength(1);
+    expect(rankTransactions(same, '...')).toEqual([]);
+  });
+
+  it('should mark the matching words in each field', () => {
+    const highlights = highlightTransaction(
+      { description: 'Weekly groceries', notes: 'Grocery run with Sam' },
+      searchTerms('grocery')
+    );
+
+    expect(highlights).toEqual({ description: [[7, 16]], notes: [[0, 7]] });
+  });
+});
+
+describe('store.searchTransactions (in-memory)', () => {
+  let store;
+
+  beforeEach(async () => {
+    vi.resetModules();
+    store = await import('../../walletalert/apps/api/src/store.js');
+  });
+
+  it('should search one user within the given categories', async () => {
+    await store.createTransaction('auth0|searcher', { amount: 5, category: 'Groceries', description: 'Corner shop' });
+    await store.createTransaction('auth0|searcher', { amount: 6, category: 'Other', description: 'Gift shop' });
+    await store.createTransaction('auth0|someone', { amount: 7, category: 'Other', description: 'Shop' });
+
+    const all = await store.searchTransactions('auth0|searcher', 'shop');
+    const scoped = await store.searchTransactions('auth0|searcher', 'shop', { categories: ['other'] });
+
+    expect(all).toHaveLength(2);
+    expect(scoped.map(r => r.transaction.description)).toEqual(['Gift shop']);
+    expect(scoped[0].highlights).toEqual({ description: [[5, 9]] });
+  });
+});
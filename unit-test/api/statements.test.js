@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildStatement,
+  parseStatementMonth,
+  renderStatementHtml,
+  renderStatementPdf,
+} from '../../walletalert/apps/api/src/statements.js';
+import { fitText, toPdfText } from '../../walletalert/apps/api/src/pdf.js';
+import { getCategoryPresentation, presentationOptions } from '../../walletalert/apps/api/src/categoryPresentation.js';
+
+/**
+ * File: statements.test.js
+ * Purpose: Verify monthly statements (GET /api/reports/:period/statement.html|pdf) and the in-process PDF writer.
+ * Scope: Month parsing, statement figures with category colors/emoji (including the user's own colors), HTML escaping, PDF structure and paging.
+ * Exclusions: Visual layout of the rendered documents, route wiring.
+ * Key Edge Cases: Transactions outside the month, markup in descriptions, emoji in PDF text, long histories.
+ */
+
+const utc = { timezone: 'UTC', weekStartsOn: 1 };
+const march = parseStatementMonth('2026-03', 'UTC');
+const now = new Date('2026-04-10T00:00:00.000Z');
+
+const transactions = [
+  { id: '1', amount: 60, category: 'groceries', description: 'Market <b>run</b>', date: '2026-03-03T12:00:00.000Z' },
+  { id: '2', amount: 40, category: 'Coffee', description: 'Beans', date: '2026-03-04T12:00:00.000Z' },
+  { id: '3', amount: 500, category: 'Paycheck', type: 'income', date: '2026-03-15T12:00:00.000Z' },
+  { id: '4', amount: 99, category: 'Coffee', date: '2026-04-02T12:00:00.000Z' },
+];
+const categories = [{ name: 'Groceries', emoji: '🥦' }, { name: 'Coffee', emoji: '☕' }];
+const budgets = [{ id: 'b1', amount: 80, period: 'monthly', createdAt: new Date('2026-01-01T00:00:00.000Z') }];
+
+describe('parseStatementMonth', () => {
+  it('should turn a YYYY-MM month into its range in the timezone', () => {
+    expect(march).toEqual({ start: new Date('2026-03-01T00:00:00.000Z'), end: new Date('2026-04-01T00:00:00.000Z') });
+    expect(parseStatementMonth('2026-03', 'America/New_York').start.toISOString()).toBe('2026-03-01T05:00:00.000Z');
+    expect(parseStatementMonth('2026-13')).toBeNull();
+    expect(parseStatementMonth('2026-3')).toBeNull();
+  });
+});
+
+describe('buildStatement', () => {
+  it('should total the month and present categories with their colors and emoji', () => {
+    const statement = buildStatement('2026-03', march, { transactions, budgets, categories, settings: utc, now });
+
+    expect(statement).toMatchObject({
+      label: 'March 2026',
+      closed: true,
+      generatedAt: '2026-04-10',
+      totals: { spending: 100, income: 500, net: 400, count: 3 },
+    });
+    expect(statement.categories).toEqual([
+      { category: 'groceries', spent: 60, count: 1, share: 60, color: getCategoryPresentation('Groceries').color, emoji: '🥦', initials: 'GR' },
+      { category: 'Coffee', spent: 40, count: 1, share: 40, color: getCategoryPresentation('Coffee').color, emoji: '☕', initials: 'CO' },
+    ]);
+    expect(statement.budgets[0]).toMatchObject({ budgetId: 'b1', available: 80, spent: 100, exceeded: true });
+    expect(statement.transactions.map(tx => tx.id)).toEqual(['1', '2', '3']);
+    expect(statement.transactions[0].category).toBe('Groceries');
+  });
+
+  it('should use the colors the user picked for their categories', () => {
+    const colored = [{ name: 'Groceries', emoji: '🥦', color: '#123456' }, { name: 'Coffee' }];
+    const statement = buildStatement('2026-03', march, { transactions, budgets, categories: colored, settings: utc, now });
+
+    expect(statement.categories.map(row => row.color)).toEqual(['#123456', getCategoryPresentation('Coffee').color]);
+    expect(presentationOptions(colored)).toEqual({
+      emojiOverrides: { groceries: { emoji: '🥦' } },
+      colorOverrides: { groceries: '#123456' },
+    });
+  });
+
+  it('should keep a custom category\'s own name and initials', () => {
+    expect(getCategoryPresentation('  Coffee ')).toMatchObject({ key: 'coffee', label: 'Coffee', initials: 'CO', emoji: '📦' });
+    expect(getCategoryPresentation('groceries')).toMatchObject({ label: 'Groceries', initials: 'GR' });
+  });
+
+  it('should mark the current month as to date', () => {
+    const april = parseStatementMonth('2026-04', 'UTC');
+    expect(buildStatement('2026-04', april, { transactions, budgets, categories, settings: utc, now }).closed).toBe(false);
+  });
+});
+
+describe('statement rendering', () => {
+  const statement = buildStatement('2026-03', march, {
+    transactions, budgets, categories, settings: utc, email: 'student@example.com', now,
+  });
+
+  it('should render escaped, printable HTML', () => {
+    const html = renderStatementHtml(statement);
+
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('Monthly statement: March 2026');
+    expect(html).toContain('Market &lt;b&gt;run&lt;/b&gt;');
+    expect(html).not.toContain('<b>run</b>');
+    expect(html).toContain('🥦 groceries');
+    expect(html).toContain(`background:${statement.categories[0].color}`);
+    expect(html).toContain('Over budget');
+    expect(html).toContain('+$500.00');
+  });
+
+  it('should write a PDF whose cross-reference table points at each object', () => {
+    const pdf = renderStatementPdf(statement);
+    const text = pdf.toString('latin1');
+
+    expect(text.startsWith('%PDF-1.4')).toBe(true);
+    expect(text.trimEnd().endsWith('%%EOF')).toBe(true);
+    const offsets = [...text.matchAll(/(\d{10}) 00000 n /g)].map(match => Number(match[1]));
+    offsets.forEach((offset, index) => {
+      expect(text.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true);
+    });
+    const startxref = Number(/startxref\n(\d+)/.exec(text)[1]);
+    expect(text.slice(startxref).startsWith('xref')).toBe(true);
+    expect(text).toContain('(Monthly statement: March 2026) Tj');
+    expect(text).toContain('(Market <b>run</b>) Tj');
+  });
+
+  it('should continue long transaction lists on new pages', () => {
+    const many = Array.from({ length: 120 }, (_, i) => ({
+      id: String(i),
+      amount: 1,
+      category: 'Coffee',
+      date: '2026-03-10T12:00:00.000Z',
+    }));
+    const long = buildStatement('2026-03', march, { transactions: many, budgets: [], categories, settings: utc, now });
+    const text = renderStatementPdf(long).toString('latin1');
+
+    expect(Number(/\/Count (\d+)/.exec(text)[1])).toBeGreaterThan(2);
+  });
+});
+
+describe('PDF text helpers', () => {
+  it('should replace characters the standard fonts lack and shorten long text', () => {
+    expect(toPdfText('Café ☕\nnext')).toBe('Café ? next');
+    expect(fitText('A fairly long description of a purchase', 60, 10)).toMatch(/\.\.\.$/);
+    expect(fitText('Short', 60, 10)).toBe('Short');
+  });
+});
@@ -65,6 +65,20 @@ describe('Store Module - In-Memory Operations', () => {
       expect(user).toBeDefined();
       expect(user.auth0_id).toBe('auth0|gettest');
     });
+
+    it('should default settings until the user chooses them', async () => {
+      await store.upsertUser('auth0|settings', 'settings@example.com');
+
+      expect(await store.getUserSettings('auth0|settings')).toEqual({ weekStartsOn: 1, timezone: null });
+    });
+
+    it('should merge settings changes without touching the email', async () => {
+      await store.upsertUser('auth0|settings2', 'keep@example.com', { weekStartsOn: 0 });
+      await store.upsertUser('auth0|settings2', undefined, { timezone: 'America/New_York', unknown: true });
+
+      expect(await store.getUserSettings('auth0|settings2')).toEqual({ weekStartsOn: 0, timezone: 'America/New_York' });
+      expect((await store.getUser('auth0|settings2')).email).toBe('keep@example.com');
+    });
   });
 
   describe('Budget Operations', () => {
@@ -152,6 +166,56 @@ describe('Store Module - In-Memory Operations', () => {
       expect(updated.amount).toBe(35);
     });
 
+    it('should create a batch of transactions', async () => {
+      const created = await store.createTransactions(testUserId, [
+        { amount: 12, type: 'expense', category: 'Food', date: '2026-03-01T00:00:00.000Z' },
+        { amount: 900, type: 'income', category: 'Paycheck', date: '2026-03-02T00:00:00.000Z' },
+      ]);
+      const transactions = await store.listTransactions(testUserId);
+
+      expect(created).toHaveLength(2);
+      expect(new Set(created.map(tx => tx.id)).size).toBe(2);
+      expect(transactions.map(tx => tx.amount)).toEqual([12, 900]);
+      expect(await store.createTransactions(testUserId, [])).toEqual([]);
+    });
+
+    it('should find external ids that were already imported', async () => {
+      await store.createTransactions(testUserId, [
+        { amount: 5, type: 'expense', category: 'Food', date: '2026-03-01T00:00:00.000Z', externalId: 'FIT-1' },
+        { amount: 6, type: 'expense', category: 'Food', date: '2026-03-01T00:00:00.000Z' },
+      ]);
+
+      const found = await store.findImportedExternalIds(testUserId, ['FIT-1', 'FIT-2']);
+
+      expect([...found]).toEqual(['FIT-1']);
+      expect((await store.findImportedExternalIds('auth0|other', ['FIT-1'])).size).toBe(0);
+    });
+
+    it('should find duplicate candidates by amount within the date range', async () => {
+      await store.createTransactions(testUserId, [
+        { amount: 12, category: 'Food', date: '2026-03-01T10:00:00.000Z', description: 'In range' },
+        { amount: 12, category: 'Food', date: '2026-03-05T10:00:00.000Z', description: 'Too late' },
+        { amount: 30, category: 'Food', date: '2026-03-01T10:00:00.000Z', description: 'Other amount' },
+      ]);
+
+      const found = await store.findDuplicateCandidates(testUserId, {
+        amounts: [12],
+        start: new Date('2026-03-01T00:00:00.000Z'),
+        end: new Date('2026-03-01T10:00:00.000Z'),
+      });
+
+      expect(found.map(tx => tx.description)).toEqual(['In range']);
+    });
+
+    it('should accept any in-memory id for a page cursor and have no dates to migrate', async () => {
+      const tx = await store.createTransaction(testUserId, { amount: 5, category: 'Other' });
+
+      expect(store.isValidTransactionId(tx.id)).toBe(true);
+      expect(store.isValidTransactionId('')).toBe(false);
+      expect(store.isValidTransactionId(undefined)).toBe(false);
+      expect(await store.migrateTransactionDates()).toBe(0);
+    });
+
     it('should delete a transaction', async () => {
       const tx = await store.createTransaction(testUserId, {
         amount: 20,
@@ -201,6 +265,47 @@ describe('Store Module - In-Memory Operations', () => {
       expect(updated.emoji).toBe('🔴');
     });
 
+    it('should rename a category everywhere it is used', async () => {
+      const category = await store.createCategory(testUserId, 'Coffee', '☕');
+      const tx = await store.createTransaction(testUserId, { amount: 4, category: ' coffee ' });
+      const other = await store.createTransaction(testUserId, { amount: 9, category: 'Books' });
+      const budget = await store.createBudget(testUserId, { period: 'weekly', amount: 20, categories: ['COFFEE', 'Books'] });
+      const recurring = await store.createRecurring(testUserId, { amount: 4, category: 'Coffee', startDate: new Date() });
+
+      const updated = await store.updateCategory(testUserId, category.id, { name: ' Cafe ' });
+
+      expect(updated).toMatchObject({ name: 'Cafe', emoji: '☕' });
+      expect((await store.getTransaction(testUserId, tx.id)).category).toBe('Cafe');
+      expect((await store.getTransaction(testUserId, other.id)).category).toBe('Books');
+      expect((await store.listBudgets(testUserId)).find(b => b.id === budget.id).categories).toEqual(['Cafe', 'Books']);
+      expect((await store.getRecurring(testUserId, recurring.id)).category).toBe('Cafe');
+    });
+
+    it('should reject a rename onto another category name', async () => {
+      await store.createCategory(testUserId, 'Snacks', '🍿');
+      const category = await store.createCategory(testUserId, 'Treats', '🍬');
+
+      await expect(store.updateCategory(testUserId, category.id, { name: 'snacks' }))
+        .rejects.toThrow('Category already exists.');
+      await expect(store.updateCategory(testUserId, category.id, { name: '  ' }))
+        .rejects.toThrow('Category name is required.');
+      await expect(store.updateCategory(testUserId, category.id, {}))
+        .rejects.toThrow('Name, emoji, color or parent update is required.');
+      expect((await store.updateCategory(testUserId, category.id, { name: 'TREATS' })).name).toBe('TREATS');
+    });
+
+    it('should store a validated category color and clear it with null', async () => {
+      const category = await store.createCategory(testUserId, 'Crafts', '✂️');
+
+      const colored = await store.updateCategory(testUserId, category.id, { color: ' #A1B2C3 ' });
+      expect(colored).toMatchObject({ color: '#a1b2c3', emoji: '✂️', name: 'Crafts' });
+      await expect(store.updateCategory(testUserId, category.id, { color: 'red' }))
+        .rejects.toThrow('Color must be a hex color like #4f46e5.');
+      await expect(store.updateCategory(testUserId, category.id, { color: '#abc' }))
+        .rejects.toThrow('Color must be a hex color');
+      expect((await store.updateCategory(testUserId, category.id, { color: null })).color).toBeNull();
+    });
+
     it('should delete a category', async () => {
       const category = await store.createCategory(testUserId, 'ToDelete', '🗑️');
       const deleted = await store.deleteCategory(testUserId, category.id);
@@ -209,6 +314,128 @@ describe('Store Module - In-Memory Operations', () => {
       expect(deleted.name).toBe('ToDelete');
     });
 
+    it('should merge a category into another and delete it', async () => {
+      const source = await store.createCategory(testUserId, 'Cafes', '☕');
+      const target = await store.createCategory(testUserId, 'Dining', '🍽️');
+      const tx = await store.createTransaction(testUserId, { amount: 4, category: 'cafes' });
+      const both = await store.createBudget(testUserId, { period: 'weekly', amount: 20, categories: ['Cafes', 'Dining'] });
+      const only = await store.createBudget(testUserId, { period: 'weekly', amount: 10, categories: ['Cafes'] });
+
+      const merged = await store.mergeCategory(testUserId, source.id, target.id);
+
+      expect(merged.removed.name).toBe('Cafes');
+      expect(merged.into.name).toBe('Dining');
+      expect((await store.getTransaction(testUserId, tx.id)).category).toBe('Dining');
+      const budgets = await store.listBudgets(testUserId);
+      expect(budgets.find(b => b.id === both.id).categories).toEqual(['Dining']);
+      expect(budgets.find(b => b.id === only.id).categories).toEqual(['Dining']);
+      expect(await store.categoryExists(testUserId, 'Cafes')).toBe(false);
+    });
+
+    it('should reassign expenses when deleting with reassignTo', async () => {
+      const source = await store.createCategory(testUserId, 'Gadgets', '📟');
+      const target = (await store.listCategories(testUserId)).find(c => c.name === 'Electronics');
+      const tx = await store.createTransaction(testUserId, { amount: 30, category: 'Gadgets' });
+
+      const removed = await store.deleteCategory(testUserId, source.id, { reassignTo: target.id });
+
+      expect(removed.name).toBe('Gadgets');
+      expect((await store.getTransaction(testUserId, tx.id)).category).toBe('Electronics');
+    });
+
+    it('should refuse merges across types or into itself', async () => {
+      const categories = await store.listCategories(testUserId);
+      const groceries = categories.find(c => c.name === 'Groceries');
+      const paycheck = categories.find(c => c.name === 'Paycheck');
+
+      await expect(store.mergeCategory(testUserId, groceries.id, paycheck.id))
+        .rejects.toThrow('Only categories of the same type can be merged.');
+      await expect(store.mergeCategory(testUserId, groceries.id, groceries.id))
+        .rejects.toThrow('Cannot merge a category into itself.');
+      await expect(store.mergeCategory(testUserId, groceries.id, 'missing'))
+        .rejects.toThrow('Target category not found');
+      expect(await store.categoryExists(testUserId, 'Groceries')).toBe(true);
+    });
+
+    it('should store the category id on transactions and resolve its name and emoji', async () => {
+      const category = await store.createCategory(testUserId, 'Pets', '🐶');
+      const tx = await store.createTransaction(testUserId, { amount: 12, category: 'pets ' });
+
+      expect(tx).toMatchObject({ categoryId: category.id, category: 'Pets', categoryEmoji: '🐶' });
+      const updated = await store.updateTransaction(testUserId, tx.id, { category: 'Vet bills' });
+      expect(updated).toMatchObject({ category: 'Vet bills', categoryEmoji: null });
+      expect(updated.categoryId).toBeUndefined();
+    });
+
+    it('should link text-category transactions once the category exists', async () => {
+      const tx = await store.createTransaction(testUserId, { amount: 8, category: 'Hobbies' });
+      expect(tx.categoryId).toBeUndefined();
+
+      const category = await store.createCategory(testUserId, 'hobbies', '🎨');
+
+      expect((await store.getTransaction(testUserId, tx.id)).categoryId).toBe(category.id);
+      expect(await store.migrateTransactionCategories()).toBe(0);
+    });
+
+    it('should leave the name on transactions of a deleted category', async () => {
+      const category = await store.createCategory(testUserId, 'Hobby', '🧶');
+      const tx = await store.createTransaction(testUserId, { amount: 3, category: 'Hobby' });
+
+      await store.deleteCategory(testUserId, category.id);
+
+      const kept = await store.getTransaction(testUserId, tx.id);
+      expect(kept.category).toBe('Hobby');
+      expect(kept.categoryId).toBeUndefined();
+    });
+
+    it('should create subcategories under a top-level category of the same type', async () => {
+      const parent = await store.createCategory(testUserId, 'Education', '🎓');
+      const child = await store.createCategory(testUserId, 'College', '🏫', 'expense', parent.id);
+
+      expect(child.parentId).toBe(parent.id);
+      const paycheck = (await store.listCategories(testUserId)).find(c => c.name === 'Paycheck');
+      await expect(store.createCategory(testUserId, 'Textbooks', null, 'expense', child.id))
+        .rejects.toThrow('Subcategories cannot have subcategories of their own.');
+      await expect(store.createCategory(testUserId, 'Grants', null, 'income', parent.id))
+        .rejects.toThrow('A subcategory must have the same type as its parent.');
+      await expect(store.updateCategory(testUserId, parent.id, { parentId: paycheck.id }))
+        .rejects.toThrow('A subcategory must have the same type as its parent.');
+      await expect(store.updateCategory(testUserId, parent.id, { parentId: parent.id }))
+        .rejects.toThrow('A category cannot be its own parent.');
+
+      const detached = await store.updateCategory(testUserId, child.id, { parentId: null });
+      expect(detached.parentId).toBeUndefined();
+    });
+
+    it('should make subcategories top-level when their parent is deleted', async () => {
+      const parent = await store.createCategory(testUserId, 'Hobbies', '🎨');
+      const child = await store.createCategory(testUserId, 'Knitting', '🧶', 'expense', parent.id);
+
+      await store.deleteCategory(testUserId, parent.id);
+
+      const kept = (await store.listCategories(testUserId)).find(c => c.id === child.id);
+      expect(kept.parentId).toBeUndefined();
+    });
+
+    it('should move subcategories to the target of a merge', async () => {
+      const source = await store.createCategory(testUserId, 'School', '🏫');
+      const target = await store.createCategory(testUserId, 'Learning', '📚');
+      const child = await store.createCategory(testUserId, 'Tuition', '💳', 'expense', source.id);
+
+      await store.mergeCategory(testUserId, source.id, target.id);
+
+      const moved = (await store.listCategories(testUserId)).find(c => c.id === child.id);
+      expect(moved.parentId).toBe(target.id);
+    });
+
+    it('should treat regex characters in category names literally', async () => {
+      await store.createCategory(testUserId, 'A+', '➕');
+
+      expect(await store.categoryExists(testUserId, 'A+')).toBe(true);
+      expect(await store.categoryExists(testUserId, 'AA')).toBe(false);
+      expect(await store.categoryExists(testUserId, '.*')).toBe(false);
+    });
+
     it('should check if category exists', async () => {
       await store.createCategory(testUserId, 'ExistsTest', '✓');
 
@@ -218,6 +445,28 @@ describe('Store Module - In-Memory Operations', () => {
       expect(exists).toBe(true);
       expect(notExists).toBe(false);
     });
+
+    it('should seed income categories alongside expense categories', async () => {
+      const categories = await store.listCategories(testUserId);
+
+      expect(categories.find(c => c.name === 'Groceries').type).toBe('expense');
+      expect(categories.find(c => c.name === 'Paycheck').type).toBe('income');
+    });
+
+    it('should match categories by type when one is given', async () => {
+      await store.createCategory(testUserId, 'Freelance', null, 'income');
+
+      expect(await store.categoryExists(testUserId, 'freelance', 'income')).toBe(true);
+      expect(await store.categoryExists(testUserId, 'Freelance', 'expense')).toBe(false);
+      expect(await store.categoryExists(testUserId, 'Groceries', 'income')).toBe(false);
+      expect(await store.categoryExists(testUserId, 'Freelance')).toBe(true);
+    });
+
+    it('should reject unknown category types', async () => {
+      await expect(
+        store.createCategory(testUserId, 'Gifts', null, 'transfer')
+      ).rejects.toThrow('Category type must be one of');
+    });
   });
 
   describe('Category Name Validation', () => {
@@ -237,4 +486,177 @@ describe('Store Module - In-Memory Operations', () => {
       expect(category.name).toBe('Trimmed');
     });
   });
+
+  describe('Budget Alerts', () => {
+    const testUserId = 'auth0|alertuser';
+    // Alerts are evaluated after every budget/transaction write: crossing a
+    // threshold raises an alert, dropping back below it resolves the alert.
+
+    it('should raise alerts for each crossed threshold', async () => {
+      await store.createBudget(testUserId, { period: 'monthly', amount: 100 });
+      await store.createTransaction(testUserId, { amount: 85, category: 'Food', date: new Date().toISOString() });
+
+      const alerts = await store.listAlerts(testUserId);
+      const thresholds = alerts.map(a => a.threshold).sort((a, b) => a - b);
+
+      expect(thresholds).toEqual([50, 80]);
+      expect(alerts.every(a => a.status === 'active')).toBe(true);
+      expect(alerts[0].utilization).toBe(85);
+    });
+
+    it('should update open alerts when spending changes', async () => {
+      await store.createBudget(testUserId, { period: 'weekly', amount: 100 });
+      const tx = await store.createTransaction(testUserId, { amount: 60, category: 'Food', date: new Date().toISOString() });
+      await store.updateTransaction(testUserId, tx.id, { amount: 120 });
+
+      const alerts = await store.listAlerts(testUserId);
+
+      expect(alerts.map(a => a.threshold).sort((a, b) => a - b)).toEqual([50, 80, 100]);
+      expect(alerts.every(a => a.spent === 120)).toBe(true);
+    });
+
+    it('should resolve alerts when spending drops below threshold', async () => {
+      await store.createBudget(testUserId, { period: 'monthly', amount: 100 });
+      const tx = await store.createTransaction(testUserId, { amount: 90, category: 'Food', date: new Date().toISOString() });
+      await store.deleteTransaction(testUserId, tx.id);
+
+      const alerts = await store.listAlerts(testUserId);
+
+      expect(alerts.length).toBe(2);
+      expect(alerts.every(a => a.status === 'resolved')).toBe(true);
+      expect(alerts.every(a => a.resolvedAt instanceof Date)).toBe(true);
+    });
+
+    it('should respect custom budget thresholds', async () => {
+      await store.createBudget(testUserId, { period: 'monthly', amount: 200, alertThresholds: [25] });
+      await store.createTransaction(testUserId, { amount: 60, category: 'Food', date: new Date().toISOString() });
+
+      const alerts = await store.listAlerts(testUserId);
+
+      expect(alerts.length).toBe(1);
+      expect(alerts[0].threshold).toBe(25);
+    });
+
+    it('should only count in-scope spending for category budgets', async () => {
+      await store.createBudget(testUserId, { period: 'monthly', amount: 100, categories: ['Takeout'] });
+      await store.createTransaction(testUserId, { amount: 90, category: 'Groceries', date: new Date().toISOString() });
+      expect(await store.listAlerts(testUserId)).toEqual([]);
+
+      await store.createTransaction(testUserId, { amount: 55, category: 'takeout', date: new Date().toISOString() });
+      const alerts = await store.listAlerts(testUserId);
+
+      expect(alerts.length).toBe(1);
+      expect(alerts[0].type).toBe('category');
+      expect(alerts[0].spent).toBe(55);
+    });
+
+    it('should ignore spending outside the current period', async () => {
+      await store.createBudget(testUserId, { period: 'weekly', amount: 50 });
+      await store.createTransaction(testUserId, { amount: 500, category: 'Food', date: '2000-01-01T12:00:00Z' });
+
+      const alerts = await store.listAlerts(testUserId);
+
+      expect(alerts).toEqual([]);
+    });
+
+    it('should acknowledge and then dismiss an alert', async () => {
+      await store.createBudget(testUserId, { period: 'monthly', amount: 100, alertThresholds: [50] });
+      await store.createTransaction(testUserId, { amount: 70, category: 'Food', date: new Date().toISOString() });
+      const [alert] = await store.listAlerts(testUserId);
+
+      const acknowledged = await store.acknowledgeAlert(testUserId, alert.id);
+      const dismissed = await store.dismissAlert(testUserId, alert.id);
+
+      expect(acknowledged.status).toBe('acknowledged');
+      expect(dismissed.status).toBe('dismissed');
+      await expect(store.acknowledgeAlert(testUserId, alert.id)).rejects.toThrow('Cannot acknowledge');
+    });
+
+    it('should keep a dismissed alert dismissed when spending drops and crosses again', async () => {
+      await store.createBudget(testUserId, { period: 'monthly', amount: 100, alertThresholds: [50] });
+      const tx = await store.createTransaction(testUserId, { amount: 70, category: 'Food', date: new Date().toISOString() });
+      const [alert] = await store.listAlerts(testUserId);
+      await store.dismissAlert(testUserId, alert.id);
+
+      await store.updateTransaction(testUserId, tx.id, { amount: 10 });
+      expect((await store.listAlerts(testUserId)).map(a => a.status)).toEqual(['dismissed']);
+
+      await store.updateTransaction(testUserId, tx.id, { amount: 80 });
+      expect((await store.listAlerts(testUserId)).map(a => a.status)).toEqual(['dismissed']);
+    });
+
+    it('should raise one alert when two evaluations run at once', async () => {
+      await store.createBudget(testUserId, { period: 'monthly', amount: 100, alertThresholds: [50] });
+      // Restored archive records do not evaluate alerts on their own
+      await store.insertAccountRecords(testUserId, 'transactions', [
+        { amount: 70, category: 'Food', type: 'expense', date: new Date().toISOString() },
+      ]);
+
+      await Promise.all([store.evaluateBudgetAlerts(testUserId), store.evaluateBudgetAlerts(testUserId)]);
+
+      expect(await store.listAlerts(testUserId)).toHaveLength(1);
+    });
+
+    it('should filter alerts by status', async () => {
+      await store.createBudget(testUserId, { period: 'monthly', amount: 100 });
+      await store.createTransaction(testUserId, { amount: 90, category: 'Food', date: new Date().toISOString() });
+      const [first] = await store.listAlerts(testUserId);
+      await store.dismissAlert(testUserId, first.id);
+
+      const active = await store.listAlerts(testUserId, { statuses: ['active'] });
+      const dismissed = await store.listAlerts(testUserId, { statuses: ['dismissed'] });
+
+      expect(active.length).toBe(1);
+      expect(dismissed.map(a => a.id)).toEqual([first.id]);
+    });
+
+    it('should hide snoozed alerts unless requested', async () => {
+      await store.createBudget(testUserId, { period: 'monthly', amount: 100, alertThresholds: [50] });
+      await store.createTransaction(testUserId, { amount: 70, category: 'Food', date: new Date().toISOString() });
+      const [alert] = await store.listAlerts(testUserId);
+
+      await store.snoozeAlert(testUserId, alert.id, new Date(Date.now() + 60 * 60 * 1000));
+
+      expect(await store.listAlerts(testUserId, { includeSnoozed: false })).toEqual([]);
+      expect((await store.listAlerts(testUserId)).length).toBe(1);
+    });
+
+    it('should reject snoozing into the past or an unknown alert', async () => {
+      await expect(
+        store.snoozeAlert(testUserId, 'missing', new Date(Date.now() - 1000))
+      ).rejects.toThrow('must be in the future');
+      await expect(
+        store.snoozeAlert(testUserId, 'missing', new Date(Date.now() + 1000))
+      ).rejects.toThrow('Alert not found');
+    });
+  });
+
+  describe('Account Deletion', () => {
+    const testUserId = 'auth0|deleteuser';
+
+    it('should remove the user and all of their records, leaving other users alone', async () => {
+      await store.upsertUser(testUserId, 'gone@example.com');
+      await store.createBudget(testUserId, { amount: 10, period: 'monthly' });
+      await store.createTransaction(testUserId, { amount: 20, category: 'Other', date: new Date().toISOString() });
+      await store.createRecurring(testUserId, { amount: 5, category: 'Other', frequency: 'weekly', interval: 1, startDate: '2026-03-01' });
+      await store.createTransaction('auth0|keeper', { amount: 1, category: 'Other' });
+      const categoryCount = (await store.listCategories(testUserId)).length;
+
+      const removed = await store.deleteAccount(testUserId);
+
+      expect(removed).toMatchObject({ users: 1, budgets: 1, transactions: 1, recurring: 1, categories: categoryCount });
+      expect(removed.alerts).toBeGreaterThan(0);
+      expect(await store.getUser(testUserId)).toBeNull();
+      expect(await store.listBudgets(testUserId)).toEqual([]);
+      expect(await store.listTransactions(testUserId)).toEqual([]);
+      expect(await store.listAlerts(testUserId)).toEqual([]);
+      expect(await store.listTransactions('auth0|keeper')).toHaveLength(1);
+    });
+
+    it('should report zero counts for an unknown user', async () => {
+      expect(await store.deleteAccount('auth0|nobody')).toEqual({
+        users: 0, categories: 0, recurring: 0, budgets: 0, transactions: 0, alerts: 0, reports: 0,
+      });
+    });
+  });
 });
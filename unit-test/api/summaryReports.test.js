@@ -0,0 +1,170 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { buildSummaryReport, listClosedPeriods } from '../../walletalert/apps/api/src/summaryReports.js';
+
+/**
+ * File: summaryReports.test.js
+ * Purpose: Verify weekly/monthly SummaryReport snapshots (GET /api/reports) and their generation.
+ * Scope: Closed period listing, report totals, category breakdown and budget comparison, idempotent generation,
+ *        rebuilding snapshots after later writes to their period.
+ * Exclusions: Timer wiring of startReportScheduler, the MongoDB unique index, route validation.
+ * Key Edge Cases: The current (open) period, budgets created after a period, income kept out of spending.
+ */
+
+vi.mock('mongodb', () => ({
+  ObjectId: class ObjectId {
+    constructor(id) {
+      this.id = id || 'mock-id';
+    }
+    toString() {
+      return this.id;
+    }
+  },
+  MongoClient: class MongoClient {
+    static connect = vi.fn();
+  }
+}));
+
+// Mock `db.js` so the store uses its in-memory path during tests
+vi.mock('../../walletalert/apps/api/src/db.js', () => ({
+  getDb: vi.fn(() => null)
+}));
+
+const utc = { timezone: 'UTC', weekStartsOn: 1 };
+const now = new Date('2026-04-15T12:00:00.000Z');
+
+describe('listClosedPeriods', () => {
+  it('should list ended periods newest first, back to the one containing the start', () => {
+    const weeks = listClosedPeriods('weekly', new Date('2026-03-25T10:00:00.000Z'), now, utc);
+    const months = listClosedPeriods('monthly', new Date('2026-03-25T10:00:00.000Z'), now, utc);
+
+    expect(weeks.map(w => w.start.toISOString().slice(0, 10))).toEqual(['2026-04-06', '2026-03-30', '2026-03-23']);
+    expect(months).toEqual([
+      { start: new Date('2026-03-01T00:00:00.000Z'), end: new Date('2026-04-01T00:00:00.000Z') },
+    ]);
+    expect(listClosedPeriods('monthly', now, now, utc)).toEqual([]);
+  });
+
+  it('should stop at the limit', () => {
+    expect(listClosedPeriods('weekly', new Date('2020-01-01T00:00:00.000Z'), now, utc, 3)).toHaveLength(3);
+  });
+});
+
+describe('buildSummaryReport', () => {
+  const march = { start: new Date('2026-03-01T00:00:00.000Z'), end: new Date('2026-04-01T00:00:00.000Z') };
+  const transactions = [
+    { id: '1', amount: 60, category: 'Groceries', date: '2026-03-03T12:00:00.000Z' },
+    { id: '2', amount: 70, category: 'groceries ', date: '2026-03-20T12:00:00.000Z' },
+    { id: '3', amount: 25, category: 'Takeout', date: '2026-03-21T12:00:00.000Z' },
+    { id: '4', amount: 500, category: 'Paycheck', type: 'income', date: '2026-03-15T12:00:00.000Z' },
+    { id: '5', amount: 40, category: 'Groceries', date: '2026-04-02T12:00:00.000Z' },
+  ];
+
+  it('should total the period and break spending down by category', () => {
+    const report = buildSummaryReport('monthly', march, transactions, [], utc);
+
+    expect(report).toMatchObject({
+      period: 'monthly',
+      key: '2026-03-01',
+      periodStart: march.start,
+      periodEnd: march.end,
+      totalSpending: 155,
+      totalIncome: 500,
+      transactionCount: 4,
+      budgets: [],
+    });
+    expect(report.categories).toEqual([
+      { category: 'Groceries', spent: 130, count: 2 },
+      { category: 'Takeout', spent: 25, count: 1 },
+    ]);
+  });
+
+  it('should compare budgets of the same period kind that existed during the period', () => {
+    const budgets = [
+      { id: 'b1', amount: 100, period: 'monthly', categories: ['Groceries'], createdAt: new Date('2026-02-10T00:00:00.000Z') },
+      { id: 'b2', amount: 300, period: 'monthly', createdAt: new Date('2026-04-05T00:00:00.000Z') },
+      { id: 'b3', amount: 50, period: 'weekly', createdAt: new Date('2026-02-10T00:00:00.000Z') },
+    ];
+
+    const report = buildSummaryReport('monthly', march, transactions, budgets, utc);
+
+    expect(report.budgets).toEqual([
+      {
+        budgetId: 'b1',
+        categories: ['Groceries'],
+        amount: 100,
+        carriedOver: 0,
+        available: 100,
+        spent: 130,
+        remaining: -30,
+        utilization: 130,
+        exceeded: true,
+      },
+    ]);
+  });
+});
+
+describe('store summary reports (in-memory)', () => {
+  let store;
+  let summaryReports;
+  const userId = 'auth0|reports';
+
+  beforeEach(async () => {
+    vi.resetModules();
+    store = await import('../../walletalert/apps/api/src/store.js');
+    summaryReports = await import('../../walletalert/apps/api/src/summaryReports.js');
+    await store.upsertUser(userId, 'reports@example.com', { timezone: 'UTC' });
+  });
+
+  it('should snapshot each closed week and month once', async () => {
+    await store.createTransaction(userId, { amount: 20, category: 'Groceries', date: '2026-03-03T12:00:00.000Z' });
+    await store.createTransaction(userId, { amount: 30, category: 'Takeout', date: '2026-04-14T12:00:00.000Z' });
+
+    const created = await summaryReports.generateSummaryReports(userId, now);
+    const again = await summaryReports.generateSummaryReports(userId, now);
+
+    expect(created.filter(r => r.period === 'monthly').map(r => r.key)).toEqual(['2026-03-01']);
+    expect(created.filter(r => r.period === 'weekly')).toHaveLength(6);
+    expect(again).toEqual([]);
+
+    const weekly = await store.listSummaryReports(userId, { period: 'weekly', limit: 2 });
+    expect(weekly.map(r => r.key)).toEqual(['2026-04-06', '2026-03-30']);
+    const older = await store.listSummaryReports(userId, {
+      period: 'weekly',
+      before: new Date('2026-03-09T00:00:00.000Z'),
+    });
+    expect(older.map(r => r.key)).toEqual(['2026-03-02']);
+    expect(older[0].totalSpending).toBe(20);
+    expect(await store.getSummaryReport(userId, older[0].id)).toEqual(older[0]);
+  });
+
+  it('should rebuild a snapshot in place when a later write changes its period', async () => {
+    const tx = await store.createTransaction(userId, { amount: 20, category: 'Groceries', date: '2026-03-03T12:00:00.000Z' });
+    await summaryReports.generateSummaryReports(userId, now);
+    const [march] = await store.listSummaryReports(userId, { period: 'monthly' });
+
+    await store.createTransaction(userId, { amount: 5, category: 'Takeout', date: '2026-03-20T12:00:00.000Z' });
+    const [marked] = await store.listSummaryReports(userId, { period: 'monthly' });
+    expect(marked.staleAt).toBeInstanceOf(Date);
+
+    const rebuilt = await summaryReports.generateSummaryReports(userId, now);
+    expect(rebuilt.map(r => `${r.period} ${r.key}`)).toEqual(['weekly 2026-03-16', 'monthly 2026-03-01']);
+    const [refreshed] = await store.listSummaryReports(userId, { period: 'monthly' });
+    expect(refreshed).toMatchObject({ id: march.id, totalSpending: 25, transactionCount: 2 });
+    expect(refreshed).not.toHaveProperty('staleAt');
+
+    await store.deleteTransaction(userId, tx.id);
+    await summaryReports.generateSummaryReports(userId, now);
+    expect((await store.getSummaryReport(userId, march.id)).totalSpending).toBe(5);
+  });
+
+  it('should create nothing for a user without transactions and purge reports with the account', async () => {
+    expect(await summaryReports.generateSummaryReports(userId, now)).toEqual([]);
+
+    await store.createTransaction(userId, { amount: 20, category: 'Groceries', date: '2026-03-03T12:00:00.000Z' });
+    expect(await summaryReports.generateAllSummaryReports(now)).toBe(7);
+
+    const removed = await store.deleteAccount(userId);
+    expect(removed.reports).toBe(7);
+    expect(await store.listSummaryReports(userId)).toEqual([]);
+  });
+});
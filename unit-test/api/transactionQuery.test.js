@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseTransactionQuery,
+  pageTransactions,
+  encodeCursor,
+  decodeCursor,
+  escapeRegExp,
+  DEFAULT_PAGE_LIMIT,
+  MAX_PAGE_LIMIT,
+} from '../../walletalert/apps/api/src/transactionQuery.js';
+
+/**
+ * File: transactionQuery.test.js
+ * Purpose: Verify GET /api/transactions query parsing and the in-memory filter/sort/cursor paging.
+ * Scope: Parameter validation, day bounds in a timezone, category/amount/text filters, sort orders, cursors.
+ * Exclusions: The Mongo query and HTTP handling.
+ * Key Edge Cases: Ties on the sort value across pages, cursors from another sort or with an id the store cannot
+ *                 hold, transactions without a date or with one that does not parse.
+ */
+
+const tx = (id, amount, date, extra = {}) => ({ id, amount, category: 'Food', date, ...extra });
+
+const sample = [
+  tx('a', 10, '2026-03-01T12:00:00.000Z', { description: 'Corner shop' }),
+  tx('b', 25, '2026-03-02T12:00:00.000Z', { category: 'Utilities', description: 'Power bill' }),
+  tx('c', 25, '2026-03-03T12:00:00.000Z'),
+  tx('d', 5, '2026-03-04T12:00:00.000Z', { category: 'food ' }),
+  { id: 'e', amount: 40, category: 'Takeout', createdAt: new Date('2026-03-05T12:00:00.000Z') },
+];
+
+const ids = (page) => page.transactions.map(t => t.id);
+
+describe('parseTransactionQuery', () => {
+  it('should return every match unpaged when neither limit nor after is given', () => {
+    const { options } = parseTransactionQuery({});
+
+    expect(options).toEqual({ categories: [], sort: '-date' });
+  });
+
+  it('should read inclusive day bounds in the user timezone', () => {
+    const { options } = parseTransactionQuery({ from: '2026-03-01', to: '2026-03-02' }, { timezone: 'America/New_York' });
+
+    expect(options.start.toISOString()).toBe('2026-03-01T05:00:00.000Z');
+    expect(options.end.toISOString()).toBe('2026-03-03T05:00:00.000Z');
+  });
+
+  it('should accept comma-separated and repeated categories', () => {
+    expect(parseTransactionQuery({ category: 'Food, Utilities' }).options.categories).toEqual(['Food', 'Utilities']);
+    expect(parseTransactionQuery({ category: ['Food', 'Takeout'] }).options.categories).toEqual(['Food', 'Takeout']);
+  });
+
+  it('should default the page size when only a cursor is given', () => {
+    const after = encodeCursor(sample[0], '-date');
+
+    const { options } = parseTransactionQuery({ after });
+
+    expect(options.limit).toBe(DEFAULT_PAGE_LIMIT);
+    expect(options.after).toEqual({ value: Date.parse(sample[0].date), id: 'a' });
+  });
+
+  it('should reject invalid parameters', () => {
+    expect(parseTransactionQuery({ from: '03/01/2026' }).error).toMatch('YYYY-MM-DD');
+    expect(parseTransactionQuery({ from: '2026-03-05', to: '2026-03-01' }).error).toBe('to must be on or after from.');
+    expect(parseTransactionQuery({ minAmount: '-1' }).error).toMatch('minAmount and maxAmount');
+    expect(parseTransactionQuery({ minAmount: '10', maxAmount: '5' }).error).toBe('maxAmount must be at least minAmount.');
+    expect(parseTransactionQuery({ sort: 'category' }).error).toMatch('sort must be one of');
+    expect(parseTransactionQuery({ limit: String(MAX_PAGE_LIMIT + 1) }).error).toMatch('limit must be');
+    expect(parseTransactionQuery({ after: 'not-a-cursor' }).error).toBe('after is not a valid cursor.');
+    expect(parseTransactionQuery({ sort: 'amount', after: encodeCursor(sample[0], '-date') }).error)
+      .toMatch('different sort order');
+  });
+
+  it('should reject a cursor whose id the store could not hold', () => {
+    const after = encodeCursor(sample[0], '-date');
+    const isValidId = (id) => /^[0-9a-f]{24}$/.test(id);
+
+    expect(parseTransactionQuery({ after }, { isValidId }).error).toBe('after is not a valid cursor.');
+    expect(parseTransactionQuery({ after }).options.after.id).toBe('a');
+  });
+});
+
+describe('pageTransactions', () => {
+  it('should order a transaction whose date does not parse by its creation time', () => {
+    const legacy = { id: 'x', amount: 1, date: 'last tuesday', createdAt: new Date('2026-03-03T18:00:00.000Z') };
+
+    expect(ids(pageTransactions([...sample, legacy]))).toEqual(['e', 'd', 'x', 'c', 'b', 'a']);
+  });
+
+  it('should sort newest first by effective date by default', () => {
+    expect(ids(pageTransactions(sample))).toEqual(['e', 'd', 'c', 'b', 'a']);
+  });
+
+  it('should apply day, category, amount and text filters together', () => {
+    const { options } = parseTransactionQuery({ from: '2026-03-02', to: '2026-03-04', category: 'food', minAmount: '5', maxAmount: '25' }, { timezone: 'UTC' });
+
+    expect(ids(pageTransactions(sample, options))).toEqual(['d', 'c']);
+    expect(ids(pageTransactions(sample, { q: 'BILL' }))).toEqual(['b']);
+    expect(ids(pageTransactions(sample, { q: 'take' }))).toEqual(['e']);
+  });
+
+  it('should walk every page once, breaking ties on the sort value by id', () => {
+    const seen = [];
+    let after;
+    for (let i = 0; i < 5; i += 1) {
+      const { options } = parseTransactionQuery({ sort: '-amount', limit: '2', after });
+      const page = pageTransactions(sample, options);
+      seen.push(...ids(page));
+      if (!page.nextCursor) break;
+      after = page.nextCursor;
+    }
+
+    expect(seen).toEqual(['e', 'c', 'b', 'a', 'd']);
+  });
+
+  it('should end with a null cursor when the last page is full', () => {
+    const page = pageTransactions(sample, { sort: 'date', limit: 5 });
+
+    expect(page.transactions).toHaveLength(5);
+    expect(page.nextCursor).toBeNull();
+  });
+
+  it('should round-trip cursors and escape regular expression text', () => {
+    expect(decodeCursor(encodeCursor(sample[1], 'amount'))).toEqual({ sort: 'amount', value: 25, id: 'b' });
+    expect(escapeRegExp('a.b*(c)')).toBe('a\\.b\\*\\(c\\)');
+  });
+});
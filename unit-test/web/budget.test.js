@@ -2,13 +2,21 @@ import { describe, it, expect } from 'vitest';
 import {
   getCurrentPeriodStart,
   filterTransactionsByPeriod,
-  calculateCurrentPeriodSpending
+  calculateCurrentPeriodSpending,
+  calculateSpendingByPeriod,
+  calculateBudgetUtilization,
+  calculateCashFlow,
+  cashFlowFromTotals,
+  getActivePeriodBounds,
+  buildBudgetLedger,
+  getPeriodBounds,
+  transactionMatchesBudget
 } from '../../walletalert/apps/web/src/utils/budget.js';
 
 /**
  * File: budget.test.js
  * Purpose: Verify budget utility logic (period start, filtering, current spending calc) for UI state.
- * Scope: Weekly/monthly boundaries, transaction inclusion rules, invalid/legacy field handling (createdAt vs date).
+ * Scope: Weekly/biweekly/monthly/semester/yearly/custom boundaries, transaction inclusion rules, invalid/legacy field handling (createdAt vs date).
  * Exclusions: Persistence, cross-user aggregation, future period projections.
  * Key Edge Cases: Unknown period fallback to monthly, filtering with mixed date fields, ignoring invalid amounts.
  */
@@ -39,8 +47,8 @@ describe('Budget Utilities', () => {
 
     it('should default to monthly period for unknown period', () => {
       // Unknown periods fall back to monthly behavior to avoid accidental
-      // yearly semantics in code that expects monthly/week granularity.
-      const start = getCurrentPeriodStart('yearly');
+      // semantics nobody asked for in code that expects known granularities.
+      const start = getCurrentPeriodStart('quarterly');
 
       expect(start).toBeInstanceOf(Date);
       expect(start.getDate()).toBe(1);
@@ -107,6 +115,15 @@ describe('Budget Utilities', () => {
     const currentDate = new Date().toISOString();
     const lastWeek = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString();
 
+    it('should not count income as spending', () => {
+      const transactions = [
+        { date: currentDate, amount: 50 },
+        { date: currentDate, amount: 900, type: 'income' },
+      ];
+
+      expect(calculateCurrentPeriodSpending(transactions, [])).toBe(50);
+    });
+
     it('should calculate total spending for current period', () => {
       const transactions = [
         { date: currentDate, amount: 50 },
@@ -174,4 +191,193 @@ describe('Budget Utilities', () => {
       expect(total).toBe(0);
     });
   });
+
+  describe('category-scoped budgets', () => {
+    // Budgets with a `categories` list only count matching transactions;
+    // budgets without one keep covering every category.
+    const currentDate = new Date().toISOString();
+    const transactions = [
+      { date: currentDate, amount: 40, category: 'Groceries' },
+      { date: currentDate, amount: 25, category: 'takeout' },
+      { date: currentDate, amount: 10, category: 'Utilities' },
+    ];
+
+    it('should match transactions case-insensitively against budget categories', () => {
+      const budget = { categories: ['Takeout'] };
+
+      expect(transactionMatchesBudget({ category: 'TAKEOUT' }, budget)).toBe(true);
+      expect(transactionMatchesBudget({ category: 'Groceries' }, budget)).toBe(false);
+      expect(transactionMatchesBudget({ category: 'Groceries' }, { categories: [] })).toBe(true);
+    });
+
+    it('should compute a scoped budget utilization from matching transactions only', () => {
+      const status = calculateBudgetUtilization(transactions, {
+        period: 'monthly',
+        amount: 100,
+        categories: ['Groceries', 'Takeout'],
+      });
+
+      expect(status.spent).toBe(65);
+      expect(status.remaining).toBe(35);
+      expect(status.utilization).toBe(65);
+    });
+
+    it('should count only in-scope spending per period', () => {
+      const totals = calculateSpendingByPeriod(transactions, [
+        { period: 'monthly', amount: 100, categories: ['Utilities'] },
+        { period: 'weekly', amount: 100 },
+      ]);
+
+      expect(totals.monthly).toBe(10);
+      expect(totals.weekly).toBe(75);
+    });
+
+    it('should count a transaction once when budgets of the same period overlap', () => {
+      const totals = calculateSpendingByPeriod(transactions, [
+        { period: 'weekly', amount: 100 },
+        { period: 'weekly', amount: 50, categories: ['Groceries'] },
+        { period: 'monthly', amount: 100, categories: ['Utilities'] },
+        { period: 'monthly', amount: 100, categories: ['Utilities', 'Takeout'] },
+      ]);
+
+      expect(totals.weekly).toBe(75);
+      expect(totals.monthly).toBe(35);
+    });
+  });
+
+  describe('rollover budgets', () => {
+    // Ledger rows run from the budget's creation period to the current one.
+    const now = new Date(2026, 4, 20);
+    const transactions = [
+      { date: new Date(2026, 2, 12).toISOString(), amount: 30 },
+      { date: new Date(2026, 3, 12).toISOString(), amount: 80 },
+    ];
+    const budget = { period: 'monthly', amount: 50, rollover: true, createdAt: new Date(2026, 2, 1).toISOString() };
+
+    it('should carry surplus and deficit between periods', () => {
+      const ledger = buildBudgetLedger(transactions, budget, now);
+
+      expect(ledger).toHaveLength(3);
+      expect(ledger.map(row => row.carriedOver)).toEqual([0, 20, -10]);
+      expect(ledger[2].available).toBe(40);
+    });
+
+    it('should ignore history for budgets without rollover', () => {
+      const ledger = buildBudgetLedger(transactions, { ...budget, rollover: false }, now);
+
+      expect(ledger.every(row => row.carriedOver === 0)).toBe(true);
+    });
+
+    it('should report carried-over amounts in the current utilization', () => {
+      const status = calculateBudgetUtilization([], { period: 'monthly', amount: 50, rollover: true });
+
+      expect(status).toMatchObject({ carriedOver: 0, available: 50, remaining: 50, utilization: 0 });
+    });
+  });
+
+  describe('calculateCashFlow', () => {
+    const today = new Date().toISOString();
+
+    it('should report income, expenses, net and savings rate for the current period', () => {
+      const transactions = [
+        { date: today, amount: 2000, type: 'income', category: 'Paycheck' },
+        { date: today, amount: 500, type: 'expense', category: 'Groceries' },
+        { date: today, amount: 300, category: 'Takeout' },
+        { date: '2020-01-15T12:00:00.000Z', amount: 1000, type: 'income', category: 'Paycheck' },
+      ];
+
+      expect(calculateCashFlow(transactions, [{ period: 'monthly', amount: 1000 }])).toEqual({
+        income: 2000,
+        expenses: 800,
+        net: 1200,
+        savingsRate: 60,
+      });
+    });
+
+    it('should leave the savings rate empty without income', () => {
+      const flow = calculateCashFlow([{ date: today, amount: 40 }], []);
+
+      expect(flow.net).toBe(-40);
+      expect(flow.savingsRate).toBeNull();
+    });
+  });
+
+  describe('getActivePeriodBounds', () => {
+    const now = new Date(2026, 2, 18, 12);
+
+    it('should pick the shortest recurring budget period in use', () => {
+      const bounds = getActivePeriodBounds(
+        [{ period: 'monthly' }, { period: 'weekly' }, { period: 'custom', range: { start: '2026-03-01', end: '2026-03-31' } }],
+        {},
+        now
+      );
+
+      expect(bounds).toEqual({ period: 'weekly', start: new Date(2026, 2, 16), end: new Date(2026, 2, 23) });
+    });
+
+    it('should default to the current month without budgets', () => {
+      const bounds = getActivePeriodBounds([], {}, now);
+
+      expect(bounds).toEqual({ period: 'monthly', start: new Date(2026, 2, 1), end: new Date(2026, 3, 1) });
+    });
+  });
+
+  describe('cashFlowFromTotals', () => {
+    it('should derive net and savings rate from summary totals', () => {
+      expect(cashFlowFromTotals(2000, 800)).toEqual({ income: 2000, expenses: 800, net: 1200, savingsRate: 60 });
+      expect(cashFlowFromTotals(0, 40).savingsRate).toBeNull();
+    });
+  });
+
+  describe('user period settings', () => {
+    it('should honour a Sunday week start', () => {
+      const { start } = getPeriodBounds('weekly', new Date(2026, 2, 15, 22, 30), { weekStartsOn: 0 });
+
+      expect(start).toEqual(new Date(2026, 2, 15));
+    });
+
+    it('should keep a late-evening expense in the user\'s week', () => {
+      const tx = { date: '2026-03-16T03:00:00Z', amount: 25 };
+      const budget = { period: 'weekly', amount: 100, createdAt: '2026-03-01T12:00:00Z' };
+      const ledger = buildBudgetLedger([tx], budget, new Date('2026-03-16T03:30:00Z'), {
+        timezone: 'America/New_York',
+      });
+
+      // Still Sunday in New York, so it belongs to the week of March 9th there
+      expect(ledger[ledger.length - 1].start.toISOString()).toBe('2026-03-09T04:00:00.000Z');
+      expect(ledger[ledger.length - 1].spent).toBe(25);
+    });
+  });
+
+  describe('extended periods', () => {
+    it('should match the server biweekly alignment', () => {
+      const { start, end } = getPeriodBounds('biweekly', new Date(2026, 2, 20), { anchorDate: '2026-03-02' });
+
+      expect(start).toEqual(new Date(2026, 2, 16));
+      expect(end).toEqual(new Date(2026, 2, 30));
+    });
+
+    it('should bound semesters and years', () => {
+      expect(getPeriodBounds('semester', new Date(2026, 8, 1)).start).toEqual(new Date(2026, 7, 1));
+      expect(getPeriodBounds('yearly', new Date(2026, 8, 1)).end).toEqual(new Date(2027, 0, 1));
+    });
+
+    it('should treat custom ranges as inclusive and non-repeating', () => {
+      const budget = {
+        period: 'custom',
+        amount: 300,
+        rollover: true,
+        range: { start: '2026-06-01', end: '2026-06-30' },
+        createdAt: new Date(2026, 5, 1).toISOString(),
+      };
+      const ledger = buildBudgetLedger(
+        [{ date: new Date(2026, 5, 30, 18).toISOString(), amount: 40 }],
+        budget,
+        new Date(2026, 6, 15)
+      );
+
+      expect(ledger).toHaveLength(1);
+      expect(ledger[0].spent).toBe(40);
+    });
+  });
 });
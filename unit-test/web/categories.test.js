@@ -2,13 +2,16 @@ import { describe, it, expect } from 'vitest';
 import {
   getCategoryPresentation,
   getCategoryColor,
+  buildCategoryTree,
+  presentationOptions,
   CATEGORY_KEYS
 } from '../../walletalert/apps/web/src/utils/categories.js';
 
 /**
  * File: categories.test.js
  * Purpose: Validate presentation + color utilities for predefined, custom, overridden and edge categories.
- * Scope: Case-insensitive matching, emoji/color overrides, initials generation, list of CATEGORY_KEYS.
+ * Scope: Case-insensitive matching, emoji/color overrides (and building them from user categories), initials
+ *        generation, list of CATEGORY_KEYS, category tree.
  * Exclusions: Persistence of user-created categories, async store integration, i18n label translation.
  * Key Edge Cases: Empty/null names -> uncategorized, whitespace trimming, consistent color hashing for repeats.
  */
@@ -161,4 +164,42 @@ describe('Category Utilities', () => {
       });
     });
   });
+
+  describe('presentationOptions', () => {
+    it('should turn user category emoji and colors into overrides', () => {
+      const options = presentationOptions([
+        { name: ' Crafts ', emoji: '✂️', color: '#123456' },
+        { name: 'Groceries', color: '#abcdef' },
+        { name: 'Coffee' },
+      ]);
+
+      expect(options).toEqual({
+        emojiOverrides: { crafts: { emoji: '✂️' } },
+        colorOverrides: { crafts: '#123456', groceries: '#abcdef' },
+      });
+      expect(getCategoryColor('groceries', options)).toBe('#abcdef');
+      expect(getCategoryPresentation('Crafts', options)).toMatchObject({ color: '#123456', emoji: '✂️' });
+    });
+  });
+
+  describe('buildCategoryTree', () => {
+    it('should nest subcategories under their parents, sorted by name', () => {
+      const tree = buildCategoryTree([
+        { id: '3', name: 'textbooks', parentId: '1' },
+        { id: '1', name: 'Education' },
+        { id: '2', name: 'College', parentId: '1' },
+        { id: '4', name: 'Coffee' },
+      ]);
+
+      expect(tree.map(c => c.name)).toEqual(['Coffee', 'Education']);
+      expect(tree[0].children).toEqual([]);
+      expect(tree[1].children.map(c => c.name)).toEqual(['College', 'textbooks']);
+    });
+
+    it('should show subcategories of a missing parent at the top level', () => {
+      const tree = buildCategoryTree([{ id: '2', name: 'College', parentId: 'gone' }]);
+
+      expect(tree).toEqual([{ id: '2', name: 'College', parentId: 'gone', children: [] }]);
+    });
+  });
 });
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import {
+  summaryRange,
+  summaryToTransactions,
+  compareReports,
+  reportLabel,
+  PERIOD_GROUPING,
+} from '../../walletalert/apps/web/src/utils/reports.js';
+import { formatDay } from '../../walletalert/apps/web/src/utils/date.js';
+
+/**
+ * File: reports.test.js
+ * Purpose: Verify the helpers that turn GET /api/reports/summary results into chart input and lay out summary reports.
+ * Scope: Day formatting in a timezone, period ranges as inclusive days, summary groups as transaction-shaped totals,
+ *        report headings and side-by-side comparison.
+ * Exclusions: Fetching and chart rendering.
+ * Key Edge Cases: Period ends at midnight (inclusive last day), groups with only income or nothing.
+ */
+
+describe('Report helpers', () => {
+  it('should format the calendar day of an instant in a timezone', () => {
+    const instant = new Date('2026-04-01T02:00:00.000Z');
+
+    expect(formatDay(instant, 'UTC')).toBe('2026-04-01');
+    expect(formatDay(instant, 'America/New_York')).toBe('2026-03-31');
+  });
+
+  it('should cover periods with inclusive from/to days', () => {
+    const bounds = [
+      { start: new Date('2026-02-01T00:00:00.000Z'), end: new Date('2026-03-01T00:00:00.000Z') },
+      { start: new Date('2026-03-01T00:00:00.000Z'), end: new Date('2026-04-01T00:00:00.000Z') },
+    ];
+
+    expect(summaryRange(bounds, 'UTC')).toEqual({ from: '2026-02-01', to: '2026-03-31' });
+    expect(summaryRange([], 'UTC')).toEqual({});
+  });
+
+  it('should turn groups into spending and income totals dated at the group start', () => {
+    const groups = [
+      { key: '2026-03-02', start: '2026-03-02T00:00:00.000Z', spent: 15, income: 100 },
+      { key: '2026-03-09', start: '2026-03-09T00:00:00.000Z', spent: 0, income: 0 },
+    ];
+
+    expect(summaryToTransactions(groups)).toEqual([
+      { amount: 15, type: 'expense', date: '2026-03-02T00:00:00.000Z' },
+      { amount: 100, type: 'income', date: '2026-03-02T00:00:00.000Z' },
+    ]);
+  });
+
+  it('should use groupings that fit inside every period', () => {
+    expect(PERIOD_GROUPING.weekly).toBe('week');
+    expect(PERIOD_GROUPING.semester).toBe('month');
+    expect(PERIOD_GROUPING.biweekly).toBe('day');
+  });
+});
+
+describe('Summary report helpers', () => {
+  it('should label reports by their first day', () => {
+    expect(reportLabel({ period: 'monthly', key: '2026-03-01' })).toContain('2026');
+    expect(reportLabel({ period: 'monthly', key: '2026-03-01' })).toMatch(/March/);
+    expect(reportLabel({ period: 'weekly', key: '2026-03-02' })).toMatch(/^Week of .*02/);
+  });
+
+  it('should line up categories from both reports with the change between them', () => {
+    const march = {
+      totalSpending: 155,
+      totalIncome: 500,
+      categories: [{ category: 'Groceries', spent: 130 }, { category: 'Takeout', spent: 25 }],
+    };
+    const april = {
+      totalSpending: 90.1,
+      totalIncome: 500,
+      categories: [{ category: 'groceries', spent: 80.1 }, { category: 'Utilities', spent: 10 }],
+    };
+
+    expect(compareReports(march, april)).toEqual({
+      rows: [
+        { category: 'Groceries', base: 130, other: 80.1, change: -49.9 },
+        { category: 'Takeout', base: 25, other: 0, change: -25 },
+        { category: 'Utilities', base: 0, other: 10, change: 10 },
+      ],
+      totals: {
+        spending: { base: 155, other: 90.1, change: -64.9 },
+        income: { base: 500, other: 500, change: 0 },
+      },
+    });
+  });
+});
@@ -0,0 +1,285 @@
+/**
+ * Module: account.js
+ * Purpose: Full account backup and restore as one versioned JSON archive (user settings, categories,
+ *          recurring schedules, budgets, transactions and alerts), portable between the Mongo deployment
+ *          and the in-memory dev store.
+ * Notes: Archived records keep their original ids only so references between them can be followed; a
+ *        restore inserts every record under a new id and rewrites the references (transaction
+ *        `recurringId`, alert `budgetId`, category `parentId`). Categories already present (same name, any
+ *        case) are reused. New categories and budgets go through the same validation as POST
+ *        /api/categories and POST /api/budgets; rows it rejects are left out and reported.
+ */
+import {
+    ACCOUNT_COLLECTIONS,
+    TRANSACTION_TYPES,
+    getUser,
+    getUserSettings,
+    upsertUser,
+    listCategories,
+    listRecurring,
+    listBudgets,
+    listTransactions,
+    listAlerts,
+    findImportedExternalIds,
+    insertAccountRecords,
+    evaluateBudgetAlerts,
+    categoryExists,
+    checkCategoryParent,
+    normalizeCategoryFields,
+} from './store.js';
+import { formatLocalDate, isValidTimezone } from './periods.js';
+import { normalizeNewBudget } from './budgetFields.js';
+
+export const ACCOUNT_ARCHIVE_FORMAT = 'walletalert-account';
+export const ACCOUNT_ARCHIVE_VERSION = 1;
+
+// Timestamps stored as dates; JSON turns them into strings, so a restore converts them back
+const DATE_FIELDS = [
+    'createdAt',
+    'updatedAt',
+    'lastRunAt',
+    'periodStart',
+    'periodEnd',
+    'resolvedAt',
+    'acknowledgedAt',
+    'dismissedAt',
+    'snoozedUntil',
+];
+
+const stripOwner = ({ auth0_id, _id, ...rest }) => rest;
+
+/**
+ * Build the archive for a user.
+ * @param {string} auth0_id
+ * @param {Date} [now]
+ * @returns {Promise<Object>} `{format, version, exportedAt, user, categories, recurring, budgets, transactions, alerts}`
+ */
+export async function buildAccountArchive(auth0_id, now = new Date()) {
+    const [user, settings, categories, recurring, budgets, transactions, alerts] = await Promise.all([
+        getUser(auth0_id),
+        getUserSettings(auth0_id),
+        listCategories(auth0_id),
+        listRecurring(auth0_id),
+        listBudgets(auth0_id),
+        listTransactions(auth0_id),
+        listAlerts(auth0_id),
+    ]);
+    return {
+        format: ACCOUNT_ARCHIVE_FORMAT,
+        version: ACCOUNT_ARCHIVE_VERSION,
+        exportedAt: now.toISOString(),
+        user: { email: user?.email || null, settings, createdAt: user?.createdAt || null },
+        categories: categories.map(stripOwner),
+        recurring: recurring.map(stripOwner),
+        budgets: budgets.map(stripOwner),
+        transactions: transactions.map(stripOwner),
+        alerts: alerts.map(stripOwner),
+    };
+}
+
+const isRecord = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * Check an archive's envelope and the fields restore relies on (a transaction `date`, when present,
+ * must parse).
+ * @param {unknown} archive
+ * @returns {string|null} Error message, or null when the archive can be restored
+ */
+export function validateAccountArchive(archive) {
+    if (!isRecord(archive) || archive.format !== ACCOUNT_ARCHIVE_FORMAT) {
+        return 'This is not a WalletAlert account archive.';
+    }
+    if (!Number.isInteger(archive.version) || archive.version < 1 || archive.version > ACCOUNT_ARCHIVE_VERSION) {
+        return `Unsupported archive version ${archive.version}; this server reads up to version ${ACCOUNT_ARCHIVE_VERSION}.`;
+    }
+    for (const name of ACCOUNT_COLLECTIONS) {
+        const list = archive[name] ?? [];
+        if (!Array.isArray(list) || list.some(item => !isRecord(item))) {
+            return `Archive ${name} must be a list of records.`;
+        }
+    }
+    const badCategory = (archive.categories || []).findIndex(c => typeof c.name !== 'string' || !c.name.trim());
+    if (badCategory !== -1) return `Archive category ${badCategory + 1} has no name.`;
+    const badTransaction = (archive.transactions || []).findIndex(tx =>
+        !(Number(tx.amount) > 0 && Number.isFinite(Number(tx.amount))) ||
+        typeof tx.category !== 'string' ||
+        !TRANSACTION_TYPES.includes(tx.type || 'expense') ||
+        (hasValue(tx.date) && Number.isNaN(new Date(tx.date).getTime()))
+    );
+    if (badTransaction !== -1) return `Archive transaction ${badTransaction + 1} is invalid.`;
+    const badBudget = (archive.budgets || []).findIndex(b => !(Number(b.amount) > 0) || typeof b.period !== 'string');
+    if (badBudget !== -1) return `Archive budget ${badBudget + 1} is invalid.`;
+    return null;
+}
+
+// Drop the archived id and owner, and turn stored timestamps back into dates
+function toRestoredRecord(record) {
+    const { id, ...rest } = stripOwner(record);
+    for (const field of DATE_FIELDS) {
+        if (typeof rest[field] !== 'string') continue;
+        const date = new Date(rest[field]);
+        if (!Number.isNaN(date.getTime())) rest[field] = date;
+    }
+    return rest;
+}
+
+// Validated categories and budgets keep only their archived timestamps (now when missing) besides the
+// normalized fields
+function restoredTimestamps(record, now) {
+    const { createdAt, updatedAt } = toRestoredRecord(record);
+    return {
+        createdAt: createdAt instanceof Date ? createdAt : now,
+        updatedAt: updatedAt instanceof Date ? updatedAt : now,
+    };
+}
+
+// Archive settings are applied only when valid for this server
+function restorableSettings(settings = {}) {
+    const restored = {};
+    if (Number.isInteger(settings.weekStartsOn) && settings.weekStartsOn >= 0 && settings.weekStartsOn <= 6) {
+        restored.weekStartsOn = settings.weekStartsOn;
+    }
+    if (settings.timezone === null || isValidTimezone(settings.timezone)) restored.timezone = settings.timezone;
+    return restored;
+}
+
+/**
+ * Check whether a user already has data a restore could duplicate (default categories do not count).
+ * @param {string} auth0_id
+ * @returns {Promise<boolean>}
+ */
+export async function hasAccountData(auth0_id) {
+    const [recurring, budgets, transactions] = await Promise.all([
+        listRecurring(auth0_id),
+        listBudgets(auth0_id),
+        listTransactions(auth0_id),
+    ]);
+    return recurring.length > 0 || budgets.length > 0 || transactions.length > 0;
+}
+
+/**
+ * Restore an archive (checked with validateAccountArchive) into a user's account, adding to what is
+ * there. Transactions whose statement `externalId` the user already has are skipped. Categories and
+ * budgets the create routes would refuse are left out and listed in `rejected` (`index` counts from 1
+ * in the archive's list); alerts of a rejected budget are dropped with it.
+ * @param {string} auth0_id
+ * @param {Object} archive
+ * @param {Date} [now]
+ * @returns {Promise<{categories:{created:number,matched:number},recurring:number,budgets:number,transactions:number,skipped:number,alerts:number,rejected:Array<{collection:string,index:number,error:string}>}>}
+ */
+export async function restoreAccountArchive(auth0_id, archive, now = new Date()) {
+    await upsertUser(auth0_id, undefined, restorableSettings(archive.user?.settings));
+    const rejected = [];
+
+    // Categories: reuse same-name categories (names are unique per user), create the rest; parents
+    // go in before their subcategories so `parentId` can point at the parent's new id
+    const existing = await listCategories(auth0_id);
+    const categoryKey = (c) => String(c.name).trim().toLowerCase();
+    const categoryIds = new Map(existing.map(c => [categoryKey(c), c.id]));
+    const archivedIds = new Map();
+    const newCategories = [];
+    let matched = 0;
+    (archive.categories || []).forEach((category, index) => {
+        const key = categoryKey(category);
+        if (categoryIds.has(key)) {
+            archivedIds.set(String(category.id), key);
+            matched += 1;
+            return;
+        }
+        let fields;
+        try {
+            fields = normalizeCategoryFields(category);
+        } catch (err) {
+            rejected.push({ collection: 'categories', index: index + 1, error: err.message });
+            return;
+        }
+        archivedIds.set(String(category.id), key);
+        categoryIds.set(key, null);
+        newCategories.push({ ...restoredTimestamps(category, now), ...fields, parentId: category.parentId });
+    });
+    const insertCategories = async (records) => {
+        const created = await insertAccountRecords(auth0_id, 'categories', records);
+        created.forEach(category => categoryIds.set(categoryKey(category), category.id));
+        return created;
+    };
+    const parents = await insertCategories(newCategories
+        .filter(category => !category.parentId)
+        .map(({ parentId, ...category }) => category));
+    const known = [...existing, ...parents];
+    const subcategories = await insertCategories(newCategories
+        .filter(category => category.parentId)
+        .map(({ parentId, ...category }) => {
+            const parent = categoryIds.get(archivedIds.get(String(parentId)));
+            // A parent POST /api/categories would refuse (a subcategory, or another type) leaves it top-level
+            try {
+                return parent ? { ...category, parentId: checkCategoryParent(known, parent, category) } : category;
+            } catch {
+                return category;
+            }
+        }));
+    const createdCategories = [...parents, ...subcategories];
+
+    // Schedules and budgets get new ids; remember them so references follow
+    const insertWithIds = async (collection, archived, records = archived.map(toRestoredRecord)) => {
+        const created = await insertAccountRecords(auth0_id, collection, records);
+        return new Map(archived.map((record, index) => [String(record.id), created[index].id]));
+    };
+    const recurringIds = await insertWithIds('recurring', archive.recurring || []);
+
+    const settings = await getUserSettings(auth0_id);
+    const budgetOptions = {
+        hasCategory: (name, type) => categoryExists(auth0_id, name, type),
+        defaultAnchorDate: () => formatLocalDate(now, settings?.timezone || undefined),
+    };
+    const budgets = [];
+    for (const [index, budget] of (archive.budgets || []).entries()) {
+        const { fields, error } = await normalizeNewBudget(budget, budgetOptions);
+        if (error) rejected.push({ collection: 'budgets', index: index + 1, error });
+        else budgets.push({ archived: budget, record: { ...restoredTimestamps(budget, now), ...fields } });
+    }
+    const budgetIds = await insertWithIds(
+        'budgets',
+        budgets.map(budget => budget.archived),
+        budgets.map(budget => budget.record)
+    );
+
+    const archivedTransactions = archive.transactions || [];
+    const imported = await findImportedExternalIds(
+        auth0_id,
+        archivedTransactions.map(tx => tx.externalId).filter(Boolean)
+    );
+    const transactions = [];
+    for (const tx of archivedTransactions) {
+        if (tx.externalId && imported.has(tx.externalId)) continue;
+        if (tx.externalId) imported.add(tx.externalId);
+        // Stored like POST /api/transactions would: a numeric amount and an ISO date
+        const restored = { ...toRestoredRecord(tx), amount: Number(tx.amount) };
+        if (hasValue(tx.date)) restored.date = new Date(tx.date).toISOString();
+        if (restored.recurringId !== undefined) {
+            const recurringId = recurringIds.get(String(restored.recurringId));
+            if (recurringId) restored.recurringId = recurringId;
+            else delete restored.recurringId;
+        }
+        transactions.push(restored);
+    }
+    await insertAccountRecords(auth0_id, 'transactions', transactions);
+
+    // Alerts without their budget would never resolve, so they are left out
+    const alerts = (archive.alerts || [])
+        .filter(alert => budgetIds.has(String(alert.budgetId)))
+        .map(alert => ({ ...toRestoredRecord(alert), budgetId: budgetIds.get(String(alert.budgetId)) }));
+    await insertAccountRecords(auth0_id, 'alerts', alerts);
+
+    await evaluateBudgetAlerts(auth0_id);
+
+    return {
+        categories: { created: createdCategories.length, matched },
+        recurring: (archive.recurring || []).length,
+        budgets: budgets.length,
+        transactions: transactions.length,
+        skipped: archivedTransactions.length - transactions.length,
+        alerts: alerts.length,
+        rejected,
+    };
+}
@@ -0,0 +1,124 @@
+/**
+ * Module: budgetFields.js
+ * Purpose: Validation and normalization of budget fields, shared by the budget routes and account restore.
+ * Notes: Helpers return `{fields}` or `{error}` (the 400 message) like normalizeTransaction; category names
+ *        are checked through a `hasCategory(name, type)` callback so callers choose how to look them up.
+ */
+import { BUDGET_PERIODS, formatLocalDate, parseLocalDate } from './periods.js';
+
+export const PERIOD_ERROR = `Budget period must be one of: ${BUDGET_PERIODS.join(', ')}.`;
+export const AMOUNT_ERROR = 'Budget amount must be greater than zero.';
+export const ROLLOVER_ERROR = 'Budget rollover must be true or false.';
+export const THRESHOLDS_ERROR = 'Alert thresholds must be percentages between 1 and 1000.';
+
+/**
+ * Validate optional alert thresholds: a non-empty list of percentages between 1 and 1000.
+ * @param {unknown} value
+ * @returns {number[]|null} Sorted unique thresholds, or null when invalid.
+ */
+export function normalizeAlertThresholds(value) {
+    if (!Array.isArray(value) || value.length === 0) return null;
+    const numbers = value.map(Number);
+    if (numbers.some(n => !Number.isFinite(n) || n < 1 || n > 1000)) return null;
+    return [...new Set(numbers)].sort((a, b) => a - b);
+}
+
+/**
+ * Validate period-specific fields: `anchorDate` for biweekly budgets and an inclusive
+ * `range: {start, end}` for custom budgets. Dates are normalized to "YYYY-MM-DD".
+ * @param {string|undefined} period - Period being set (undefined when unchanged)
+ * @param {{anchorDate?:unknown,range?:unknown}} body
+ * @returns {{fields?:Object,error?:string}}
+ */
+export function normalizePeriodFields(period, { anchorDate, range }) {
+    const fields = {};
+
+    if (anchorDate !== undefined) {
+        const anchor = parseLocalDate(anchorDate);
+        if (!anchor) return { error: 'Biweekly anchor date must be a valid date.' };
+        fields.anchorDate = formatLocalDate(anchor);
+    }
+
+    if (range !== undefined) {
+        const start = parseLocalDate(range?.start);
+        const end = parseLocalDate(range?.end);
+        if (!start || !end || end < start) {
+            return { error: 'Custom budget range needs valid start and end dates (end on or after start).' };
+        }
+        fields.range = { start: formatLocalDate(start), end: formatLocalDate(end) };
+    } else if (period === 'custom') {
+        return { error: 'Custom budget range needs valid start and end dates (end on or after start).' };
+    }
+
+    return { fields };
+}
+
+/**
+ * Validate budget category scope: a list of existing expense category names (empty list = all categories).
+ * @param {unknown} value
+ * @param {(name:string,type:string)=>Promise<boolean>|boolean} hasCategory
+ * @returns {Promise<{categories?:string[],error?:string}>} Trimmed, de-duplicated names or an error message.
+ */
+export async function normalizeBudgetCategories(value, hasCategory) {
+    if (!Array.isArray(value) || value.some(c => typeof c !== 'string')) {
+        return { error: 'Budget categories must be a list of category names.' };
+    }
+    const categories = [];
+    for (const raw of value) {
+        const name = raw.trim();
+        if (!name || categories.some(c => c.toLowerCase() === name.toLowerCase())) continue;
+        if (!(await hasCategory(name, 'expense'))) {
+            return { error: `Category "${name}" does not exist.` };
+        }
+        categories.push(name);
+    }
+    return { categories };
+}
+
+/**
+ * Validate a new budget the way POST /api/budgets stores it: a positive amount, a known period (weekly by
+ * default) with its anchor date or range, a boolean rollover, existing categories and alert thresholds.
+ * @param {Object} body
+ * @param {{hasCategory:(name:string,type:string)=>Promise<boolean>|boolean,defaultAnchorDate:()=>Promise<string>|string}} options
+ *        `defaultAnchorDate` gives today's day for a biweekly budget sent without `anchorDate`.
+ * @returns {Promise<{fields?:Object,error?:string}>}
+ */
+export async function normalizeNewBudget(body, { hasCategory, defaultAnchorDate }) {
+    const { period, amount, categories, alertThresholds, rollover, anchorDate, range } = body;
+
+    const normalizedAmount = Number(amount);
+    if (!Number.isFinite(normalizedAmount) || normalizedAmount <= 0) return { error: AMOUNT_ERROR };
+
+    if (period && !BUDGET_PERIODS.includes(period)) return { error: PERIOD_ERROR };
+
+    const periodFields = normalizePeriodFields(period, { anchorDate, range });
+    if (periodFields.error) return { error: periodFields.error };
+    if (period === 'biweekly' && !periodFields.fields.anchorDate) {
+        periodFields.fields.anchorDate = await defaultAnchorDate();
+    }
+
+    if (rollover !== undefined && typeof rollover !== 'boolean') return { error: ROLLOVER_ERROR };
+
+    let scope = { categories: [] };
+    if (categories !== undefined) {
+        scope = await normalizeBudgetCategories(categories, hasCategory);
+        if (scope.error) return { error: scope.error };
+    }
+
+    let thresholds;
+    if (alertThresholds !== undefined) {
+        thresholds = normalizeAlertThresholds(alertThresholds);
+        if (!thresholds) return { error: THRESHOLDS_ERROR };
+    }
+
+    return {
+        fields: {
+            period: period || 'weekly',
+            amount: normalizedAmount,
+            categories: scope.categories,
+            rollover: rollover === true,
+            ...periodFields.fields,
+            ...(thresholds ? { alertThresholds: thresholds } : {}),
+        },
+    };
+}
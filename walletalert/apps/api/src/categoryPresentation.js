@@ -0,0 +1,93 @@
+/**
+ * Module: categoryPresentation.js
+ * Purpose: Category colors, emoji and initials for documents the server renders (statements).
+ * Notes: Mirrors the web `utils/categories.js` getCategoryPresentation so a statement shows each category
+ *        the way the app does: predefined categories have fixed styles, custom ones a color hashed from
+ *        their name, and the user's own category emoji and colors win over the defaults.
+ */
+
+const CATEGORY_CONFIG = {
+    'college/education': { color: '#8b5cf6', initials: 'CE', emoji: '🎓', label: 'College/Education' },
+    'apartment/housing': { color: '#f59e0b', initials: 'AH', emoji: '🏠', label: 'Apartment/Housing' },
+    'phone/internet': { color: '#0ea5e9', initials: 'PI', emoji: '📱', label: 'Phone/Internet' },
+    groceries: { color: '#10b981', initials: 'GR', emoji: '🛒', label: 'Groceries' },
+    transportation: { color: '#6366f1', initials: 'TR', emoji: '🚗', label: 'Transportation' },
+    entertainment: { color: '#ec4899', initials: 'EN', emoji: '🎬', label: 'Entertainment' },
+    other: { color: '#94a3b8', initials: 'OT', emoji: '📦', label: 'Other' },
+    uncategorized: { color: '#1e293b', initials: 'UN', emoji: '📁', label: 'Uncategorized' },
+};
+
+const FALLBACK_COLORS = [
+    '#0ea5e9',
+    '#8b5cf6',
+    '#f59e0b',
+    '#10b981',
+    '#ef4444',
+    '#6366f1',
+    '#14b8a6',
+    '#f97316',
+    '#22c55e',
+    '#db2777',
+    '#7c3aed',
+    '#0284c7',
+];
+
+function hashStringToNumber(value) {
+    let hash = 0;
+    for (let i = 0; i < value.length; i += 1) {
+        hash = (hash << 5) - hash + value.charCodeAt(i);
+        hash |= 0;
+    }
+    return Math.abs(hash);
+}
+
+/**
+ * Emoji and color overrides from the user's categories, keyed like getCategoryPresentation expects.
+ * @param {Array<{name:string,emoji?:string,color?:string}>} categories
+ * @returns {{emojiOverrides:Object,colorOverrides:Object}}
+ */
+export function presentationOptions(categories = []) {
+    const emojiOverrides = {};
+    const colorOverrides = {};
+    for (const category of categories) {
+        if (!category?.name) continue;
+        const key = category.name.trim().toLowerCase();
+        if (category.emoji) emojiOverrides[key] = { emoji: category.emoji };
+        if (category.color) colorOverrides[key] = category.color;
+    }
+    return { emojiOverrides, colorOverrides };
+}
+
+/**
+ * Build the presentation of a category name.
+ * @param {string|null|undefined} name
+ * @param {{emojiOverrides?:Object,colorOverrides?:Object}} [options]
+ * @returns {{key:string,label:string,color:string,initials:string,emoji:string,originalName:string}}
+ */
+export function getCategoryPresentation(name, options = {}) {
+    const { emojiOverrides = {}, colorOverrides = {} } = options;
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+        const base = CATEGORY_CONFIG.uncategorized;
+        return {
+            key: 'uncategorized',
+            label: base.label,
+            color: colorOverrides.uncategorized || base.color,
+            initials: base.initials,
+            emoji: emojiOverrides.uncategorized?.emoji || base.emoji,
+            originalName: 'Uncategorized',
+        };
+    }
+
+    const key = trimmed.toLowerCase();
+    const known = CATEGORY_CONFIG[key];
+    // A custom category keeps its own name and initials; only its emoji falls back to "other"
+    return {
+        key,
+        label: known ? known.label : trimmed,
+        color: colorOverrides[key] || (known ? known.color : FALLBACK_COLORS[hashStringToNumber(trimmed) % FALLBACK_COLORS.length]),
+        initials: known ? known.initials : trimmed.slice(0, 2).toUpperCase(),
+        emoji: emojiOverrides[key]?.emoji || (known || CATEGORY_CONFIG.other).emoji,
+        originalName: trimmed,
+    };
+}
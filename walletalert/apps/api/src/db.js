@@ -1,10 +1,12 @@
 import { MongoClient } from 'mongodb';
 import dotenv from 'dotenv';
+import { SEARCH_FIELDS } from './search.js';
 
 dotenv.config();
 
 let client;
 let db;
+let transactionsSupported;
 
 /**
  * Connect to MongoDB using MONGO_URI or assembled credentials.
@@ -25,6 +27,7 @@ export async function connect() {
     uri = `mongodb+srv://${user}:${encoded}@${host}/?retryWrites=true&w=majority&appName=WalletAllert-dev`;
     console.log('Built Mongo URI from env components');
   }
+  transactionsSupported = undefined;
   try {
     client = new MongoClient(uri);
     await client.connect();
@@ -55,6 +58,22 @@ export async function close() {
   if (client) await client.close();
 }
 
+/**
+ * Whether the connected server can run multi-document transactions: replica sets and sharded clusters
+ * can, a standalone mongod (the usual local setup) cannot. Asked once per connection.
+ * @returns {Promise<boolean>}
+ */
+export async function supportsTransactions() {
+  if (!db) return false;
+  if (transactionsSupported === undefined) {
+    const admin = db.admin();
+    // `hello` replaced `isMaster`, which servers before 4.2.10 only know
+    const hello = await admin.command({ hello: 1 }).catch(() => admin.command({ isMaster: 1 }));
+    transactionsSupported = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+  }
+  return transactionsSupported;
+}
+
 // Ensure common indexes used by the app. Safe to call multiple times.
 /**
  * Create common indexes for the application collections; no-op when DB is absent.
@@ -74,7 +93,36 @@ export async function ensureIndexes() {
     await database.collection('transactions').createIndex({ auth0_id: 1 });
     await database.collection('transactions').createIndex({ budgetId: 1 });
     await database.collection('transactions').createIndex({ createdAt: -1 });
-    console.log('MongoDB: ensured indexes for users, budgets, categories, transactions');
+    // Transaction lists filter and page by the stored effective date (or amount), newest first by default
+    await database.collection('transactions').createIndex({ auth0_id: 1, effectiveDate: -1, _id: -1 });
+    await database.collection('transactions').createIndex({ auth0_id: 1, amount: -1, _id: -1 });
+    // Transactions reference their category by id (merges and deletes update them by it)
+    await database.collection('transactions').createIndex({ auth0_id: 1, categoryId: 1 });
+    // One alert per budget, period and threshold, even if two evaluations race
+    await database.collection('alerts').createIndex(
+      { auth0_id: 1, budgetId: 1, periodStart: 1, threshold: 1 },
+      { unique: true }
+    );
+    // One transaction per recurring occurrence, even if two scheduler runs race
+    await database.collection('transactions').createIndex(
+      { auth0_id: 1, recurringId: 1, occurrenceDate: 1 },
+      { unique: true, partialFilterExpression: { recurringId: { $exists: true } } }
+    );
+    // Imported statement lines (OFX FITID / QIF line hash) are stored once per user
+    await database.collection('transactions').createIndex(
+      { auth0_id: 1, externalId: 1 },
+      { unique: true, partialFilterExpression: { externalId: { $exists: true } } }
+    );
+    // Text search over descriptions and notes, scoped to one user by the auth0_id prefix
+    await database.collection('transactions').createIndex(
+      { auth0_id: 1, ...Object.fromEntries(Object.keys(SEARCH_FIELDS).map(field => [field, 'text'])) },
+      { name: 'transactions_text', weights: SEARCH_FIELDS, default_language: 'english' }
+    );
+    await database.collection('recurring').createIndex({ auth0_id: 1 });
+    await database.collection('recurring').createIndex({ active: 1, nextRunDate: 1 });
+    // One summary report per user, kind and period; listings page back by period start
+    await database.collection('reports').createIndex({ auth0_id: 1, period: 1, periodStart: -1 }, { unique: true });
+    console.log('MongoDB: ensured indexes for users, budgets, categories, transactions, alerts, recurring, reports');
   } catch (err) {
     console.error('MongoDB: error ensuring indexes', err);
   }
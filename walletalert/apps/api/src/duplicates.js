@@ -0,0 +1,123 @@
+/**
+ * Duplicate transaction detection: transactions with the same type, amount, category and
+ * description dated within a short window of each other are treated as likely duplicates
+ * (a double-tapped form submit or an import overlapping earlier entries).
+ */
+
+import { getTransactionDate } from './periods.js';
+
+export const DUPLICATE_WINDOW_MINUTES = 60;
+// Statement lines only carry a day, so imported rows are compared against a whole day either side
+export const IMPORT_DUPLICATE_WINDOW_MINUTES = 24 * 60;
+export const MAX_DUPLICATE_WINDOW_MINUTES = 7 * 24 * 60;
+
+const MINUTE_MS = 60 * 1000;
+
+const normalizeText = (value) => String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Fingerprint of the fields that make two transactions look the same (dates are compared separately).
+ * @param {{type?:string,amount:number,category?:string,description?:string}} tx
+ * @returns {string}
+ */
+export function transactionFingerprint(tx) {
+    const amount = Number(tx.amount);
+    return [
+        tx.type || 'expense',
+        Number.isFinite(amount) ? amount.toFixed(2) : '',
+        normalizeText(tx.category),
+        normalizeText(tx.description),
+    ].join('|');
+}
+
+/**
+ * Find the existing transaction closest in time that `candidate` duplicates, if any.
+ * @param {Object} candidate - Transaction about to be created
+ * @param {Array<Object>} transactions - The user's existing transactions
+ * @param {{windowMinutes?:number}} [options]
+ * @returns {Object|null}
+ */
+export function findDuplicateOf(candidate, transactions, { windowMinutes = DUPLICATE_WINDOW_MINUTES } = {}) {
+    const date = getTransactionDate(candidate) || new Date();
+    const fingerprint = transactionFingerprint(candidate);
+    let match = null;
+    let matchGap = Infinity;
+    for (const tx of transactions) {
+        if (tx.id === candidate.id || transactionFingerprint(tx) !== fingerprint) continue;
+        const txDate = getTransactionDate(tx);
+        if (!txDate) continue;
+        const gap = Math.abs(txDate - date);
+        if (gap <= windowMinutes * MINUTE_MS && gap < matchGap) {
+            match = tx;
+            matchGap = gap;
+        }
+    }
+    return match;
+}
+
+/**
+ * What an existing transaction must have to be a duplicate of any of `candidates` (see findDuplicateOf):
+ * one of their amounts, and a date no further than the window from the earliest or latest of theirs.
+ * Lets the store fetch only those transactions instead of the user's whole history.
+ * @param {Array<Object>} candidates - Transactions about to be created
+ * @param {{windowMinutes?:number}} [options]
+ * @returns {{amounts:number[],start:Date,end:Date}|null} Inclusive bounds; null without candidates
+ */
+export function duplicateSearchRange(candidates, { windowMinutes = DUPLICATE_WINDOW_MINUTES } = {}) {
+    if (!candidates.length) return null;
+    let first = Infinity;
+    let last = -Infinity;
+    for (const tx of candidates) {
+        const time = (getTransactionDate(tx) || new Date()).getTime();
+        first = Math.min(first, time);
+        last = Math.max(last, time);
+    }
+    return {
+        amounts: [...new Set(candidates.map(tx => Number(tx.amount)))],
+        start: new Date(first - windowMinutes * MINUTE_MS),
+        end: new Date(last + windowMinutes * MINUTE_MS),
+    };
+}
+
+/**
+ * Group likely duplicates: transactions sharing a fingerprint whose dates are chained within the
+ * window (each one within `windowMinutes` of the previous). Clusters are ordered newest first and
+ * list their transactions oldest first.
+ * @param {Array<Object>} transactions
+ * @param {{windowMinutes?:number}} [options]
+ * @returns {Array<{fingerprint:string,transactions:Array<Object>}>}
+ */
+export function findDuplicateClusters(transactions, { windowMinutes = DUPLICATE_WINDOW_MINUTES } = {}) {
+    const groups = new Map();
+    for (const tx of transactions) {
+        const date = getTransactionDate(tx);
+        if (!date) continue;
+        const fingerprint = transactionFingerprint(tx);
+        if (!groups.has(fingerprint)) groups.set(fingerprint, []);
+        groups.get(fingerprint).push({ tx, time: date.getTime() });
+    }
+
+    const clusters = [];
+    for (const [fingerprint, entries] of groups) {
+        if (entries.length < 2) continue;
+        entries.sort((a, b) => a.time - b.time);
+        let current = [entries[0]];
+        const flush = () => {
+            if (current.length > 1) {
+                clusters.push({ fingerprint, latest: current[current.length - 1].time, transactions: current.map(e => e.tx) });
+            }
+        };
+        for (const entry of entries.slice(1)) {
+            if (entry.time - current[current.length - 1].time <= windowMinutes * MINUTE_MS) {
+                current.push(entry);
+            } else {
+                flush();
+                current = [entry];
+            }
+        }
+        flush();
+    }
+    return clusters
+        .sort((a, b) => b.latest - a.latest)
+        .map(({ fingerprint, transactions: txs }) => ({ fingerprint, transactions: txs }));
+}
@@ -0,0 +1,139 @@
+/**
+ * Transaction exports for spreadsheets and accountants: CSV, JSON and OFX. Each exporter is a
+ * generator of text chunks so routes can stream large histories instead of building one string.
+ * OFX output uses the statement id a transaction was imported with (or its own id) as FITID.
+ */
+
+import { formatLocalDate, getTransactionDate, isIncomeTransaction } from './periods.js';
+
+export const EXPORT_FORMATS = ['csv', 'json', 'ofx'];
+
+export const EXPORT_CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    json: 'application/json; charset=utf-8',
+    ofx: 'application/x-ofx; charset=utf-8',
+};
+
+const CSV_COLUMNS = ['Date', 'Type', 'Amount', 'Category', 'Emoji', 'Description', 'Id'];
+
+/**
+ * Flatten transactions into export records sorted oldest first, resolving each category name to
+ * the user's category (its stored casing and emoji).
+ * @param {Array<Object>} transactions
+ * @param {{categories?:Array<{name:string,emoji?:string}>,timezone?:string}} [options]
+ * @returns {Array<{id:string,date:string,type:string,amount:number,category:string,emoji:string,description:string,externalId?:string}>}
+ */
+export function toExportRecords(transactions, { categories = [], timezone } = {}) {
+    const byName = new Map(categories.map(c => [String(c.name).toLowerCase(), c]));
+    return transactions
+        .map(tx => ({ tx, date: getTransactionDate(tx) }))
+        .filter(({ date }) => date)
+        .sort((a, b) => a.date - b.date)
+        .map(({ tx, date }) => {
+            const category = byName.get(String(tx.category || '').toLowerCase());
+            const record = {
+                id: String(tx.id),
+                date: formatLocalDate(date, timezone),
+                type: isIncomeTransaction(tx) ? 'income' : 'expense',
+                amount: Number(tx.amount),
+                category: category?.name || tx.category || '',
+                emoji: category?.emoji || '',
+                description: tx.description || '',
+            };
+            if (tx.externalId) record.externalId = tx.externalId;
+            return record;
+        });
+}
+
+// Quote cells that need it; text starting with a formula character is prefixed so spreadsheets
+// show it instead of evaluating it
+function csvCell(value) {
+    let text = String(value ?? '');
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV export: a header row, then one row per record (amounts positive; Type tells income apart).
+ * @param {Array<Object>} records - From toExportRecords
+ * @returns {Generator<string>}
+ */
+export function* exportCsv(records) {
+    yield `${CSV_COLUMNS.join(',')}\r\n`;
+    for (const r of records) {
+        yield `${[r.date, r.type, r.amount.toFixed(2), r.category, r.emoji, r.description, r.id].map(csvCell).join(',')}\r\n`;
+    }
+}
+
+/**
+ * JSON export: `{exportedAt, transactions: [...]}`.
+ * @param {Array<Object>} records - From toExportRecords
+ * @param {{exportedAt?:Date}} [options]
+ * @returns {Generator<string>}
+ */
+export function* exportJson(records, { exportedAt = new Date() } = {}) {
+    yield `{"exportedAt":${JSON.stringify(exportedAt.toISOString())},"transactions":[`;
+    for (let i = 0; i < records.length; i += 1) {
+        yield `${i ? ',' : ''}\n${JSON.stringify(records[i])}`;
+    }
+    yield '\n]}\n';
+}
+
+const escapeXml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+const ofxDate = (day) => day.replace(/-/g, '');
+
+const ofxTimestamp = (date) => date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+
+/**
+ * OFX 2.x (XML) bank statement export: signed TRNAMT (expenses negative), DTPOSTED from the local
+ * day, NAME from the description (or category) and MEMO with the category.
+ * @param {Array<Object>} records - From toExportRecords
+ * @param {{exportedAt?:Date,from?:string,to?:string,currency?:string}} [options] - `from`/`to` as "YYYY-MM-DD"
+ * @returns {Generator<string>}
+ */
+export function* exportOfx(records, { exportedAt = new Date(), from, to, currency = 'USD' } = {}) {
+    const start = from || records[0]?.date || formatLocalDate(exportedAt);
+    const end = to || records[records.length - 1]?.date || formatLocalDate(exportedAt);
+    yield '<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n'
+        + '<?OFX OFXHEADER="200" VERSION="211" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>\n'
+        + '<OFX>\n'
+        + `<SIGNONMSGSRSV1><SONRS><STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS><DTSERVER>${ofxTimestamp(exportedAt)}</DTSERVER><LANGUAGE>ENG</LANGUAGE></SONRS></SIGNONMSGSRSV1>\n`
+        + '<BANKMSGSRSV1><STMTTRNRS><TRNUID>0</TRNUID><STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>\n'
+        + `<STMTRS><CURDEF>${currency}</CURDEF>\n`
+        + '<BANKACCTFROM><BANKID>WALLETALERT</BANKID><ACCTID>WALLETALERT</ACCTID><ACCTTYPE>CHECKING</ACCTTYPE></BANKACCTFROM>\n'
+        + `<BANKTRANLIST><DTSTART>${ofxDate(start)}</DTSTART><DTEND>${ofxDate(end)}</DTEND>\n`;
+    for (const r of records) {
+        const income = r.type === 'income';
+        // NAME is limited to 32 characters by the OFX spec
+        const name = (r.description || r.category).slice(0, 32);
+        yield '<STMTTRN>'
+            + `<TRNTYPE>${income ? 'CREDIT' : 'DEBIT'}</TRNTYPE>`
+            + `<DTPOSTED>${ofxDate(r.date)}</DTPOSTED>`
+            + `<TRNAMT>${income ? '' : '-'}${r.amount.toFixed(2)}</TRNAMT>`
+            + `<FITID>${escapeXml(r.externalId || r.id)}</FITID>`
+            + `<NAME>${escapeXml(name)}</NAME>`
+            + (r.category ? `<MEMO>${escapeXml(r.category)}</MEMO>` : '')
+            + '</STMTTRN>\n';
+    }
+    yield '</BANKTRANLIST>\n'
+        + `<LEDGERBAL><BALAMT>0.00</BALAMT><DTASOF>${ofxTimestamp(exportedAt)}</DTASOF></LEDGERBAL>\n`
+        + '</STMTRS></STMTTRNRS></BANKMSGSRSV1>\n'
+        + '</OFX>\n';
+}
+
+/**
+ * Export records in one of EXPORT_FORMATS.
+ * @param {string} format
+ * @param {Array<Object>} records - From toExportRecords
+ * @param {Object} [options] - Passed to the format's exporter
+ * @returns {Generator<string>}
+ */
+export function exportTransactions(format, records, options = {}) {
+    if (format === 'json') return exportJson(records, options);
+    if (format === 'ofx') return exportOfx(records, options);
+    return exportCsv(records);
+}
@@ -0,0 +1,468 @@
+/**
+ * Bank statement parsing for transaction imports: turns an uploaded CSV (via a column mapping),
+ * OFX/QFX or QIF file into transaction inputs. Validation of the resulting inputs is left to the
+ * transaction routes so imported rows follow the same rules as hand-entered ones.
+ */
+
+import { createHash } from 'crypto';
+import { parseLocalDate } from './periods.js';
+
+// QFX is OFX with a Quicken header, so both go through the OFX parser
+export const IMPORT_FORMATS = ['csv', 'ofx', 'qif'];
+export const IMPORT_FIELDS = ['date', 'amount', 'description', 'category', 'type'];
+export const DATE_FORMATS = ['auto', 'YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY'];
+// positive: every amount is an expense; signed: negative amounts are expenses, positive ones income
+export const AMOUNT_SIGNS = ['positive', 'signed'];
+export const MAX_IMPORT_ROWS = 5000;
+
+const DELIMITERS = [',', ';', '\t'];
+
+// Header names banks commonly use for each field, lowercase
+const HEADER_HINTS = {
+    date: ['date', 'transaction date', 'posted date', 'posting date', 'booking date'],
+    amount: ['amount', 'transaction amount', 'value'],
+    description: ['description', 'memo', 'payee', 'details', 'name', 'narrative'],
+    category: ['category'],
+    type: ['type', 'transaction type'],
+};
+
+// Pick the delimiter that splits the first line (outside quotes) the most
+function detectDelimiter(text) {
+    const counts = new Map(DELIMITERS.map(d => [d, 0]));
+    let quoted = false;
+    for (const char of text) {
+        if (char === '"') quoted = !quoted;
+        else if (!quoted && (char === '\n' || char === '\r')) break;
+        else if (!quoted && counts.has(char)) counts.set(char, counts.get(char) + 1);
+    }
+    return DELIMITERS.reduce((best, d) => (counts.get(d) > counts.get(best) ? d : best), DELIMITERS[0]);
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting, CRLF or LF line endings, optional BOM) into rows of cells.
+ * The delimiter (comma, semicolon or tab) is detected from the first line. Blank lines are dropped;
+ * each row keeps the 1-based line it started on.
+ * @param {string} text
+ * @returns {Array<{line:number,cells:string[]}>}
+ */
+export function parseCsv(text) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(source);
+    const rows = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+        cells.push(cell);
+        if (cells.some(value => value.trim() !== '')) rows.push({ line: rowLine, cells });
+        cells = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < source.length; i += 1) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line += 1;
+                cell += char;
+            }
+        } else if (char === '"' && cell.trim() === '') {
+            quoted = true;
+            cell = '';
+        } else if (char === delimiter) {
+            cells.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i += 1;
+            endRow();
+            line += 1;
+            rowLine = line;
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || cells.length) endRow();
+    return rows;
+}
+
+/**
+ * Guess a column mapping from header names (case-insensitive).
+ * @param {string[]} headers
+ * @returns {Object<string,string>} Field name -> header, for the fields that could be matched
+ */
+export function suggestCsvMapping(headers) {
+    const normalized = headers.map(h => String(h).trim().toLowerCase());
+    const mapping = {};
+    for (const field of IMPORT_FIELDS) {
+        const index = normalized.findIndex(h => HEADER_HINTS[field].includes(h));
+        if (index !== -1) mapping[field] = headers[index];
+    }
+    return mapping;
+}
+
+/**
+ * Parse a statement amount such as "1,234.56", "$12.00", "-4.50" or "(4.50)" (negative).
+ * A comma followed by one or two final digits is a decimal comma ("12,50", "1.234,56").
+ * @param {string} value
+ * @returns {number|null}
+ */
+export function parseAmount(value) {
+    let text = String(value ?? '').trim();
+    if (!text) return null;
+    let negative = false;
+    if (/^\(.*\)$/.test(text)) {
+        negative = true;
+        text = text.slice(1, -1);
+    }
+    text = text.replace(/[\s$€£]/g, '');
+    text = /,\d{1,2}$/.test(text) ? text.replace(/\./g, '').replace(',', '.') : text.replace(/,/g, '');
+    if (text.startsWith('-')) {
+        negative = !negative;
+        text = text.slice(1);
+    } else if (text.startsWith('+')) {
+        text = text.slice(1);
+    }
+    if (!/^\d+(\.\d+)?$|^\.\d+$/.test(text)) return null;
+    const amount = Number(text);
+    return negative ? -amount : amount;
+}
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const toDayString = (year, month, day) => {
+    if (month < 1 || month > 12 || day < 1 || day > daysInMonth(year, month)) return null;
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Parse a statement date into "YYYY-MM-DD". `auto` accepts ISO dates and slash dates, reading
+ * slash dates as month/day unless the first part can only be a day.
+ * @param {string} value
+ * @param {string} [dateFormat='auto'] - One of DATE_FORMATS
+ * @returns {string|null}
+ */
+export function parseStatementDate(value, dateFormat = 'auto') {
+    const text = String(value ?? '').trim();
+    const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:$|[T\s])/.exec(text);
+    if (iso && (dateFormat === 'auto' || dateFormat === 'YYYY-MM-DD')) {
+        return toDayString(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+    }
+    const slash = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(text);
+    if (!slash || dateFormat === 'YYYY-MM-DD') return null;
+    const [first, second, year] = [Number(slash[1]), Number(slash[2]), Number(slash[3])];
+    const dayFirst = dateFormat === 'DD/MM/YYYY' || (dateFormat === 'auto' && first > 12);
+    return dayFirst ? toDayString(year, second, first) : toDayString(year, first, second);
+}
+
+/**
+ * Build a transaction input from a signed statement amount (negative = expense, positive = income).
+ * Rows without a category fall back to the default category for their type.
+ */
+function toSignedInput({ amount, day, description, category, externalId }, options) {
+    const type = amount > 0 ? 'income' : 'expense';
+    const input = {
+        amount: Math.abs(amount),
+        type,
+        category: category || (type === 'income' ? options.defaultIncomeCategory : options.defaultCategory) || '',
+        description,
+        date: parseLocalDate(day, options.timezone).toISOString(),
+    };
+    if (externalId) input.externalId = externalId;
+    return input;
+}
+
+// Resolve a mapping entry (header name or zero-based column index) to a column index
+function resolveColumn(headers, column) {
+    if (column === undefined || column === null || column === '') return -1;
+    if (typeof column === 'number') return Number.isInteger(column) && column >= 0 ? column : -1;
+    const wanted = String(column).trim().toLowerCase();
+    const index = headers.findIndex(h => String(h).trim().toLowerCase() === wanted);
+    if (index === -1 && /^\d+$/.test(wanted)) return Number(wanted);
+    return index;
+}
+
+/**
+ * Validate import options and resolve the column mapping against the CSV header.
+ * @param {string[]} headers - Header cells (or positional names when the file has no header)
+ * @param {Object} options
+ * @returns {{columns?:Object<string,number>,error?:string}}
+ */
+function resolveMapping(headers, { mapping, dateFormat = 'auto', amountSign = 'positive' }) {
+    if (!DATE_FORMATS.includes(dateFormat)) {
+        return { error: `Date format must be one of: ${DATE_FORMATS.join(', ')}.` };
+    }
+    if (!AMOUNT_SIGNS.includes(amountSign)) {
+        return { error: `Amount sign must be one of: ${AMOUNT_SIGNS.join(', ')}.` };
+    }
+    if (mapping === null || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return { error: 'Column mapping must map fields to column names.' };
+    }
+    const columns = {};
+    for (const field of IMPORT_FIELDS) {
+        const index = resolveColumn(headers, mapping[field]);
+        if (mapping[field] !== undefined && mapping[field] !== '' && index === -1) {
+            return { error: `Column "${mapping[field]}" for ${field} was not found.` };
+        }
+        if (index !== -1) columns[field] = index;
+    }
+    if (columns.date === undefined || columns.amount === undefined) {
+        return { error: 'Map the date and amount columns to import.' };
+    }
+    return { columns };
+}
+
+/**
+ * Turn a CSV upload into transaction inputs. Rows whose date or amount cannot be read get an
+ * `error`; every other row gets an `input` ready for transaction validation.
+ * @param {string} text - CSV file contents
+ * @param {Object} options
+ * @param {Object<string,string|number>} [options.mapping] - Field -> header name or column index (guessed from the header when omitted)
+ * @param {boolean} [options.hasHeader=true]
+ * @param {string} [options.dateFormat='auto'] - One of DATE_FORMATS
+ * @param {string} [options.amountSign='positive'] - One of AMOUNT_SIGNS
+ * @param {string} [options.defaultCategory] - Category for expense rows without one
+ * @param {string} [options.defaultIncomeCategory] - Category for income rows without one
+ * @param {string} [options.timezone] - User timezone; dates become midnight there
+ * @returns {{headers:string[],mapping:Object,rows?:Array<{line:number,input?:Object,error?:string}>,error?:string}}
+ */
+export function mapCsvRows(text, options = {}) {
+    const { hasHeader = true, defaultCategory, defaultIncomeCategory, timezone } = options;
+    const parsed = parseCsv(text);
+    const width = parsed.reduce((max, row) => Math.max(max, row.cells.length), 0);
+    const headers = hasHeader && parsed.length
+        ? parsed[0].cells.map(h => h.trim())
+        : Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+    const mapping = options.mapping ?? suggestCsvMapping(headers);
+    const body = hasHeader ? parsed.slice(1) : parsed;
+
+    if (!body.length) return { headers, mapping, error: 'The file has no rows to import.' };
+    if (body.length > MAX_IMPORT_ROWS) {
+        return { headers, mapping, error: `Import at most ${MAX_IMPORT_ROWS} rows at a time.` };
+    }
+    const { columns, error } = resolveMapping(headers, { ...options, mapping });
+    if (error) return { headers, mapping, error };
+
+    const cell = (row, field) => (columns[field] === undefined ? '' : String(row.cells[columns[field]] ?? '').trim());
+
+    const rows = body.map(row => {
+        const day = parseStatementDate(cell(row, 'date'), options.dateFormat);
+        if (!day) return { line: row.line, error: `Unrecognized date "${cell(row, 'date')}".` };
+        const amount = parseAmount(cell(row, 'amount'));
+        if (amount === null) return { line: row.line, error: `Unrecognized amount "${cell(row, 'amount')}".` };
+
+        const signed = options.amountSign === 'signed';
+        const typeCell = cell(row, 'type').toLowerCase();
+        let type = signed && amount > 0 ? 'income' : 'expense';
+        if (typeCell) type = ['income', 'credit', 'deposit'].includes(typeCell) ? 'income' : 'expense';
+
+        return {
+            line: row.line,
+            input: {
+                // Signed statements record spending as negative; the sign is carried by `type`
+                amount: signed ? Math.abs(amount) : amount,
+                type,
+                category: cell(row, 'category') || (type === 'income' ? defaultIncomeCategory : defaultCategory) || '',
+                description: cell(row, 'description'),
+                date: parseLocalDate(day, timezone).toISOString(),
+            },
+        };
+    });
+    return { headers, mapping, rows };
+}
+
+const OFX_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// Read an OFX element value; works for SGML (OFX 1.x, no closing tags) and XML (OFX 2.x)
+function ofxValue(block, tag) {
+    const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(block);
+    if (!match) return '';
+    return match[1].trim().replace(/&(amp|lt|gt|quot|apos|nbsp);/gi, (_, name) => OFX_ENTITIES[name.toLowerCase()]);
+}
+
+// Newlines in text[from, to); lets a forward pass keep the line number without rescanning the prefix
+function countLines(text, from, to) {
+    let count = 0;
+    for (let i = text.indexOf('\n', from); i !== -1 && i < to; i = text.indexOf('\n', i + 1)) count++;
+    return count;
+}
+
+// Statement accounts (<BANKACCTFROM> or <CCACCTFROM>) with where they start, in file order
+function ofxAccounts(source) {
+    return [...source.matchAll(/<(BANKACCTFROM|CCACCTFROM)>([\s\S]*?)<\/\1>/gi)].map(match => ({
+        index: match.index,
+        account: [ofxValue(match[2], 'BANKID'), ofxValue(match[2], 'ACCTID')].filter(Boolean).join('/'),
+    }));
+}
+
+// FITIDs are only unique within one account, so the external id names the account too. FITIDs that
+// already are external ids (a WalletAlert export of imported lines) are kept as they are.
+function ofxExternalId(fitid, account) {
+    if (!fitid || /^(ofx|qif):/.test(fitid)) return fitid;
+    return ['ofx', account, fitid].filter(Boolean).join(':');
+}
+
+/**
+ * Parse an OFX or QFX statement (SGML 1.x or XML 2.x). Every <STMTTRN> becomes one row: its signed
+ * TRNAMT decides expense or income, NAME/MEMO the description, DTPOSTED the day, and FITID, scoped by
+ * the statement's BANKID/ACCTID, is kept as `externalId` (`ofx:<bankid>/<acctid>:<fitid>`) so the
+ * same line is recognized when the file is imported again.
+ * @param {string} text
+ * @param {{defaultCategory?:string,defaultIncomeCategory?:string,timezone?:string}} [options]
+ * @returns {{rows?:Array<{line:number,input?:Object,error?:string,skipped?:string}>,error?:string}}
+ */
+export function parseOfx(text, options = {}) {
+    const source = String(text || '');
+    const blocks = [...source.matchAll(/<STMTTRN>([\s\S]*?)<\/STMTTRN>/gi)];
+    if (!blocks.length) return { error: 'No transactions were found in the OFX file.' };
+    if (blocks.length > MAX_IMPORT_ROWS) return { error: `Import at most ${MAX_IMPORT_ROWS} rows at a time.` };
+
+    // Blocks and account headers are both in file order, so one forward pass tracks the line
+    // number and the account each block belongs to
+    const accounts = ofxAccounts(source);
+    let nextAccount = 0;
+    let account = '';
+    let line = 1;
+    let lineIndex = 0;
+    const seen = new Set();
+    const rows = blocks.map(match => {
+        const block = match[1];
+        line += countLines(source, lineIndex, match.index);
+        lineIndex = match.index;
+        while (nextAccount < accounts.length && accounts[nextAccount].index < match.index) {
+            account = accounts[nextAccount++].account;
+        }
+        const posted = ofxValue(block, 'DTPOSTED');
+        const dateMatch = /^(\d{4})(\d{2})(\d{2})/.exec(posted);
+        const day = dateMatch && parseStatementDate(`${dateMatch[1]}-${dateMatch[2]}-${dateMatch[3]}`);
+        if (!day) return { line, error: `Unrecognized date "${posted}".` };
+        const amount = parseAmount(ofxValue(block, 'TRNAMT'));
+        if (amount === null) return { line, error: `Unrecognized amount "${ofxValue(block, 'TRNAMT')}".` };
+
+        const fitid = ofxValue(block, 'FITID');
+        const externalId = ofxExternalId(fitid, account);
+        if (externalId && seen.has(externalId)) return { line, skipped: `Duplicate FITID ${fitid} in this file.` };
+        if (externalId) seen.add(externalId);
+
+        const name = ofxValue(block, 'NAME') || ofxValue(block, 'PAYEE');
+        const memo = ofxValue(block, 'MEMO');
+        const description = [name, memo].filter(Boolean).join(' - ');
+        return { line, input: toSignedInput({ amount, day, description, externalId }, options) };
+    });
+    return { rows };
+}
+
+// QIF sections holding bank-style transactions; others (investments, category lists...) are skipped
+const QIF_TRANSACTION_TYPES = ['bank', 'cash', 'ccard', 'oth a', 'oth l'];
+
+// QIF dates look like 1/5/26, 01/05/2026 or 1/ 5'26 (apostrophe before a 2-digit year)
+function parseQifDate(value, dateFormat) {
+    const text = String(value || '').replace(/\s/g, '').replace("'", '/');
+    const match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/.exec(text);
+    if (!match) return parseStatementDate(text, dateFormat);
+    let year = Number(match[3]);
+    if (match[3].length === 2) year += year < 70 ? 2000 : 1900;
+    return parseStatementDate(`${match[1]}/${match[2]}/${year}`, dateFormat === 'YYYY-MM-DD' ? 'auto' : dateFormat);
+}
+
+/**
+ * Parse a QIF statement. Records in transaction sections (!Type:Bank, Cash, CCard, Oth A, Oth L)
+ * become rows: signed T/U amount, D date, P payee and M memo as the description, L category (its
+ * top level; [Account] transfers get the default category). QIF has no FITID, so each line gets a
+ * stable `externalId` hashed from its date, amount, payee and position among identical lines.
+ * @param {string} text
+ * @param {{dateFormat?:string,defaultCategory?:string,defaultIncomeCategory?:string,timezone?:string}} [options]
+ * @returns {{rows?:Array<{line:number,input?:Object,error?:string,skipped?:string}>,error?:string}}
+ */
+export function parseQif(text, options = {}) {
+    const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+    const rows = [];
+    const occurrences = new Map();
+    let section = null;
+    let sectionLabel = 'none';
+    let record = null;
+
+    const finish = () => {
+        if (!record) return;
+        const { line, fields } = record;
+        record = null;
+        if (!QIF_TRANSACTION_TYPES.includes(section)) {
+            rows.push({ line, skipped: `Unsupported QIF section "${sectionLabel}".` });
+            return;
+        }
+        const day = parseQifDate(fields.D, options.dateFormat);
+        if (!day) return rows.push({ line, error: `Unrecognized date "${fields.D ?? ''}".` });
+        const amount = parseAmount(fields.T ?? fields.U);
+        if (amount === null) return rows.push({ line, error: `Unrecognized amount "${fields.T ?? fields.U ?? ''}".` });
+
+        const payee = fields.P || '';
+        const key = `${day}|${amount}|${payee}`;
+        const occurrence = (occurrences.get(key) || 0) + 1;
+        occurrences.set(key, occurrence);
+        const externalId = `qif:${createHash('sha1').update(`${key}|${occurrence}`).digest('hex').slice(0, 20)}`;
+
+        const categoryField = (fields.L || '').trim();
+        const category = categoryField.startsWith('[') ? '' : categoryField.split(':')[0].trim();
+        const description = [payee, fields.M].filter(Boolean).join(' - ');
+        rows.push({ line, input: toSignedInput({ amount, day, description, category, externalId }, options) });
+    };
+
+    lines.forEach((raw, index) => {
+        const value = raw.trim();
+        if (!value) return;
+        if (value.startsWith('!')) {
+            finish();
+            const type = /^!Type:(.*)$/i.exec(value);
+            if (type) section = type[1].trim().toLowerCase();
+            else if (/^!Account/i.test(value)) section = 'account';
+            if (type || section === 'account') sectionLabel = value;
+            return;
+        }
+        if (value === '^') return finish();
+        if (!record) record = { line: index + 1, fields: {} };
+        const code = value[0].toUpperCase();
+        // Split lines (S, E, $) describe parts of the same transaction; only the totals are imported
+        if (!(code in record.fields)) record.fields[code] = value.slice(1).trim();
+    });
+    finish();
+
+    if (!rows.length) return { error: 'No transactions were found in the QIF file.' };
+    if (rows.length > MAX_IMPORT_ROWS) return { error: `Import at most ${MAX_IMPORT_ROWS} rows at a time.` };
+    return { rows };
+}
+
+/**
+ * Guess a statement's format from its contents.
+ * @param {string} text
+ * @returns {'csv'|'ofx'|'qif'}
+ */
+export function detectFormat(text) {
+    const head = String(text || '').replace(/^\uFEFF/, '').trimStart().slice(0, 2048);
+    if (/OFXHEADER|<OFX>/i.test(head)) return 'ofx';
+    if (/^!(Type|Account|Option)/i.test(head)) return 'qif';
+    return 'csv';
+}
+
+/**
+ * Parse a statement in any supported format into transaction inputs.
+ * @param {string} text
+ * @param {Object} options - `format` ('auto' or one of IMPORT_FORMATS) plus the parser options
+ * @returns {{format:string,headers?:string[],mapping?:Object,rows?:Array,error?:string}}
+ */
+export function parseStatement(text, options = {}) {
+    const { format = 'auto' } = options;
+    if (format !== 'auto' && !IMPORT_FORMATS.includes(format)) {
+        return { format, error: `Import format must be one of: auto, ${IMPORT_FORMATS.join(', ')}.` };
+    }
+    const resolved = format === 'auto' ? detectFormat(text) : format;
+    if (resolved === 'ofx') return { format: resolved, ...parseOfx(text, options) };
+    if (resolved === 'qif') return { format: resolved, ...parseQif(text, options) };
+    return { format: resolved, ...mapCsvRows(text, options) };
+}
@@ -6,7 +6,15 @@ import bootstrapRoutes from "./routes/bootstrap.js";
 import budgetRoutes from "./routes/budgets.js";
 import transactionRoutes from "./routes/transactions.js";
 import categoryRoutes from "./routes/categories.js";
+import alertRoutes from "./routes/alerts.js";
+import profileRoutes from "./routes/profile.js";
+import accountRoutes from "./routes/account.js";
+import reportRoutes from "./routes/reports.js";
+import recurringRoutes from "./routes/recurring.js";
+import { startRecurringScheduler } from "./recurring.js";
+import { startReportScheduler } from "./summaryReports.js";
 import { connect as connectDb, ensureIndexes } from './db.js';
+import { migrateTransactionCategories, migrateTransactionDates } from "./store.js";
 
 dotenv.config();
 const app = express();
@@ -26,11 +34,17 @@ const corsOptions = {
   },
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization'],
+  // Lets the web app read download file names (exports)
+  exposedHeaders: ['Content-Disposition'],
   optionsSuccessStatus: 204,
 };
 
 app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
+// Statement imports carry a whole CSV file in the body
+app.use("/api/transactions/import", express.json({ limit: "5mb" }));
+// Account archives hold the whole history
+app.use("/api/account/import", express.json({ limit: "20mb" }));
 app.use(express.json());
 
 
@@ -39,7 +53,7 @@ app.get("/api/health", (req, res) => res.json({ ok: true }));
 
 // Root route: helpful message instead of Express default "Cannot GET /"
 app.get("/", (req, res) => {
-  res.send("WalletAlert API - available endpoints: /api/health, /api/bootstrap, /api/budgets, /api/transactions");
+  res.send("WalletAlert API - available endpoints: /api/health, /api/bootstrap, /api/budgets, /api/transactions, /api/alerts, /api/recurring, /api/profile, /api/account, /api/reports");
 });
 
 // User bootstrap route (in-memory)
@@ -54,22 +68,48 @@ app.use("/api/transactions", checkJwt, transactionRoutes);
 // Category routes (protected)
 app.use("/api/categories", checkJwt, categoryRoutes);
 
-// Profile endpoint
-app.get("/api/profile", checkJwt, (req, res) => {
-  // Return basic info from the token; extend to use your DB later if needed
-  res.json({ sub: req.auth.payload.sub, scopes: req.auth.payload.scope || null });
-});
+// Budget alert routes (protected)
+app.use("/api/alerts", checkJwt, alertRoutes);
+
+// Recurring transaction routes (protected)
+app.use("/api/recurring", checkJwt, recurringRoutes);
+
+// Profile and settings routes (protected)
+app.use("/api/profile", checkJwt, profileRoutes);
+
+// Account backup and restore routes (protected)
+app.use("/api/account", checkJwt, accountRoutes);
+
+// Report routes (protected)
+app.use("/api/reports", checkJwt, reportRoutes);
 
 const port = process.env.PORT || 3000;
 
 /**
- * Initialize database connection, ensure indexes, and start the HTTP server.
+ * Initialize database connection, ensure indexes, start the HTTP server and the recurring transaction and
+ * summary report schedulers.
  */
 async function start() {
   await connectDb();
   // create required indexes if they don't exist
   await ensureIndexes();
+  // store the indexed effective date on transactions written before it existed
+  try {
+    const dated = await migrateTransactionDates();
+    if (dated > 0) console.log(`Stored the effective date of ${dated} transactions`);
+  } catch (err) {
+    console.error("Transaction date migration failed", err);
+  }
+  // link transactions still stored with a category name to their category's id
+  try {
+    const linked = await migrateTransactionCategories();
+    if (linked > 0) console.log(`Linked ${linked} transactions to their categories`);
+  } catch (err) {
+    console.error("Category link migration failed", err);
+  }
   app.listen(port, () => console.log(`API running on http://localhost:${port}`));
+  startRecurringScheduler();
+  startReportScheduler();
 }
 
 start();
@@ -0,0 +1,169 @@
+/**
+ * Module: pdf.js
+ * Purpose: Minimal in-process PDF writer for documents the server renders (statements): pages of text, filled
+ *          rectangles and lines in the standard Helvetica fonts, with no external tools or services.
+ * Notes: Standard fonts need no embedding but only cover Latin-1 text; other characters (emoji, most non-Latin
+ *        scripts) are written as "?". Coordinates are points from the top-left corner of a US Letter page, and
+ *        text `y` is its baseline.
+ */
+
+export const PAGE_SIZE = { width: 612, height: 792 };
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126, from the standard font metrics
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+// Bold glyphs run about 5% wider than regular ones
+const BOLD_FACTOR = 1.05;
+
+const FONTS = { regular: 'F1', bold: 'F2' };
+
+/**
+ * Reduce text to the characters the standard fonts can show (Latin-1 without control characters).
+ * @param {unknown} value
+ * @returns {string}
+ */
+export function toPdfText(value) {
+    return Array.from(String(value ?? ''))
+        .map(char => {
+            const code = char.codePointAt(0);
+            if (code < 32 || (code >= 127 && code < 160)) return ' ';
+            return code > 255 ? '?' : char;
+        })
+        .join('');
+}
+
+/**
+ * Width of a line of text in points.
+ * @param {string} text
+ * @param {number} size - Font size in points
+ * @param {{bold?:boolean}} [options]
+ * @returns {number}
+ */
+export function textWidth(text, size, { bold = false } = {}) {
+    let units = 0;
+    for (const char of toPdfText(text)) {
+        const code = char.charCodeAt(0);
+        units += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+    }
+    return (units * size * (bold ? BOLD_FACTOR : 1)) / 1000;
+}
+
+/**
+ * Shorten text with "..." so it fits in `maxWidth` points.
+ * @param {string} text
+ * @param {number} maxWidth
+ * @param {number} size
+ * @param {{bold?:boolean}} [options]
+ * @returns {string}
+ */
+export function fitText(text, maxWidth, size, options) {
+    let fitted = toPdfText(text);
+    if (textWidth(fitted, size, options) <= maxWidth) return fitted;
+    while (fitted && textWidth(`${fitted}...`, size, options) > maxWidth) fitted = fitted.slice(0, -1);
+    return `${fitted.trimEnd()}...`;
+}
+
+const escapeString = (text) => text.replace(/[\\()]/g, '\\$&');
+
+const formatNumber = (value) => String(Math.round(value * 100) / 100);
+
+function rgb(hex = '#000000') {
+    const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex);
+    if (!match) return '0 0 0';
+    return match.slice(1).map(part => formatNumber(parseInt(part, 16) / 255)).join(' ');
+}
+
+/**
+ * Start a PDF document. Draw on the current page, call addPage() for the next one, then toBuffer().
+ * @param {{title?:string}} [info]
+ * @returns {{addPage:Function,text:Function,rect:Function,line:Function,pageCount:Function,toBuffer:Function}}
+ */
+export function createPdfDocument({ title = '' } = {}) {
+    const pages = [];
+    let current = null;
+    const flip = (y) => formatNumber(PAGE_SIZE.height - y);
+
+    const doc = {
+        /** Begin a new page; later drawing goes there. */
+        addPage() {
+            current = [];
+            pages.push(current);
+            return doc;
+        },
+
+        /**
+         * Write one line of text.
+         * @param {number} x - Left edge, or right edge with `align: 'right'`
+         * @param {number} y - Baseline
+         * @param {string} value
+         * @param {{size?:number,bold?:boolean,color?:string,align?:'left'|'right'}} [options]
+         */
+        text(x, y, value, { size = 10, bold = false, color = '#0f172a', align = 'left' } = {}) {
+            const text = toPdfText(value);
+            const left = align === 'right' ? x - textWidth(text, size, { bold }) : x;
+            current.push(
+                `BT /${bold ? FONTS.bold : FONTS.regular} ${size} Tf ${rgb(color)} rg ` +
+                `${formatNumber(left)} ${flip(y)} Td (${escapeString(text)}) Tj ET`
+            );
+            return doc;
+        },
+
+        /** Fill a rectangle whose top-left corner is (x, y). */
+        rect(x, y, width, height, color) {
+            current.push(`${rgb(color)} rg ${formatNumber(x)} ${flip(y + height)} ${formatNumber(width)} ${formatNumber(height)} re f`);
+            return doc;
+        },
+
+        /** Stroke a line. */
+        line(x1, y1, x2, y2, color = '#e2e8f0', width = 0.5) {
+            current.push(`${rgb(color)} RG ${formatNumber(width)} w ${formatNumber(x1)} ${flip(y1)} m ${formatNumber(x2)} ${flip(y2)} l S`);
+            return doc;
+        },
+
+        pageCount: () => pages.length,
+
+        /**
+         * Serialize the document.
+         * @returns {Buffer}
+         */
+        toBuffer() {
+            if (pages.length === 0) doc.addPage();
+            const pageIds = pages.map((_, index) => 5 + index * 2);
+            const objects = [
+                '<< /Type /Catalog /Pages 2 0 R >>',
+                `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+                '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+                '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+            ];
+            pages.forEach((operations, index) => {
+                const stream = operations.join('\n');
+                objects.push(
+                    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_SIZE.width} ${PAGE_SIZE.height}] ` +
+                    `/Resources << /Font << /${FONTS.regular} 3 0 R /${FONTS.bold} 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`,
+                    `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`
+                );
+            });
+            objects.push(`<< /Title (${escapeString(toPdfText(title))}) /Producer (WalletAlert) >>`);
+
+            let body = '%PDF-1.4\n';
+            const offsets = objects.map((object, index) => {
+                const offset = Buffer.byteLength(body, 'latin1');
+                body += `${index + 1} 0 obj\n${object}\nendobj\n`;
+                return offset;
+            });
+            const xref = Buffer.byteLength(body, 'latin1');
+            body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+            body += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+            body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\n`;
+            body += `startxref\n${xref}\n%%EOF\n`;
+            return Buffer.from(body, 'latin1');
+        },
+    };
+    return doc.addPage();
+}
@@ -0,0 +1,336 @@
+/**
+ * Module: periods.js
+ * Purpose: Server-side budget period math (period boundaries and spending totals) shared by store and routes.
+ * Notes: Mirrors the web `utils/budget.js` rules; unknown periods fall back to monthly.
+ *        Boundaries fall on midnight in the user's IANA `timezone` (process-local when unset) and weeks start
+ *        on the user's `weekStartsOn` day (0 = Sunday … 6 = Saturday, Monday by default).
+ *        Semesters follow the academic calendar: spring Jan–May, summer Jun–Jul, fall Aug–Dec.
+ */
+
+export const BUDGET_PERIODS = ['weekly', 'biweekly', 'monthly', 'semester', 'yearly', 'custom'];
+
+export const DEFAULT_WEEK_STARTS_ON = 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const zonedFormatters = new Map();
+
+function getZonedFormatter(timezone) {
+    let formatter = zonedFormatters.get(timezone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+        });
+        zonedFormatters.set(timezone, formatter);
+    }
+    return formatter;
+}
+
+// Wall-clock fields of an instant in `timezone` (process-local when unset); month is 0-based.
+function getWallClock(date, timezone) {
+    if (!timezone) {
+        return {
+            year: date.getFullYear(),
+            month: date.getMonth(),
+            day: date.getDate(),
+            hour: date.getHours(),
+            minute: date.getMinutes(),
+            second: date.getSeconds(),
+        };
+    }
+    const parts = {};
+    for (const { type, value } of getZonedFormatter(timezone).formatToParts(date)) parts[type] = Number(value);
+    return {
+        year: parts.year,
+        month: parts.month - 1,
+        day: parts.day,
+        hour: parts.hour % 24,
+        minute: parts.minute,
+        second: parts.second,
+    };
+}
+
+// Calendar dates are handled as whole day numbers (days since 1970-01-01) so arithmetic is DST-safe.
+const toDayNumber = (year, month, day) => Math.round(Date.UTC(year, month, day) / DAY_MS);
+
+function dayOf(date, timezone) {
+    const { year, month, day } = getWallClock(date, timezone);
+    return toDayNumber(year, month, day);
+}
+
+function fromDayNumber(dayNumber) {
+    const date = new Date(dayNumber * DAY_MS);
+    return {
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth(),
+        day: date.getUTCDate(),
+        weekday: date.getUTCDay(),
+    };
+}
+
+// The instant at which a calendar day starts in `timezone`.
+function startOfDay(dayNumber, timezone) {
+    const { year, month, day } = fromDayNumber(dayNumber);
+    if (!timezone) return new Date(year, month, day);
+    const wallTime = Date.UTC(year, month, day);
+    const offsetAt = (instant) => {
+        const wall = getWallClock(new Date(instant), timezone);
+        return Date.UTC(wall.year, wall.month, wall.day, wall.hour, wall.minute, wall.second) - instant;
+    };
+    // Second pass corrects for an offset change (DST) between the guess and the real instant
+    const guess = wallTime - offsetAt(wallTime);
+    return new Date(wallTime - offsetAt(guess));
+}
+
+// "YYYY-MM-DD" strings are calendar dates as written; other values are instants read in `timezone`.
+function parseDay(value, timezone) {
+    if (!value) return null;
+    const match = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (match) return toDayNumber(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : dayOf(date, timezone);
+}
+
+/**
+ * Check that a value is an IANA timezone name supported by the runtime (e.g. "America/New_York").
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isValidTimezone(value) {
+    if (typeof value !== 'string' || !value.trim()) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Parse a date-only value ("YYYY-MM-DD") as midnight in `timezone` (process-local when unset);
+ * other inputs are truncated to that midnight.
+ * @param {string|Date|null|undefined} value
+ * @param {string} [timezone]
+ * @returns {Date|null}
+ */
+export function parseLocalDate(value, timezone) {
+    const dayNumber = parseDay(value, timezone);
+    return dayNumber === null ? null : startOfDay(dayNumber, timezone);
+}
+
+/**
+ * The midnight that ends a date-only value's day in `timezone`, i.e. the exclusive upper bound for an
+ * inclusive "to" day.
+ * @param {string|Date|null|undefined} value
+ * @param {string} [timezone]
+ * @returns {Date|null}
+ */
+export function parseLocalDayEnd(value, timezone) {
+    const dayNumber = parseDay(value, timezone);
+    return dayNumber === null ? null : startOfDay(dayNumber + 1, timezone);
+}
+
+/**
+ * Format a date as a "YYYY-MM-DD" string in `timezone` (process-local when unset).
+ * @param {Date} date
+ * @param {string} [timezone]
+ * @returns {string}
+ */
+export function formatLocalDate(date, timezone) {
+    const pad = (value) => String(value).padStart(2, '0');
+    const { year, month, day } = getWallClock(date, timezone);
+    return `${year}-${pad(month + 1)}-${pad(day)}`;
+}
+
+/**
+ * Resolve the effective date of a transaction (explicit date, falling back to createdAt when it is
+ * missing or does not parse, as the stored Mongo `effectiveDate` does).
+ * @param {{date?:string|Date,createdAt?:string|Date}} tx
+ * @returns {Date|null}
+ */
+export function getTransactionDate(tx) {
+    for (const value of [tx?.date, tx?.createdAt]) {
+        if (!value) continue;
+        const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+        if (!Number.isNaN(date.getTime())) return date;
+    }
+    return null;
+}
+
+/**
+ * Compute the [start, end) range of the budget period containing `now`.
+ * @param {string} period - One of BUDGET_PERIODS
+ * @param {Date} [now]
+ * @param {{anchorDate?:string,range?:{start:string,end:string},createdAt?:Date|string,weekStartsOn?:number,timezone?:string}} [options]
+ *        Biweekly periods align to `anchorDate` (falling back to `createdAt`); custom periods use
+ *        the inclusive `range` dates and do not repeat. `weekStartsOn`/`timezone` are the user's settings.
+ * @returns {{start:Date,end:Date}}
+ */
+export function getPeriodRange(period, now = new Date(), options = {}) {
+    const { timezone } = options;
+    const today = dayOf(now, timezone);
+    const { year, month, weekday } = fromDayNumber(today);
+    const span = (startDay, endDay) => ({ start: startOfDay(startDay, timezone), end: startOfDay(endDay, timezone) });
+
+    if (period === 'weekly') {
+        const weekStartsOn = Number.isInteger(options.weekStartsOn) ? options.weekStartsOn : DEFAULT_WEEK_STARTS_ON;
+        const start = today - ((weekday - weekStartsOn + 7) % 7);
+        return span(start, start + 7);
+    }
+
+    if (period === 'biweekly') {
+        const anchor = parseDay(options.anchorDate, timezone) ?? parseDay(options.createdAt, timezone) ?? today;
+        const start = anchor + Math.floor((today - anchor) / 14) * 14;
+        return span(start, start + 14);
+    }
+
+    if (period === 'semester') {
+        if (month < 5) return span(toDayNumber(year, 0, 1), toDayNumber(year, 5, 1));
+        if (month < 7) return span(toDayNumber(year, 5, 1), toDayNumber(year, 7, 1));
+        return span(toDayNumber(year, 7, 1), toDayNumber(year + 1, 0, 1));
+    }
+
+    if (period === 'yearly') {
+        return span(toDayNumber(year, 0, 1), toDayNumber(year + 1, 0, 1));
+    }
+
+    if (period === 'custom') {
+        const start = parseDay(options.range?.start, timezone);
+        const last = parseDay(options.range?.end, timezone);
+        if (start !== null && last !== null && last >= start) return span(start, last + 1);
+    }
+
+    return span(toDayNumber(year, month, 1), toDayNumber(year, month + 1, 1));
+}
+
+/**
+ * Check whether a transaction counts toward a budget scoped to `categories`
+ * (case-insensitive; an empty or missing list means the budget covers every category).
+ * @param {{category?:string}} tx
+ * @param {string[]|null|undefined} categories
+ * @returns {boolean}
+ */
+export function matchesBudgetCategories(tx, categories) {
+    if (!Array.isArray(categories) || categories.length === 0) return true;
+    const name = String(tx?.category || '').trim().toLowerCase();
+    return categories.some(c => String(c).trim().toLowerCase() === name);
+}
+
+/**
+ * Check whether a transaction records income (transactions without a type are expenses).
+ * @param {{type?:string}} tx
+ * @returns {boolean}
+ */
+export function isIncomeTransaction(tx) {
+    return tx?.type === 'income';
+}
+
+/**
+ * Sum positive expense amounts whose date falls inside [start, end),
+ * optionally restricted to a budget's categories. Income never counts as spending.
+ * @param {Array} transactions
+ * @param {Date} start
+ * @param {Date} end
+ * @param {string[]|null} [categories]
+ * @returns {number}
+ */
+export function sumSpending(transactions, start, end, categories = null) {
+    return transactions.reduce((sum, tx) => {
+        const amt = Number(tx.amount);
+        if (!Number.isFinite(amt) || amt <= 0) return sum;
+        if (isIncomeTransaction(tx)) return sum;
+        if (!matchesBudgetCategories(tx, categories)) return sum;
+        const date = getTransactionDate(tx);
+        if (!date || date < start || date >= end) return sum;
+        return sum + amt;
+    }, 0);
+}
+
+const roundCurrency = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+/**
+ * Build a budget's per-period ledger from the period containing its `createdAt` up to the
+ * period containing `now`. With `rollover` enabled, each period's closing balance (surplus
+ * or deficit) is carried into the next period's available amount; without it, earlier periods
+ * cannot change the current one, so the ledger holds only the current period.
+ * @param {{period?:string,amount:number,categories?:string[],rollover?:boolean,createdAt?:Date|string}} budget
+ * @param {Array} transactions
+ * @param {Date} [now]
+ * @param {{weekStartsOn?:number,timezone?:string}} [settings] - The user's period settings
+ * @returns {Array<{periodStart:Date,periodEnd:Date,amount:number,carriedOver:number,available:number,spent:number,balance:number}>}
+ */
+export function buildBudgetLedger(budget, transactions, now = new Date(), settings = {}) {
+    const period = budget.period || 'monthly';
+    const categories = Array.isArray(budget.categories) ? budget.categories : [];
+    const amount = Math.max(0, Number(budget.amount) || 0);
+    const options = { ...budget, ...settings };
+    const current = getPeriodRange(period, now, options);
+
+    const created = budget.rollover && budget.createdAt ? new Date(budget.createdAt) : now;
+    const first = Number.isNaN(created.getTime()) || created > now ? now : created;
+    let { start, end } = getPeriodRange(period, first, options);
+
+    const ledger = [];
+    let carry = 0;
+    while (start.getTime() <= current.start.getTime()) {
+        const carriedOver = budget.rollover ? carry : 0;
+        const available = roundCurrency(amount + carriedOver);
+        const spent = roundCurrency(sumSpending(transactions, start, end, categories));
+        const balance = roundCurrency(available - spent);
+        ledger.push({ periodStart: start, periodEnd: end, amount, carriedOver, available, spent, balance });
+        carry = balance;
+        const next = getPeriodRange(period, end, options);
+        if (next.start.getTime() <= start.getTime()) break; // Non-repeating (custom) periods
+        ({ start, end } = next);
+    }
+    return ledger;
+}
+
+/**
+ * Percentage of the available amount used; an exhausted (zero or negative) allowance counts as 100%.
+ * @param {number} spent
+ * @param {number} available
+ * @returns {number}
+ */
+export function utilizationPercent(spent, available) {
+    if (available > 0) return (spent / available) * 100;
+    return available < 0 || spent > 0 ? 100 : 0;
+}
+
+/**
+ * Compute a budget's status for the period containing `now` (including any rolled-over amount).
+ * @param {{id:string,period?:string,amount:number,categories?:string[],rollover?:boolean}} budget
+ * @param {Array} transactions - All of the user's transactions
+ * @param {Date} [now]
+ * @param {{weekStartsOn?:number,timezone?:string}} [settings] - The user's period settings
+ * @returns {{budgetId:string,period:string,categories:string[],rollover:boolean,periodStart:Date,periodEnd:Date,amount:number,carriedOver:number,available:number,spent:number,remaining:number,utilization:number,daysLeft:number}}
+ */
+export function computeBudgetStatus(budget, transactions, now = new Date(), settings = {}) {
+    const period = budget.period || 'monthly';
+    const categories = Array.isArray(budget.categories) ? budget.categories : [];
+    const ledger = buildBudgetLedger(budget, transactions, now, settings);
+    const { periodStart, periodEnd, amount, carriedOver, available, spent, balance } = ledger[ledger.length - 1];
+
+    return {
+        budgetId: String(budget.id),
+        period,
+        categories,
+        rollover: !!budget.rollover,
+        periodStart,
+        periodEnd,
+        amount,
+        carriedOver,
+        available,
+        spent,
+        remaining: balance,
+        utilization: Math.round(utilizationPercent(spent, available) * 10) / 10,
+        daysLeft: Math.max(0, Math.ceil((periodEnd.getTime() - now.getTime()) / DAY_MS)),
+    };
+}
@@ -0,0 +1,142 @@
+/**
+ * Module: recurring.js
+ * Purpose: Schedule math for recurring transactions and the in-process scheduler that materializes due occurrences.
+ * Notes: Progress lives in each record's `nextRunDate`/`occurrences`, so a restart simply resumes (catching up on
+ *        anything missed). Every created transaction carries `recurringId` + `occurrenceDate`; an occurrence is only
+ *        created when no such transaction exists, and the record is advanced with a compare-and-set, so the same
+ *        occurrence is never created twice.
+ */
+import {
+    listDueRecurring,
+    advanceRecurring,
+    findOccurrenceTransaction,
+    createTransaction,
+    getUserSettings,
+} from './store.js';
+import { formatLocalDate, parseLocalDate } from './periods.js';
+
+export const RECURRING_FREQUENCIES = ['weekly', 'monthly', 'custom'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+// Upper bound on occurrences created for one record per run (protects against very old start dates).
+const MAX_CATCH_UP = 120;
+
+const pad = (value) => String(value).padStart(2, '0');
+const formatUtcDate = (date) => `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+
+/**
+ * Calendar date ("YYYY-MM-DD") of the n-th occurrence (0 = `startDate`). Weekly and custom schedules step
+ * by `interval` weeks or days; monthly schedules step by `interval` months, keeping the start day of month
+ * where possible (a schedule starting on the 31st runs on the last day of shorter months).
+ * @param {{frequency:string,interval?:number,startDate:string}} schedule
+ * @param {number} index
+ * @returns {string}
+ */
+export function getOccurrenceDate({ frequency, interval = 1, startDate }, index) {
+    const [year, month, day] = startDate.split('-').map(Number);
+    if (frequency === 'monthly') {
+        const target = new Date(Date.UTC(year, month - 1 + index * interval, 1));
+        const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+        target.setUTCDate(Math.min(day, lastDay));
+        return formatUtcDate(target);
+    }
+    const stepDays = frequency === 'weekly' ? 7 * interval : interval;
+    return formatUtcDate(new Date(Date.UTC(year, month - 1, day + index * stepDays)));
+}
+
+/**
+ * Create the due occurrences of one recurring record up to `today` (in the user's timezone).
+ * @param {Object} recurring
+ * @param {Date} now
+ * @param {{timezone?:string|null}} settings
+ * @returns {Promise<number>} Number of transactions created
+ */
+async function materializeRecurring(recurring, now, settings) {
+    const timezone = settings?.timezone || undefined;
+    const today = formatLocalDate(now, timezone);
+    const { auth0_id, id } = recurring;
+    let current = recurring;
+    let created = 0;
+
+    for (let step = 0; current?.active && current.nextRunDate <= today && step < MAX_CATCH_UP; step += 1) {
+        const occurrenceDate = current.nextRunDate;
+        if (!(await findOccurrenceTransaction(auth0_id, id, occurrenceDate))) {
+            try {
+                await createTransaction(auth0_id, {
+                    amount: current.amount,
+                    type: current.type || 'expense',
+                    category: current.category,
+                    description: current.description,
+                    date: parseLocalDate(occurrenceDate, timezone).toISOString(),
+                    recurringId: id,
+                    occurrenceDate,
+                });
+                created += 1;
+            } catch (err) {
+                // A concurrent run created it first (unique index); fall through and advance
+                if (err?.code !== 11000) throw err;
+            }
+        }
+        const occurrences = (current.occurrences || 0) + 1;
+        current = await advanceRecurring(auth0_id, id, occurrenceDate, {
+            occurrences,
+            nextRunDate: getOccurrenceDate(current, occurrences),
+            lastRunAt: now,
+        });
+    }
+    return created;
+}
+
+/**
+ * Materialize every due occurrence (for all users, or one user) through `createTransaction`.
+ * Failures are logged per record so one bad record does not block the rest.
+ * @param {Date} [now]
+ * @param {string} [auth0_id] - Restrict to one user
+ * @returns {Promise<number>} Number of transactions created
+ */
+export async function materializeDueRecurring(now = new Date(), auth0_id) {
+    // Timezones run up to a day ahead of UTC; each record is re-checked against its user's own "today"
+    const horizon = formatLocalDate(new Date(now.getTime() + DAY_MS), 'UTC');
+    const due = await listDueRecurring(horizon, auth0_id);
+    const settingsByUser = new Map();
+    let created = 0;
+
+    for (const recurring of due) {
+        try {
+            if (!settingsByUser.has(recurring.auth0_id)) {
+                settingsByUser.set(recurring.auth0_id, await getUserSettings(recurring.auth0_id));
+            }
+            created += await materializeRecurring(recurring, now, settingsByUser.get(recurring.auth0_id));
+        } catch (err) {
+            console.error(`Recurring transaction ${recurring.id} failed`, err);
+        }
+    }
+    return created;
+}
+
+/**
+ * Start the in-process scheduler: runs immediately, then every `intervalMs`. Runs never overlap.
+ * @param {{intervalMs?:number}} [options]
+ * @returns {() => void} Stops the scheduler
+ */
+export function startRecurringScheduler({ intervalMs = DEFAULT_INTERVAL_MS } = {}) {
+    let running = false;
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const created = await materializeDueRecurring();
+            if (created) console.log(`Recurring scheduler: created ${created} transaction(s)`);
+        } catch (err) {
+            console.error('Recurring scheduler run failed', err);
+        } finally {
+            running = false;
+        }
+    };
+
+    tick();
+    const timer = setInterval(tick, intervalMs);
+    timer.unref?.();
+    return () => clearInterval(timer);
+}
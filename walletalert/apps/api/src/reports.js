@@ -0,0 +1,190 @@
+/**
+ * Spending and income summaries for reports and charts: totals per day, week, month or category over
+ * an optional date range. Days, weeks and months start at midnight in the user's timezone and weeks on
+ * their `weekStartsOn` day, matching the budget periods in periods.js. The in-memory store groups with
+ * groupTransactions; Mongo groups with an aggregation pipeline (see store.js), and both finish with
+ * finishSummary so the output is identical. Category rows can be rolled up from subcategories to their
+ * parent categories (rollupCategoryRows), or narrowed to one parent and its subcategories.
+ */
+
+import {
+    DEFAULT_WEEK_STARTS_ON,
+    formatLocalDate,
+    getPeriodRange,
+    getTransactionDate,
+    isIncomeTransaction,
+    matchesBudgetCategories,
+    parseLocalDate,
+    parseLocalDayEnd,
+} from './periods.js';
+
+export const REPORT_GROUPINGS = ['day', 'week', 'month', 'category'];
+export const REPORT_TYPES = ['expense', 'income'];
+// `rollup` values: `parent` sums subcategories into their parent category
+export const REPORT_ROLLUPS = ['parent'];
+
+const roundCurrency = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+/**
+ * The [start, end) range of the day, week or month containing `date`.
+ * @param {Date} date
+ * @param {'day'|'week'|'month'} groupBy
+ * @param {{timezone?:string,weekStartsOn?:number}} [settings]
+ * @returns {{start:Date,end:Date}}
+ */
+export function groupRange(date, groupBy, settings = {}) {
+    const { timezone } = settings;
+    if (groupBy === 'day') return { start: parseLocalDate(date, timezone), end: parseLocalDayEnd(date, timezone) };
+    return getPeriodRange(groupBy === 'week' ? 'weekly' : 'monthly', date, {
+        timezone,
+        weekStartsOn: Number.isInteger(settings.weekStartsOn) ? settings.weekStartsOn : DEFAULT_WEEK_STARTS_ON,
+    });
+}
+
+// Category groups are keyed case- and whitespace-insensitively, like budget category scopes
+const categoryKey = (name) => String(name || '').trim().toLowerCase();
+
+/**
+ * Check whether a transaction passes the summary filters (positive amount, date range, categories, type).
+ * @param {Object} tx
+ * @param {{start?:Date,end?:Date,categories?:string[],type?:string}} options
+ * @returns {boolean}
+ */
+export function matchesSummaryFilters(tx, { start, end, categories, type } = {}) {
+    const amount = Number(tx.amount);
+    if (!Number.isFinite(amount) || amount <= 0) return false;
+    if (type && (type === 'income') !== isIncomeTransaction(tx)) return false;
+    if (!matchesBudgetCategories(tx, categories)) return false;
+    if (!start && !end) return true;
+    const date = getTransactionDate(tx);
+    return Boolean(date) && !(start && date < start) && !(end && date >= end);
+}
+
+/**
+ * Group transactions into summary rows (unrounded, unordered) for finishSummary.
+ * @param {Array<Object>} transactions
+ * @param {{groupBy:string,start?:Date,end?:Date,categories?:string[],type?:string,timezone?:string,weekStartsOn?:number}} options
+ * @returns {Array<{start?:Date,category?:string,spent:number,income:number,count:number}>}
+ */
+export function groupTransactions(transactions, options) {
+    const rows = new Map();
+    for (const tx of transactions) {
+        if (!matchesSummaryFilters(tx, options)) continue;
+        let key;
+        let row;
+        if (options.groupBy === 'category') {
+            key = categoryKey(tx.category);
+            row = rows.get(key) || { category: String(tx.category || '').trim(), spent: 0, income: 0, count: 0 };
+        } else {
+            const date = getTransactionDate(tx);
+            if (!date) continue;
+            const { start } = groupRange(date, options.groupBy, options);
+            key = start.getTime();
+            row = rows.get(key) || { start, spent: 0, income: 0, count: 0 };
+        }
+        const amount = Number(tx.amount);
+        if (isIncomeTransaction(tx)) row.income += amount;
+        else row.spent += amount;
+        row.count += 1;
+        rows.set(key, row);
+    }
+    return [...rows.values()];
+}
+
+/**
+ * Turn summary rows into the response groups and totals. Date groups are oldest first and carry their
+ * `key` ("YYYY-MM-DD" of the first day) and [start, end) instants; category groups are largest
+ * spending first and keyed by category name ("Uncategorized" when missing).
+ * @param {Array<{start?:Date,category?:string,spent:number,income:number,count:number}>} rows
+ * @param {{groupBy:string,timezone?:string,weekStartsOn?:number}} options
+ * @returns {{groups:Array<Object>,totals:{spent:number,income:number,count:number}}}
+ */
+export function finishSummary(rows, options) {
+    const totals = { spent: 0, income: 0, count: 0 };
+    const groups = rows.map(row => {
+        totals.spent += row.spent;
+        totals.income += row.income;
+        totals.count += row.count;
+        const amounts = { spent: roundCurrency(row.spent), income: roundCurrency(row.income), count: row.count };
+        if (options.groupBy === 'category') return { key: row.category || 'Uncategorized', ...amounts };
+        const { start, end } = groupRange(row.start, options.groupBy, options);
+        return { key: formatLocalDate(start, options.timezone), start, end, ...amounts };
+    });
+    if (options.groupBy === 'category') {
+        groups.sort((a, b) => b.spent - a.spent || b.income - a.income || a.key.localeCompare(b.key));
+    } else {
+        groups.sort((a, b) => a.start - b.start);
+    }
+    return {
+        groups,
+        totals: { spent: roundCurrency(totals.spent), income: roundCurrency(totals.income), count: totals.count },
+    };
+}
+
+/**
+ * Summarize an in-memory transaction list.
+ * @param {Array<Object>} transactions
+ * @param {Object} options - See groupTransactions
+ * @returns {{groups:Array<Object>,totals:{spent:number,income:number,count:number}}}
+ */
+export function summarizeTransactionList(transactions, options) {
+    return finishSummary(groupTransactions(transactions, options), options);
+}
+
+/**
+ * The category each category's spending rolls up to: a subcategory's parent, or the category itself.
+ * @param {Array<{id:string,name:string,parentId?:string}>} categories
+ * @returns {Map<string,string>} Lowercased category name -> name of the category it rolls up to
+ */
+export function categoryRollupNames(categories = []) {
+    const byId = new Map(categories.map(category => [String(category.id), category]));
+    return new Map(categories.map(category => {
+        const parent = category.parentId ? byId.get(String(category.parentId)) : null;
+        return [categoryKey(category.name), (parent || category).name.trim()];
+    }));
+}
+
+/**
+ * Names of a category and its subcategories, to drill into a parent category.
+ * @param {Array<{id:string,name:string,parentId?:string}>} categories
+ * @param {string} name
+ * @returns {string[]|null} Null when no category has that name
+ */
+export function categorySubtreeNames(categories = [], name) {
+    const root = categories.find(category => categoryKey(category.name) === categoryKey(name));
+    if (!root) return null;
+    const children = categories.filter(category => String(category.parentId) === String(root.id));
+    return [root, ...children].map(category => category.name.trim());
+}
+
+/**
+ * Roll category rows up to their parent categories: the rows of a parent and its subcategories become
+ * one row named after the parent, summing `spent`, `income` and `count` where present. Largest spending
+ * first, as finishSummary orders category groups.
+ * @param {Array<Object>} rows - finishSummary category groups, or summary report categories
+ * @param {Map<string,string>} rollupNames - From categoryRollupNames
+ * @param {string} [field='key'] - The field holding the category name (`category` for summary reports)
+ * @returns {Array<Object>}
+ */
+export function rollupCategoryRows(rows, rollupNames, field = 'key') {
+    const merged = new Map();
+    for (const row of rows) {
+        const name = rollupNames.get(categoryKey(row[field])) || row[field];
+        const current = merged.get(categoryKey(name));
+        if (!current) {
+            merged.set(categoryKey(name), { ...row, [field]: name });
+            continue;
+        }
+        for (const sum of ['spent', 'income', 'count']) {
+            if (typeof row[sum] === 'number') current[sum] = (current[sum] || 0) + row[sum];
+        }
+    }
+    return [...merged.values()]
+        .map(row => {
+            const rounded = { ...row };
+            if (typeof row.spent === 'number') rounded.spent = roundCurrency(row.spent);
+            if (typeof row.income === 'number') rounded.income = roundCurrency(row.income);
+            return rounded;
+        })
+        .sort((a, b) => b.spent - a.spent || (b.income || 0) - (a.income || 0) || String(a[field]).localeCompare(String(b[field])));
+}
@@ -0,0 +1,67 @@
+import express from "express";
+import {
+    buildAccountArchive,
+    validateAccountArchive,
+    hasAccountData,
+    restoreAccountArchive,
+} from "../account.js";
+import { deleteAccount } from "../store.js";
+import { formatLocalDate } from "../periods.js";
+
+const router = express.Router();
+
+/**
+ * Account routes: download the whole account as a versioned JSON archive and restore one
+ * (backup/restore, moving between deployments, data-portability requests), or delete the account.
+ */
+router.get("/export", async (req, res) => {
+    const sub = req.auth.payload.sub;
+    try {
+        const archive = await buildAccountArchive(sub);
+        const stamp = formatLocalDate(new Date(), archive.user.settings?.timezone || undefined);
+        res.setHeader("Content-Disposition", `attachment; filename="walletalert-account-${stamp}.json"`);
+        res.json(archive);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Restore an archive from GET /export. Body: `{ archive, merge? }`. An account that already has
+ * budgets, schedules or transactions is only added to with `merge: true`, so restoring twice by
+ * accident does not double everything.
+ */
+router.post("/import", async (req, res) => {
+    const sub = req.auth.payload.sub;
+    const { archive, merge = false } = req.body || {};
+    const error = validateAccountArchive(archive);
+    if (error) return res.status(400).json({ error });
+
+    try {
+        if (!merge && (await hasAccountData(sub))) {
+            return res.status(409).json({
+                error: "This account already has data. Pass merge: true to add the archive to it.",
+            });
+        }
+        const restored = await restoreAccountArchive(sub, archive);
+        res.status(201).json({ restored });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+/**
+ * Delete the account and all of its data. Responds with the number of documents removed per
+ * collection; signing in again starts a fresh account.
+ */
+router.delete("/", async (req, res) => {
+    const sub = req.auth.payload.sub;
+    try {
+        const removed = await deleteAccount(sub);
+        res.json({ removed });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+export default router;
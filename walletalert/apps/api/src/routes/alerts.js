@@ -0,0 +1,87 @@
+import express from "express";
+import { listAlerts, acknowledgeAlert, dismissAlert, snoozeAlert, ALERT_STATUSES } from "../store.js";
+
+const router = express.Router();
+
+const DEFAULT_SNOOZE_HOURS = 24;
+const MAX_SNOOZE_HOURS = 24 * 30;
+
+// Responding to an alert fails with 404 for an unknown alert and 400 when its status does not allow it
+const respondError = (res, err) =>
+    res.status(err.message === "Alert not found" ? 404 : 400).json({ error: err.message });
+
+/**
+ * Alert routes: list budget alerts and respond to them (acknowledge, dismiss, snooze).
+ */
+// List alerts, optionally filtered by ?status=active,acknowledged (snoozed alerts hidden unless includeSnoozed=true)
+router.get("/", async (req, res) => {
+    const sub = req.auth.payload.sub;
+    const { status, includeSnoozed } = req.query;
+
+    let statuses;
+    if (status) {
+        statuses = String(status).split(",").map(s => s.trim()).filter(Boolean);
+        if (!statuses.length || statuses.some(s => !ALERT_STATUSES.includes(s))) {
+            return res.status(400).json({ error: `Alert status must be one of: ${ALERT_STATUSES.join(", ")}.` });
+        }
+    }
+
+    try {
+        const alerts = await listAlerts(sub, { statuses, includeSnoozed: includeSnoozed === "true" });
+        res.json(alerts);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.post("/:id/acknowledge", async (req, res) => {
+    const sub = req.auth.payload.sub;
+    const { id } = req.params;
+    try {
+        const updated = await acknowledgeAlert(sub, id);
+        res.json(updated);
+    } catch (err) {
+        respondError(res, err);
+    }
+});
+
+router.post("/:id/dismiss", async (req, res) => {
+    const sub = req.auth.payload.sub;
+    const { id } = req.params;
+    try {
+        const updated = await dismissAlert(sub, id);
+        res.json(updated);
+    } catch (err) {
+        respondError(res, err);
+    }
+});
+
+// Snooze until an explicit ISO `until`, or for `hours` from now (default 24h, max 30 days)
+router.post("/:id/snooze", async (req, res) => {
+    const sub = req.auth.payload.sub;
+    const { id } = req.params;
+    const { until, hours } = req.body || {};
+
+    let snoozeUntil;
+    if (until !== undefined) {
+        snoozeUntil = new Date(until);
+        if (Number.isNaN(snoozeUntil.getTime())) {
+            return res.status(400).json({ error: "Snooze time must be a valid date." });
+        }
+    } else {
+        const normalizedHours = hours === undefined ? DEFAULT_SNOOZE_HOURS : Number(hours);
+        if (!Number.isFinite(normalizedHours) || normalizedHours <= 0 || normalizedHours > MAX_SNOOZE_HOURS) {
+            return res.status(400).json({ error: `Snooze hours must be between 0 and ${MAX_SNOOZE_HOURS}.` });
+        }
+        snoozeUntil = new Date(Date.now() + normalizedHours * 60 * 60 * 1000);
+    }
+
+    try {
+        const updated = await snoozeAlert(sub, id, snoozeUntil);
+        res.json(updated);
+    } catch (err) {
+        respondError(res, err);
+    }
+});
+
+export default router;
@@ -1,6 +1,7 @@
 import express from "express";
-import { upsertUser } from "../store.js";
+import { upsertUser, getUserSettings } from "../store.js";
 import { checkJwt } from "../auth.js";
+import { isValidTimezone } from "../periods.js";
 
 const router = express.Router();
 
@@ -12,13 +13,20 @@ router.get("/", (req, res) => {
     res.status(405).json({ error: "Method Not Allowed", message: "Bootstrap is POST-only. Use POST /api/bootstrap" });
 });
 
-// Protected bootstrap: take auth0_id from validated token (req.auth.payload.sub)
+// Protected bootstrap: take auth0_id from validated token (req.auth.payload.sub).
+// An optional body `timezone` (the browser's) seeds the user's settings until they choose one.
 router.post("/", checkJwt, async (req, res) => {
     const auth0_id = req.auth?.payload?.sub;
     const email = req.auth?.payload?.email || null;
     if (!auth0_id) return res.status(400).json({ error: "auth0_id missing in token" });
 
-    const { user, created } = await upsertUser(auth0_id, email);
+    const timezone = req.body?.timezone;
+    const settings = {};
+    if (isValidTimezone(timezone) && !(await getUserSettings(auth0_id)).timezone) {
+        settings.timezone = timezone.trim();
+    }
+
+    const { user, created } = await upsertUser(auth0_id, email, settings);
     if (created) return res.status(201).json({ user, created: true });
     return res.status(200).json({ user, created: false });
 });
@@ -1,5 +1,16 @@
 import express from "express";
-import { listBudgets, createBudget, updateBudget, deleteBudget } from "../store.js";
+import { listBudgets, createBudget, updateBudget, deleteBudget, categoryExists, listTransactions, getUserSettings } from "../store.js";
+import { computeBudgetStatus, BUDGET_PERIODS, formatLocalDate } from "../periods.js";
+import {
+    AMOUNT_ERROR,
+    PERIOD_ERROR,
+    ROLLOVER_ERROR,
+    THRESHOLDS_ERROR,
+    normalizeAlertThresholds,
+    normalizeBudgetCategories,
+    normalizeNewBudget,
+    normalizePeriodFields,
+} from "../budgetFields.js";
 
 const router = express.Router();
 
@@ -8,25 +19,20 @@ const router = express.Router();
  */
 // Create a new budget
 router.post("/", async (req, res) => {
-    const { period, amount, categories } = req.body;
     const sub = req.auth.payload.sub; // auth0 user id
 
-    const normalizedAmount = Number(amount);
-    if (!Number.isFinite(normalizedAmount) || normalizedAmount <= 0) {
-        return res.status(400).json({ error: "Budget amount must be greater than zero." });
-    }
-
-    const allowedPeriods = ["weekly", "monthly"];
-    if (period && !allowedPeriods.includes(period)) {
-        return res.status(400).json({ error: "Budget period must be weekly or monthly." });
-    }
+    const { fields, error } = await normalizeNewBudget(req.body || {}, {
+        hasCategory: (name, type) => categoryExists(sub, name, type),
+        // "Today" in the user's timezone
+        defaultAnchorDate: async () => {
+            const settings = await getUserSettings(sub);
+            return formatLocalDate(new Date(), settings?.timezone || undefined);
+        },
+    });
+    if (error) return res.status(400).json({ error });
 
     try {
-        const budget = await createBudget(sub, {
-            period: period || "weekly",
-            amount: normalizedAmount,
-            categories,
-        });
+        const budget = await createBudget(sub, fields);
         res.status(201).json(budget);
     } catch (error) {
         res.status(400).json({ error: error.message });
@@ -45,6 +51,42 @@ router.get("/", async (req, res) => {
     }
 });
 
+// Current-period status (spent, remaining, utilization, days left) for every budget
+router.get("/status", async (req, res) => {
+    const sub = req.auth.payload.sub;
+
+    try {
+        const [budgets, transactions, settings] = await Promise.all([
+            listBudgets(sub),
+            listTransactions(sub),
+            getUserSettings(sub),
+        ]);
+        const now = new Date();
+        res.json(budgets.map(budget => computeBudgetStatus(budget, transactions, now, settings)));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Current-period status for a single budget
+router.get("/:id/status", async (req, res) => {
+    const sub = req.auth.payload.sub;
+    const { id } = req.params;
+
+    try {
+        const [budgets, transactions, settings] = await Promise.all([
+            listBudgets(sub),
+            listTransactions(sub),
+            getUserSettings(sub),
+        ]);
+        const budget = budgets.find(b => String(b.id) === id);
+        if (!budget) return res.status(404).json({ error: "Budget not found" });
+        res.json(computeBudgetStatus(budget, transactions, new Date(), settings));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Update a budget
 router.put('/:id', async (req, res) => {
     const sub = req.auth.payload.sub;
@@ -54,16 +96,37 @@ router.put('/:id', async (req, res) => {
     if (changes.amount !== undefined) {
         const normalizedAmount = Number(changes.amount);
         if (!Number.isFinite(normalizedAmount) || normalizedAmount <= 0) {
-            return res.status(400).json({ error: "Budget amount must be greater than zero." });
+            return res.status(400).json({ error: AMOUNT_ERROR });
         }
         changes.amount = normalizedAmount;
     }
 
     if (changes.period) {
-        const allowedPeriods = ["weekly", "monthly"];
-        if (!allowedPeriods.includes(changes.period)) {
-            return res.status(400).json({ error: "Budget period must be weekly or monthly." });
+        if (!BUDGET_PERIODS.includes(changes.period)) {
+            return res.status(400).json({ error: PERIOD_ERROR });
+        }
+    }
+
+    const periodFields = normalizePeriodFields(changes.period, changes);
+    if (periodFields.error) return res.status(400).json({ error: periodFields.error });
+    Object.assign(changes, periodFields.fields);
+
+    if (changes.rollover !== undefined && typeof changes.rollover !== "boolean") {
+        return res.status(400).json({ error: ROLLOVER_ERROR });
+    }
+
+    if (changes.categories !== undefined) {
+        const scope = await normalizeBudgetCategories(changes.categories, (name, type) => categoryExists(sub, name, type));
+        if (scope.error) return res.status(400).json({ error: scope.error });
+        changes.categories = scope.categories;
+    }
+
+    if (changes.alertThresholds !== undefined) {
+        const thresholds = normalizeAlertThresholds(changes.alertThresholds);
+        if (!thresholds) {
+            return res.status(400).json({ error: THRESHOLDS_ERROR });
         }
+        changes.alertThresholds = thresholds;
     }
 
     try {
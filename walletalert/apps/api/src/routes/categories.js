@@ -1,10 +1,12 @@
 import express from "express";
-import { listCategories, createCategory, updateCategory, deleteCategory } from "../store.js";
+import { listCategories, createCategory, updateCategory, mergeCategory, deleteCategory } from "../store.js";
 
 const router = express.Router();
 
 /**
- * Category routes: list, create, update emoji, and delete categories for the user.
+ * Category routes: list, create (expense or income, optionally under a `parentId`), rename, re-parent or update
+ * emoji and color, merge, and delete categories for the user. Merging, or deleting with `?reassignTo=<id>`, moves the
+ * category's expenses to another category.
  */
 router.get("/", async (req, res) => {
     const sub = req.auth.payload.sub;
@@ -18,10 +20,10 @@ router.get("/", async (req, res) => {
 
 router.post("/", async (req, res) => {
     const sub = req.auth.payload.sub;
-    const { name, emoji } = req.body;
+    const { name, emoji, type, parentId } = req.body;
 
     try {
-        const created = await createCategory(sub, name, emoji);
+        const created = await createCategory(sub, name, emoji, type, parentId);
         res.status(201).json(created);
     } catch (err) {
         res.status(400).json({ error: err.message });
@@ -31,22 +33,42 @@ router.post("/", async (req, res) => {
 router.put("/:id", async (req, res) => {
     const sub = req.auth.payload.sub;
     const { id } = req.params;
-    const { emoji } = req.body || {};
+    const body = req.body || {};
+    // Only the fields sent are changed, so a rename leaves the emoji and color alone and vice versa
+    const updates = {};
+    if ("name" in body) updates.name = body.name;
+    if ("emoji" in body) updates.emoji = body.emoji;
+    if ("color" in body) updates.color = body.color;
+    if ("parentId" in body) updates.parentId = body.parentId;
 
     try {
-        const updated = await updateCategory(sub, id, { emoji });
+        const updated = await updateCategory(sub, id, updates);
         res.json(updated);
     } catch (err) {
         res.status(400).json({ error: err.message });
     }
 });
 
+router.post("/:id/merge", async (req, res) => {
+    const sub = req.auth.payload.sub;
+    const { id } = req.params;
+    const { into } = req.body || {};
+
+    try {
+        const merged = await mergeCategory(sub, id, into);
+        res.json(merged);
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
 router.delete("/:id", async (req, res) => {
     const sub = req.auth.payload.sub;
     const { id } = req.params;
+    const { reassignTo } = req.query;
 
     try {
-        const removed = await deleteCategory(sub, id);
+        const removed = await deleteCategory(sub, id, { reassignTo });
         res.json({ removed });
     } catch (err) {
         res.status(400).json({ error: err.message });
@@ -0,0 +1,61 @@
+import express from "express";
+import { getUser, getUserSettings, upsertUser } from "../store.js";
+import { isValidTimezone } from "../periods.js";
+
+const router = express.Router();
+
+/**
+ * Validate settings changes: `weekStartsOn` (0 = Sunday … 6 = Saturday) and an IANA `timezone`
+ * (null clears it back to server-local time).
+ * @param {{weekStartsOn?:unknown,timezone?:unknown}} body
+ * @returns {{settings?:Object,error?:string}}
+ */
+const normalizeSettings = ({ weekStartsOn, timezone }) => {
+    const settings = {};
+
+    if (weekStartsOn !== undefined) {
+        const day = Number(weekStartsOn);
+        if (!Number.isInteger(day) || day < 0 || day > 6) {
+            return { error: "Week start must be a day number from 0 (Sunday) to 6 (Saturday)." };
+        }
+        settings.weekStartsOn = day;
+    }
+
+    if (timezone !== undefined) {
+        if (timezone !== null && !isValidTimezone(timezone)) {
+            return { error: "Timezone must be a valid IANA timezone name (e.g. America/New_York)." };
+        }
+        settings.timezone = timezone === null ? null : String(timezone).trim();
+    }
+
+    return { settings };
+};
+
+/**
+ * Profile routes: token identity plus the user's period settings (week start, timezone).
+ */
+router.get("/", async (req, res) => {
+    const sub = req.auth.payload.sub;
+    try {
+        const [user, settings] = await Promise.all([getUser(sub), getUserSettings(sub)]);
+        res.json({ sub, scopes: req.auth.payload.scope || null, email: user?.email || null, settings });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Update settings; only the provided fields change
+router.put("/", async (req, res) => {
+    const sub = req.auth.payload.sub;
+    const { settings, error } = normalizeSettings(req.body || {});
+    if (error) return res.status(400).json({ error });
+
+    try {
+        await upsertUser(sub, undefined, settings);
+        res.json({ sub, settings: await getUserSettings(sub) });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+export default router;
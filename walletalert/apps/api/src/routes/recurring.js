@@ -0,0 +1,179 @@
+import express from "express";
+import {
+    listRecurring,
+    getRecurring,
+    createRecurring,
+    updateRecurring,
+    deleteRecurring,
+    categoryExists,
+    getUserSettings,
+    TRANSACTION_TYPES,
+} from "../store.js";
+import { RECURRING_FREQUENCIES, materializeDueRecurring } from "../recurring.js";
+import { parseLocalDate, formatLocalDate } from "../periods.js";
+
+const router = express.Router();
+
+const MAX_INTERVAL = 365;
+
+/**
+ * Validate recurring transaction fields. With `partial`, only the provided fields are checked (PUT),
+ * against the `existing` record for the category/type pairing. Dates are normalized to "YYYY-MM-DD".
+ * @param {string} sub
+ * @param {Object} body
+ * @param {{partial?:boolean,existing?:Object}} [options]
+ * @returns {Promise<{fields?:Object,error?:string}>}
+ */
+const normalizeRecurring = async (sub, body, { partial = false, existing = null } = {}) => {
+    const { amount, category, description, frequency, interval, startDate, active, type } = body;
+    const fields = {};
+
+    if (!partial || type !== undefined) {
+        const normalizedType = type === undefined ? "expense" : type;
+        if (!TRANSACTION_TYPES.includes(normalizedType)) {
+            return { error: `Recurring type must be one of: ${TRANSACTION_TYPES.join(", ")}.` };
+        }
+        fields.type = normalizedType;
+    }
+
+    if (!partial || amount !== undefined) {
+        const normalizedAmount = Number(amount);
+        if (!Number.isFinite(normalizedAmount) || normalizedAmount <= 0) {
+            return { error: "Recurring amount must be greater than zero." };
+        }
+        fields.amount = normalizedAmount;
+    }
+
+    if (!partial || category !== undefined) {
+        if (!category || typeof category !== "string") {
+            return { error: "Recurring category is required." };
+        }
+        fields.category = category.trim();
+    }
+
+    if (fields.category !== undefined || fields.type !== undefined) {
+        const effectiveType = fields.type || existing?.type || "expense";
+        if (!(await categoryExists(sub, fields.category ?? existing?.category, effectiveType))) {
+            return {
+                error: effectiveType === "income"
+                    ? "Income category does not exist. Create it first before scheduling income."
+                    : "Category does not exist. Create it first before scheduling expenses.",
+            };
+        }
+    }
+
+    if (description !== undefined) {
+        fields.description = description === null ? "" : String(description).trim();
+    }
+
+    if (!partial || frequency !== undefined) {
+        if (!RECURRING_FREQUENCIES.includes(frequency)) {
+            return { error: `Recurring frequency must be one of: ${RECURRING_FREQUENCIES.join(", ")}.` };
+        }
+        fields.frequency = frequency;
+    }
+
+    if (!partial || interval !== undefined) {
+        const normalizedInterval = interval === undefined ? 1 : Number(interval);
+        if (!Number.isInteger(normalizedInterval) || normalizedInterval < 1 || normalizedInterval > MAX_INTERVAL) {
+            return { error: `Recurring interval must be a whole number between 1 and ${MAX_INTERVAL}.` };
+        }
+        fields.interval = normalizedInterval;
+    }
+
+    if (startDate !== undefined) {
+        const start = parseLocalDate(startDate);
+        if (!start) return { error: "Recurring start date must be a valid date." };
+        fields.startDate = formatLocalDate(start);
+    }
+
+    if (active !== undefined) {
+        if (typeof active !== "boolean") return { error: "Recurring active flag must be true or false." };
+        fields.active = active;
+    }
+
+    return { fields };
+};
+
+// Create due occurrences right away so the caller sees them without waiting for the scheduler
+const materializeForUser = async (sub) => {
+    try {
+        await materializeDueRecurring(new Date(), sub);
+    } catch (err) {
+        console.error("Recurring materialization failed", err);
+    }
+};
+
+/**
+ * Recurring transaction routes: expense or income schedules (weekly/monthly/custom-day interval)
+ * that the scheduler turns into transactions on each due date.
+ */
+router.get("/", async (req, res) => {
+    const sub = req.auth.payload.sub;
+    try {
+        res.json(await listRecurring(sub));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.post("/", async (req, res) => {
+    const sub = req.auth.payload.sub;
+    const { fields, error } = await normalizeRecurring(sub, req.body || {});
+    if (error) return res.status(400).json({ error });
+
+    try {
+        if (!fields.startDate) {
+            // Default to today in the user's timezone
+            const settings = await getUserSettings(sub);
+            fields.startDate = formatLocalDate(new Date(), settings?.timezone || undefined);
+        }
+        const created = await createRecurring(sub, fields);
+        await materializeForUser(sub);
+        res.status(201).json((await getRecurring(sub, created.id)) || created);
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Changing the schedule restarts it from `startDate` (or from the pending next run when no start date is given)
+router.put("/:id", async (req, res) => {
+    const sub = req.auth.payload.sub;
+    const { id } = req.params;
+
+    try {
+        const existing = await getRecurring(sub, id);
+        if (!existing) return res.status(404).json({ error: "Recurring transaction not found" });
+
+        const { fields, error } = await normalizeRecurring(sub, req.body || {}, { partial: true, existing });
+        if (error) return res.status(400).json({ error });
+
+        const rescheduled = ["frequency", "interval", "startDate"].some(
+            key => fields[key] !== undefined && fields[key] !== existing[key]
+        );
+        if (rescheduled) {
+            fields.startDate = fields.startDate || existing.nextRunDate;
+            fields.nextRunDate = fields.startDate;
+            fields.occurrences = 0;
+        }
+
+        await updateRecurring(sub, id, fields);
+        await materializeForUser(sub);
+        res.json(await getRecurring(sub, id));
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+router.delete("/:id", async (req, res) => {
+    const sub = req.auth.payload.sub;
+    const { id } = req.params;
+    try {
+        const removed = await deleteRecurring(sub, id);
+        res.json({ removed });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+export default router;
@@ -0,0 +1,212 @@
+import express from "express";
+import {
+    getSummaryReport,
+    getUser,
+    getUserSettings,
+    listBudgets,
+    listCategories,
+    listSummaryReports,
+    listTransactions,
+    summarizeTransactions,
+} from "../store.js";
+import {
+    REPORT_GROUPINGS,
+    REPORT_ROLLUPS,
+    REPORT_TYPES,
+    categoryRollupNames,
+    categorySubtreeNames,
+    rollupCategoryRows,
+} from "../reports.js";
+import {
+    DEFAULT_REPORT_PAGE_LIMIT,
+    MAX_REPORT_PAGE_LIMIT,
+    SUMMARY_REPORT_PERIODS,
+    generateSummaryReports,
+} from "../summaryReports.js";
+import { DAY_PATTERN, parseTransactionQuery } from "../transactionQuery.js";
+import { parseLocalDate } from "../periods.js";
+import {
+    STATEMENT_CONTENT_TYPES,
+    STATEMENT_FORMATS,
+    buildStatement,
+    parseStatementMonth,
+    renderStatementHtml,
+    renderStatementPdf,
+} from "../statements.js";
+
+const router = express.Router();
+
+// Check the `rollup` query parameter; returns an error message or null
+const rollupError = (rollup) => (rollup === undefined || REPORT_ROLLUPS.includes(rollup)
+    ? null
+    : `rollup must be one of: ${REPORT_ROLLUPS.join(", ")}.`);
+
+// Summary report categories rolled up to their parent categories (`names` from categoryRollupNames)
+const rollupReport = (report, names) => ({
+    ...report,
+    categories: rollupCategoryRows(report.categories, names, "category"),
+});
+
+/**
+ * Report routes: spending and income totals computed on the server so charts do not need every
+ * transaction, and the weekly/monthly summary report snapshots.
+ *
+ * GET /summary: Query `groupBy` (day, week, month or category; default month), inclusive `from`/`to`
+ * days ("YYYY-MM-DD" in the user's timezone), `category` (comma-separated or repeated) and `type`
+ * (expense or income; both by default). Periods follow the user's timezone and week start.
+ * Subcategories: `rollup=parent` (with groupBy=category) sums subcategories into their parent category,
+ * and `parent` (a category name, instead of `category`) drills into that category and its subcategories.
+ */
+router.get("/summary", async (req, res) => {
+    const sub = req.auth.payload.sub;
+    const { groupBy = "month", type, from, to, category, rollup, parent } = req.query;
+    if (!REPORT_GROUPINGS.includes(groupBy)) {
+        return res.status(400).json({ error: `groupBy must be one of: ${REPORT_GROUPINGS.join(", ")}.` });
+    }
+    if (type !== undefined && !REPORT_TYPES.includes(type)) {
+        return res.status(400).json({ error: `type must be one of: ${REPORT_TYPES.join(", ")}.` });
+    }
+    const invalidRollup = rollupError(rollup);
+    if (invalidRollup) return res.status(400).json({ error: invalidRollup });
+    if (rollup && groupBy !== "category") {
+        return res.status(400).json({ error: "rollup needs groupBy=category." });
+    }
+    if (parent !== undefined && (typeof parent !== "string" || category !== undefined)) {
+        return res.status(400).json({ error: "parent must be one category name, given instead of category." });
+    }
+
+    try {
+        const settings = await getUserSettings(sub);
+        const timezone = settings?.timezone || undefined;
+        const { options, error } = parseTransactionQuery({ from, to, category }, { timezone });
+        if (error) return res.status(400).json({ error });
+        const { start, end } = options;
+        let { categories } = options;
+        const userCategories = rollup || parent !== undefined ? await listCategories(sub) : [];
+        if (parent !== undefined) {
+            categories = categorySubtreeNames(userCategories, parent);
+            if (!categories) return res.status(400).json({ error: "Parent category not found." });
+        }
+        const summary = await summarizeTransactions(sub, {
+            groupBy,
+            start,
+            end,
+            categories,
+            type,
+            timezone,
+            weekStartsOn: settings?.weekStartsOn,
+        });
+        if (rollup) summary.groups = rollupCategoryRows(summary.groups, categoryRollupNames(userCategories));
+        res.json({
+            groupBy,
+            from: from || null,
+            to: to || null,
+            type: type || null,
+            rollup: rollup || null,
+            parent: parent ?? null,
+            ...summary,
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * GET /: The user's summary reports for one `period` (weekly or monthly; default monthly), newest first.
+ * Missing reports for closed periods are generated, and stale ones rebuilt, first. Page back with `before` (the `nextBefore` of
+ * the previous page, a "YYYY-MM-DD" day) and `limit` (1-60, default 12). `rollup=parent` rolls each
+ * report's categories up to their parent categories, using the current category tree.
+ */
+router.get("/", async (req, res) => {
+    const sub = req.auth.payload.sub;
+    const { period = "monthly", before, rollup } = req.query;
+    if (!SUMMARY_REPORT_PERIODS.includes(period)) {
+        return res.status(400).json({ error: `period must be one of: ${SUMMARY_REPORT_PERIODS.join(", ")}.` });
+    }
+    const invalidRollup = rollupError(rollup);
+    if (invalidRollup) return res.status(400).json({ error: invalidRollup });
+    const limit = req.query.limit === undefined ? DEFAULT_REPORT_PAGE_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_REPORT_PAGE_LIMIT) {
+        return res.status(400).json({ error: `limit must be a whole number between 1 and ${MAX_REPORT_PAGE_LIMIT}.` });
+    }
+    if (before !== undefined && !(typeof before === "string" && DAY_PATTERN.test(before) && parseLocalDate(before))) {
+        return res.status(400).json({ error: "before must be a date formatted as YYYY-MM-DD." });
+    }
+
+    try {
+        await generateSummaryReports(sub);
+        const settings = await getUserSettings(sub);
+        const found = await listSummaryReports(sub, {
+            period,
+            before: before ? parseLocalDate(before, settings?.timezone || undefined) : undefined,
+            limit: limit + 1,
+        });
+        const page = found.slice(0, limit);
+        const nextBefore = found.length > limit ? page[page.length - 1].key : null;
+        const names = rollup ? categoryRollupNames(await listCategories(sub)) : null;
+        const reports = names ? page.map(report => rollupReport(report, names)) : page;
+        res.json({ period, reports, nextBefore });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * GET /:period/statement.html and /:period/statement.pdf: The printable statement for the month `:period`
+ * ("YYYY-MM", in the user's timezone), rendered from the current data. The current month is allowed and
+ * marked "to date"; later months are not. The HTML is shown in the browser, the PDF is a download.
+ */
+router.get("/:period/statement.:format", async (req, res) => {
+    const sub = req.auth.payload.sub;
+    const { period, format } = req.params;
+    if (!STATEMENT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `Statement format must be one of: ${STATEMENT_FORMATS.join(", ")}.` });
+    }
+
+    try {
+        const settings = await getUserSettings(sub);
+        const range = parseStatementMonth(period, settings?.timezone || undefined);
+        if (!range) return res.status(400).json({ error: "period must be a month formatted as YYYY-MM." });
+        const now = new Date();
+        if (range.start > now) return res.status(400).json({ error: "Statements are available up to the current month." });
+
+        const [user, transactions, budgets, categories] = await Promise.all([
+            getUser(sub),
+            listTransactions(sub),
+            listBudgets(sub),
+            listCategories(sub),
+        ]);
+        const statement = buildStatement(period, range, {
+            transactions,
+            budgets,
+            categories,
+            settings,
+            email: user?.email || null,
+            now,
+        });
+        const disposition = format === "pdf" ? "attachment" : "inline";
+        res.setHeader("Content-Type", STATEMENT_CONTENT_TYPES[format]);
+        res.setHeader("Content-Disposition", `${disposition}; filename="walletalert-statement-${period}.${format}"`);
+        res.send(format === "pdf" ? renderStatementPdf(statement) : renderStatementHtml(statement));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /:id: One summary report (`rollup=parent` as for GET /), rebuilt first if a later write made it stale
+router.get("/:id", async (req, res) => {
+    const sub = req.auth.payload.sub;
+    const invalidRollup = rollupError(req.query.rollup);
+    if (invalidRollup) return res.status(400).json({ error: invalidRollup });
+    try {
+        await generateSummaryReports(sub);
+        const report = await getSummaryReport(sub, req.params.id);
+        if (!report) return res.status(404).json({ error: "Report not found" });
+        if (!req.query.rollup) return res.json(report);
+        res.json(rollupReport(report, categoryRollupNames(await listCategories(sub))));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+export default router;
@@ -1,77 +1,429 @@
 import express from "express";
-import { listTransactions, createTransaction, updateTransaction, deleteTransaction, categoryExists } from "../store.js";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import {
+    listTransactions,
+    queryTransactions,
+    searchTransactions,
+    getTransaction,
+    createTransaction,
+    createTransactions,
+    findImportedExternalIds,
+    findDuplicateCandidates,
+    updateTransaction,
+    deleteTransaction,
+    categoryExists,
+    listCategories,
+    getUserSettings,
+    isValidTransactionId,
+    TRANSACTION_TYPES,
+} from "../store.js";
+import { parseStatement } from "../importers.js";
+import {
+    EXPORT_FORMATS,
+    EXPORT_CONTENT_TYPES,
+    toExportRecords,
+    exportTransactions,
+} from "../exporters.js";
+import { formatLocalDate, getTransactionDate, matchesBudgetCategories, parseLocalDate } from "../periods.js";
+import {
+    findDuplicateOf,
+    findDuplicateClusters,
+    duplicateSearchRange,
+    DUPLICATE_WINDOW_MINUTES,
+    IMPORT_DUPLICATE_WINDOW_MINUTES,
+    MAX_DUPLICATE_WINDOW_MINUTES,
+} from "../duplicates.js";
+import { DAY_PATTERN, MAX_QUERY_LENGTH, parseListParam, parseTransactionQuery } from "../transactionQuery.js";
+import { DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT } from "../search.js";
 
 const router = express.Router();
 
+const TYPE_ERROR = `Transaction type must be one of: ${TRANSACTION_TYPES.join(', ')}.`;
+
+// Income must use an income category and expenses an expense category
+const missingCategoryError = (type) => type === 'income'
+    ? 'Income category does not exist. Create it first before logging income.'
+    : 'Category does not exist. Create it first before logging expenses.';
+
 /**
- * Transaction routes: CRUD for expenses with category validation.
+ * Validate transaction fields; shared by create, update and import so every path follows the same rules.
+ * With `partial`, only the provided fields are checked (PUT), against the `existing` transaction for
+ * the category/type pairing. Dates are normalized to ISO strings.
+ * @param {Object} body
+ * @param {{partial?:boolean,existing?:Object,hasCategory:(name:string,type:string)=>Promise<boolean>|boolean}} options
+ * @returns {Promise<{fields?:Object,error?:string}>}
  */
-router.post('/', async (req, res) => {
-    const sub = req.auth.payload.sub;
-    const { amount, category, date, description } = req.body;
+const normalizeTransaction = async (body, { partial = false, existing = null, hasCategory }) => {
+    const { amount, category, date, description, notes, type } = body;
+    const fields = {};
 
-    const normalizedAmount = Number(amount);
-    if (!Number.isFinite(normalizedAmount) || normalizedAmount <= 0) {
-        return res.status(400).json({ error: 'Expense amount must be greater than zero.' });
+    if (!partial || type !== undefined) {
+        const normalizedType = type === undefined ? 'expense' : type;
+        if (!TRANSACTION_TYPES.includes(normalizedType)) return { error: TYPE_ERROR };
+        fields.type = normalizedType;
     }
-    if (!category || typeof category !== 'string') {
-        return res.status(400).json({ error: 'Expense category is required.' });
+
+    if (!partial || amount !== undefined) {
+        const normalizedAmount = Number(amount);
+        if (!Number.isFinite(normalizedAmount) || normalizedAmount <= 0) {
+            return { error: 'Expense amount must be greater than zero.' };
+        }
+        fields.amount = normalizedAmount;
+    }
+
+    if (!partial || category !== undefined) {
+        if (!category || typeof category !== 'string') {
+            return { error: 'Expense category is required.' };
+        }
+        fields.category = category.trim();
+    }
+
+    // Re-check the category against the resulting type whenever either changes
+    if (fields.category !== undefined || fields.type !== undefined) {
+        const effectiveType = fields.type || existing?.type || 'expense';
+        if (!(await hasCategory(fields.category ?? existing?.category, effectiveType))) {
+            return { error: missingCategoryError(effectiveType) };
+        }
     }
 
-    const trimmedCategory = category.trim();
-    if (!(await categoryExists(sub, trimmedCategory))) {
-        return res.status(400).json({ error: 'Category does not exist. Create it first before logging expenses.' });
+    if (date !== undefined && date !== null && date !== '') {
+        const parsed = new Date(date);
+        if (Number.isNaN(parsed.getTime())) return { error: 'Transaction date must be a valid date.' };
+        fields.date = parsed.toISOString();
     }
 
+    if (description !== undefined) fields.description = description;
+    if (notes !== undefined) fields.notes = notes;
+
+    return { fields };
+};
+
+// `force=true` (query string or body) creates a transaction even when it looks like a duplicate
+const isForced = (req) => req.query.force === 'true' || req.body?.force === true;
+
+/**
+ * Transaction routes: CRUD for expenses and income with category validation, bulk import, and
+ * duplicate detection. A create that matches an existing transaction (same type, amount, category
+ * and description within DUPLICATE_WINDOW_MINUTES) is refused with 409 and the suspected match
+ * unless `force=true` is passed.
+ */
+router.post('/', async (req, res) => {
+    const sub = req.auth.payload.sub;
+    const { fields, error } = await normalizeTransaction(req.body || {}, {
+        hasCategory: (name, type) => categoryExists(sub, name, type),
+    });
+    if (error) return res.status(400).json({ error });
+
     try {
-        const tx = await createTransaction(sub, {
-            amount: normalizedAmount,
-            category: trimmedCategory,
-            date,
-            description,
-        });
+        if (!isForced(req)) {
+            const candidate = { ...fields, date: fields.date || new Date().toISOString() };
+            const nearby = await findDuplicateCandidates(sub, duplicateSearchRange([candidate]));
+            const duplicate = findDuplicateOf(candidate, nearby);
+            if (duplicate) {
+                return res.status(409).json({
+                    error: 'This looks like a duplicate of an existing transaction. Pass force=true to add it anyway.',
+                    duplicate,
+                });
+            }
+        }
+        const tx = await createTransaction(sub, fields);
         res.status(201).json(tx);
     } catch (err) {
         res.status(400).json({ error: err.message });
     }
 });
 
+/**
+ * Import a bank statement: CSV (with a column mapping), OFX/QFX or QIF. Body: `{ content, format?,
+ * mapping?, hasHeader?, dateFormat?, amountSign?, defaultCategory?, defaultIncomeCategory?, dryRun?,
+ * skipInvalid?, force? }` (`csv` is accepted in place of `content`; `format` defaults to auto-detection).
+ * Every row is validated with the same rules as POST /. Lines whose external id (account-scoped OFX
+ * FITID or QIF line hash) was imported before are skipped, so importing a file twice adds nothing; rows matching
+ * an existing transaction (see POST /, within IMPORT_DUPLICATE_WINDOW_MINUTES) are skipped as possible
+ * duplicates unless `force` is set. A dry run only
+ * reports; otherwise valid rows are inserted in one batch (refused while any row is invalid unless
+ * `skipInvalid` is set).
+ */
+router.post('/import', async (req, res) => {
+    const sub = req.auth.payload.sub;
+    const { content, csv, dryRun = false, skipInvalid = false, ...options } = req.body || {};
+    const text = content ?? csv;
+
+    if (typeof text !== 'string' || !text.trim()) {
+        return res.status(400).json({ error: 'Upload a statement file to import.' });
+    }
+
+    try {
+        const settings = await getUserSettings(sub);
+        const parsed = parseStatement(text, { ...options, timezone: settings?.timezone || undefined });
+        if (parsed.error) {
+            const { format, headers, mapping, error } = parsed;
+            return res.status(400).json({ error, format, headers, mapping });
+        }
+
+        // One category lookup for the whole file instead of one query per row
+        const categories = await listCategories(sub);
+        const hasCategory = (name, type) => categories.some(
+            c => c.name.toLowerCase() === String(name).toLowerCase() && (c.type || 'expense') === type
+        );
+        const imported = await findImportedExternalIds(
+            sub,
+            parsed.rows.map(row => row.input?.externalId).filter(Boolean)
+        );
+        // Rows are validated first; the valid ones are then checked for duplicates in one pass
+        const rows = [];
+        const valid = [];
+        for (const row of parsed.rows) {
+            if (!row.input) {
+                rows.push(row);
+                continue;
+            }
+            const { externalId } = row.input;
+            if (externalId && imported.has(externalId)) {
+                rows.push({ line: row.line, input: row.input, skipped: 'Already imported.' });
+                continue;
+            }
+            const { fields, error } = await normalizeTransaction(row.input, { hasCategory });
+            if (error) {
+                rows.push({ line: row.line, input: row.input, error });
+                continue;
+            }
+            valid.push({ index: rows.length, row, fields });
+            rows.push(null);
+        }
+
+        // Only existing transactions with a matching amount near the rows' dates can be duplicates, and
+        // each one can only account for one statement line
+        const windowMinutes = IMPORT_DUPLICATE_WINDOW_MINUTES;
+        const range = isForced(req) ? null : duplicateSearchRange(valid.map(entry => entry.fields), { windowMinutes });
+        const unmatched = range ? await findDuplicateCandidates(sub, range) : [];
+        const inserted = [];
+        for (const { index, row, fields } of valid) {
+            const duplicate = findDuplicateOf(fields, unmatched, { windowMinutes });
+            if (duplicate) {
+                unmatched.splice(unmatched.indexOf(duplicate), 1);
+                rows[index] = {
+                    line: row.line,
+                    input: row.input,
+                    skipped: 'Possible duplicate of an existing transaction.',
+                    duplicateOf: duplicate.id,
+                };
+                continue;
+            }
+            const { externalId } = row.input;
+            rows[index] = { line: row.line, transaction: externalId ? { ...fields, externalId } : fields };
+            inserted.push(rows[index]);
+        }
+
+        const report = {
+            dryRun: Boolean(dryRun),
+            format: parsed.format,
+            headers: parsed.headers,
+            mapping: parsed.mapping,
+            total: rows.length,
+            valid: inserted.length,
+            invalid: rows.filter(row => row.error).length,
+            skipped: rows.filter(row => row.skipped).length,
+            rows,
+        };
+        if (dryRun) return res.json(report);
+
+        if (report.invalid > 0 && !skipInvalid) {
+            return res.status(400).json({
+                ...report,
+                error: `${report.invalid} row(s) have errors. Fix them or import only the valid rows.`,
+            });
+        }
+        const created = await createTransactions(sub, inserted.map(row => row.transaction));
+        res.status(201).json({ ...report, imported: created.length });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+/**
+ * List transactions, newest first by default. Query: inclusive `from`/`to` days ("YYYY-MM-DD" in the
+ * user's timezone), `category` (comma-separated or repeated, case-insensitive), inclusive
+ * `minAmount`/`maxAmount`, `q` (text in the description, notes or category) and `sort` (`-date`, `date`,
+ * `-amount`, `amount`). Passing `limit` (default DEFAULT_PAGE_LIMIT) or `after` (a previous
+ * `nextCursor`) returns one page as `{transactions, nextCursor}`; otherwise every match is returned
+ * as an array.
+ */
 router.get('/', async (req, res) => {
     const sub = req.auth.payload.sub;
     try {
-        const txs = await listTransactions(sub);
-        res.json(txs);
+        const settings = await getUserSettings(sub);
+        const { options, error } = parseTransactionQuery(req.query, {
+            timezone: settings?.timezone || undefined,
+            isValidId: isValidTransactionId,
+        });
+        if (error) return res.status(400).json({ error });
+        const page = await queryTransactions(sub, options);
+        res.json(options.limit === undefined ? page.transactions : page);
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-router.put('/:id', async (req, res) => {
+/**
+ * Search transaction descriptions and notes, best match first. Query: `q` (required), `category`
+ * (comma-separated or repeated, case-insensitive) and `limit` (default DEFAULT_SEARCH_LIMIT). Each
+ * result carries its `score` and `highlights`: character ranges of the matching words per field.
+ */
+router.get('/search', async (req, res) => {
     const sub = req.auth.payload.sub;
-    const { id } = req.params;
-    const changes = { ...req.body };
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q || q.length > MAX_QUERY_LENGTH) {
+        return res.status(400).json({ error: `q is required and may be at most ${MAX_QUERY_LENGTH} characters.` });
+    }
+    const limit = req.query.limit === undefined ? DEFAULT_SEARCH_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+        return res.status(400).json({ error: `limit must be a whole number between 1 and ${MAX_SEARCH_LIMIT}.` });
+    }
+    try {
+        const results = await searchTransactions(sub, q, { categories: parseListParam(req.query.category), limit });
+        res.json({ q, results });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-    if (changes.amount !== undefined) {
-        const normalizedAmount = Number(changes.amount);
-        if (!Number.isFinite(normalizedAmount) || normalizedAmount <= 0) {
-            return res.status(400).json({ error: 'Expense amount must be greater than zero.' });
-        }
-        changes.amount = normalizedAmount;
+/**
+ * List clusters of likely duplicate transactions, newest first. Query: `windowMinutes` (how far
+ * apart matching transactions may be; defaults to DUPLICATE_WINDOW_MINUTES).
+ */
+router.get('/duplicates', async (req, res) => {
+    const sub = req.auth.payload.sub;
+    const windowMinutes = req.query.windowMinutes === undefined
+        ? DUPLICATE_WINDOW_MINUTES
+        : Number(req.query.windowMinutes);
+    if (!Number.isInteger(windowMinutes) || windowMinutes < 0 || windowMinutes > MAX_DUPLICATE_WINDOW_MINUTES) {
+        return res.status(400).json({
+            error: `windowMinutes must be a whole number between 0 and ${MAX_DUPLICATE_WINDOW_MINUTES}.`,
+        });
+    }
+    try {
+        const clusters = findDuplicateClusters(await listTransactions(sub), { windowMinutes });
+        res.json({ windowMinutes, clusters });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
     }
+});
 
-    if (changes.category !== undefined) {
-        if (!changes.category || typeof changes.category !== 'string') {
-            return res.status(400).json({ error: 'Expense category is required.' });
+/**
+ * Download transactions as CSV, JSON or OFX, streamed in chunks with backpressure. Query: `format` (default csv),
+ * inclusive `from`/`to` days ("YYYY-MM-DD" in the user's timezone) and `category` (comma-separated
+ * names, case-insensitive). Category names and emoji are resolved from the user's categories.
+ */
+router.get('/export', async (req, res) => {
+    const sub = req.auth.payload.sub;
+    const { format = 'csv', from, to, category } = req.query;
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `Export format must be one of: ${EXPORT_FORMATS.join(', ')}.` });
+    }
+
+    try {
+        const invalidDay = (value) => value !== undefined && !(DAY_PATTERN.test(value) && parseLocalDate(value));
+        if (invalidDay(from) || invalidDay(to)) {
+            return res.status(400).json({ error: 'from and to must be dates formatted as YYYY-MM-DD.' });
         }
-        const trimmedCategory = changes.category.trim();
-        if (!(await categoryExists(sub, trimmedCategory))) {
-            return res.status(400).json({ error: 'Category does not exist. Create it first before logging expenses.' });
+        if (from && to && to < from) {
+            return res.status(400).json({ error: 'to must be on or after from.' });
         }
-        changes.category = trimmedCategory;
+        const settings = await getUserSettings(sub);
+        const timezone = settings?.timezone || undefined;
+        const categories = typeof category === 'string' && category.trim()
+            ? category.split(',').map(name => name.trim()).filter(Boolean)
+            : [];
+
+        // Compare calendar days in the user's timezone; both bounds are inclusive
+        const transactions = (await listTransactions(sub)).filter(tx => {
+            const date = getTransactionDate(tx);
+            if (!date) return false;
+            const day = formatLocalDate(date, timezone);
+            if ((from && day < from) || (to && day > to)) return false;
+            return matchesBudgetCategories(tx, categories);
+        });
+        const records = toExportRecords(transactions, { categories: await listCategories(sub), timezone });
+
+        const stamp = formatLocalDate(new Date(), timezone);
+        res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+        res.setHeader('Content-Disposition', `attachment; filename="walletalert-transactions-${stamp}.${format}"`);
+        // pipeline waits for 'drain' whenever the response buffer is full, so a slow client never makes
+        // the whole export pile up in memory
+        await pipeline(Readable.from(exportTransactions(format, records, { from, to })), res);
+    } catch (err) {
+        if (res.headersSent) return res.end();
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * Merge duplicates into the transaction `:id`: deletes every transaction in `ids` and keeps the
+ * target, filling in its description and statement external id from the removed ones when missing
+ * (so re-importing the statement still recognizes the line).
+ */
+router.post('/:id/merge', async (req, res) => {
+    const sub = req.auth.payload.sub;
+    const { id } = req.params;
+    const { ids } = req.body || {};
+    if (!Array.isArray(ids) || !ids.length || ids.some(other => typeof other !== 'string')) {
+        return res.status(400).json({ error: 'ids must list the transactions to merge.' });
+    }
+    if (ids.includes(id)) {
+        return res.status(400).json({ error: 'A transaction cannot be merged into itself.' });
     }
 
     try {
-        const updated = await updateTransaction(sub, id, changes);
+        const target = await getTransaction(sub, id);
+        if (!target) throw new Error('Transaction not found');
+        const others = [];
+        for (const otherId of ids) {
+            const other = await getTransaction(sub, otherId);
+            if (!other) throw new Error('Transaction not found');
+            others.push(other);
+        }
+
+        const changes = {};
+        const description = others.find(other => other.description)?.description;
+        if (!target.description && description) changes.description = description;
+        const externalId = others.find(other => other.externalId)?.externalId;
+        if (!target.externalId && externalId) changes.externalId = externalId;
+
+        // Remove first: the external id is unique per user
+        const removed = [];
+        for (const other of others) removed.push(await deleteTransaction(sub, other.id));
+        const transaction = Object.keys(changes).length
+            ? await updateTransaction(sub, id, changes)
+            : target;
+        res.json({ transaction, removed });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+router.put('/:id', async (req, res) => {
+    const sub = req.auth.payload.sub;
+    const { id } = req.params;
+    const body = req.body || {};
+
+    try {
+        // The stored type/category are needed when only one of the pair changes
+        let existing = null;
+        if (body.category !== undefined || body.type !== undefined) {
+            existing = await getTransaction(sub, id);
+            if (!existing) throw new Error('Transaction not found');
+        }
+        const { fields, error } = await normalizeTransaction(body, {
+            partial: true,
+            existing,
+            hasCategory: (name, type) => categoryExists(sub, name, type),
+        });
+        if (error) return res.status(400).json({ error });
+
+        // Only the normalized fields: ids, owner and import/recurring markers are not client-editable
+        const updated = await updateTransaction(sub, id, fields);
         res.json(updated);
     } catch (err) {
         res.status(400).json({ error: err.message });
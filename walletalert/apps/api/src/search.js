@@ -0,0 +1,104 @@
+/**
+ * Transaction text search over descriptions and notes. Words are compared case-insensitively after a
+ * light English stemming (so "grocery" finds "Groceries"), and a query word also matches longer words
+ * it starts. The in-memory store ranks with scoreTransaction; Mongo ranks with its text index (same
+ * field weights) and both paths mark matches with highlightTransaction.
+ */
+
+import { getTransactionDate } from './periods.js';
+
+// Field weights, shared with the Mongo text index in db.js
+export const SEARCH_FIELDS = { description: 2, notes: 1 };
+export const DEFAULT_SEARCH_LIMIT = 50;
+export const MAX_SEARCH_LIMIT = 200;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Drop common plural and verb endings; short words are left alone
+function stem(word) {
+    if (word.length <= 4) return word;
+    if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    for (const suffix of ['ing', 'ed', 'es', 's']) {
+        if (word.endsWith(suffix) && word.length - suffix.length >= 3) return word.slice(0, -suffix.length);
+    }
+    return word;
+}
+
+/**
+ * Split text into words with their stems and positions.
+ * @param {string} text
+ * @returns {Array<{stem:string,start:number,end:number}>}
+ */
+export function tokenize(text) {
+    const tokens = [];
+    for (const match of String(text ?? '').matchAll(WORD_PATTERN)) {
+        tokens.push({ stem: stem(match[0].toLowerCase()), start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+}
+
+/**
+ * Distinct stemmed words of a search query.
+ * @param {string} q
+ * @returns {string[]}
+ */
+export function searchTerms(q) {
+    return [...new Set(tokenize(q).map(token => token.stem))];
+}
+
+// An exact word counts fully, a word the term only starts counts half
+const termWeight = (token, term) => (token.stem === term ? 1 : token.stem.startsWith(term) ? 0.5 : 0);
+
+/**
+ * Relevance of a transaction for the given terms (0 when nothing matches).
+ * @param {Object} tx
+ * @param {string[]} terms - From searchTerms
+ * @returns {number}
+ */
+export function scoreTransaction(tx, terms) {
+    let score = 0;
+    for (const [field, weight] of Object.entries(SEARCH_FIELDS)) {
+        const tokens = tokenize(tx[field]);
+        if (tokens.length === 0) continue;
+        const hits = tokens.reduce((sum, token) => sum + Math.max(...terms.map(term => termWeight(token, term))), 0);
+        // Matches in a short description count for more than the same matches in a long note
+        score += weight * hits / Math.sqrt(tokens.length);
+    }
+    return score;
+}
+
+/**
+ * Character ranges of the words matching `terms`, per searchable field that has a match.
+ * @param {Object} tx
+ * @param {string[]} terms
+ * @returns {Object<string, Array<[number, number]>>} e.g. `{description: [[0, 9]]}`
+ */
+export function highlightTransaction(tx, terms) {
+    const highlights = {};
+    for (const field of Object.keys(SEARCH_FIELDS)) {
+        const ranges = tokenize(tx[field])
+            .filter(token => terms.some(term => termWeight(token, term) > 0))
+            .map(token => [token.start, token.end]);
+        if (ranges.length > 0) highlights[field] = ranges;
+    }
+    return highlights;
+}
+
+/**
+ * Rank transactions against a query: best match first, newer first on equal scores.
+ * @param {Array<Object>} transactions
+ * @param {string} q
+ * @param {{limit?:number}} [options]
+ * @returns {Array<{transaction:Object,score:number,highlights:Object}>}
+ */
+export function rankTransactions(transactions, q, { limit = DEFAULT_SEARCH_LIMIT } = {}) {
+    const terms = searchTerms(q);
+    if (terms.length === 0) return [];
+    const time = (tx) => getTransactionDate(tx)?.getTime() || 0;
+    return transactions
+        .map(transaction => ({ transaction, score: scoreTransaction(transaction, terms) }))
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score || time(b.transaction) - time(a.transaction))
+        .slice(0, limit)
+        .map(result => ({ ...result, highlights: highlightTransaction(result.transaction, terms) }));
+}
@@ -0,0 +1,297 @@
+/**
+ * Module: statements.js
+ * Purpose: Printable monthly statements (for scholarship and financial-aid forms) rendered in-process as a
+ *          standalone HTML page or a PDF: the month's totals, category breakdown, budget comparison and
+ *          every transaction.
+ * Notes: Figures come from buildSummaryReport on the live data, so a statement always matches its own
+ *        transaction list. Categories use the user's colors and emoji like the app; the PDF's standard fonts
+ *        cannot draw emoji, so it shows each category's color swatch and initials instead.
+ */
+import { formatLocalDate, getPeriodRange, getTransactionDate, parseLocalDate } from './periods.js';
+import { buildSummaryReport } from './summaryReports.js';
+import { toExportRecords } from './exporters.js';
+import { getCategoryPresentation, presentationOptions } from './categoryPresentation.js';
+import { PAGE_SIZE, createPdfDocument, fitText, textWidth } from './pdf.js';
+
+export const STATEMENT_FORMATS = ['html', 'pdf'];
+
+export const STATEMENT_CONTENT_TYPES = {
+    html: 'text/html; charset=utf-8',
+    pdf: 'application/pdf',
+};
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const moneyFormatter = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' });
+const formatMoney = (value) => moneyFormatter.format(Number(value) || 0);
+
+const budgetScope = (budget) => (budget.categories?.length ? budget.categories.join(', ') : 'All spending');
+
+/**
+ * The [start, end) range of a "YYYY-MM" month in the user's timezone.
+ * @param {string} value
+ * @param {string} [timezone]
+ * @returns {{start:Date,end:Date}|null} Null when `value` is not a month
+ */
+export function parseStatementMonth(value, timezone) {
+    if (typeof value !== 'string' || !MONTH_PATTERN.test(value)) return null;
+    return getPeriodRange('monthly', parseLocalDate(`${value}-01`, timezone), { timezone });
+}
+
+/**
+ * Gather everything a statement shows for one month.
+ * @param {string} month - "YYYY-MM"
+ * @param {{start:Date,end:Date}} range - From parseStatementMonth
+ * @param {{transactions:Array,budgets:Array,categories:Array,settings?:Object,email?:string|null,now?:Date}} data
+ * @returns {Object} `{month, label, email, generatedAt, closed, totals, categories, budgets, transactions}`
+ */
+export function buildStatement(month, range, { transactions, budgets, categories, settings = {}, email = null, now = new Date() }) {
+    const timezone = settings?.timezone || undefined;
+    const report = buildSummaryReport('monthly', range, transactions, budgets, settings);
+    const options = presentationOptions(categories);
+    const inMonth = transactions.filter(tx => {
+        const date = getTransactionDate(tx);
+        return Number(tx.amount) > 0 && date && date >= range.start && date < range.end;
+    });
+
+    return {
+        month,
+        label: new Intl.DateTimeFormat('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' })
+            .format(new Date(`${month}-01T00:00:00.000Z`)),
+        email,
+        generatedAt: formatLocalDate(now, timezone),
+        closed: range.end <= now,
+        totals: {
+            spending: report.totalSpending,
+            income: report.totalIncome,
+            net: Math.round((report.totalIncome - report.totalSpending) * 100) / 100,
+            count: report.transactionCount,
+        },
+        categories: report.categories.map(row => {
+            const { color, emoji, initials } = getCategoryPresentation(row.category, options);
+            const share = report.totalSpending > 0 ? Math.round((row.spent / report.totalSpending) * 1000) / 10 : 0;
+            return { ...row, share, color, emoji, initials };
+        }),
+        budgets: report.budgets,
+        transactions: toExportRecords(inMonth, { categories, timezone }),
+    };
+}
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+}[char]));
+
+const STATEMENT_CSS = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #0f172a; margin: 32px; }
+h1 { font-size: 22px; margin: 0 0 4px; }
+h2 { font-size: 16px; margin: 28px 0 8px; }
+.meta { color: #64748b; font-size: 13px; margin: 0; }
+.totals { display: flex; gap: 24px; margin-top: 20px; }
+.totals div { border: 1px solid #e2e8f0; border-radius: 8px; padding: 10px 14px; min-width: 120px; }
+.totals span { display: block; color: #64748b; font-size: 12px; }
+.totals strong { font-size: 18px; }
+table { width: 100%; border-collapse: collapse; font-size: 13px; }
+th { text-align: left; color: #64748b; font-weight: 600; border-bottom: 1px solid #cbd5e1; padding: 6px 8px; }
+td { border-bottom: 1px solid #e2e8f0; padding: 6px 8px; }
+.num { text-align: right; white-space: nowrap; }
+.swatch { display: inline-block; width: 10px; height: 10px; border-radius: 2px; margin-right: 6px; }
+.over { color: #dc2626; font-weight: 600; }
+.empty { color: #64748b; font-size: 13px; }
+@media print { body { margin: 0; } tr { break-inside: avoid; } }
+`;
+
+/**
+ * Render a statement as a standalone, printable HTML page.
+ * @param {Object} statement - From buildStatement
+ * @returns {string}
+ */
+export function renderStatementHtml(statement) {
+    const { label, email, generatedAt, closed, totals } = statement;
+    const table = (headers, rows, empty) => (rows.length === 0
+        ? `<p class="empty">${empty}</p>`
+        : `<table><thead><tr>${headers.map(([text, cls]) => `<th${cls ? ` class="${cls}"` : ''}>${text}</th>`).join('')}</tr></thead>` +
+          `<tbody>${rows.join('')}</tbody></table>`);
+
+    const categoryRows = statement.categories.map(row =>
+        `<tr><td><span class="swatch" style="background:${escapeHtml(row.color)}"></span>${escapeHtml(row.emoji)} ${escapeHtml(row.category)}</td>` +
+        `<td class="num">${row.count}</td><td class="num">${row.share}%</td><td class="num">${formatMoney(row.spent)}</td></tr>`);
+    const budgetRows = statement.budgets.map(row =>
+        `<tr><td>${escapeHtml(budgetScope(row))}</td><td class="num">${formatMoney(row.available)}</td>` +
+        `<td class="num">${formatMoney(row.spent)}</td><td class="num">${formatMoney(row.remaining)}</td>` +
+        `<td>${row.exceeded ? '<span class="over">Over budget</span>' : 'Within budget'}</td></tr>`);
+    const transactionRows = statement.transactions.map(tx =>
+        `<tr><td>${escapeHtml(tx.date)}</td><td>${escapeHtml(tx.emoji)} ${escapeHtml(tx.category)}</td>` +
+        `<td>${escapeHtml(tx.description)}</td>` +
+        `<td class="num">${tx.type === 'income' ? '+' : ''}${formatMoney(tx.amount)}</td></tr>`);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>WalletAlert statement - ${escapeHtml(label)}</title>
+<style>${STATEMENT_CSS}</style>
+</head>
+<body>
+<h1>Monthly statement: ${escapeHtml(label)}${closed ? '' : ' (to date)'}</h1>
+<p class="meta">${email ? `Prepared for ${escapeHtml(email)} - ` : ''}Generated ${escapeHtml(generatedAt)} by WalletAlert</p>
+<div class="totals">
+<div><span>Spending</span><strong>${formatMoney(totals.spending)}</strong></div>
+<div><span>Income</span><strong>${formatMoney(totals.income)}</strong></div>
+<div><span>Net</span><strong>${formatMoney(totals.net)}</strong></div>
+<div><span>Transactions</span><strong>${totals.count}</strong></div>
+</div>
+<h2>Spending by category</h2>
+${table([['Category'], ['Transactions', 'num'], ['Share', 'num'], ['Spent', 'num']], categoryRows, 'No spending this month.')}
+<h2>Budget comparison</h2>
+${table([['Budget'], ['Available', 'num'], ['Spent', 'num'], ['Remaining', 'num'], ['Status']], budgetRows, 'No monthly budgets.')}
+<h2>Transactions</h2>
+${table([['Date'], ['Category'], ['Description'], ['Amount', 'num']], transactionRows, 'No transactions this month.')}
+</body>
+</html>
+`;
+}
+
+const MARGIN = 50;
+const ROW_HEIGHT = 16;
+const MUTED = '#64748b';
+
+/**
+ * Render a statement as a PDF (US Letter, continuing tables onto new pages as needed).
+ * @param {Object} statement - From buildStatement
+ * @returns {Buffer}
+ */
+export function renderStatementPdf(statement) {
+    const { label, email, generatedAt, closed, totals } = statement;
+    const pdf = createPdfDocument({ title: `WalletAlert statement - ${label}` });
+    const right = PAGE_SIZE.width - MARGIN;
+    let y = MARGIN;
+
+    const newPage = () => {
+        pdf.addPage();
+        y = MARGIN;
+    };
+    const ensureSpace = (height) => {
+        if (y + height > PAGE_SIZE.height - MARGIN) {
+            newPage();
+            return true;
+        }
+        return false;
+    };
+
+    // columns: [{title, x, width, align?}]; each row is a list of cells, a cell is text or {text, swatch}
+    const table = (title, columns, rows, empty) => {
+        ensureSpace(ROW_HEIGHT * 4);
+        y += 24;
+        pdf.text(MARGIN, y, title, { size: 13, bold: true });
+        const header = () => {
+            y += ROW_HEIGHT + 2;
+            columns.forEach(col => pdf.text(col.align === 'right' ? col.x + col.width : col.x, y, col.title, {
+                size: 9, bold: true, color: MUTED, align: col.align,
+            }));
+            pdf.line(MARGIN, y + 5, right, y + 5, '#cbd5e1');
+        };
+        if (rows.length === 0) {
+            y += ROW_HEIGHT + 2;
+            pdf.text(MARGIN, y, empty, { size: 10, color: MUTED });
+            return;
+        }
+        header();
+        for (const row of rows) {
+            if (ensureSpace(ROW_HEIGHT)) header();
+            y += ROW_HEIGHT;
+            row.forEach((cell, index) => {
+                const col = columns[index];
+                const { text, swatch, color } = typeof cell === 'object' ? cell : { text: cell };
+                let x = col.x;
+                let width = col.width;
+                if (swatch) {
+                    pdf.rect(x, y - 8, 9, 9, swatch);
+                    x += 14;
+                    width -= 14;
+                }
+                const fitted = fitText(text, width, 10);
+                pdf.text(col.align === 'right' ? col.x + col.width : x, y, fitted, { size: 10, align: col.align, color });
+            });
+            pdf.line(MARGIN, y + 5, right, y + 5);
+        }
+    };
+
+    pdf.text(MARGIN, y + 10, `Monthly statement: ${label}${closed ? '' : ' (to date)'}`, { size: 18, bold: true });
+    y += 30;
+    pdf.text(MARGIN, y, `${email ? `Prepared for ${email} - ` : ''}Generated ${generatedAt} by WalletAlert`, { size: 9, color: MUTED });
+
+    y += 20;
+    const boxWidth = (right - MARGIN - 3 * 12) / 4;
+    [
+        ['Spending', formatMoney(totals.spending)],
+        ['Income', formatMoney(totals.income)],
+        ['Net', formatMoney(totals.net)],
+        ['Transactions', String(totals.count)],
+    ].forEach(([name, value], index) => {
+        const x = MARGIN + index * (boxWidth + 12);
+        pdf.rect(x, y, boxWidth, 44, '#f1f5f9');
+        pdf.text(x + 10, y + 16, name, { size: 9, color: MUTED });
+        pdf.text(x + 10, y + 34, fitText(value, boxWidth - 20, 14, { bold: true }), { size: 14, bold: true });
+    });
+    y += 44;
+
+    table(
+        'Spending by category',
+        [
+            { title: 'Category', x: MARGIN, width: 280 },
+            { title: 'Transactions', x: 340, width: 70, align: 'right' },
+            { title: 'Share', x: 420, width: 50, align: 'right' },
+            { title: 'Spent', x: 480, width: right - 480, align: 'right' },
+        ],
+        statement.categories.map(row => [
+            { text: `${row.initials} ${row.category}`, swatch: row.color },
+            String(row.count),
+            `${row.share}%`,
+            formatMoney(row.spent),
+        ]),
+        'No spending this month.'
+    );
+
+    table(
+        'Budget comparison',
+        [
+            { title: 'Budget', x: MARGIN, width: 190 },
+            { title: 'Available', x: 250, width: 70, align: 'right' },
+            { title: 'Spent', x: 330, width: 70, align: 'right' },
+            { title: 'Remaining', x: 410, width: 70, align: 'right' },
+            { title: 'Status', x: 495, width: right - 495 },
+        ],
+        statement.budgets.map(row => [
+            budgetScope(row),
+            formatMoney(row.available),
+            formatMoney(row.spent),
+            formatMoney(row.remaining),
+            row.exceeded ? { text: 'Over budget', color: '#dc2626' } : 'Within budget',
+        ]),
+        'No monthly budgets.'
+    );
+
+    const amountWidth = textWidth('+$00,000.00', 10) + 4;
+    table(
+        'Transactions',
+        [
+            { title: 'Date', x: MARGIN, width: 65 },
+            { title: 'Category', x: 120, width: 130 },
+            { title: 'Description', x: 255, width: right - amountWidth - 265 },
+            { title: 'Amount', x: right - amountWidth, width: amountWidth, align: 'right' },
+        ],
+        statement.transactions.map(tx => [
+            tx.date,
+            tx.category,
+            tx.description,
+            `${tx.type === 'income' ? '+' : ''}${formatMoney(tx.amount)}`,
+        ]),
+        'No transactions this month.'
+    );
+
+    return pdf.toBuffer();
+}
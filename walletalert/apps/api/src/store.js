@@ -5,15 +5,35 @@
  * Design: Fallback enables fast local/unit testing without external services. Mongo path maps _id to id for uniformity.
  */
 import { ObjectId } from 'mongodb';
-import { getDb } from './db.js';
+import { getDb, supportsTransactions } from './db.js';
+import {
+    computeBudgetStatus,
+    getTransactionDate,
+    utilizationPercent,
+    matchesBudgetCategories,
+    DEFAULT_WEEK_STARTS_ON,
+} from './periods.js';
+import { escapeRegExp, pageTransactions, parseTransactionSort, toTransactionPage } from './transactionQuery.js';
+import { DEFAULT_SEARCH_LIMIT, highlightTransaction, rankTransactions, searchTerms } from './search.js';
+import { finishSummary, summarizeTransactionList } from './reports.js';
 
 // In-memory fallback storage for development/demo when Mongo is not configured.
-const memUsers = new Map(); // auth0_id -> { auth0_id, email, createdAt }
+const memUsers = new Map(); // auth0_id -> { auth0_id, email, settings, createdAt }
 const memBudgets = new Map(); // auth0_id -> [ { id, auth0_id, name, amount, createdAt } ]
 const memTx = new Map(); // auth0_id -> [ { id, auth0_id, amount, description, createdAt } ]
 const memCategories = new Map(); // auth0_id -> [ { id, auth0_id, name, emoji, createdAt } ]
+const memAlerts = new Map(); // auth0_id -> [ { id, auth0_id, budgetId, threshold, status, periodStart, spent, ... } ]
+const memRecurring = new Map(); // auth0_id -> [ { id, auth0_id, amount, category, frequency, interval, startDate, nextRunDate, ... } ]
+const memReports = new Map(); // auth0_id -> [ { id, auth0_id, period, key, periodStart, periodEnd, totalSpending, categories, budgets, ... } ]
 
 const DEFAULT_CATEGORIES = ['Groceries', 'Takeout', 'Utilities', 'Electronics', 'Other'];
+const DEFAULT_INCOME_CATEGORIES = ['Paycheck', 'Stipend', 'Other Income'];
+// Transactions and categories are expenses unless marked as income (legacy records have no type).
+export const TRANSACTION_TYPES = ['expense', 'income'];
+// Utilization percentages at which a budget raises an alert (overridable per budget via `alertThresholds`).
+export const DEFAULT_ALERT_THRESHOLDS = [50, 80, 100];
+// Period settings for users who have not chosen their own (timezone null = server-local time).
+export const DEFAULT_USER_SETTINGS = { weekStartsOn: DEFAULT_WEEK_STARTS_ON, timezone: null };
 
 function getCollections() {
     const db = getDb();
@@ -23,9 +43,33 @@ function getCollections() {
         budgetsCol: db.collection('budgets'),
         txCol: db.collection('transactions'),
         categoriesCol: db.collection('categories'),
+        alertsCol: db.collection('alerts'),
+        recurringCol: db.collection('recurring'),
+        reportsCol: db.collection('reports'),
     };
 }
 
+// Run `work(session)` in a Mongo transaction so its writes land together or not at all. A standalone
+// mongod has no transactions, so there `work()` runs without a session: its writes still go in order,
+// but a failure part way leaves the earlier ones applied.
+async function withTransaction(work) {
+    if (!(await supportsTransactions())) return work();
+    const session = getDb().client.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await work(session);
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+}
+
+function generateMemId() {
+    return `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
 function mapBudget(doc) {
     if (!doc) return null;
     const { _id, ...rest } = doc;
@@ -39,10 +83,45 @@ function mapTransaction(doc) {
         copy.id = String(copy._id);
         delete copy._id;
     }
+    copy.type = copy.type || 'expense';
+    delete copy.effectiveDate;
     return copy;
 }
 
 function mapCategory(doc) {
+    if (!doc) return null;
+    const copy = { ...doc };
+    if (copy._id) {
+        copy.id = String(copy._id);
+        delete copy._id;
+    }
+    copy.type = copy.type || 'expense';
+    return copy;
+}
+
+const categoryType = (category) => category?.type || 'expense';
+
+function mapAlert(doc) {
+    if (!doc) return null;
+    const copy = { ...doc };
+    if (copy._id) {
+        copy.id = String(copy._id);
+        delete copy._id;
+    }
+    return copy;
+}
+
+function mapRecurring(doc) {
+    if (!doc) return null;
+    const copy = { ...doc };
+    if (copy._id) {
+        copy.id = String(copy._id);
+        delete copy._id;
+    }
+    return copy;
+}
+
+function mapReport(doc) {
     if (!doc) return null;
     const copy = { ...doc };
     if (copy._id) {
@@ -64,37 +143,61 @@ function normalizeEmojiValue(value) {
     return glyphs.slice(0, 3).join('') || null;
 }
 
+// A category color is a `#rrggbb` hex color (stored lowercase); empty clears it back to the default
+function normalizeCategoryColor(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const color = String(value).trim().toLowerCase();
+    if (!/^#[0-9a-f]{6}$/.test(color)) throw new Error('Color must be a hex color like #4f46e5.');
+    return color;
+}
+
+// Default categories to seed: all of them for a new user, income defaults for users without income categories.
+function missingDefaultCategories(existing) {
+    const defaults = [];
+    if (!existing.length) {
+        defaults.push(...DEFAULT_CATEGORIES.map(name => ({ name, type: 'expense' })));
+    }
+    if (!existing.some(c => categoryType(c) === 'income')) {
+        const taken = new Set(existing.map(c => c.name.toLowerCase()));
+        defaults.push(
+            ...DEFAULT_INCOME_CATEGORIES
+                .filter(name => !taken.has(name.toLowerCase()))
+                .map(name => ({ name, type: 'income' }))
+        );
+    }
+    return defaults;
+}
+
 function ensureMemCategories(auth0_id) {
-    const list = memCategories.get(auth0_id);
-    if (list && list.length) return list;
-    const seeded = DEFAULT_CATEGORIES.map(name => ({
-        id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+    const list = memCategories.get(auth0_id) || [];
+    const seeded = missingDefaultCategories(list).map(({ name, type }) => ({
+        id: generateMemId(),
         auth0_id,
         name,
+        type,
         emoji: null,
         createdAt: new Date(),
     }));
-    memCategories.set(auth0_id, seeded);
-    return seeded;
+    if (seeded.length) memCategories.set(auth0_id, [...list, ...seeded]);
+    return memCategories.get(auth0_id);
 }
 
 async function ensureDbCategories(categoriesCol, auth0_id) {
     const existing = await categoriesCol.find({ auth0_id }).toArray();
-    if (existing.length) return existing;
-    const docs = DEFAULT_CATEGORIES.map(name => ({
+    const docs = missingDefaultCategories(existing).map(({ name, type }) => ({
         auth0_id,
         name,
+        type,
         emoji: null,
         createdAt: new Date(),
     }));
-    if (docs.length) {
-        try {
-            await categoriesCol.insertMany(docs, { ordered: false });
-        } catch (err) {
-            // Ignore duplicate key errors caused by concurrent seeding
-            if (!(err?.code === 11000)) {
-                throw err;
-            }
+    if (!docs.length) return existing;
+    try {
+        await categoriesCol.insertMany(docs, { ordered: false });
+    } catch (err) {
+        // Ignore duplicate key errors caused by concurrent seeding
+        if (!(err?.code === 11000)) {
+            throw err;
         }
     }
     return await categoriesCol.find({ auth0_id }).toArray();
@@ -103,25 +206,33 @@ async function ensureDbCategories(categoriesCol, auth0_id) {
 /**
  * Upsert (create or update) a user by Auth0 id.
  * @param {string} auth0_id
- * @param {string} email
+ * @param {string} [email] - Left unchanged when undefined
+ * @param {{weekStartsOn?:number,timezone?:string|null}} [settings] - Settings to change (validated by the caller)
  * @returns {Promise<{user:Object,created:boolean}>}
  */
-export async function upsertUser(auth0_id, email) {
+export async function upsertUser(auth0_id, email, settings = {}) {
     if (!auth0_id) return { user: null, created: false };
+    const changes = Object.fromEntries(
+        Object.entries(settings || {}).filter(([key, value]) => key in DEFAULT_USER_SETTINGS && value !== undefined)
+    );
     const cols = getCollections();
     if (!cols) {
         const existed = memUsers.has(auth0_id);
         const existing = memUsers.get(auth0_id) || { auth0_id, email, createdAt: new Date() };
         if (email) existing.email = email;
+        existing.settings = { ...existing.settings, ...changes };
         memUsers.set(auth0_id, existing);
         return { user: existing, created: !existed };
     }
 
     const { usersCol } = cols;
     const now = new Date();
+    const $set = { updatedAt: now, auth0_id };
+    if (email !== undefined) $set.email = email;
+    for (const [key, value] of Object.entries(changes)) $set[`settings.${key}`] = value;
     const res = await usersCol.findOneAndUpdate(
         { auth0_id },
-        { $set: { email, updatedAt: now, auth0_id }, $setOnInsert: { createdAt: now } },
+        { $set, $setOnInsert: { createdAt: now } },
         { upsert: true, returnDocument: 'after' }
     );
     const created = !!(res.lastErrorObject && res.lastErrorObject.upserted);
@@ -141,6 +252,16 @@ export async function getUser(auth0_id) {
     return await usersCol.findOne({ auth0_id });
 }
 
+/**
+ * Resolve a user's period settings, filling in defaults for anything not chosen yet.
+ * @param {string} auth0_id
+ * @returns {Promise<{weekStartsOn:number,timezone:string|null}>}
+ */
+export async function getUserSettings(auth0_id) {
+    const user = await getUser(auth0_id);
+    return { ...DEFAULT_USER_SETTINGS, ...user?.settings };
+}
+
 /**
  * List budgets for a user.
  * @param {string} auth0_id
@@ -168,12 +289,14 @@ export async function createBudget(auth0_id, budget) {
         const doc = { id, auth0_id, ...budget, createdAt: new Date() };
         list.push(doc);
         memBudgets.set(auth0_id, list);
+        await refreshBudgetAlerts(auth0_id);
         return doc;
     }
     const { budgetsCol } = cols;
     const doc = { auth0_id, ...budget, createdAt: new Date() };
     const res = await budgetsCol.insertOne(doc);
     const created = await budgetsCol.findOne({ _id: res.insertedId });
+    await refreshBudgetAlerts(auth0_id);
     return mapBudget(created);
 }
 
@@ -192,6 +315,7 @@ export async function updateBudget(auth0_id, id, changes) {
         if (idx === -1) throw new Error('Budget not found');
         list[idx] = { ...list[idx], ...changes };
         memBudgets.set(auth0_id, list);
+        await refreshBudgetAlerts(auth0_id);
         return list[idx];
     }
     const { budgetsCol } = cols;
@@ -202,6 +326,7 @@ export async function updateBudget(auth0_id, id, changes) {
         { returnDocument: 'after' }
     );
     if (!res.value) throw new Error('Budget not found');
+    await refreshBudgetAlerts(auth0_id);
     return mapBudget(res.value);
 }
 
@@ -219,12 +344,14 @@ export async function deleteBudget(auth0_id, id) {
         if (idx === -1) throw new Error('Budget not found');
         const [removed] = list.splice(idx, 1);
         memBudgets.set(auth0_id, list);
+        await refreshBudgetAlerts(auth0_id);
         return removed;
     }
     const { budgetsCol } = cols;
     const _id = new ObjectId(id);
     const res = await budgetsCol.findOneAndDelete({ _id, auth0_id });
     if (!res.value) throw new Error('Budget not found');
+    await refreshBudgetAlerts(auth0_id);
     return mapBudget(res.value);
 }
 
@@ -235,31 +362,373 @@ export async function deleteBudget(auth0_id, id) {
  */
 export async function listTransactions(auth0_id) {
     const cols = getCollections();
-    if (!cols) return memTx.get(auth0_id) || [];
+    const lookup = await categoryLookup(auth0_id);
+    if (!cols) return resolveCategories(memTx.get(auth0_id) || [], lookup);
     const { txCol } = cols;
     const docs = await txCol.find({ auth0_id }).toArray();
-    return docs.map(mapTransaction);
+    return resolveCategories(docs.map(mapTransaction), lookup);
+}
+
+// Mongo filter matching any of the category names the way matchesBudgetCategories does (trimmed, any case)
+function categoryNameFilter(categories) {
+    return { $in: categories.map(name => new RegExp(`^\\s*${escapeRegExp(name.trim())}\\s*$`, 'i')) };
+}
+
+// Transactions reference their category by `categoryId`, so renaming a category needs no transaction
+// updates. A name that matched none of the user's categories when written (or whose category was deleted)
+// stays as free text in `category`. Reads put the category's current name and emoji back on every
+// transaction, so callers always see `category` (the name) and `categoryEmoji`.
+
+// The user's categories by id and by name (trimmed, any case); read without seeding defaults
+async function categoryLookup(auth0_id) {
+    const cols = getCollections();
+    const categories = cols
+        ? (await cols.categoriesCol.find({ auth0_id }).toArray()).map(mapCategory)
+        : memCategories.get(auth0_id) || [];
+    return {
+        byId: new Map(categories.map(c => [String(c.id), c])),
+        byName: new Map(categories.map(c => [normalizeCategoryName(c.name).toLowerCase(), c])),
+    };
+}
+
+// Storage form of a transaction: a `category` name that matches one of the user's categories becomes its
+// `categoryId`, any other name stays as text; the resolved `categoryEmoji` is never stored
+function linkCategory(tx, lookup) {
+    const { categoryEmoji, ...doc } = tx;
+    if (typeof doc.category !== 'string') return doc;
+    const category = lookup.byName.get(normalizeCategoryName(doc.category).toLowerCase());
+    if (category) {
+        doc.categoryId = String(category.id);
+        delete doc.category;
+    } else {
+        delete doc.categoryId;
+    }
+    return doc;
+}
+
+// Fields a stored update must drop: the name once the category is linked, the id once it is not
+function categoryUnset(stored) {
+    if ('categoryId' in stored) return { category: '' };
+    if ('category' in stored) return { categoryId: '' };
+    return null;
+}
+
+// API form of a stored transaction, with its category's current name and emoji
+function resolveCategory(tx, lookup) {
+    if (!tx) return tx;
+    const category = tx.categoryId
+        ? lookup.byId.get(String(tx.categoryId))
+        : lookup.byName.get(normalizeCategoryName(tx.category).toLowerCase());
+    return {
+        ...tx,
+        category: tx.categoryId ? category?.name ?? '' : tx.category,
+        categoryEmoji: category?.emoji ?? null,
+    };
+}
+
+const resolveCategories = (txs, lookup) => txs.map(tx => resolveCategory(tx, lookup));
+
+// Mongo filter for transactions in any of the named categories: linked ones by id, the rest by their text
+function transactionCategoryFilter(categories, lookup) {
+    const ids = categories
+        .map(name => lookup.byName.get(normalizeCategoryName(name).toLowerCase())?.id)
+        .filter(Boolean)
+        .map(String);
+    return { $or: [{ categoryId: { $in: ids } }, { category: categoryNameFilter(categories) }] };
+}
+
+// Mongo transactions store their effective date (`date`, falling back to `createdAt`) as a Date in
+// `effectiveDate`, so range filters and date ordering use the {auth0_id, effectiveDate, _id} index.
+// It is set on every write and left out of API responses (mapTransaction).
+const withEffectiveDate = (doc) => ({ ...doc, effectiveDate: getTransactionDate(doc) });
+
+// Mongo filter keeping effective dates in [start, end)
+function effectiveDateFilter(start, end) {
+    if (!start && !end) return {};
+    const range = {};
+    if (start) range.$gte = start;
+    if (end) range.$lt = end;
+    return { effectiveDate: range };
+}
+
+/**
+ * Whether `id` can name a transaction in the active store: Mongo ids are 24 hex digits, in-memory ids
+ * any non-empty string. Used to reject forged page cursors before they reach a query.
+ * @param {unknown} id
+ * @returns {boolean}
+ */
+export function isValidTransactionId(id) {
+    if (typeof id !== 'string' || !id) return false;
+    return getCollections() ? /^[0-9a-f]{24}$/i.test(id) : true;
+}
+
+/**
+ * Filter, sort and page a user's transactions (options from parseTransactionQuery). On Mongo the
+ * filter, sort and limit run on the stored `effectiveDate` (or `amount`) behind the user's id, so
+ * they use the {auth0_id, effectiveDate, _id} and {auth0_id, amount, _id} indexes.
+ * @param {string} auth0_id
+ * @param {{start?:Date,end?:Date,categories?:string[],minAmount?:number,maxAmount?:number,q?:string,sort?:string,limit?:number,after?:{value:number,id:string}}} [options]
+ * @returns {Promise<{transactions:Array,nextCursor:string|null}>}
+ */
+export async function queryTransactions(auth0_id, options = {}) {
+    const cols = getCollections();
+    const lookup = await categoryLookup(auth0_id);
+    if (!cols) return pageTransactions(resolveCategories(memTx.get(auth0_id) || [], lookup), options);
+    const { txCol } = cols;
+    const { start, end, categories = [], minAmount, maxAmount, q, limit, after } = options;
+    const { field, direction } = parseTransactionSort(options.sort);
+
+    const match = { auth0_id };
+    if (minAmount !== undefined || maxAmount !== undefined) {
+        match.amount = {};
+        if (minAmount !== undefined) match.amount.$gte = minAmount;
+        if (maxAmount !== undefined) match.amount.$lte = maxAmount;
+    }
+    const conditions = [];
+    if (categories.length > 0) conditions.push(transactionCategoryFilter(categories, lookup));
+    if (q) {
+        const pattern = new RegExp(escapeRegExp(q), 'i');
+        const namedIds = [...lookup.byId.keys()].filter(id => pattern.test(lookup.byId.get(id).name));
+        conditions.push({
+            $or: [{ description: pattern }, { notes: pattern }, { category: pattern }, { categoryId: { $in: namedIds } }],
+        });
+    }
+    Object.assign(match, effectiveDateFilter(start, end));
+
+    const sortField = field === 'date' ? 'effectiveDate' : 'amount';
+    if (after) {
+        const value = field === 'date' ? new Date(after.value) : after.value;
+        const op = direction < 0 ? '$lt' : '$gt';
+        conditions.push({
+            $or: [
+                { [sortField]: { [op]: value } },
+                { [sortField]: value, _id: { [op]: new ObjectId(after.id) } },
+            ],
+        });
+    }
+    if (conditions.length > 0) match.$and = conditions;
+
+    let cursor = txCol.find(match).sort({ [sortField]: direction, _id: direction });
+    if (limit !== undefined) cursor = cursor.limit(limit + 1);
+    const docs = await cursor.toArray();
+    return toTransactionPage(resolveCategories(docs.map(mapTransaction), lookup), options);
+}
+
+// Aggregation expression for the local midnight starting the effective date's day, week or month in
+// `timezone`. Built from date parts rather than $dateTrunc, which needs MongoDB 5.0; a week start can
+// fall in the previous month, which $dateFromParts carries over from a day below 1.
+function dateGroupKey(unit, timezone, weekStartsOn) {
+    const local = (operator) => ({ [operator]: { date: '$effectiveDate', timezone } });
+    if (unit === 'month') {
+        return { $dateFromParts: { year: local('$year'), month: local('$month'), day: 1, timezone } };
+    }
+    // $dayOfWeek runs from 1 (Sunday) to 7 (Saturday); `weekStartsOn` from 0 (Sunday)
+    const daysIntoWeek = { $mod: [{ $add: [{ $subtract: [local('$dayOfWeek'), 1 + weekStartsOn] }, 7] }, 7] };
+    const day = unit === 'week' ? { $subtract: [local('$dayOfMonth'), daysIntoWeek] } : local('$dayOfMonth');
+    return { $dateFromParts: { year: local('$year'), month: local('$month'), day, timezone } };
+}
+
+/**
+ * Total a user's spending and income per day, week, month or category (see reports.js). Mongo groups
+ * in an aggregation pipeline (local day, week or month starts in the user's timezone, or the server's
+ * when unset; see dateGroupKey).
+ * @param {string} auth0_id
+ * @param {{groupBy:'day'|'week'|'month'|'category',start?:Date,end?:Date,categories?:string[],type?:'expense'|'income',timezone?:string,weekStartsOn?:number}} options
+ * @returns {Promise<{groups:Array<Object>,totals:{spent:number,income:number,count:number}}>}
+ */
+export async function summarizeTransactions(auth0_id, options) {
+    const cols = getCollections();
+    const lookup = await categoryLookup(auth0_id);
+    if (!cols) return summarizeTransactionList(resolveCategories(memTx.get(auth0_id) || [], lookup), options);
+    const { txCol } = cols;
+    const { groupBy, start, end, categories = [], type } = options;
+
+    const match = { auth0_id, amount: { $gt: 0 }, ...effectiveDateFilter(start, end) };
+    if (categories.length > 0) Object.assign(match, transactionCategoryFilter(categories, lookup));
+    if (type === 'income') match.type = 'income';
+    if (type === 'expense') match.type = { $ne: 'income' };
+
+    const timezone = options.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const weekStartsOn = Number.isInteger(options.weekStartsOn) ? options.weekStartsOn : DEFAULT_WEEK_STARTS_ON;
+    const groupKey = groupBy === 'category'
+        ? { categoryId: '$categoryId', name: { $toLower: { $trim: { input: { $ifNull: ['$category', ''] } } } } }
+        : dateGroupKey(groupBy, timezone, weekStartsOn);
+    const isIncome = { $eq: ['$type', 'income'] };
+    const rows = await txCol.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: groupKey,
+                category: { $first: '$category' },
+                spent: { $sum: { $cond: [isIncome, 0, '$amount'] } },
+                income: { $sum: { $cond: [isIncome, '$amount', 0] } },
+                count: { $sum: 1 },
+            },
+        },
+    ]).toArray();
+
+    if (groupBy !== 'category') {
+        return finishSummary(rows.map(({ _id, spent, income, count }) => ({ start: _id, spent, income, count })), options);
+    }
+    // Name the linked groups, folding together groups that end up with the same name
+    const byName = new Map();
+    for (const { _id, category, spent, income, count } of rows) {
+        const name = _id.categoryId
+            ? lookup.byId.get(String(_id.categoryId))?.name ?? ''
+            : String(category || '').trim();
+        const row = byName.get(name.toLowerCase()) || { category: name, spent: 0, income: 0, count: 0 };
+        row.spent += spent;
+        row.income += income;
+        row.count += count;
+        byName.set(name.toLowerCase(), row);
+    }
+    return finishSummary([...byName.values()], options);
+}
+
+/**
+ * Search a user's transaction descriptions and notes, best match first. Mongo uses the
+ * `transactions_text` index and its text score; the in-memory store ranks with rankTransactions.
+ * @param {string} auth0_id
+ * @param {string} q
+ * @param {{categories?:string[],limit?:number}} [options]
+ * @returns {Promise<Array<{transaction:Object,score:number,highlights:Object}>>}
+ */
+export async function searchTransactions(auth0_id, q, { categories = [], limit = DEFAULT_SEARCH_LIMIT } = {}) {
+    const cols = getCollections();
+    const lookup = await categoryLookup(auth0_id);
+    if (!cols) {
+        const candidates = resolveCategories(memTx.get(auth0_id) || [], lookup)
+            .filter(tx => matchesBudgetCategories(tx, categories));
+        return rankTransactions(candidates, q, { limit });
+    }
+    const { txCol } = cols;
+    const filter = { auth0_id, $text: { $search: q } };
+    if (categories.length > 0) Object.assign(filter, transactionCategoryFilter(categories, lookup));
+    const docs = await txCol
+        .find(filter, { projection: { score: { $meta: 'textScore' } } })
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(limit)
+        .toArray();
+    const terms = searchTerms(q);
+    return docs.map(({ score, ...doc }) => {
+        const transaction = resolveCategory(mapTransaction(doc), lookup);
+        return { transaction, score, highlights: highlightTransaction(transaction, terms) };
+    });
+}
+
+/**
+ * Retrieve one of a user's transactions.
+ * @param {string} auth0_id
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export async function getTransaction(auth0_id, id) {
+    const cols = getCollections();
+    const lookup = await categoryLookup(auth0_id);
+    if (!cols) return resolveCategory((memTx.get(auth0_id) || []).find(t => t.id === id) || null, lookup);
+    const { txCol } = cols;
+    return resolveCategory(mapTransaction(await txCol.findOne({ _id: new ObjectId(id), auth0_id })), lookup);
 }
 
 /**
  * Create a transaction for a user.
  * @param {string} auth0_id
- * @param {{amount:number,date?:string,description?:string,category?:string}} tx
+ * @param {{amount:number,type?:'expense'|'income',date?:string,description?:string,category?:string}} tx
  * @returns {Promise<Object>}
  */
 export async function createTransaction(auth0_id, tx) {
     const cols = getCollections();
+    const lookup = await categoryLookup(auth0_id);
     if (!cols) {
         const list = memTx.get(auth0_id) || [];
-        const doc = { id: String(Date.now()), auth0_id, ...tx, createdAt: new Date() };
+        const doc = { id: generateMemId(), auth0_id, ...linkCategory(tx, lookup), createdAt: new Date() };
         list.push(doc);
         memTx.set(auth0_id, list);
-        return doc;
+        await markReportsStale(auth0_id, [doc]);
+        await refreshBudgetAlerts(auth0_id);
+        return resolveCategory(doc, lookup);
     }
     const { txCol } = cols;
-    const res = await txCol.insertOne({ auth0_id, ...tx, createdAt: new Date() });
+    const res = await txCol.insertOne(withEffectiveDate({ auth0_id, ...linkCategory(tx, lookup), createdAt: new Date() }));
     const created = await txCol.findOne({ _id: res.insertedId });
-    return mapTransaction(created);
+    await markReportsStale(auth0_id, [created]);
+    await refreshBudgetAlerts(auth0_id);
+    return resolveCategory(mapTransaction(created), lookup);
+}
+
+/**
+ * Find which statement line ids (OFX FITID or QIF line hash) a user has already imported.
+ * @param {string} auth0_id
+ * @param {string[]} externalIds
+ * @returns {Promise<Set<string>>}
+ */
+export async function findImportedExternalIds(auth0_id, externalIds) {
+    if (!externalIds.length) return new Set();
+    const cols = getCollections();
+    if (!cols) {
+        const wanted = new Set(externalIds);
+        return new Set((memTx.get(auth0_id) || []).map(t => t.externalId).filter(id => wanted.has(id)));
+    }
+    const { txCol } = cols;
+    const docs = await txCol
+        .find({ auth0_id, externalId: { $in: externalIds } }, { projection: { externalId: 1 } })
+        .toArray();
+    return new Set(docs.map(d => d.externalId));
+}
+
+/**
+ * A user's transactions that could be duplicates of new ones (see duplicateSearchRange): one of the
+ * `amounts`, dated within [start, end] inclusive. On Mongo this reads the stored `effectiveDate` and
+ * `amount` behind the user's id, so it uses an index instead of loading every transaction.
+ * @param {string} auth0_id
+ * @param {{amounts:number[],start:Date,end:Date}} range
+ * @returns {Promise<Array>}
+ */
+export async function findDuplicateCandidates(auth0_id, { amounts, start, end }) {
+    const cols = getCollections();
+    const lookup = await categoryLookup(auth0_id);
+    if (!cols) {
+        const wanted = new Set(amounts);
+        const candidates = (memTx.get(auth0_id) || []).filter(tx => {
+            const date = getTransactionDate(tx);
+            return wanted.has(Number(tx.amount)) && date && date >= start && date <= end;
+        });
+        return resolveCategories(candidates, lookup);
+    }
+    const { txCol } = cols;
+    const docs = await txCol
+        .find({ auth0_id, amount: { $in: amounts }, effectiveDate: { $gte: start, $lte: end } })
+        .toArray();
+    return resolveCategories(docs.map(mapTransaction), lookup);
+}
+
+/**
+ * Insert several transactions for a user in one batch (budget alerts are re-evaluated once).
+ * @param {string} auth0_id
+ * @param {Array<Object>} txs - Validated transactions, as for createTransaction
+ * @returns {Promise<Array>} The created transactions
+ */
+export async function createTransactions(auth0_id, txs) {
+    if (!txs.length) return [];
+    const createdAt = new Date();
+    const cols = getCollections();
+    const lookup = await categoryLookup(auth0_id);
+    if (!cols) {
+        const list = memTx.get(auth0_id) || [];
+        const docs = txs.map(tx => ({ id: generateMemId(), auth0_id, ...linkCategory(tx, lookup), createdAt }));
+        list.push(...docs);
+        memTx.set(auth0_id, list);
+        await markReportsStale(auth0_id, docs);
+        await refreshBudgetAlerts(auth0_id);
+        return resolveCategories(docs, lookup);
+    }
+    const { txCol } = cols;
+    const docs = txs.map(tx => withEffectiveDate({ auth0_id, ...linkCategory(tx, lookup), createdAt }));
+    // insertMany sets `_id` on each document
+    await txCol.insertMany(docs);
+    await markReportsStale(auth0_id, docs);
+    await refreshBudgetAlerts(auth0_id);
+    return resolveCategories(docs.map(mapTransaction), lookup);
 }
 
 /**
@@ -271,20 +740,32 @@ export async function createTransaction(auth0_id, tx) {
  */
 export async function updateTransaction(auth0_id, id, changes) {
     const cols = getCollections();
+    const lookup = await categoryLookup(auth0_id);
+    const stored = linkCategory(changes, lookup);
+    const unset = categoryUnset(stored);
     if (!cols) {
         const list = memTx.get(auth0_id) || [];
         const idx = list.findIndex(t => t.id === id);
         if (idx === -1) throw new Error('Transaction not found');
-        list[idx] = { ...list[idx], ...changes };
+        const updated = { ...list[idx], ...stored };
+        Object.keys(unset || {}).forEach(field => delete updated[field]);
+        // Both the period it left and the one it moved to change
+        await markReportsStale(auth0_id, [list[idx], updated]);
+        list[idx] = updated;
         memTx.set(auth0_id, list);
-        return list[idx];
+        await refreshBudgetAlerts(auth0_id);
+        return resolveCategory(updated, lookup);
     }
     const { txCol } = cols;
     const _id = new ObjectId(id);
     const existing = await txCol.findOne({ _id, auth0_id });
     if (!existing) throw new Error('Transaction not found');
-    const res = await txCol.findOneAndUpdate({ _id, auth0_id }, { $set: changes }, { returnDocument: 'after' });
-    return mapTransaction(res.value);
+    const fields = { ...stored, effectiveDate: getTransactionDate({ ...existing, ...stored }) };
+    const update = unset ? { $set: fields, $unset: unset } : { $set: fields };
+    const res = await txCol.findOneAndUpdate({ _id, auth0_id }, update, { returnDocument: 'after' });
+    await markReportsStale(auth0_id, [existing, res.value]);
+    await refreshBudgetAlerts(auth0_id);
+    return resolveCategory(mapTransaction(res.value), lookup);
 }
 
 /**
@@ -301,13 +782,183 @@ export async function deleteTransaction(auth0_id, id) {
         if (idx === -1) throw new Error('Transaction not found');
         const [removed] = list.splice(idx, 1);
         memTx.set(auth0_id, list);
-        return removed;
+        await markReportsStale(auth0_id, [removed]);
+        await refreshBudgetAlerts(auth0_id);
+        return resolveCategory(removed, await categoryLookup(auth0_id));
     }
     const { txCol } = cols;
     const _id = new ObjectId(id);
     const res = await txCol.findOneAndDelete({ _id, auth0_id });
     if (!res.value) throw new Error('Transaction not found');
-    return mapTransaction(res.value);
+    await markReportsStale(auth0_id, [res.value]);
+    await refreshBudgetAlerts(auth0_id);
+    return resolveCategory(mapTransaction(res.value), await categoryLookup(auth0_id));
+}
+
+/**
+ * Find the transaction materialized for a recurring occurrence, if any.
+ * @param {string} auth0_id
+ * @param {string} recurringId
+ * @param {string} occurrenceDate - "YYYY-MM-DD"
+ * @returns {Promise<Object|null>}
+ */
+export async function findOccurrenceTransaction(auth0_id, recurringId, occurrenceDate) {
+    const cols = getCollections();
+    if (!cols) {
+        const list = memTx.get(auth0_id) || [];
+        const found = list.find(t => t.recurringId === recurringId && t.occurrenceDate === occurrenceDate) || null;
+        return resolveCategory(found, await categoryLookup(auth0_id));
+    }
+    const { txCol } = cols;
+    const found = mapTransaction(await txCol.findOne({ auth0_id, recurringId, occurrenceDate }));
+    return resolveCategory(found, await categoryLookup(auth0_id));
+}
+
+/**
+ * List a user's recurring transactions.
+ * @param {string} auth0_id
+ * @returns {Promise<Array>}
+ */
+export async function listRecurring(auth0_id) {
+    const cols = getCollections();
+    if (!cols) return memRecurring.get(auth0_id) || [];
+    const { recurringCol } = cols;
+    const docs = await recurringCol.find({ auth0_id }).toArray();
+    return docs.map(mapRecurring);
+}
+
+/**
+ * Retrieve one of a user's recurring transactions.
+ * @param {string} auth0_id
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export async function getRecurring(auth0_id, id) {
+    const cols = getCollections();
+    if (!cols) return (memRecurring.get(auth0_id) || []).find(r => r.id === id) || null;
+    const { recurringCol } = cols;
+    return mapRecurring(await recurringCol.findOne({ _id: new ObjectId(id), auth0_id }));
+}
+
+/**
+ * Create a recurring transaction; its first occurrence is due on `startDate`.
+ * @param {string} auth0_id
+ * @param {{amount:number,category:string,description?:string,frequency:string,interval:number,startDate:string}} recurring
+ * @returns {Promise<Object>}
+ */
+export async function createRecurring(auth0_id, recurring) {
+    const doc = {
+        ...recurring,
+        active: true,
+        occurrences: 0,
+        nextRunDate: recurring.startDate,
+        lastRunAt: null,
+        createdAt: new Date(),
+    };
+    const cols = getCollections();
+    if (!cols) {
+        const list = memRecurring.get(auth0_id) || [];
+        const created = { id: generateMemId(), auth0_id, ...doc };
+        list.push(created);
+        memRecurring.set(auth0_id, list);
+        return created;
+    }
+    const { recurringCol } = cols;
+    const res = await recurringCol.insertOne({ auth0_id, ...doc });
+    return mapRecurring(await recurringCol.findOne({ _id: res.insertedId }));
+}
+
+/**
+ * Update a recurring transaction by id.
+ * @param {string} auth0_id
+ * @param {string} id
+ * @param {Object} changes
+ * @returns {Promise<Object>}
+ */
+export async function updateRecurring(auth0_id, id, changes) {
+    const cols = getCollections();
+    if (!cols) {
+        const list = memRecurring.get(auth0_id) || [];
+        const idx = list.findIndex(r => r.id === id);
+        if (idx === -1) throw new Error('Recurring transaction not found');
+        list[idx] = { ...list[idx], ...changes };
+        return list[idx];
+    }
+    const { recurringCol } = cols;
+    const res = await recurringCol.findOneAndUpdate(
+        { _id: new ObjectId(id), auth0_id },
+        { $set: changes },
+        { returnDocument: 'after' }
+    );
+    if (!res.value) throw new Error('Recurring transaction not found');
+    return mapRecurring(res.value);
+}
+
+/**
+ * Delete a recurring transaction by id (transactions it already created are kept).
+ * @param {string} auth0_id
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+export async function deleteRecurring(auth0_id, id) {
+    const cols = getCollections();
+    if (!cols) {
+        const list = memRecurring.get(auth0_id) || [];
+        const idx = list.findIndex(r => r.id === id);
+        if (idx === -1) throw new Error('Recurring transaction not found');
+        const [removed] = list.splice(idx, 1);
+        return removed;
+    }
+    const { recurringCol } = cols;
+    const res = await recurringCol.findOneAndDelete({ _id: new ObjectId(id), auth0_id });
+    if (!res.value) throw new Error('Recurring transaction not found');
+    return mapRecurring(res.value);
+}
+
+/**
+ * List active recurring transactions (across users, or for one user) whose next run is on or before a date.
+ * @param {string} throughDate - "YYYY-MM-DD"
+ * @param {string} [auth0_id]
+ * @returns {Promise<Array>}
+ */
+export async function listDueRecurring(throughDate, auth0_id) {
+    const cols = getCollections();
+    if (!cols) {
+        const lists = auth0_id ? [memRecurring.get(auth0_id) || []] : [...memRecurring.values()];
+        return lists.flat().filter(r => r.active && r.nextRunDate <= throughDate);
+    }
+    const { recurringCol } = cols;
+    const query = { active: true, nextRunDate: { $lte: throughDate } };
+    if (auth0_id) query.auth0_id = auth0_id;
+    const docs = await recurringCol.find(query).toArray();
+    return docs.map(mapRecurring);
+}
+
+/**
+ * Advance a recurring transaction past an occurrence. Compare-and-set on `nextRunDate` so two
+ * scheduler runs can never advance the same occurrence twice.
+ * @param {string} auth0_id
+ * @param {string} id
+ * @param {string} expectedNextRunDate - The occurrence just handled
+ * @param {{nextRunDate:string,occurrences:number,lastRunAt:Date}} changes
+ * @returns {Promise<Object|null>} The updated record, or null when it changed concurrently (or was deleted).
+ */
+export async function advanceRecurring(auth0_id, id, expectedNextRunDate, changes) {
+    const cols = getCollections();
+    if (!cols) {
+        const list = memRecurring.get(auth0_id) || [];
+        const idx = list.findIndex(r => r.id === id && r.nextRunDate === expectedNextRunDate);
+        if (idx === -1) return null;
+        list[idx] = { ...list[idx], ...changes };
+        return list[idx];
+    }
+    const { recurringCol } = cols;
+    const res = await recurringCol.findOneAndUpdate(
+        { _id: new ObjectId(id), auth0_id, nextRunDate: expectedNextRunDate },
+        { $set: changes },
+        { returnDocument: 'after' }
+    );
+    return mapRecurring(res.value);
 }
 
 /**
@@ -327,16 +978,61 @@ export async function listCategories(auth0_id) {
 }
 
 /**
- * Create a category (preventing duplicates, trimming name, normalizing emoji).
+ * Validate and normalize a category's own fields the way createCategory and updateCategory store them:
+ * a trimmed, non-empty name, an `expense` or `income` type, at most three emoji glyphs and an optional
+ * `#rrggbb` color. Throws with the same messages as those.
+ * @param {{name:string,emoji?:string|null,color?:string|null,type?:string}} category
+ * @returns {{name:string,type:string,emoji:string|null,color?:string}}
+ */
+export function normalizeCategoryFields({ name, emoji, color, type = 'expense' }) {
+    const trimmed = normalizeCategoryName(name);
+    if (!trimmed) throw new Error('Category name is required.');
+    if (!TRANSACTION_TYPES.includes(type)) {
+        throw new Error(`Category type must be one of: ${TRANSACTION_TYPES.join(', ')}.`);
+    }
+    const fields = { name: trimmed, type, emoji: normalizeEmojiValue(emoji) };
+    const normalizedColor = normalizeCategoryColor(color);
+    if (normalizedColor) fields.color = normalizedColor;
+    return fields;
+}
+
+/**
+ * The parent a category may take: another top-level category of the same type (subcategories go one
+ * level deep), and only while the category has no subcategories of its own. Throws otherwise.
+ * @param {Array<Object>} categories - The user's categories
+ * @param {string} parentId
+ * @param {{id?:string,type:string}} category - The category being placed (no id while it is created)
+ * @returns {string} The parent's id
+ */
+export function checkCategoryParent(categories, parentId, { id, type }) {
+    const parent = categories.find(c => String(c.id) === String(parentId));
+    if (!parent) throw new Error('Parent category not found');
+    if (id !== undefined && String(parent.id) === String(id)) {
+        throw new Error('A category cannot be its own parent.');
+    }
+    if (parent.parentId) throw new Error('Subcategories cannot have subcategories of their own.');
+    if (categoryType(parent) !== type) throw new Error('A subcategory must have the same type as its parent.');
+    if (id !== undefined && categories.some(c => String(c.parentId) === String(id))) {
+        throw new Error('A category with subcategories cannot become a subcategory.');
+    }
+    return String(parent.id);
+}
+
+/**
+ * Create a category (preventing duplicates, trimming name, normalizing emoji), optionally as a
+ * subcategory of `parentId`.
  * @param {string} auth0_id
  * @param {string} name
  * @param {string|null} emojiValue
+ * @param {'expense'|'income'} [type='expense']
+ * @param {string} [parentId] - A top-level category of the same type
  * @returns {Promise<Object>}
  */
-export async function createCategory(auth0_id, name, emojiValue) {
-    const trimmed = normalizeCategoryName(name);
-    if (!trimmed) throw new Error('Category name is required.');
-    const emoji = normalizeEmojiValue(emojiValue);
+export async function createCategory(auth0_id, name, emojiValue, type = 'expense', parentId) {
+    const { name: trimmed, emoji } = normalizeCategoryFields({ name, emoji: emojiValue, type });
+    const parent = parentId
+        ? { parentId: checkCategoryParent([...(await categoryLookup(auth0_id)).byId.values()], parentId, { type }) }
+        : {};
 
     const cols = getCollections();
     if (!cols) {
@@ -345,87 +1041,275 @@ export async function createCategory(auth0_id, name, emojiValue) {
             throw new Error('Category already exists.');
         }
         const doc = {
-            id: String(Date.now()),
+            id: generateMemId(),
             auth0_id,
             name: trimmed,
+            type,
             emoji,
+            ...parent,
             createdAt: new Date(),
             updatedAt: new Date(),
         };
         list.push(doc);
         memCategories.set(auth0_id, list);
+        await linkTransactionCategories(auth0_id);
         return doc;
     }
     const { categoriesCol } = cols;
-    const existing = await categoriesCol.findOne({ auth0_id, name: { $regex: `^${trimmed}$`, $options: 'i' } });
+    const existing = await categoriesCol.findOne({
+        auth0_id,
+        name: { $regex: `^${escapeRegExp(trimmed)}$`, $options: 'i' },
+    });
     if (existing) throw new Error('Category already exists.');
     const now = new Date();
     const doc = {
         auth0_id,
         name: trimmed,
+        type,
         emoji,
+        ...parent,
         createdAt: now,
         updatedAt: now,
     };
     const res = await categoriesCol.insertOne(doc);
     const created = await categoriesCol.findOne({ _id: res.insertedId });
+    await linkTransactionCategories(auth0_id);
     return mapCategory(created);
 }
 
 /**
- * Update a category's emoji.
+ * Update a category's name, emoji, color (`#rrggbb`; null returns to the default color) and/or parent
+ * (`parentId`; null makes it top-level again). A rename
+ * must stay unique (case-insensitively) among the user's categories and is carried over to the
+ * recurring transactions and budgets that use the old name, in the same transaction as the category
+ * itself; linked transactions follow by id.
  * @param {string} auth0_id
  * @param {string} id
- * @param {{emoji:string}} updates
+ * @param {{name?:string,emoji?:string|null,color?:string|null,parentId?:string|null}} updates
  * @returns {Promise<Object>}
  */
 export async function updateCategory(auth0_id, id, updates = {}) {
     if (!id) throw new Error('Category id is required.');
-    if (!Object.prototype.hasOwnProperty.call(updates, 'emoji')) {
-        throw new Error('Emoji update is required.');
+    const has = field => Object.prototype.hasOwnProperty.call(updates, field);
+    if (!['name', 'emoji', 'color', 'parentId'].some(has)) {
+        throw new Error('Name, emoji, color or parent update is required.');
     }
-    const emoji = normalizeEmojiValue(updates.emoji);
+    const changes = {};
+    if (has('emoji')) changes.emoji = normalizeEmojiValue(updates.emoji);
+    if (has('color')) changes.color = normalizeCategoryColor(updates.color);
+    if (has('name')) {
+        changes.name = normalizeCategoryName(updates.name);
+        if (!changes.name) throw new Error('Category name is required.');
+    }
+    const detach = has('parentId') && !updates.parentId;
+    // Check the new parent against the category's current type and subcategories
+    const withParent = async (current) => {
+        if (!has('parentId') || detach) return;
+        const categories = [...(await categoryLookup(auth0_id)).byId.values()];
+        changes.parentId = checkCategoryParent(categories, updates.parentId, {
+            id: String(id),
+            type: categoryType(current),
+        });
+    };
 
     const cols = getCollections();
     if (!cols) {
         const list = ensureMemCategories(auth0_id);
         const idx = list.findIndex(c => c.id === id);
         if (idx === -1) throw new Error('Category not found');
+        const previous = list[idx];
+        const renamed = has('name') && changes.name !== previous.name;
+        if (renamed && list.some(c => c.id !== id && c.name.toLowerCase() === changes.name.toLowerCase())) {
+            throw new Error('Category already exists.');
+        }
+        await withParent(previous);
         const updated = {
-            ...list[idx],
-            emoji,
+            ...previous,
+            ...changes,
             updatedAt: new Date(),
         };
+        if (detach) delete updated.parentId;
         list[idx] = updated;
         memCategories.set(auth0_id, list);
+        if (renamed) {
+            moveMemCategoryReferences(auth0_id, previous, updated);
+            await refreshBudgetAlerts(auth0_id);
+        }
         return updated;
     }
 
     const { categoriesCol } = cols;
     const _id = new ObjectId(id);
-    const now = new Date();
-    const updateDoc = {
-        $set: {
-            emoji,
-            updatedAt: now,
-        },
+    const previous = await categoriesCol.findOne({ _id, auth0_id });
+    if (!previous) throw new Error('Category not found');
+    const renamed = has('name') && changes.name !== previous.name;
+    if (renamed) {
+        const clash = await categoriesCol.findOne({
+            auth0_id,
+            _id: { $ne: _id },
+            name: { $regex: `^${escapeRegExp(changes.name)}$`, $options: 'i' },
+        });
+        if (clash) throw new Error('Category already exists.');
+    }
+    await withParent(mapCategory(previous));
+
+    const apply = async (session) => {
+        const update = { $set: { ...changes, updatedAt: new Date() } };
+        if (detach) update.$unset = { parentId: '' };
+        const res = await categoriesCol.findOneAndUpdate(
+            { _id, auth0_id },
+            update,
+            { returnDocument: 'after', session }
+        );
+        if (!res.value) throw new Error('Category not found');
+        if (renamed) {
+            await moveCategoryReferences(cols, auth0_id, mapCategory(previous), mapCategory(res.value), session);
+        }
+        return res.value;
     };
-    const res = await categoriesCol.findOneAndUpdate(
-        { _id, auth0_id },
-        updateDoc,
-        { returnDocument: 'after' }
+    const updated = renamed ? await withTransaction(apply) : await apply();
+    if (renamed) await refreshBudgetAlerts(auth0_id);
+    return mapCategory(updated);
+}
+
+const sameCategoryName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Point everything that uses category `from` at category `to` (the same one for a rename): transactions
+// linked to it (plus any still carrying its name as text), and by name recurring transactions and budgets'
+// `categories`. A budget that already lists `to` just drops `from`.
+async function moveCategoryReferences(cols, auth0_id, from, to, session) {
+    const { txCol, recurringCol, budgetsCol } = cols;
+    const oldName = categoryNameFilter([from.name]);
+    if (String(from.id) !== String(to.id)) {
+        await txCol.updateMany({ auth0_id, categoryId: String(from.id) }, { $set: { categoryId: String(to.id) } }, { session });
+    }
+    await txCol.updateMany(
+        { auth0_id, categoryId: { $exists: false }, category: oldName },
+        { $set: { categoryId: String(to.id) }, $unset: { category: '' } },
+        { session }
+    );
+    await recurringCol.updateMany({ auth0_id, category: oldName }, { $set: { category: to.name } }, { session });
+    if (!sameCategoryName(from.name, to.name)) {
+        await budgetsCol.updateMany(
+            { auth0_id, $and: [{ categories: oldName }, { categories: categoryNameFilter([to.name]) }] },
+            { $pull: { categories: oldName } },
+            { session }
+        );
+    }
+    await budgetsCol.updateMany(
+        { auth0_id, categories: oldName },
+        { $set: { 'categories.$[old]': to.name } },
+        { arrayFilters: [{ old: oldName }], session }
     );
-    if (!res.value) throw new Error('Category not found');
-    return mapCategory(res.value);
+}
+
+// In-memory counterpart of moveCategoryReferences
+function moveMemCategoryReferences(auth0_id, from, to) {
+    const matches = value => typeof value === 'string' && sameCategoryName(value, from.name);
+    for (const tx of memTx.get(auth0_id) || []) {
+        if (tx.categoryId === from.id || (!tx.categoryId && matches(tx.category))) {
+            tx.categoryId = to.id;
+            delete tx.category;
+        }
+    }
+    for (const recurring of memRecurring.get(auth0_id) || []) {
+        if (matches(recurring.category)) recurring.category = to.name;
+    }
+    for (const budget of memBudgets.get(auth0_id) || []) {
+        if (!Array.isArray(budget.categories) || !budget.categories.some(matches)) continue;
+        const listsTarget = !sameCategoryName(from.name, to.name)
+            && budget.categories.some(name => sameCategoryName(name, to.name));
+        budget.categories = listsTarget
+            ? budget.categories.filter(name => !matches(name))
+            : budget.categories.map(name => (matches(name) ? to.name : name));
+    }
+}
+
+function assertMergeable(source, target) {
+    if (!source) throw new Error('Category not found');
+    if (!target) throw new Error('Target category not found');
+    if (categoryType(source) !== categoryType(target)) {
+        throw new Error('Only categories of the same type can be merged.');
+    }
+}
+
+// Where the subcategories of a merged-away category go: under the merge target, or under the target's
+// parent when the target is itself a subcategory (of another category; one of the merged category's own
+// subcategories becomes top-level instead)
+function mergedChildrenParent(source, target) {
+    const targetParent = target.parentId && String(target.parentId) !== String(source.id) ? target.parentId : null;
+    return String(targetParent || target.id);
 }
 
 /**
- * Delete a category by id.
+ * Merge a category into another: its transactions, recurring transactions, budgets and subcategories
+ * move to the target category and the category is deleted, in one transaction.
+ * @param {string} auth0_id
+ * @param {string} id - Category to merge away
+ * @param {string} intoId - Category that takes over its expenses (same type)
+ * @returns {Promise<{removed:Object, into:Object}>}
+ */
+export async function mergeCategory(auth0_id, id, intoId) {
+    if (!id) throw new Error('Category id is required.');
+    if (!intoId) throw new Error('Target category is required.');
+    if (String(intoId) === String(id)) throw new Error('Cannot merge a category into itself.');
+
+    const cols = getCollections();
+    if (!cols) {
+        const list = ensureMemCategories(auth0_id);
+        const source = list.find(c => c.id === id);
+        const target = list.find(c => c.id === intoId);
+        assertMergeable(source, target);
+        moveMemCategoryReferences(auth0_id, source, target);
+        const childrenParent = mergedChildrenParent(source, target);
+        for (const category of list) {
+            if (String(category.parentId) !== String(source.id)) continue;
+            if (category === target) delete category.parentId;
+            else category.parentId = childrenParent;
+        }
+        list.splice(list.indexOf(source), 1);
+        memCategories.set(auth0_id, list);
+        await refreshBudgetAlerts(auth0_id);
+        return { removed: source, into: target };
+    }
+
+    const { categoriesCol } = cols;
+    const [source, target] = await Promise.all([
+        categoriesCol.findOne({ _id: new ObjectId(id), auth0_id }),
+        categoriesCol.findOne({ _id: new ObjectId(intoId), auth0_id }),
+    ]);
+    assertMergeable(source, target);
+    const from = mapCategory(source);
+    const into = mapCategory(target);
+    await withTransaction(async (session) => {
+        await moveCategoryReferences(cols, auth0_id, from, into, session);
+        await categoriesCol.updateMany(
+            { auth0_id, _id: { $ne: target._id }, parentId: from.id },
+            { $set: { parentId: mergedChildrenParent(from, into) } },
+            { session }
+        );
+        await categoriesCol.updateOne(
+            { auth0_id, _id: target._id, parentId: from.id },
+            { $unset: { parentId: '' } },
+            { session }
+        );
+        const res = await categoriesCol.deleteOne({ _id: source._id, auth0_id }, { session });
+        if (res.deletedCount === 0) throw new Error('Category not found');
+    });
+    await refreshBudgetAlerts(auth0_id);
+    return { removed: from, into: mapCategory(await categoriesCol.findOne({ _id: target._id })) };
+}
+
+/**
+ * Delete a category by id. With `reassignTo` (a category id) its expenses move there first, as in
+ * mergeCategory; without it they keep the deleted name and its subcategories become top-level.
  * @param {string} auth0_id
  * @param {string} id
+ * @param {{reassignTo?:string}} [options]
  * @returns {Promise<Object>}
  */
-export async function deleteCategory(auth0_id, id) {
+export async function deleteCategory(auth0_id, id, { reassignTo } = {}) {
+    if (reassignTo) return (await mergeCategory(auth0_id, id, reassignTo)).removed;
     const cols = getCollections();
     if (!cols) {
         const list = ensureMemCategories(auth0_id);
@@ -433,49 +1317,621 @@ export async function deleteCategory(auth0_id, id) {
         if (idx === -1) throw new Error('Category not found');
         const [removed] = list.splice(idx, 1);
         memCategories.set(auth0_id, list);
+        for (const tx of memTx.get(auth0_id) || []) {
+            if (tx.categoryId !== removed.id) continue;
+            tx.category = removed.name;
+            delete tx.categoryId;
+        }
+        list.filter(c => c.parentId === removed.id).forEach(c => delete c.parentId);
         return removed;
     }
-    const { categoriesCol } = cols;
+    const { categoriesCol, txCol } = cols;
     const _id = new ObjectId(id);
-    const res = await categoriesCol.findOneAndDelete({ _id, auth0_id });
-    if (!res.value) throw new Error('Category not found');
-    return mapCategory(res.value);
+    // Its transactions go back to carrying the name as text
+    const removed = await withTransaction(async (session) => {
+        const res = await categoriesCol.findOneAndDelete({ _id, auth0_id }, { session });
+        if (!res.value) throw new Error('Category not found');
+        await txCol.updateMany(
+            { auth0_id, categoryId: id },
+            { $set: { category: res.value.name }, $unset: { categoryId: '' } },
+            { session }
+        );
+        await categoriesCol.updateMany({ auth0_id, parentId: id }, { $unset: { parentId: '' } }, { session });
+        return res.value;
+    });
+    return mapCategory(removed);
 }
 
 /**
- * Check if a category exists (case-insensitive) for a user.
+ * Link a user's transactions that carry a category name as text (saved before transactions referenced
+ * categories by id, or while no category had that name) to the category of that name (trimmed, any case).
+ * @param {string} auth0_id
+ * @returns {Promise<number>} Transactions linked
+ */
+export async function linkTransactionCategories(auth0_id) {
+    const lookup = await categoryLookup(auth0_id);
+    const cols = getCollections();
+    if (!cols) {
+        let linked = 0;
+        for (const tx of memTx.get(auth0_id) || []) {
+            if (tx.categoryId || typeof tx.category !== 'string') continue;
+            const category = lookup.byName.get(normalizeCategoryName(tx.category).toLowerCase());
+            if (!category) continue;
+            tx.categoryId = category.id;
+            delete tx.category;
+            linked += 1;
+        }
+        return linked;
+    }
+    const operations = [...lookup.byId.values()].map(category => ({
+        updateMany: {
+            filter: { auth0_id, categoryId: { $exists: false }, category: categoryNameFilter([category.name]) },
+            update: { $set: { categoryId: String(category.id) }, $unset: { category: '' } },
+        },
+    }));
+    if (operations.length === 0) return 0;
+    const res = await cols.txCol.bulkWrite(operations, { ordered: false });
+    return res.modifiedCount;
+}
+
+/**
+ * Migration run at startup: link every user's text-category transactions (see linkTransactionCategories).
+ * Safe to repeat; names that match no category are left as they are.
+ * @returns {Promise<number>} Transactions linked
+ */
+export async function migrateTransactionCategories() {
+    const cols = getCollections();
+    const users = cols
+        ? await cols.txCol.distinct('auth0_id', { categoryId: { $exists: false }, category: { $type: 'string' } })
+        : [...memTx.keys()];
+    let linked = 0;
+    for (const auth0_id of users) {
+        linked += await linkTransactionCategories(auth0_id);
+    }
+    return linked;
+}
+
+/**
+ * Startup migration: store `effectiveDate` on Mongo transactions written before it existed. A `date`
+ * that does not convert (legacy rows stored it unvalidated) falls back to `createdAt` instead of
+ * failing. Idempotent; the in-memory store has nothing to migrate.
+ * @returns {Promise<number>} How many transactions were updated
+ */
+export async function migrateTransactionDates() {
+    const cols = getCollections();
+    if (!cols) return 0;
+    const converted = { $convert: { input: '$date', to: 'date', onError: null, onNull: null } };
+    const res = await cols.txCol.updateMany(
+        { effectiveDate: { $exists: false } },
+        [{ $set: { effectiveDate: { $ifNull: [converted, '$createdAt'] } } }]
+    );
+    return res.modifiedCount;
+}
+
+/**
+ * Check if a category exists (case-insensitive) for a user, optionally of a given type.
  * @param {string} auth0_id
  * @param {string} name
+ * @param {'expense'|'income'} [type] - Only match categories of this type
  * @returns {Promise<boolean>}
  */
-export async function categoryExists(auth0_id, name) {
+export async function categoryExists(auth0_id, name, type) {
     const trimmed = normalizeCategoryName(name);
     if (!trimmed) return false;
 
     const cols = getCollections();
     if (!cols) {
         const list = ensureMemCategories(auth0_id);
-        return list.some(c => c.name.toLowerCase() === trimmed.toLowerCase());
+        return list.some(c => c.name.toLowerCase() === trimmed.toLowerCase() && (!type || categoryType(c) === type));
     }
     const { categoriesCol } = cols;
-    const found = await categoriesCol.findOne({ auth0_id, name: { $regex: `^${trimmed}$`, $options: 'i' } });
+    const query = { auth0_id, name: { $regex: `^${escapeRegExp(trimmed)}$`, $options: 'i' } };
+    // Legacy categories have no type and count as expense categories
+    if (type) query.type = type === 'income' ? 'income' : { $ne: 'income' };
+    const found = await categoriesCol.findOne(query);
     return !!found;
 }
 
+export const ALERT_STATUSES = ['active', 'acknowledged', 'dismissed', 'resolved'];
+
+function isSnoozed(alert, now) {
+    return !!alert.snoozedUntil && new Date(alert.snoozedUntil) > now;
+}
+
+/**
+ * List budget alerts for a user (newest first), optionally filtered by status.
+ * @param {string} auth0_id
+ * @param {{statuses?:string[],includeSnoozed?:boolean,now?:Date}} [options]
+ * @returns {Promise<Array>}
+ */
+export async function listAlerts(auth0_id, options = {}) {
+    const { statuses, includeSnoozed = true, now = new Date() } = options;
+    const cols = getCollections();
+    let docs;
+    if (!cols) {
+        const list = memAlerts.get(auth0_id) || [];
+        docs = [...list]
+            .filter(a => !statuses || statuses.includes(a.status))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    } else {
+        const { alertsCol } = cols;
+        const query = statuses ? { auth0_id, status: { $in: statuses } } : { auth0_id };
+        const found = await alertsCol.find(query).sort({ createdAt: -1 }).toArray();
+        docs = found.map(mapAlert);
+    }
+    return includeSnoozed ? docs : docs.filter(a => !isSnoozed(a, now));
+}
+
+async function findAlert(auth0_id, id) {
+    const cols = getCollections();
+    if (!cols) {
+        const list = memAlerts.get(auth0_id) || [];
+        return list.find(a => a.id === id) || null;
+    }
+    // A malformed id names no alert
+    if (!ObjectId.isValid(id)) return null;
+    const { alertsCol } = cols;
+    const doc = await alertsCol.findOne({ _id: new ObjectId(id), auth0_id });
+    return mapAlert(doc);
+}
+
+/**
+ * Acknowledge an active alert (the user has seen it; it stays open until resolved).
+ * @param {string} auth0_id
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+export async function acknowledgeAlert(auth0_id, id) {
+    const alert = await findAlert(auth0_id, id);
+    if (!alert) throw new Error('Alert not found');
+    if (alert.status !== 'active') throw new Error(`Cannot acknowledge a ${alert.status} alert.`);
+    return patchAlert(auth0_id, id, { status: 'acknowledged', acknowledgedAt: new Date() });
+}
+
+/**
+ * Dismiss an active or acknowledged alert; dismissed alerts are not re-opened for the same period.
+ * @param {string} auth0_id
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+export async function dismissAlert(auth0_id, id) {
+    const alert = await findAlert(auth0_id, id);
+    if (!alert) throw new Error('Alert not found');
+    if (alert.status === 'dismissed' || alert.status === 'resolved') {
+        throw new Error(`Cannot dismiss a ${alert.status} alert.`);
+    }
+    return patchAlert(auth0_id, id, { status: 'dismissed', dismissedAt: new Date(), snoozedUntil: null });
+}
+
+/**
+ * Snooze an open alert until the given time (hidden from default listings until then).
+ * @param {string} auth0_id
+ * @param {string} id
+ * @param {Date} until
+ * @returns {Promise<Object>}
+ */
+export async function snoozeAlert(auth0_id, id, until) {
+    if (!(until instanceof Date) || Number.isNaN(until.getTime()) || until <= new Date()) {
+        throw new Error('Snooze time must be in the future.');
+    }
+    const alert = await findAlert(auth0_id, id);
+    if (!alert) throw new Error('Alert not found');
+    if (alert.status === 'dismissed' || alert.status === 'resolved') {
+        throw new Error(`Cannot snooze a ${alert.status} alert.`);
+    }
+    return patchAlert(auth0_id, id, { snoozedUntil: until });
+}
+
+/**
+ * Store a budget alert unless the user already has one for the same budget, period and threshold
+ * (two evaluations can race past the existence check; the unique index keeps the first).
+ * @param {string} auth0_id
+ * @param {{budgetId:string,periodStart:Date,threshold:number}} alert
+ * @returns {Promise<Object|null>} The stored alert, or null when it already existed
+ */
+async function insertAlert(auth0_id, alert) {
+    const now = new Date();
+    const cols = getCollections();
+    if (!cols) {
+        const list = memAlerts.get(auth0_id) || [];
+        const start = alert.periodStart.getTime();
+        if (list.some(a =>
+            a.budgetId === alert.budgetId &&
+            a.threshold === alert.threshold &&
+            new Date(a.periodStart).getTime() === start
+        )) return null;
+        const doc = { id: generateMemId(), auth0_id, ...alert, createdAt: now, updatedAt: now };
+        list.push(doc);
+        memAlerts.set(auth0_id, list);
+        return doc;
+    }
+    const { alertsCol } = cols;
+    try {
+        const res = await alertsCol.insertOne({ auth0_id, ...alert, createdAt: now, updatedAt: now });
+        return mapAlert(await alertsCol.findOne({ _id: res.insertedId }));
+    } catch (err) {
+        // Another evaluation raised this alert first (unique index)
+        if (err?.code === 11000) return null;
+        throw err;
+    }
+}
+
+async function patchAlert(auth0_id, id, changes) {
+    const cols = getCollections();
+    if (!cols) {
+        const list = memAlerts.get(auth0_id) || [];
+        const idx = list.findIndex(a => a.id === id);
+        if (idx === -1) throw new Error('Alert not found');
+        list[idx] = { ...list[idx], ...changes, updatedAt: new Date() };
+        memAlerts.set(auth0_id, list);
+        return list[idx];
+    }
+    const { alertsCol } = cols;
+    const _id = new ObjectId(id);
+    const res = await alertsCol.findOneAndUpdate(
+        { _id, auth0_id },
+        { $set: { ...changes, updatedAt: new Date() } },
+        { returnDocument: 'after' }
+    );
+    if (!res.value) throw new Error('Alert not found');
+    return mapAlert(res.value);
+}
+
+function resolveAlertThresholds(budget) {
+    const source = Array.isArray(budget?.alertThresholds) && budget.alertThresholds.length
+        ? budget.alertThresholds
+        : DEFAULT_ALERT_THRESHOLDS;
+    const values = source.map(Number).filter(n => Number.isFinite(n) && n > 0);
+    return [...new Set(values)].sort((a, b) => a - b);
+}
+
+function buildAlertMessage(budgetStatus, threshold, utilization) {
+    const { categories, period } = budgetStatus;
+    const scope = categories.length ? ` for ${categories.join(', ')}` : '';
+    return `You have used ${utilization}% of your ${period} budget${scope} (${threshold}% alert).`;
+}
+
+/**
+ * Re-evaluate a user's budgets against current-period spending, raising alerts for newly
+ * crossed thresholds, refreshing the figures on open alerts, and resolving alerts whose
+ * threshold is no longer met (or whose budget/period no longer applies).
+ * @param {string} auth0_id
+ * @param {Date} [now]
+ * @returns {Promise<Array>} The user's alerts after evaluation.
+ */
+export async function evaluateBudgetAlerts(auth0_id, now = new Date()) {
+    const [budgets, transactions, existing, settings] = await Promise.all([
+        listBudgets(auth0_id),
+        listTransactions(auth0_id),
+        listAlerts(auth0_id),
+        getUserSettings(auth0_id),
+    ]);
+    const seen = new Set();
+
+    for (const budget of budgets) {
+        const budgetStatus = computeBudgetStatus(budget, transactions, now, settings);
+        if (budgetStatus.amount <= 0) continue;
+        const { budgetId, available, spent, categories, periodStart: start, periodEnd: end } = budgetStatus;
+        const scoped = categories.length > 0;
+        const utilization = Math.round(utilizationPercent(spent, available));
+
+        for (const threshold of resolveAlertThresholds(budget)) {
+            const current = existing.find(a =>
+                a.budgetId === budgetId &&
+                a.threshold === threshold &&
+                new Date(a.periodStart).getTime() === start.getTime()
+            );
+            if (current) seen.add(current.id);
+            // A dismissal sticks for the period: neither resolved when spending drops nor reopened later
+            if (current?.status === 'dismissed') continue;
+            const crossed = utilization >= threshold;
+            const figures = {
+                type: scoped ? 'category' : 'global',
+                categories,
+                spent,
+                budgetAmount: available,
+                utilization,
+                message: buildAlertMessage(budgetStatus, threshold, utilization),
+            };
+
+            if (!current) {
+                if (!crossed) continue;
+                await insertAlert(auth0_id, {
+                    budgetId,
+                    period: budgetStatus.period,
+                    periodStart: start,
+                    periodEnd: end,
+                    threshold,
+                    status: 'active',
+                    resolvedAt: null,
+                    ...figures,
+                });
+            } else if (crossed) {
+                const reopened = current.status === 'resolved'
+                    ? { status: 'active', resolvedAt: null, snoozedUntil: null }
+                    : {};
+                await patchAlert(auth0_id, current.id, { ...figures, ...reopened });
+            } else if (current.status !== 'resolved') {
+                await patchAlert(auth0_id, current.id, { ...figures, status: 'resolved', resolvedAt: now });
+            }
+        }
+    }
+
+    // Alerts for deleted budgets, removed thresholds, or closed periods no longer apply.
+    for (const alert of existing) {
+        if (seen.has(alert.id) || alert.status === 'resolved' || alert.status === 'dismissed') continue;
+        await patchAlert(auth0_id, alert.id, { status: 'resolved', resolvedAt: now });
+    }
+
+    return listAlerts(auth0_id);
+}
+
+/**
+ * List a user's summary reports, newest period first.
+ * @param {string} auth0_id
+ * @param {{period?:string,before?:Date,limit?:number}} [options] - `before` keeps periods starting earlier
+ * @returns {Promise<Array>}
+ */
+export async function listSummaryReports(auth0_id, { period, before, limit } = {}) {
+    const cols = getCollections();
+    if (!cols) {
+        const list = (memReports.get(auth0_id) || [])
+            .filter(r => (!period || r.period === period) && (!before || r.periodStart < before))
+            .sort((a, b) => b.periodStart - a.periodStart);
+        return limit === undefined ? list : list.slice(0, limit);
+    }
+    const { reportsCol } = cols;
+    const query = { auth0_id };
+    if (period) query.period = period;
+    if (before) query.periodStart = { $lt: before };
+    let cursor = reportsCol.find(query).sort({ periodStart: -1 });
+    if (limit !== undefined) cursor = cursor.limit(limit);
+    const docs = await cursor.toArray();
+    return docs.map(mapReport);
+}
+
+/**
+ * Retrieve one of a user's summary reports.
+ * @param {string} auth0_id
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export async function getSummaryReport(auth0_id, id) {
+    const cols = getCollections();
+    if (!cols) return (memReports.get(auth0_id) || []).find(r => r.id === id) || null;
+    // A malformed id names no report
+    if (!ObjectId.isValid(id)) return null;
+    const { reportsCol } = cols;
+    return mapReport(await reportsCol.findOne({ _id: new ObjectId(id), auth0_id }));
+}
+
+/**
+ * Store a summary report snapshot unless the user already has one for the same period.
+ * @param {string} auth0_id
+ * @param {{period:string,periodStart:Date}} report - Built by buildSummaryReport
+ * @returns {Promise<Object|null>} The stored report, or null when that period was already snapshotted
+ */
+export async function insertSummaryReport(auth0_id, report) {
+    const now = new Date();
+    const cols = getCollections();
+    if (!cols) {
+        const list = memReports.get(auth0_id) || [];
+        const start = report.periodStart.getTime();
+        if (list.some(r => r.period === report.period && r.periodStart.getTime() === start)) return null;
+        const doc = { id: generateMemId(), auth0_id, ...report, createdAt: now };
+        list.push(doc);
+        memReports.set(auth0_id, list);
+        return doc;
+    }
+    const { reportsCol } = cols;
+    try {
+        const res = await reportsCol.insertOne({ auth0_id, ...report, createdAt: now });
+        return mapReport(await reportsCol.findOne({ _id: res.insertedId }));
+    } catch (err) {
+        // Another run stored this period first (unique index)
+        if (err?.code === 11000) return null;
+        throw err;
+    }
+}
+
+/**
+ * Replace a stale summary report with a rebuilt snapshot of the same period, keeping its id. Nothing
+ * changes when the report was marked stale again after `staleAt` (a newer write is not yet reflected in
+ * `report`), so it stays stale for the next run.
+ * @param {string} auth0_id
+ * @param {string} id
+ * @param {Date} staleAt - The report's `staleAt` when `report` was built
+ * @param {Object} report - Built by buildSummaryReport
+ * @returns {Promise<Object|null>} The rebuilt report, or null when it was not replaced
+ */
+export async function replaceSummaryReport(auth0_id, id, staleAt, report) {
+    const now = new Date();
+    const cols = getCollections();
+    if (!cols) {
+        const list = memReports.get(auth0_id) || [];
+        const idx = list.findIndex(r => r.id === id && r.staleAt?.getTime() === new Date(staleAt).getTime());
+        if (idx === -1) return null;
+        const rebuilt = { ...list[idx], ...report, updatedAt: now };
+        delete rebuilt.staleAt;
+        list[idx] = rebuilt;
+        return rebuilt;
+    }
+    const { reportsCol } = cols;
+    const res = await reportsCol.findOneAndUpdate(
+        { _id: new ObjectId(id), auth0_id, staleAt: new Date(staleAt) },
+        { $set: { ...report, updatedAt: now }, $unset: { staleAt: '' } },
+        { returnDocument: 'after' }
+    );
+    return mapReport(res.value);
+}
+
+/**
+ * List the ids of every known user (for jobs that run across accounts).
+ * @returns {Promise<string[]>}
+ */
+export async function listUserIds() {
+    const cols = getCollections();
+    if (!cols) return [...new Set([...memUsers.keys(), ...memTx.keys()])];
+    const { usersCol } = cols;
+    return usersCol.distinct('auth0_id');
+}
+
+// Account record collections in restore order (records refer to ones restored before them)
+export const ACCOUNT_COLLECTIONS = ['categories', 'recurring', 'budgets', 'transactions', 'alerts'];
+
+const ACCOUNT_STORES = {
+    categories: { mem: memCategories, col: 'categoriesCol', map: mapCategory },
+    recurring: { mem: memRecurring, col: 'recurringCol', map: mapRecurring },
+    budgets: { mem: memBudgets, col: 'budgetsCol', map: mapBudget },
+    transactions: { mem: memTx, col: 'txCol', map: mapTransaction },
+    alerts: { mem: memAlerts, col: 'alertsCol', map: mapAlert },
+    reports: { mem: memReports, col: 'reportsCol', map: mapReport },
+};
+
+// Summary reports are derived from the records above: purged with the account, regenerated after a restore
+const PURGED_COLLECTIONS = [...ACCOUNT_COLLECTIONS, 'reports'];
+
+/**
+ * Insert records restored from an account archive as they are (timestamps and statuses included).
+ * The caller strips old ids and remaps references; alerts are not re-evaluated here.
+ * @param {string} auth0_id
+ * @param {string} collection - One of ACCOUNT_COLLECTIONS
+ * @param {Array<Object>} records
+ * @returns {Promise<Array>} The inserted records with their new ids, in input order
+ */
+export async function insertAccountRecords(auth0_id, collection, records) {
+    const target = ACCOUNT_STORES[collection];
+    if (!target) throw new Error(`Unknown account collection "${collection}".`);
+    if (!records.length) return [];
+    if (collection === 'transactions') {
+        // Archived transactions name their category; link them to this account's categories
+        const lookup = await categoryLookup(auth0_id);
+        records = records.map(record => linkCategory(record, lookup));
+    }
+    const cols = getCollections();
+    if (!cols) {
+        const list = collection === 'categories' ? ensureMemCategories(auth0_id) : target.mem.get(auth0_id) || [];
+        const docs = records.map(record => ({ ...record, id: generateMemId(), auth0_id }));
+        list.push(...docs);
+        target.mem.set(auth0_id, list);
+        if (collection === 'transactions') await markReportsStale(auth0_id, docs);
+        return docs;
+    }
+    const docs = records.map(record => (collection === 'transactions'
+        ? withEffectiveDate({ ...record, auth0_id })
+        : { ...record, auth0_id }));
+    // insertMany sets `_id` on each document
+    await cols[target.col].insertMany(docs);
+    if (collection === 'transactions') await markReportsStale(auth0_id, docs);
+    return docs.map(target.map);
+}
+
+/**
+ * Delete everything stored for a user: the user record and all categories, recurring schedules,
+ * budgets, transactions, alerts and summary reports.
+ * @param {string} auth0_id
+ * @returns {Promise<{users:number,categories:number,recurring:number,budgets:number,transactions:number,alerts:number,reports:number}>} Documents removed per collection
+ */
+export async function deleteAccount(auth0_id) {
+    if (!auth0_id) throw new Error('User id is required.');
+    const removed = { users: 0 };
+    const cols = getCollections();
+    if (!cols) {
+        removed.users = memUsers.delete(auth0_id) ? 1 : 0;
+        for (const collection of PURGED_COLLECTIONS) {
+            const { mem } = ACCOUNT_STORES[collection];
+            removed[collection] = (mem.get(auth0_id) || []).length;
+            mem.delete(auth0_id);
+        }
+        return removed;
+    }
+    removed.users = (await cols.usersCol.deleteMany({ auth0_id })).deletedCount;
+    for (const collection of PURGED_COLLECTIONS) {
+        const res = await cols[ACCOUNT_STORES[collection].col].deleteMany({ auth0_id });
+        removed[collection] = res.deletedCount;
+    }
+    return removed;
+}
+
+// Summary reports whose period overlaps the changed transactions' dates get `staleAt`, so the next
+// generation run rebuilds them. Like alert evaluation, a failure here never fails the write itself.
+async function markReportsStale(auth0_id, transactions) {
+    const times = transactions.map(getTransactionDate).filter(Boolean).map(date => date.getTime());
+    if (!times.length) return;
+    const first = new Date(Math.min(...times));
+    const last = new Date(Math.max(...times));
+    const staleAt = new Date();
+    try {
+        const cols = getCollections();
+        if (!cols) {
+            (memReports.get(auth0_id) || [])
+                .filter(r => r.periodStart <= last && r.periodEnd > first)
+                .forEach(r => { r.staleAt = staleAt; });
+            return;
+        }
+        await cols.reportsCol.updateMany(
+            { auth0_id, periodStart: { $lte: last }, periodEnd: { $gt: first } },
+            { $set: { staleAt } }
+        );
+    } catch (err) {
+        console.error('Marking summary reports stale failed', err);
+    }
+}
+
+// Alert evaluation is a side effect of writes; never let it fail the write itself.
+async function refreshBudgetAlerts(auth0_id) {
+    try {
+        await evaluateBudgetAlerts(auth0_id);
+    } catch (err) {
+        console.error('Budget alert evaluation failed', err);
+    }
+}
+
 export default {
     upsertUser,
     getUser,
+    getUserSettings,
     listBudgets,
     createBudget,
     updateBudget,
     deleteBudget,
     listTransactions,
+    queryTransactions,
+    searchTransactions,
+    summarizeTransactions,
+    getTransaction,
     createTransaction,
+    createTransactions,
+    findImportedExternalIds,
+    findDuplicateCandidates,
     updateTransaction,
     deleteTransaction,
+    findOccurrenceTransaction,
+    listRecurring,
+    getRecurring,
+    createRecurring,
+    updateRecurring,
+    deleteRecurring,
+    listDueRecurring,
+    advanceRecurring,
     listCategories,
     createCategory,
     updateCategory,
+    mergeCategory,
+    linkTransactionCategories,
+    migrateTransactionCategories,
     deleteCategory,
     categoryExists,
+    listAlerts,
+    acknowledgeAlert,
+    dismissAlert,
+    snoozeAlert,
+    evaluateBudgetAlerts,
+    listSummaryReports,
+    getSummaryReport,
+    insertSummaryReport,
+    replaceSummaryReport,
+    listUserIds,
+    insertAccountRecords,
+    deleteAccount,
 };
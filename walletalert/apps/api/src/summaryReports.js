@@ -0,0 +1,193 @@
+/**
+ * Module: summaryReports.js
+ * Purpose: Weekly and monthly SummaryReport snapshots (total spending, category breakdown and budget comparison
+ *          for one closed period) and the in-process scheduler that generates them.
+ * Notes: A period is snapshotted once it has ended in the user's timezone. Generation adds missing periods
+ *        (from the user's first transaction, newest MAX_CATCH_UP per kind), and the store keeps one report per
+ *        user, kind and period start, so overlapping runs cannot create duplicates. A transaction written into
+ *        a snapshotted period marks that report stale (`staleAt`); the next run rebuilds it in place.
+ */
+import {
+    listTransactions,
+    listBudgets,
+    listSummaryReports,
+    insertSummaryReport,
+    replaceSummaryReport,
+    listUserIds,
+    getUserSettings,
+} from './store.js';
+import { computeBudgetStatus, formatLocalDate, getPeriodRange, getTransactionDate } from './periods.js';
+import { summarizeTransactionList } from './reports.js';
+
+export const SUMMARY_REPORT_PERIODS = ['weekly', 'monthly'];
+export const DEFAULT_REPORT_PAGE_LIMIT = 12;
+export const MAX_REPORT_PAGE_LIMIT = 60;
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+// Closed periods snapshotted per kind on a user's first run (two years of weeks or months at most)
+const MAX_CATCH_UP = { weekly: 104, monthly: 24 };
+
+const periodOptions = (settings = {}) => ({
+    timezone: settings?.timezone || undefined,
+    weekStartsOn: settings?.weekStartsOn,
+});
+
+/**
+ * The closed periods of one kind, newest first: from the period before the one containing `now` back to
+ * the period containing `since`, at most `limit` of them.
+ * @param {'weekly'|'monthly'} period
+ * @param {Date} since
+ * @param {Date} now
+ * @param {{timezone?:string|null,weekStartsOn?:number}} [settings]
+ * @param {number} [limit]
+ * @returns {Array<{start:Date,end:Date}>}
+ */
+export function listClosedPeriods(period, since, now, settings = {}, limit = MAX_CATCH_UP[period]) {
+    const options = periodOptions(settings);
+    const first = getPeriodRange(period, since, options);
+    const ranges = [];
+    let { start } = getPeriodRange(period, now, options);
+    while (ranges.length < limit && start > first.start) {
+        const previous = getPeriodRange(period, new Date(start.getTime() - 1), options);
+        ranges.push(previous);
+        start = previous.start;
+    }
+    return ranges;
+}
+
+/**
+ * Build the snapshot of one closed period: spending and income totals, spending per category (largest
+ * first) and each budget of the same period kind that existed by then, with its figures for that period.
+ * @param {'weekly'|'monthly'} period
+ * @param {{start:Date,end:Date}} range
+ * @param {Array<Object>} transactions - All of the user's transactions
+ * @param {Array<Object>} budgets
+ * @param {{timezone?:string|null,weekStartsOn?:number}} [settings]
+ * @returns {Object} `{period, key, periodStart, periodEnd, totalSpending, totalIncome, transactionCount, categories, budgets}`
+ */
+export function buildSummaryReport(period, { start, end }, transactions, budgets, settings = {}) {
+    const options = { ...periodOptions(settings), start, end };
+    const { totals } = summarizeTransactionList(transactions, { ...options, groupBy: 'category' });
+    const spending = summarizeTransactionList(transactions, { ...options, groupBy: 'category', type: 'expense' });
+    const lastMoment = new Date(end.getTime() - 1);
+
+    const comparisons = budgets
+        .filter(budget => (budget.period || 'monthly') === period)
+        .filter(budget => !budget.createdAt || new Date(budget.createdAt) < end)
+        .map(budget => {
+            const status = computeBudgetStatus(budget, transactions, lastMoment, settings || {});
+            return {
+                budgetId: status.budgetId,
+                categories: status.categories,
+                amount: status.amount,
+                carriedOver: status.carriedOver,
+                available: status.available,
+                spent: status.spent,
+                remaining: status.remaining,
+                utilization: status.utilization,
+                exceeded: status.spent > status.available,
+            };
+        });
+
+    return {
+        period,
+        key: formatLocalDate(start, options.timezone),
+        periodStart: start,
+        periodEnd: end,
+        totalSpending: totals.spent,
+        totalIncome: totals.income,
+        transactionCount: totals.count,
+        categories: spending.groups.map(({ key, spent, count }) => ({ category: key, spent, count })),
+        budgets: comparisons,
+    };
+}
+
+/**
+ * Snapshot every closed weekly and monthly period a user does not have a report for yet, and rebuild
+ * reports marked stale by later writes to their period.
+ * @param {string} auth0_id
+ * @param {Date} [now]
+ * @returns {Promise<Array<Object>>} The reports created or rebuilt
+ */
+export async function generateSummaryReports(auth0_id, now = new Date()) {
+    const [transactions, budgets, existing, settings] = await Promise.all([
+        listTransactions(auth0_id),
+        listBudgets(auth0_id),
+        listSummaryReports(auth0_id),
+        getUserSettings(auth0_id),
+    ]);
+
+    const created = [];
+    for (const stale of existing.filter(report => report.staleAt)) {
+        const range = { start: new Date(stale.periodStart), end: new Date(stale.periodEnd) };
+        const report = await replaceSummaryReport(
+            auth0_id,
+            stale.id,
+            stale.staleAt,
+            buildSummaryReport(stale.period, range, transactions, budgets, settings)
+        );
+        if (report) created.push(report);
+    }
+
+    const dates = transactions.map(getTransactionDate).filter(Boolean);
+    if (dates.length === 0) return created;
+    const since = new Date(Math.min(...dates.map(date => date.getTime())));
+    const known = new Set(existing.map(report => `${report.period}|${new Date(report.periodStart).getTime()}`));
+
+    for (const period of SUMMARY_REPORT_PERIODS) {
+        for (const range of listClosedPeriods(period, since, now, settings)) {
+            if (known.has(`${period}|${range.start.getTime()}`)) continue;
+            const report = await insertSummaryReport(
+                auth0_id,
+                buildSummaryReport(period, range, transactions, budgets, settings)
+            );
+            if (report) created.push(report);
+        }
+    }
+    return created;
+}
+
+/**
+ * Generate missing and rebuild stale reports for every user. Failures are logged per user so one bad
+ * account does not block the rest.
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of reports created or rebuilt
+ */
+export async function generateAllSummaryReports(now = new Date()) {
+    let created = 0;
+    for (const auth0_id of await listUserIds()) {
+        try {
+            created += (await generateSummaryReports(auth0_id, now)).length;
+        } catch (err) {
+            console.error(`Summary reports for ${auth0_id} failed`, err);
+        }
+    }
+    return created;
+}
+
+/**
+ * Start the in-process report scheduler: runs immediately, then every `intervalMs` (hourly by default,
+ * so periods are snapshotted soon after they close in any timezone). Runs never overlap.
+ * @param {{intervalMs?:number}} [options]
+ * @returns {() => void} Stops the scheduler
+ */
+export function startReportScheduler({ intervalMs = DEFAULT_INTERVAL_MS } = {}) {
+    let running = false;
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const created = await generateAllSummaryReports();
+            if (created) console.log(`Report scheduler: created or rebuilt ${created} summary report(s)`);
+        } catch (err) {
+            console.error('Report scheduler run failed', err);
+        } finally {
+            running = false;
+        }
+    };
+
+    tick();
+    const timer = setInterval(tick, intervalMs);
+    timer.unref?.();
+    return () => clearInterval(timer);
+}
@@ -0,0 +1,202 @@
+/**
+ * Transaction list queries: parses the GET /api/transactions filters (day range, categories, amount
+ * range, text), sort order and keyset cursor, and applies them to an in-memory list. The Mongo path in
+ * store.js builds the same query as an indexed find on the stored `effectiveDate` and shares the paging
+ * helpers below.
+ * Pages are ordered by the sort value with the transaction id as tie-breaker, so a cursor (the last
+ * item's sort value and id) stays valid while transactions are added or removed.
+ */
+
+import { getTransactionDate, matchesBudgetCategories, parseLocalDate, parseLocalDayEnd } from './periods.js';
+
+export const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Newest first unless asked otherwise; a leading "-" sorts descending
+export const TRANSACTION_SORTS = ['-date', 'date', '-amount', 'amount'];
+export const DEFAULT_TRANSACTION_SORT = '-date';
+export const DEFAULT_PAGE_LIMIT = 50;
+export const MAX_PAGE_LIMIT = 200;
+export const MAX_QUERY_LENGTH = 100;
+
+/**
+ * Escape a string for literal use inside a regular expression.
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeRegExp(value) {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Split a sort option into its field and direction (1 ascending, -1 descending).
+ * @param {string} [sort]
+ * @returns {{field:'date'|'amount',direction:1|-1}}
+ */
+export function parseTransactionSort(sort = DEFAULT_TRANSACTION_SORT) {
+    return sort.startsWith('-')
+        ? { field: sort.slice(1), direction: -1 }
+        : { field: sort, direction: 1 };
+}
+
+/**
+ * Numeric sort value of a transaction: its effective date in milliseconds or its amount.
+ * @param {Object} tx
+ * @param {'date'|'amount'} field
+ * @returns {number}
+ */
+export function transactionSortValue(tx, field) {
+    const value = field === 'date' ? getTransactionDate(tx)?.getTime() : Number(tx.amount);
+    return Number.isFinite(value) ? value : 0;
+}
+
+/**
+ * Encode the position after `tx` as an opaque cursor for the given sort.
+ * @param {Object} tx
+ * @param {string} sort
+ * @returns {string}
+ */
+export function encodeCursor(tx, sort) {
+    const { field } = parseTransactionSort(sort);
+    const payload = { s: sort, v: transactionSortValue(tx, field), id: String(tx.id) };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor made by encodeCursor.
+ * @param {string} cursor
+ * @returns {{sort:string,value:number,id:string}|null} Null when the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+    try {
+        const { s, v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!TRANSACTION_SORTS.includes(s) || !Number.isFinite(v) || typeof id !== 'string' || !id) return null;
+        return { sort: s, value: v, id };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Read a list query parameter given as a string, a repeated parameter (array) or comma-separated names.
+ * @param {unknown} value
+ * @returns {string[]}
+ */
+export function parseListParam(value) {
+    return (Array.isArray(value) ? value : [value])
+        .flatMap(item => (typeof item === 'string' ? item.split(',') : []))
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+const amountParam = (value) => {
+    if (value === undefined || value === '') return undefined;
+    const amount = Number(value);
+    return Number.isFinite(amount) && amount >= 0 ? amount : null;
+};
+
+/**
+ * Validate GET /api/transactions query parameters and turn them into query options. Days are
+ * "YYYY-MM-DD" in the user's timezone and both bounds are inclusive. A page is requested by passing
+ * `limit` or `after`; without either, `limit` is left unset and every match is returned.
+ * @param {Object} query - Express `req.query`
+ * @param {{timezone?:string,isValidId?:function(string):boolean}} [settings] - `isValidId` checks the
+ *        transaction id inside an `after` cursor (the store's isValidTransactionId)
+ * @returns {{options?:{start?:Date,end?:Date,categories:string[],minAmount?:number,maxAmount?:number,q?:string,sort:string,limit?:number,after?:{value:number,id:string}},error?:string}}
+ */
+export function parseTransactionQuery(query = {}, { timezone, isValidId = () => true } = {}) {
+    const { from, to, minAmount, maxAmount, q, sort = DEFAULT_TRANSACTION_SORT, limit, after } = query;
+    const options = { categories: parseListParam(query.category), sort };
+
+    const invalidDay = (value) => value !== undefined && !(DAY_PATTERN.test(value) && parseLocalDate(value));
+    if (invalidDay(from) || invalidDay(to)) {
+        return { error: 'from and to must be dates formatted as YYYY-MM-DD.' };
+    }
+    if (from && to && to < from) return { error: 'to must be on or after from.' };
+    if (from) options.start = parseLocalDate(from, timezone);
+    if (to) options.end = parseLocalDayEnd(to, timezone);
+
+    const min = amountParam(minAmount);
+    const max = amountParam(maxAmount);
+    if (min === null || max === null) {
+        return { error: 'minAmount and maxAmount must be numbers of zero or more.' };
+    }
+    if (min !== undefined && max !== undefined && max < min) {
+        return { error: 'maxAmount must be at least minAmount.' };
+    }
+    if (min !== undefined) options.minAmount = min;
+    if (max !== undefined) options.maxAmount = max;
+
+    if (q !== undefined) {
+        if (typeof q !== 'string' || q.length > MAX_QUERY_LENGTH) {
+            return { error: `q must be text of at most ${MAX_QUERY_LENGTH} characters.` };
+        }
+        if (q.trim()) options.q = q.trim();
+    }
+
+    if (!TRANSACTION_SORTS.includes(sort)) {
+        return { error: `sort must be one of: ${TRANSACTION_SORTS.join(', ')}.` };
+    }
+
+    if (limit !== undefined || after !== undefined) {
+        const pageLimit = limit === undefined ? DEFAULT_PAGE_LIMIT : Number(limit);
+        if (!Number.isInteger(pageLimit) || pageLimit < 1 || pageLimit > MAX_PAGE_LIMIT) {
+            return { error: `limit must be a whole number between 1 and ${MAX_PAGE_LIMIT}.` };
+        }
+        options.limit = pageLimit;
+    }
+    if (after !== undefined) {
+        const cursor = decodeCursor(after);
+        if (!cursor || !isValidId(cursor.id)) return { error: 'after is not a valid cursor.' };
+        if (cursor.sort !== sort) return { error: 'after belongs to a different sort order; start again without it.' };
+        options.after = { value: cursor.value, id: cursor.id };
+    }
+    return { options };
+}
+
+/**
+ * Cut a sorted list (which may hold one extra item past the page) down to `limit` and add the cursor
+ * for the next page.
+ * @param {Array<Object>} sorted
+ * @param {{sort?:string,limit?:number}} options
+ * @returns {{transactions:Array<Object>,nextCursor:string|null}}
+ */
+export function toTransactionPage(sorted, { sort = DEFAULT_TRANSACTION_SORT, limit } = {}) {
+    if (limit === undefined || sorted.length <= limit) return { transactions: sorted, nextCursor: null };
+    const transactions = sorted.slice(0, limit);
+    return { transactions, nextCursor: encodeCursor(transactions[transactions.length - 1], sort) };
+}
+
+/**
+ * Filter, sort and page an in-memory transaction list.
+ * @param {Array<Object>} transactions
+ * @param {Object} [options] - As returned by parseTransactionQuery
+ * @returns {{transactions:Array<Object>,nextCursor:string|null}}
+ */
+export function pageTransactions(transactions, options = {}) {
+    const { start, end, categories, minAmount, maxAmount, q, sort, after } = options;
+    const { field, direction } = parseTransactionSort(sort);
+    const needle = q?.toLowerCase();
+
+    // Ids are compared as strings so ties break the same way on every page
+    const compare = (valueA, idA, valueB, idB) =>
+        direction * (valueA - valueB || (idA < idB ? -1 : idA > idB ? 1 : 0));
+
+    const matches = transactions.filter(tx => {
+        const date = getTransactionDate(tx);
+        if ((start || end) && !date) return false;
+        if ((start && date < start) || (end && date >= end)) return false;
+        const amount = Number(tx.amount);
+        if ((minAmount !== undefined && !(amount >= minAmount)) || (maxAmount !== undefined && !(amount <= maxAmount))) {
+            return false;
+        }
+        if (!matchesBudgetCategories(tx, categories)) return false;
+        if (needle && !`${tx.description || ''}\n${tx.notes || ''}\n${tx.category || ''}`.toLowerCase().includes(needle)) return false;
+        return !after || compare(transactionSortValue(tx, field), String(tx.id), after.value, after.id) > 0;
+    });
+
+    matches.sort((a, b) => compare(
+        transactionSortValue(a, field), String(a.id),
+        transactionSortValue(b, field), String(b.id)
+    ));
+    return toTransactionPage(options.limit === undefined ? matches : matches.slice(0, options.limit + 1), options);
+}
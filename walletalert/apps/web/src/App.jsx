@@ -1,14 +1,17 @@
 import React, { useEffect } from 'react';
 import { useAuth0 } from "@auth0/auth0-react";
 import AuthButton from "./components/AuthButton";
+import DeleteAccountButton from "./components/DeleteAccountButton";
 import Dashboard from "./components/Dashboard";
 import LoginPanel from "./components/LoginPanel";
 import api from "./api/api";
+import { getBrowserTimezone } from "./utils/date";
 
 /**
  * Root application shell responsible for bootstrapping the authenticated user
  * and toggling between the login panel and main dashboard views.
- * Triggers the /api/bootstrap call after login to ensure the user exists server-side.
+ * Triggers the /api/bootstrap call after login to ensure the user exists server-side
+ * (sending the browser timezone as the default for period settings).
  */
 export default function App() {
   const { isAuthenticated, user, getAccessTokenSilently } = useAuth0();
@@ -20,7 +23,7 @@ export default function App() {
         const token = await getAccessTokenSilently();
         const res = await api.post(
           "/api/bootstrap",
-          null,
+          { timezone: getBrowserTimezone() },
           { headers: { Authorization: `Bearer ${token}` } }
         );
         if (res.status === 201) {
@@ -54,6 +57,7 @@ export default function App() {
                 Hi, {user?.given_name || user?.nickname || user?.email}
               </span>
             )}
+            {isAuthenticated && <DeleteAccountButton />}
             <AuthButton />
           </div>
         </div>
@@ -0,0 +1,129 @@
+import React, { useState } from "react";
+import { useAuth0 } from "@auth0/auth0-react";
+import api from "../api/api";
+import Input from "./ui/Input";
+import Button from "./ui/Button";
+
+/**
+ * Account backup and restore: downloads the full account archive (GET /api/account/export) and
+ * restores one from a file (POST /api/account/import). Restoring into an account that already has
+ * data asks for confirmation before merging. Notifies parent via onRestored.
+ *
+ * @param {{ onRestored?: function }} props
+ */
+const AccountBackup = ({ onRestored }) => {
+  const { getAccessTokenSilently } = useAuth0();
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  const authHeaders = async () => {
+    const token = await getAccessTokenSilently();
+    return { headers: { Authorization: `Bearer ${token}` } };
+  };
+
+  const handleDownload = async () => {
+    setError("");
+    setMessage("");
+    setBusy(true);
+    try {
+      const res = await api.get("/api/account/export", await authHeaders());
+      const blob = new Blob([JSON.stringify(res.data, null, 2)], { type: "application/json" });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `walletalert-account-${res.data.exportedAt.slice(0, 10)}.json`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error("Account export error:", err?.response?.data || err.message || err);
+      setError("Could not download the backup. Try again.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const restore = async (archive, merge) => {
+    const res = await api.post("/api/account/import", { archive, merge }, await authHeaders());
+    const { restored } = res.data;
+    // Categories and budgets the server refused are named by their position in the backup file
+    const rejected = (restored.rejected || []).map(
+      (row) => `${row.collection} ${row.index}: ${row.error}`
+    );
+    setMessage(
+      `Restored ${restored.transactions} transaction(s), ${restored.budgets} budget(s), ` +
+        `${restored.recurring} recurring schedule(s) and ${restored.categories.created} new categories.` +
+        (rejected.length ? ` Skipped ${rejected.length} invalid row(s): ${rejected.join("; ")}` : "")
+    );
+    if (onRestored) onRestored(restored);
+  };
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+    setError("");
+    setMessage("");
+    setBusy(true);
+    try {
+      let archive;
+      try {
+        archive = JSON.parse(await file.text());
+      } catch {
+        setError("The file is not a valid backup.");
+        return;
+      }
+      try {
+        await restore(archive, false);
+      } catch (err) {
+        if (err?.response?.status !== 409) throw err;
+        const confirmed = window.confirm(
+          "This account already has data. Add everything from the backup to it?"
+        );
+        if (confirmed) await restore(archive, true);
+      }
+    } catch (err) {
+      console.error("Account import error:", err?.response?.data || err.message || err);
+      setError(err?.response?.data?.error || "Could not restore the backup. Try again.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="form">
+      <Button type="button" variant="secondary" disabled={busy} onClick={handleDownload}>
+        Download Backup
+      </Button>
+      <div className="form-field">
+        <label className="form-label" htmlFor="account-restore">
+          Restore from backup
+        </label>
+        <Input
+          id="account-restore"
+          type="file"
+          accept=".json,application/json"
+          onChange={handleFile}
+          disabled={busy}
+        />
+        <span className="form-helper">
+          Categories, budgets, recurring schedules, transactions and settings are restored.
+        </span>
+      </div>
+      {error && (
+        <span className="form-error" role="alert">
+          {error}
+        </span>
+      )}
+      {message && (
+        <span className="form-helper" role="status">
+          {message}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default AccountBackup;
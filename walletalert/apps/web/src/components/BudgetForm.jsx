@@ -4,20 +4,36 @@ import api from "../api/api";
 import Input from "./ui/Input";
 import Select from "./ui/Select";
 import Button from "./ui/Button";
+import { BUDGET_PERIODS } from "../utils/budget";
 
 /**
- * Form for creating a budget entry with amount and period fields.
+ * Form for creating a budget entry with amount, period, optional category scope, and rollover.
  * Performs basic validation then POSTs /api/budgets; notifies parent via onCreated.
+ * Leaving every category unchecked creates a budget that covers all spending.
+ * Biweekly budgets take an anchor date; custom budgets take an inclusive start/end range.
  *
- * @param {{ onCreated?: function }} props
+ * @param {{ onCreated?: function, categories?: string[] }} props
  */
-const BudgetForm = ({ onCreated }) => {
+const BudgetForm = ({ onCreated, categories = [] }) => {
   const { getAccessTokenSilently } = useAuth0();
   const [amount, setAmount] = useState("");
   const [period, setPeriod] = useState("weekly");
+  const [scope, setScope] = useState([]);
+  const [rollover, setRollover] = useState(false);
+  const [anchorDate, setAnchorDate] = useState("");
+  const [rangeStart, setRangeStart] = useState("");
+  const [rangeEnd, setRangeEnd] = useState("");
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
 
+  const toggleCategory = (name) => {
+    setScope((current) =>
+      current.includes(name)
+        ? current.filter((item) => item !== name)
+        : [...current, name]
+    );
+  };
+
   const handleSubmit = async (event) => {
     event.preventDefault();
     setError("");
@@ -28,15 +44,32 @@ const BudgetForm = ({ onCreated }) => {
       return;
     }
 
+    if (period === "custom" && (!rangeStart || !rangeEnd || rangeEnd < rangeStart)) {
+      setError("Choose a start date on or before the end date.");
+      return;
+    }
+
     setLoading(true);
     try {
       const token = await getAccessTokenSilently();
-      const payload = { period, amount: parsedAmount };
+      const payload = {
+        period,
+        amount: parsedAmount,
+        categories: scope.filter((name) => categories.includes(name)),
+        rollover,
+      };
+      if (period === "biweekly" && anchorDate) payload.anchorDate = anchorDate;
+      if (period === "custom") payload.range = { start: rangeStart, end: rangeEnd };
       await api.post("/api/budgets", payload, {
         headers: { Authorization: `Bearer ${token}` },
       });
       setAmount("");
       setPeriod("weekly");
+      setScope([]);
+      setRollover(false);
+      setAnchorDate("");
+      setRangeStart("");
+      setRangeEnd("");
       if (onCreated) onCreated();
     } catch (err) {
       console.error("Create budget error:", err?.response?.data || err.message || err);
@@ -74,11 +107,94 @@ const BudgetForm = ({ onCreated }) => {
           value={period}
           onChange={(e) => setPeriod(e.target.value)}
         >
-          <option value="weekly">Weekly</option>
-          <option value="monthly">Monthly</option>
+          {BUDGET_PERIODS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
         </Select>
       </div>
 
+      {period === "biweekly" && (
+        <div className="form-field">
+          <label className="form-label" htmlFor="budget-anchor">
+            First day of a pay period
+          </label>
+          <Input
+            id="budget-anchor"
+            type="date"
+            value={anchorDate}
+            onChange={(e) => setAnchorDate(e.target.value)}
+          />
+          <span className="form-helper">
+            Periods repeat every 14 days from this date (defaults to today).
+          </span>
+        </div>
+      )}
+
+      {period === "custom" && (
+        <>
+          <div className="form-field">
+            <label className="form-label" htmlFor="budget-range-start">
+              Start date
+            </label>
+            <Input
+              id="budget-range-start"
+              type="date"
+              value={rangeStart}
+              onChange={(e) => setRangeStart(e.target.value)}
+              required
+            />
+          </div>
+          <div className="form-field">
+            <label className="form-label" htmlFor="budget-range-end">
+              End date
+            </label>
+            <Input
+              id="budget-range-end"
+              type="date"
+              min={rangeStart || undefined}
+              value={rangeEnd}
+              onChange={(e) => setRangeEnd(e.target.value)}
+              required
+            />
+          </div>
+        </>
+      )}
+
+      {categories.length > 0 && (
+        <fieldset className="form-field checkbox-list">
+          <legend className="form-label">Categories</legend>
+          {categories.map((name) => (
+            <label key={name} className="checkbox-list__item">
+              <input
+                type="checkbox"
+                checked={scope.includes(name)}
+                onChange={() => toggleCategory(name)}
+              />
+              {name}
+            </label>
+          ))}
+          <span className="form-helper">
+            Leave all unchecked to cover every category.
+          </span>
+        </fieldset>
+      )}
+
+      <div className="form-field">
+        <label className="checkbox-list__item">
+          <input
+            type="checkbox"
+            checked={rollover}
+            onChange={(e) => setRollover(e.target.checked)}
+          />
+          Roll over unspent or overspent amounts
+        </label>
+        <span className="form-helper">
+          Carries each period&apos;s surplus or deficit into the next one.
+        </span>
+      </div>
+
       {error && (
         <span className="form-error" role="alert">
           {error}
@@ -1,7 +1,9 @@
 import React, { useMemo, useState } from "react";
 import Input from "./ui/Input";
+import Select from "./ui/Select";
 import Button from "./ui/Button";
-import { getCategoryPresentation } from "../utils/categories";
+import DeleteCategoryDialog from "./DeleteCategoryDialog";
+import { buildCategoryTree, getCategoryPresentation, presentationOptions } from "../utils/categories";
 
 const MAX_EMOJI_LENGTH = 3; // allow emoji plus potential variation selectors
 
@@ -18,42 +20,55 @@ const normalizeEmoji = (value = "") => {
 };
 
 /**
- * Management panel for creating, deleting, and updating categories and their emoji.
+ * Management panel for creating (expense or income), deleting, renaming, and updating categories and their emoji
+ * and color. The color swatch opens the browser's color picker; the picked color is previewed while picking and
+ * saved through `onUpdateColor(category, color)` when the picker closes (null resets to the default color).
+ * Categories are listed as a tree, each subcategory under its parent; a new category can be placed under a
+ * top-level category of the same type.
+ * Clicking a category's name edits it in place; Enter saves the new name and Escape cancels. Deleting opens
+ * DeleteCategoryDialog to pick where the category's expenses move, and calls `onDelete(category, reassignTo)`.
  *
- * @param {{ categories?: Array, onCreate?: function, onDelete?: function, onUpdateEmoji?: function }} props
+ * @param {{ categories?: Array, onCreate?: function, onDelete?: function, onUpdateEmoji?: function, onUpdateColor?: function, onRename?: function }} props
  */
 const CategoriesManager = ({
   categories = [],
   onCreate,
   onDelete,
   onUpdateEmoji,
+  onUpdateColor,
+  onRename,
 }) => {
   const [name, setName] = useState("");
   const [emoji, setEmoji] = useState("");
+  const [type, setType] = useState("expense");
+  const [parentId, setParentId] = useState("");
   const [saving, setSaving] = useState(false);
-  const [deletingId, setDeletingId] = useState(null);
+  const [pendingDelete, setPendingDelete] = useState(null);
   const [updatingId, setUpdatingId] = useState(null);
+  const [renamingId, setRenamingId] = useState(null);
+  const [draftName, setDraftName] = useState("");
+  // The color being picked for one category, shown before it is saved
+  const [colorDraft, setColorDraft] = useState({ id: null, color: "" });
   const [error, setError] = useState("");
 
-  const emojiOverrides = useMemo(() => {
-    const overrides = {};
-    categories.forEach((category) => {
-      const key = category?.name?.trim().toLowerCase();
-      if (key && category?.emoji) {
-        overrides[key] = { emoji: category.emoji };
-      }
-    });
-    return overrides;
-  }, [categories]);
-
-  const sortedCategories = useMemo(
+  const displayOptions = useMemo(() => presentationOptions(categories), [categories]);
+
+  const tree = useMemo(() => buildCategoryTree(categories), [categories]);
+
+  // Parents first, each followed by its subcategories
+  const rows = useMemo(
     () =>
-      [...categories].sort((a, b) =>
-        (a.name || "").localeCompare(b.name || "", undefined, {
-          sensitivity: "base",
-        })
-      ),
-    [categories]
+      tree.flatMap(({ children, ...parent }) => [
+        { category: parent, parentName: null },
+        ...children.map((child) => ({ category: child, parentName: parent.name })),
+      ]),
+    [tree]
+  );
+
+  // Subcategories only go one level deep, under a top-level category of the same type
+  const parentOptions = useMemo(
+    () => tree.filter((category) => (category.type || "expense") === type),
+    [tree, type]
   );
 
   const handleSubmit = async (event) => {
@@ -78,9 +93,12 @@ const CategoriesManager = ({
       await onCreate({
         name: trimmed,
         emoji: normalizedEmoji,
+        type,
+        parentId: parentId || null,
       });
       setName("");
       setEmoji("");
+      setParentId("");
     } catch (err) {
       console.error("Create category error:", err?.response?.data || err.message || err);
       setError(err?.response?.data?.error || "Could not create category.");
@@ -89,19 +107,6 @@ const CategoriesManager = ({
     }
   };
 
-  const handleDelete = async (category) => {
-    setError("");
-    setDeletingId(category.id);
-    try {
-      await onDelete(category);
-    } catch (err) {
-      console.error("Delete category error:", err?.response?.data || err.message || err);
-      setError(err?.response?.data?.error || "Could not delete category.");
-    } finally {
-      setDeletingId(null);
-    }
-  };
-
   const handleEmojiUpdate = async (category) => {
     if (typeof onUpdateEmoji !== "function") return;
     setError("");
@@ -121,6 +126,65 @@ const CategoriesManager = ({
     }
   };
 
+  const handleColorUpdate = async (category, color) => {
+    setColorDraft({ id: null, color: "" });
+    if ((category.color || null) === color) return;
+    setError("");
+    setUpdatingId(category.id);
+    try {
+      await onUpdateColor(category, color);
+    } catch (err) {
+      console.error("Update category color error:", err?.response?.data || err.message || err);
+      setError(err?.response?.data?.error || "Could not update color.");
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const startRename = (category) => {
+    setError("");
+    setRenamingId(category.id);
+    setDraftName(category.name);
+  };
+
+  const cancelRename = () => {
+    setRenamingId(null);
+    setDraftName("");
+  };
+
+  const handleRename = async (event, category) => {
+    event.preventDefault();
+    const trimmed = draftName.trim();
+    if (!trimmed) {
+      setError("Enter a category name.");
+      return;
+    }
+    if (trimmed === category.name) {
+      cancelRename();
+      return;
+    }
+    if (
+      categories.some(
+        (cat) => cat.id !== category.id && cat.name.toLowerCase() === trimmed.toLowerCase()
+      )
+    ) {
+      setError("Category already exists.");
+      return;
+    }
+
+    setError("");
+    setUpdatingId(category.id);
+    try {
+      await onRename(category, trimmed);
+      cancelRename();
+    } catch (err) {
+      console.error("Rename category error:", err?.response?.data || err.message || err);
+      setError(err?.response?.data?.error || "Could not rename category.");
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
   return (
     <div className="category-manager">
       <header className="category-manager__header">
@@ -129,7 +193,7 @@ const CategoriesManager = ({
             Manage Categories
           </h3>
           <p className="category-manager__subtitle">
-            Organize your expenses with custom categories.
+            Organize your expenses and income with custom categories.
           </p>
         </div>
       </header>
@@ -157,6 +221,31 @@ const CategoriesManager = ({
               onChange={(e) => setEmoji(normalizeEmoji(e.target.value))}
               maxLength={6}
             />
+            <Select
+              id="category-type"
+              aria-label="Category type"
+              value={type}
+              onChange={(e) => {
+                setType(e.target.value);
+                setParentId("");
+              }}
+            >
+              <option value="expense">Expense</option>
+              <option value="income">Income</option>
+            </Select>
+            <Select
+              id="category-parent"
+              aria-label="Parent category"
+              value={parentId}
+              onChange={(e) => setParentId(e.target.value)}
+            >
+              <option value="">No parent</option>
+              {parentOptions.map((category) => (
+                <option key={category.id} value={category.id}>
+                  Under {category.name}
+                </option>
+              ))}
+            </Select>
             <Button type="submit" disabled={saving} aria-busy={saving} className="category-manager__add-button">
               {saving ? "Adding..." : "Add"}
             </Button>
@@ -171,24 +260,27 @@ const CategoriesManager = ({
 
       <section className="category-manager__list-section" aria-labelledby="category-list-title">
         <h4 id="category-list-title">Your Categories</h4>
-        {sortedCategories.length === 0 ? (
+        {rows.length === 0 ? (
           <div className="empty-state">
             Start organizing expenses by adding categories that match your lifestyle.
           </div>
         ) : (
           <ul className="category-list" role="list">
-            {sortedCategories.map((category) => {
-              const presentation = getCategoryPresentation(category.name, {
-                emojiOverrides,
-              });
+            {rows.map(({ category, parentName }) => {
+              const presentation = getCategoryPresentation(category.name, displayOptions);
               const activeEmoji = presentation.emoji || presentation.initials;
+              const color = colorDraft.id === category.id ? colorDraft.color : presentation.color;
 
               return (
-                <li className="category-list__item" key={category.id} role="listitem">
+                <li
+                  className={`category-list__item${parentName ? " category-list__item--child" : ""}`}
+                  key={category.id}
+                  role="listitem"
+                >
                   <div className="category-list__info">
                     <span
                       className="category-list__dot"
-                      style={{ borderColor: `${presentation.color}33`, backgroundColor: `${presentation.color}16` }}
+                      style={{ borderColor: `${color}33`, backgroundColor: `${color}16` }}
                     >
                       <span
                         className="category-list__emoji"
@@ -199,11 +291,87 @@ const CategoriesManager = ({
                       </span>
                     </span>
                     <div className="category-list__text">
-                      <span className="category-list__name">{presentation.originalName}</span>
-                      <span className="category-list__meta">{presentation.label}</span>
+                      {renamingId === category.id ? (
+                        <form
+                          className="category-list__rename"
+                          onSubmit={(event) => handleRename(event, category)}
+                        >
+                          <Input
+                            type="text"
+                            aria-label={`New name for ${category.name}`}
+                            value={draftName}
+                            onChange={(e) => setDraftName(e.target.value)}
+                            onKeyDown={(e) => {
+                              if (e.key === "Escape") cancelRename();
+                            }}
+                            disabled={updatingId === category.id}
+                            autoFocus
+                          />
+                          <button
+                            type="submit"
+                            className="icon-button icon-button--edit"
+                            disabled={updatingId === category.id}
+                            title="Save name"
+                          >
+                            {updatingId === category.id ? "…" : "✓"}
+                          </button>
+                          <button
+                            type="button"
+                            className="icon-button"
+                            onClick={cancelRename}
+                            disabled={updatingId === category.id}
+                            title="Cancel rename"
+                          >
+                            ✕
+                          </button>
+                        </form>
+                      ) : typeof onRename === "function" ? (
+                        <button
+                          type="button"
+                          className="category-list__name category-list__name--editable"
+                          onClick={() => startRename(category)}
+                          title="Rename category"
+                        >
+                          {presentation.originalName}
+                        </button>
+                      ) : (
+                        <span className="category-list__name">{presentation.originalName}</span>
+                      )}
+                      <span className="category-list__meta">
+                        {presentation.label}
+                        {category.type === "income" && " · Income"}
+                        {parentName && ` · in ${parentName}`}
+                      </span>
                     </div>
                   </div>
                   <div className="category-list__actions">
+                    {typeof onUpdateColor === "function" && (
+                      <>
+                        <input
+                          type="color"
+                          className="category-list__color"
+                          aria-label={`Color for ${category.name}`}
+                          title="Pick color"
+                          value={color}
+                          onChange={(e) => setColorDraft({ id: category.id, color: e.target.value })}
+                          onBlur={() =>
+                            colorDraft.id === category.id && handleColorUpdate(category, colorDraft.color)
+                          }
+                          disabled={updatingId === category.id}
+                        />
+                        {category.color && (
+                          <button
+                            type="button"
+                            className="icon-button"
+                            onClick={() => handleColorUpdate(category, null)}
+                            disabled={updatingId === category.id}
+                            title="Reset color"
+                          >
+                            ↺
+                          </button>
+                        )}
+                      </>
+                    )}
                     {typeof onUpdateEmoji === "function" && (
                       <button
                         type="button"
@@ -218,11 +386,13 @@ const CategoriesManager = ({
                     <button
                       type="button"
                       className="icon-button icon-button--delete"
-                      onClick={() => handleDelete(category)}
-                      disabled={deletingId === category.id}
+                      onClick={() => {
+                        setError("");
+                        setPendingDelete(category);
+                      }}
                       title="Remove category"
                     >
-                      {deletingId === category.id ? "…" : "🗑️"}
+                      🗑️
                     </button>
                   </div>
                 </li>
@@ -231,6 +401,15 @@ const CategoriesManager = ({
           </ul>
         )}
       </section>
+
+      {pendingDelete && (
+        <DeleteCategoryDialog
+          category={pendingDelete}
+          categories={categories}
+          onDelete={onDelete}
+          onClose={() => setPendingDelete(null)}
+        />
+      )}
     </div>
   );
 };
@@ -2,19 +2,30 @@ import React, {
   useCallback,
   useEffect,
   useMemo,
+  useRef,
   useState,
 } from "react";
 import { useAuth0 } from "@auth0/auth0-react";
 import api from "../api/api";
 import WeeklySummaryChart from "./WeeklySummaryChart";
+import SummaryReports from "./SummaryReports";
 import TransactionsPie from "./TransactionsPie";
 import QuickExpenseForm from "./QuickExpenseForm";
 import BudgetForm from "./BudgetForm";
 import StatsCards from "./StatsCards";
 import CategoriesManager from "./CategoriesManager";
+import SettingsForm from "./SettingsForm";
+import RecurringManager from "./RecurringManager";
+import ImportWizard from "./ImportWizard";
+import DuplicatesPanel from "./DuplicatesPanel";
+import ExportButton from "./ExportButton";
+import AccountBackup from "./AccountBackup";
+import HighlightedText from "./HighlightedText";
 import { formatCurrency as fmtCur } from "../utils/format";
 import { formatDate } from "../utils/date";
-import { getCategoryPresentation } from "../utils/categories";
+import { getCategoryPresentation, presentationOptions } from "../utils/categories";
+import { isIncomeTransaction } from "../utils/budget";
+import Input from "./ui/Input";
 import Select from "./ui/Select";
 import Button from "./ui/Button";
 
@@ -24,30 +35,72 @@ const VIEW_OPTIONS = [
   { value: "pie", label: "Category Share" },
 ];
 
+const SORT_OPTIONS = [
+  { value: "-date", label: "Newest first" },
+  { value: "date", label: "Oldest first" },
+  { value: "-amount", label: "Largest first" },
+  { value: "amount", label: "Smallest first" },
+];
+
+// Transactions fetched per page of the Recent Expenses list
+const PAGE_SIZE = 25;
+// Search results shown at once, and the typing pause before a search is sent
+const SEARCH_LIMIT = 100;
+const SEARCH_DELAY_MS = 300;
+
 /**
  * Primary authenticated experience: fetches user data, orchestrates CRUD handlers,
- * and renders stats, charts, transaction views, budgets, quick expense form, and category manager.
+ * and renders stats, charts, summary reports, transaction views, budgets, quick expense form, and category manager.
  */
 const Dashboard = () => {
   const { getAccessTokenSilently } = useAuth0();
   const [budgets, setBudgets] = useState([]);
-  const [transactions, setTransactions] = useState([]);
   const [categories, setCategories] = useState([]);
+  const [settings, setSettings] = useState({});
+  const [recurring, setRecurring] = useState([]);
+  const [duplicates, setDuplicates] = useState([]);
   const [loading, setLoading] = useState(true);
+  // Bumped after every data load so server-computed charts refetch
+  const [dataVersion, setDataVersion] = useState(0);
+  const [categoryTotals, setCategoryTotals] = useState([]);
+  // Expense totals for the category filter, from the server (the total chip and the empty chart check)
+  const [filterTotals, setFilterTotals] = useState({ spent: 0, count: 0 });
+  // Category share chart: subcategories summed into their parents, or one parent's subcategories
+  const [pieRollup, setPieRollup] = useState(false);
+  const [pieParent, setPieParent] = useState("");
   const [categoryFilter, setCategoryFilter] = useState("all");
+  const [listSort, setListSort] = useState("-date");
+  const [listed, setListed] = useState({ transactions: [], nextCursor: null });
+  const [listLoading, setListLoading] = useState(false);
+  const [listError, setListError] = useState("");
+  const [searchInput, setSearchInput] = useState("");
+  const [search, setSearch] = useState("");
+  const [searchResults, setSearchResults] = useState([]);
+  const [searchLoading, setSearchLoading] = useState(false);
+  const [searchError, setSearchError] = useState("");
   const [transactionsView, setTransactionsView] = useState("list");
+  const [importOpen, setImportOpen] = useState(false);
+  const listRequest = useRef(0);
+  const searchRequest = useRef(0);
+  const sentinelRef = useRef(null);
 
   const fetchCollections = useCallback(async () => {
     const token = await getAccessTokenSilently();
     const headers = { Authorization: `Bearer ${token}` };
-    const [budgetsRes, transactionsRes, categoriesRes] = await Promise.all([
-      api.get("/api/budgets", { headers }),
-      api.get("/api/transactions", { headers }),
-      api.get("/api/categories", { headers }),
-    ]);
+    const [budgetsRes, categoriesRes, profileRes, recurringRes, duplicatesRes] =
+      await Promise.all([
+        api.get("/api/budgets", { headers }),
+        api.get("/api/categories", { headers }),
+        api.get("/api/profile", { headers }),
+        api.get("/api/recurring", { headers }),
+        api.get("/api/transactions/duplicates", { headers }),
+      ]);
 
     setBudgets(budgetsRes.data || []);
-    setTransactions(transactionsRes.data || []);
+    setSettings(profileRes.data?.settings || {});
+    setRecurring(recurringRes.data || []);
+    setDuplicates(duplicatesRes.data?.clusters || []);
+    setDataVersion((version) => version + 1);
     setCategories(
       (categoriesRes.data || []).map((c) => ({
         ...c,
@@ -57,6 +110,150 @@ const Dashboard = () => {
     );
   }, [getAccessTokenSilently]);
 
+  // The list and table views page through the server, which applies the category filter and sort;
+  // only the newest request may update the list so a slow page cannot overwrite a newer filter.
+  const loadListPage = useCallback(
+    async (after) => {
+      const request = ++listRequest.current;
+      setListLoading(true);
+      setListError("");
+      try {
+        const token = await getAccessTokenSilently();
+        const res = await api.get("/api/transactions", {
+          headers: { Authorization: `Bearer ${token}` },
+          params: {
+            limit: PAGE_SIZE,
+            sort: listSort,
+            category: categoryFilter === "all" ? undefined : categoryFilter,
+            after,
+          },
+        });
+        if (request !== listRequest.current) return;
+        const page = res.data?.transactions || [];
+        setListed((current) => ({
+          transactions: after ? [...current.transactions, ...page] : page,
+          nextCursor: res.data?.nextCursor || null,
+        }));
+      } catch (error) {
+        if (request !== listRequest.current) return;
+        console.error("Error fetching transactions:", error);
+        setListError("Could not load transactions. Try again.");
+      } finally {
+        if (request === listRequest.current) setListLoading(false);
+      }
+    },
+    [getAccessTokenSilently, listSort, categoryFilter]
+  );
+
+  useEffect(() => {
+    loadListPage();
+  }, [loadListPage]);
+
+  // Drilling into a parent category replaces the category filter, so it only applies to all categories
+  const pieDrillParent = categoryFilter === "all" ? pieParent : "";
+
+  // The category share chart totals spending on the server
+  useEffect(() => {
+    if (transactionsView !== "pie" || search) return undefined;
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const token = await getAccessTokenSilently();
+        const res = await api.get("/api/reports/summary", {
+          headers: { Authorization: `Bearer ${token}` },
+          params: {
+            groupBy: "category",
+            type: "expense",
+            category: categoryFilter === "all" ? undefined : categoryFilter,
+            parent: pieDrillParent || undefined,
+            rollup: pieRollup && !pieDrillParent ? "parent" : undefined,
+          },
+        });
+        if (!cancelled) setCategoryTotals(res.data?.groups || []);
+      } catch (error) {
+        if (!cancelled) console.error("Category totals error:", error);
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [
+    getAccessTokenSilently,
+    transactionsView,
+    search,
+    categoryFilter,
+    pieRollup,
+    pieDrillParent,
+    dataVersion,
+  ]);
+
+  // The total spent in the selected category is summed on the server too
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const token = await getAccessTokenSilently();
+        const res = await api.get("/api/reports/summary", {
+          headers: { Authorization: `Bearer ${token}` },
+          params: {
+            groupBy: "category",
+            type: "expense",
+            category: categoryFilter === "all" ? undefined : categoryFilter,
+          },
+        });
+        if (!cancelled) setFilterTotals(res.data?.totals || { spent: 0, count: 0 });
+      } catch (error) {
+        if (!cancelled) console.error("Spending total error:", error);
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [getAccessTokenSilently, categoryFilter, dataVersion]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(searchInput.trim()), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  // While a search is entered, every view shows its ranked results (within the category filter)
+  const loadSearch = useCallback(async () => {
+    const request = ++searchRequest.current;
+    if (!search) {
+      setSearchResults([]);
+      setSearchError("");
+      setSearchLoading(false);
+      return;
+    }
+    setSearchLoading(true);
+    setSearchError("");
+    try {
+      const token = await getAccessTokenSilently();
+      const res = await api.get("/api/transactions/search", {
+        headers: { Authorization: `Bearer ${token}` },
+        params: {
+          q: search,
+          category: categoryFilter === "all" ? undefined : categoryFilter,
+          limit: SEARCH_LIMIT,
+        },
+      });
+      if (request !== searchRequest.current) return;
+      setSearchResults(res.data?.results || []);
+    } catch (error) {
+      if (request !== searchRequest.current) return;
+      console.error("Search error:", error);
+      setSearchError(error?.response?.data?.error || "Search failed. Try again.");
+    } finally {
+      if (request === searchRequest.current) setSearchLoading(false);
+    }
+  }, [getAccessTokenSilently, search, categoryFilter]);
+
+  useEffect(() => {
+    loadSearch();
+  }, [loadSearch]);
+
   useEffect(() => {
     const run = async () => {
       try {
@@ -74,26 +271,53 @@ const Dashboard = () => {
   const refreshData = useCallback(async () => {
     setLoading(true);
     try {
-      await fetchCollections();
+      await Promise.all([fetchCollections(), loadListPage(), loadSearch()]);
     } catch (error) {
       console.error("Refresh error:", error);
     } finally {
       setLoading(false);
     }
-  }, [fetchCollections]);
+  }, [fetchCollections, loadListPage, loadSearch]);
+
+  // Infinite scroll: fetch the next page when the end of the list comes into view
+  const nextCursor = listed.nextCursor;
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    const idle = nextCursor && !listLoading && !listError;
+    if (!sentinel || !idle || typeof IntersectionObserver === "undefined") {
+      return undefined;
+    }
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) loadListPage(nextCursor);
+      },
+      { rootMargin: "200px" }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, listLoading, listError, loadListPage, loading, transactionsView, search]);
 
   const fmt = (value) => fmtCur(value);
+  // Income is shown as a credit so it stands apart from spending
+  const fmtTx = (tx) => (isIncomeTransaction(tx) ? `+${fmt(tx.amount)}` : fmt(tx.amount));
+
+  const expenseCategoryNames = useMemo(
+    () => categories.filter((c) => c.type !== "income").map((c) => c.name),
+    [categories]
+  );
+
+  const incomeCategoryNames = useMemo(
+    () => categories.filter((c) => c.type === "income").map((c) => c.name),
+    [categories]
+  );
 
   const filterCategoryOptions = useMemo(() => {
     const set = new Set();
     categories.forEach((c) => {
       if (c.name) set.add(c.name);
     });
-    transactions.forEach((t) => {
-      if (t.category) set.add(t.category);
-    });
     return Array.from(set).sort((a, b) => a.localeCompare(b));
-  }, [categories, transactions]);
+  }, [categories]);
 
   useEffect(() => {
     if (
@@ -104,40 +328,68 @@ const Dashboard = () => {
     }
   }, [categoryFilter, filterCategoryOptions]);
 
-  const categoryPresentationOptions = useMemo(() => {
-    const emojiOverrides = {};
-    categories.forEach((c) => {
-      if (c?.name && c?.emoji) {
-        emojiOverrides[c.name.toLowerCase()] = { emoji: c.emoji };
-      }
-    });
-    return { emojiOverrides };
-  }, [categories]);
+  const categoryPresentationOptions = useMemo(() => presentationOptions(categories), [categories]);
 
-  const filteredTransactions = useMemo(() => {
-    const filtered = categoryFilter === "all"
-      ? transactions
-      : transactions.filter((tx) => tx.category === categoryFilter);
-
-    // Sort by date descending (newest first)
-    return [...filtered].sort((a, b) => {
-      const dateA = new Date(a.date || a.createdAt || 0);
-      const dateB = new Date(b.date || b.createdAt || 0);
-      const timeA = dateA.getTime();
-      const timeB = dateB.getTime();
-      return timeB - timeA; // Descending order (newest first)
-    });
-  }, [categoryFilter, transactions]);
+  // Names (lowercase) of categories with subcategories, which the category share chart can drill into
+  const parentCategoryNames = useMemo(
+    () =>
+      new Set(
+        categories
+          .filter((c) => categories.some((child) => String(child.parentId) === String(c.id)))
+          .map((c) => c.name.toLowerCase())
+      ),
+    [categories]
+  );
+
+  const handlePieSelect = (name) => {
+    if (categoryFilter === "all" && !pieDrillParent && parentCategoryNames.has(name.toLowerCase())) {
+      setPieParent(name);
+    }
+  };
+
+  const searching = Boolean(search);
+  const searchTransactions = useMemo(
+    () => searchResults.map((result) => result.transaction),
+    [searchResults]
+  );
+  const searchHighlights = useMemo(
+    () => new Map(searchResults.map((result) => [result.transaction.id, result.highlights])),
+    [searchResults]
+  );
+  // The list and table show the current page set (or search results)
+  const shownTransactions = searching ? searchTransactions : listed.transactions;
 
+  // While searching, the total covers the results; otherwise every match of the category filter
   const totalSpent = useMemo(
     () =>
-      filteredTransactions.reduce((sum, tx) => {
-        const amount = Number(tx.amount);
-        return Number.isFinite(amount) && amount > 0 ? sum + amount : sum;
-      }, 0),
-    [filteredTransactions]
+      searching
+        ? searchTransactions.reduce((sum, tx) => {
+            if (isIncomeTransaction(tx)) return sum;
+            const amount = Number(tx.amount);
+            return Number.isFinite(amount) && amount > 0 ? sum + amount : sum;
+          }, 0)
+        : filterTotals.spent,
+    [searching, searchTransactions, filterTotals]
   );
 
+  const renderSearchMatch = (tx) => {
+    const highlights = searchHighlights.get(tx.id);
+    if (!searching || !highlights) return null;
+    return (
+      <span className="search-match">
+        {tx.description && (
+          <HighlightedText text={tx.description} ranges={highlights.description} />
+        )}
+        {highlights.notes && (
+          <>
+            {tx.description && " · "}
+            <HighlightedText text={tx.notes} ranges={highlights.notes} />
+          </>
+        )}
+      </span>
+    );
+  };
+
   const handleDeleteBudget = async (id) => {
     if (!window.confirm("Delete this budget?")) return;
     try {
@@ -211,13 +463,18 @@ const Dashboard = () => {
     }
   };
 
-  const handleAddCategory = async ({ name, emoji }) => {
+  const handleAddCategory = async ({ name, emoji, type, parentId }) => {
     const trimmed = String(name || "").trim();
     if (!trimmed) throw new Error("Category name is required.");
     const token = await getAccessTokenSilently();
     await api.post(
       "/api/categories",
-      { name: trimmed, emoji: emoji || undefined },
+      {
+        name: trimmed,
+        emoji: emoji || undefined,
+        type: type || undefined,
+        parentId: parentId || undefined,
+      },
       { headers: { Authorization: `Bearer ${token}` } }
     );
     await refreshData();
@@ -233,14 +490,32 @@ const Dashboard = () => {
     await refreshData();
   };
 
-  const handleDeleteCategory = async (category) => {
-    const confirmed = window.confirm(
-      `Delete category "${category.name}"? Existing expenses keep their current category.`
+  const handleUpdateCategoryColor = async (category, color) => {
+    const token = await getAccessTokenSilently();
+    await api.put(
+      `/api/categories/${category.id}`,
+      { color },
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+    await refreshData();
+  };
+
+  const handleRenameCategory = async (category, name) => {
+    const token = await getAccessTokenSilently();
+    await api.put(
+      `/api/categories/${category.id}`,
+      { name },
+      { headers: { Authorization: `Bearer ${token}` } }
     );
-    if (!confirmed) return;
+    // Transactions and budgets were renamed with the category, so reload them too
+    await refreshData();
+  };
+
+  const handleDeleteCategory = async (category, reassignTo) => {
     const token = await getAccessTokenSilently();
     await api.delete(`/api/categories/${category.id}`, {
       headers: { Authorization: `Bearer ${token}` },
+      params: reassignTo ? { reassignTo } : undefined,
     });
     await refreshData();
   };
@@ -274,7 +549,11 @@ const Dashboard = () => {
               </p>
             </div>
           </header>
-          <StatsCards budgets={budgets} transactions={transactions} />
+          <StatsCards
+            budgets={budgets}
+            settings={settings}
+            refreshKey={dataVersion}
+          />
         </section>
 
         <section className="panel chart-panel" aria-labelledby="spending-chart">
@@ -286,7 +565,21 @@ const Dashboard = () => {
           </header>
           <WeeklySummaryChart
             budgets={budgets}
-            transactions={transactions}
+            settings={settings}
+            refreshKey={dataVersion}
+          />
+        </section>
+
+        <section className="panel" aria-labelledby="summary-reports">
+          <header className="section-header">
+            <h2 className="section-title" id="summary-reports">
+              Summary Reports
+            </h2>
+            <span className="section-meta">Closed weeks and months</span>
+          </header>
+          <SummaryReports
+            refreshKey={dataVersion}
+            categoryDisplayOptions={categoryPresentationOptions}
           />
         </section>
 
@@ -303,12 +596,49 @@ const Dashboard = () => {
                 Review transactions, adjust entries, or switch visualizations.
               </p>
             </div>
-            <span className="chip" aria-label="Total spent">
-              {fmt(totalSpent)} spent
-            </span>
+            <div className="table-actions">
+              <span className="chip" aria-label="Total spent">
+                {fmt(totalSpent)} spent
+              </span>
+              <Button
+                type="button"
+                variant="secondary"
+                onClick={() => setImportOpen((open) => !open)}
+                aria-expanded={importOpen}
+                aria-controls="import-panel"
+              >
+                Import Statement
+              </Button>
+              <ExportButton
+                category={categoryFilter === "all" ? undefined : categoryFilter}
+              />
+            </div>
           </header>
 
+          {importOpen && (
+            <section id="import-panel" aria-label="Import bank statement">
+              <ImportWizard
+                categories={expenseCategoryNames}
+                incomeCategories={incomeCategoryNames}
+                onImported={refreshData}
+                onClose={() => setImportOpen(false)}
+              />
+            </section>
+          )}
+
           <div className="filters" role="group" aria-label="Expense filters">
+            <label htmlFor="filter-search">Search</label>
+            <Input
+              id="filter-search"
+              type="search"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              placeholder="Descriptions and notes"
+              maxLength={100}
+              aria-busy={searchLoading}
+              style={{ maxWidth: 240 }}
+            />
+
             <label htmlFor="filter-category">Category</label>
             <Select
               id="filter-category"
@@ -324,6 +654,21 @@ const Dashboard = () => {
               ))}
             </Select>
 
+            <label htmlFor="filter-sort">Sort</label>
+            <Select
+              id="filter-sort"
+              value={listSort}
+              onChange={(e) => setListSort(e.target.value)}
+              disabled={transactionsView === "pie" || searching}
+              style={{ maxWidth: 180 }}
+            >
+              {SORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </Select>
+
             <span className="filters__spacer" />
 
             <label htmlFor="filter-view">View</label>
@@ -341,15 +686,55 @@ const Dashboard = () => {
             </Select>
           </div>
 
-          {filteredTransactions.length === 0 ? (
+          {(searching
+            ? searchTransactions.length === 0 && !searchLoading && !searchError
+            : transactionsView === "pie"
+              ? filterTotals.count === 0
+              : listed.transactions.length === 0 && !listLoading && !listError) ? (
             <div className="empty-state">
-              No expenses match the selected filters yet.
+              {searching
+                ? "No transactions match your search."
+                : "No expenses match the selected filters yet."}
             </div>
           ) : transactionsView === "pie" ? (
-            <TransactionsPie
-              transactions={filteredTransactions}
-              categoryDisplayOptions={categoryPresentationOptions}
-            />
+            <>
+              {!searching && parentCategoryNames.size > 0 && (
+                <div className="chart-toolbar" role="group" aria-label="Subcategory controls">
+                  {pieDrillParent ? (
+                    <>
+                      <span>{pieDrillParent} and its subcategories</span>
+                      <Button type="button" variant="ghost" onClick={() => setPieParent("")}>
+                        Back to all categories
+                      </Button>
+                    </>
+                  ) : (
+                    <>
+                      <label htmlFor="pie-rollup">Subcategories</label>
+                      <Select
+                        id="pie-rollup"
+                        value={pieRollup ? "parent" : "separate"}
+                        onChange={(e) => setPieRollup(e.target.value === "parent")}
+                        style={{ maxWidth: 200 }}
+                      >
+                        <option value="separate">Show separately</option>
+                        <option value="parent">Roll up to parent</option>
+                      </Select>
+                      {categoryFilter === "all" && (
+                        <span className="form-helper">Click a parent category to drill down.</span>
+                      )}
+                    </>
+                  )}
+                </div>
+              )}
+              <TransactionsPie
+                groups={searching ? undefined : categoryTotals}
+                transactions={searchTransactions.filter(
+                  (tx) => !isIncomeTransaction(tx)
+                )}
+                categoryDisplayOptions={categoryPresentationOptions}
+                onSelectCategory={searching ? undefined : handlePieSelect}
+              />
+            </>
           ) : transactionsView === "table" ? (
             <div className="table-wrapper" role="region" aria-live="polite">
               <table className="data-table">
@@ -366,7 +751,7 @@ const Dashboard = () => {
                   </tr>
                 </thead>
                 <tbody>
-                  {filteredTransactions.map((tx) => {
+                  {shownTransactions.map((tx) => {
                     const style = getCategoryPresentation(
                       tx.category,
                       categoryPresentationOptions
@@ -390,12 +775,13 @@ const Dashboard = () => {
                             </span>
                             {style.originalName}
                           </span>
+                          {renderSearchMatch(tx)}
                         </td>
                         <td
                           data-label="Amount"
                           style={{ textAlign: "right" }}
                         >
-                          {fmt(tx.amount)}
+                          {fmtTx(tx)}
                         </td>
                         <td data-label="Actions" className="table-actions-cell">
                           <div className="table-actions">
@@ -423,7 +809,7 @@ const Dashboard = () => {
             </div>
           ) : (
             <div className="expense-list" role="list">
-              {filteredTransactions.map((tx) => {
+              {shownTransactions.map((tx) => {
                 const style = getCategoryPresentation(
                   tx.category,
                   categoryPresentationOptions
@@ -451,10 +837,11 @@ const Dashboard = () => {
                       <span className="expense-item__meta">
                         {formatDate(tx.date)}
                       </span>
+                      {renderSearchMatch(tx)}
                     </div>
                     <div className="expense-item__actions">
                       <div className="expense-item__amount">
-                        {fmt(tx.amount)}
+                        {fmtTx(tx)}
                       </div>
                       <div className="action-buttons">
                         <Button
@@ -478,6 +865,38 @@ const Dashboard = () => {
               })}
             </div>
           )}
+
+          {searching && searchError && (
+            <div className="list-footer">
+              <span className="form-error" role="alert">
+                {searchError}
+              </span>
+              <Button type="button" variant="ghost" onClick={loadSearch}>
+                Retry
+              </Button>
+            </div>
+          )}
+
+          {transactionsView !== "pie" && !searching && (
+            <div className="list-footer" ref={sentinelRef}>
+              {listError && (
+                <span className="form-error" role="alert">
+                  {listError}
+                </span>
+              )}
+              {(nextCursor || listError) && (
+                <Button
+                  type="button"
+                  variant="ghost"
+                  disabled={listLoading}
+                  aria-busy={listLoading}
+                  onClick={() => loadListPage(listError ? undefined : nextCursor)}
+                >
+                  {listLoading ? "Loading…" : listError ? "Retry" : "Load more"}
+                </Button>
+              )}
+            </div>
+          )}
         </section>
       </div>
 
@@ -485,16 +904,34 @@ const Dashboard = () => {
         <section className="panel sidebar-section" aria-labelledby="quick-add">
           <div className="sidebar-section__header">
             <h2 className="sidebar-section__title" id="quick-add">
-              Add Expense
+              Add Transaction
             </h2>
             <span className="section-meta">Log activity instantly</span>
           </div>
           <QuickExpenseForm
             onAdded={refreshData}
-            categories={categories.map((c) => c.name)}
+            categories={expenseCategoryNames}
+            incomeCategories={incomeCategoryNames}
           />
         </section>
 
+        {duplicates.length > 0 && (
+          <section
+            className="panel sidebar-section"
+            aria-labelledby="duplicates-title"
+          >
+            <div className="sidebar-section__header">
+              <h2 className="sidebar-section__title" id="duplicates-title">
+                Possible Duplicates
+              </h2>
+              <span className="section-meta">
+                {duplicates.length} to review
+              </span>
+            </div>
+            <DuplicatesPanel clusters={duplicates} onChanged={refreshData} />
+          </section>
+        )}
+
         <section
           className="panel sidebar-section"
           aria-labelledby="budget-create"
@@ -505,7 +942,10 @@ const Dashboard = () => {
             </h2>
             <span className="section-meta">Benchmark your targets</span>
           </div>
-          <BudgetForm onCreated={refreshData} />
+          <BudgetForm
+            onCreated={refreshData}
+            categories={expenseCategoryNames}
+          />
         </section>
 
         <section className="panel sidebar-section" aria-labelledby="budgets">
@@ -527,7 +967,12 @@ const Dashboard = () => {
                 <li className="budget-item" key={budget.id} role="listitem">
                   <div className="budget-item__details">
                     <span className="budget-item__period">
-                      {budget.period}
+                      {budget.period === "custom" && budget.range
+                        ? `${budget.range.start} → ${budget.range.end}`
+                        : budget.period}
+                      {budget.categories?.length > 0 &&
+                        ` · ${budget.categories.join(", ")}`}
+                      {budget.rollover && " · rollover"}
                     </span>
                     <span className="budget-item__amount">
                       {fmt(budget.amount)}
@@ -555,6 +1000,26 @@ const Dashboard = () => {
           )}
         </section>
 
+        <section
+          className="panel sidebar-section"
+          aria-labelledby="recurring-title"
+        >
+          <div className="sidebar-section__header">
+            <h2 className="sidebar-section__title" id="recurring-title">
+              Recurring
+            </h2>
+            <span className="section-meta">
+              {recurring.filter((item) => item.active).length} active
+            </span>
+          </div>
+          <RecurringManager
+            recurring={recurring}
+            categories={expenseCategoryNames}
+            incomeCategories={incomeCategoryNames}
+            onChanged={refreshData}
+          />
+        </section>
+
         <section
           className="panel sidebar-section"
           aria-labelledby="category-manager-title"
@@ -564,8 +1029,39 @@ const Dashboard = () => {
             onCreate={handleAddCategory}
             onDelete={handleDeleteCategory}
             onUpdateEmoji={handleUpdateCategoryEmoji}
+            onUpdateColor={handleUpdateCategoryColor}
+            onRename={handleRenameCategory}
+          />
+        </section>
+
+        <section
+          className="panel sidebar-section"
+          aria-labelledby="settings-title"
+        >
+          <div className="sidebar-section__header">
+            <h2 className="sidebar-section__title" id="settings-title">
+              Settings
+            </h2>
+            <span className="section-meta">Week start &amp; timezone</span>
+          </div>
+          <SettingsForm
+            settings={settings}
+            onSaved={(saved) => saved && setSettings(saved)}
           />
         </section>
+
+        <section
+          className="panel sidebar-section"
+          aria-labelledby="backup-title"
+        >
+          <div className="sidebar-section__header">
+            <h2 className="sidebar-section__title" id="backup-title">
+              Backup
+            </h2>
+            <span className="section-meta">Export or restore your data</span>
+          </div>
+          <AccountBackup onRestored={refreshData} />
+        </section>
       </aside>
     </div>
   );
@@ -0,0 +1,104 @@
+import React, { useState } from "react";
+import { useAuth0 } from "@auth0/auth0-react";
+import api from "../api/api";
+import Input from "./ui/Input";
+import Button from "./ui/Button";
+
+const CONFIRM_WORD = "DELETE";
+
+/**
+ * Delete Account button for the top bar. Opens a dialog where the user types DELETE to confirm,
+ * then calls DELETE /api/account and logs out.
+ */
+const DeleteAccountButton = () => {
+  const { getAccessTokenSilently, logout } = useAuth0();
+  const [open, setOpen] = useState(false);
+  const [typed, setTyped] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const close = () => {
+    setOpen(false);
+    setTyped("");
+    setError("");
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (typed !== CONFIRM_WORD) return;
+    setError("");
+    setBusy(true);
+    try {
+      const token = await getAccessTokenSilently();
+      await api.delete("/api/account", {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      logout({ logoutParams: { returnTo: window.location.origin } });
+    } catch (err) {
+      console.error("Delete account error:", err?.response?.data || err.message || err);
+      setError(err?.response?.data?.error || "Could not delete your account. Try again.");
+      setBusy(false);
+    }
+  };
+
+  return (
+    <>
+      <Button type="button" variant="ghost" onClick={() => setOpen(true)}>
+        Delete Account
+      </Button>
+      {open && (
+        <div className="dialog-backdrop" role="presentation">
+          <form
+            className="dialog form"
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="delete-account-title"
+            onSubmit={handleSubmit}
+            onKeyDown={(e) => e.key === "Escape" && !busy && close()}
+            noValidate
+          >
+            <h2 className="dialog__title" id="delete-account-title">
+              Delete your account?
+            </h2>
+            <p className="form-helper">
+              This permanently removes your budgets, transactions, categories, recurring
+              schedules, alerts and settings. Download a backup first if you may need them.
+            </p>
+            <div className="form-field">
+              <label className="form-label" htmlFor="delete-account-confirm">
+                Type {CONFIRM_WORD} to confirm
+              </label>
+              <Input
+                id="delete-account-confirm"
+                value={typed}
+                onChange={(e) => setTyped(e.target.value)}
+                autoComplete="off"
+                autoFocus
+              />
+            </div>
+            {error && (
+              <span className="form-error" role="alert">
+                {error}
+              </span>
+            )}
+            <div className="table-actions">
+              <Button type="button" variant="ghost" disabled={busy} onClick={close}>
+                Cancel
+              </Button>
+              <Button
+                type="submit"
+                variant="destructive"
+                disabled={busy || typed !== CONFIRM_WORD}
+                aria-busy={busy}
+              >
+                {busy ? "Deleting..." : "Delete Account"}
+              </Button>
+            </div>
+          </form>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default DeleteAccountButton;
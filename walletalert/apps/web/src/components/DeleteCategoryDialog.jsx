@@ -0,0 +1,102 @@
+import React, { useMemo, useState } from "react";
+import Select from "./ui/Select";
+import Button from "./ui/Button";
+
+// Where expenses go by default, per category type, when that category exists
+const DEFAULT_DESTINATIONS = { expense: "other", income: "other income" };
+
+const categoryType = (category) => category?.type || "expense";
+
+/**
+ * Confirmation dialog for deleting a category. The user picks another category of the same type to move its
+ * transactions, recurring transactions and budgets to, or chooses to leave them on the deleted name.
+ * `onDelete(category, reassignTo)` receives the destination id, or null to keep them as they are.
+ *
+ * @param {{ category: Object, categories?: Array, onDelete: function, onClose: function }} props
+ */
+const DeleteCategoryDialog = ({ category, categories = [], onDelete, onClose }) => {
+  const destinations = useMemo(
+    () =>
+      categories
+        .filter((item) => item.id !== category.id && categoryType(item) === categoryType(category))
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: "base" })),
+    [categories, category]
+  );
+  const [reassignTo, setReassignTo] = useState(() => {
+    const preferred = destinations.find(
+      (item) => item.name.toLowerCase() === DEFAULT_DESTINATIONS[categoryType(category)]
+    );
+    return (preferred || destinations[0])?.id || "";
+  });
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError("");
+    setBusy(true);
+    try {
+      await onDelete(category, reassignTo || null);
+      onClose();
+    } catch (err) {
+      console.error("Delete category error:", err?.response?.data || err.message || err);
+      setError(err?.response?.data?.error || "Could not delete category.");
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="dialog-backdrop" role="presentation">
+      <form
+        className="dialog form"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="delete-category-title"
+        onSubmit={handleSubmit}
+        onKeyDown={(e) => e.key === "Escape" && !busy && onClose()}
+        noValidate
+      >
+        <h2 className="dialog__title" id="delete-category-title">
+          Delete &ldquo;{category.name}&rdquo;?
+        </h2>
+        <p className="form-helper">
+          Move its transactions, recurring transactions and budgets to another category so they stay
+          editable, or leave them on the old name.
+        </p>
+        <div className="form-field">
+          <label className="form-label" htmlFor="delete-category-destination">
+            Move them to
+          </label>
+          <Select
+            id="delete-category-destination"
+            value={reassignTo}
+            onChange={(e) => setReassignTo(e.target.value)}
+            autoFocus
+          >
+            {destinations.map((item) => (
+              <option key={item.id} value={item.id}>
+                {item.name}
+              </option>
+            ))}
+            <option value="">Don&apos;t move them</option>
+          </Select>
+        </div>
+        {error && (
+          <span className="form-error" role="alert">
+            {error}
+          </span>
+        )}
+        <div className="table-actions">
+          <Button type="button" variant="ghost" disabled={busy} onClick={onClose}>
+            Cancel
+          </Button>
+          <Button type="submit" variant="destructive" disabled={busy} aria-busy={busy}>
+            {busy ? "Deleting..." : reassignTo ? "Move & Delete" : "Delete"}
+          </Button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default DeleteCategoryDialog;
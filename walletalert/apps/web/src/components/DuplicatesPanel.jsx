@@ -0,0 +1,107 @@
+import React, { useState } from "react";
+import { useAuth0 } from "@auth0/auth0-react";
+import api from "../api/api";
+import Button from "./ui/Button";
+import { formatCurrency } from "../utils/format";
+import { formatDate } from "../utils/date";
+
+/**
+ * Review list for likely duplicate transactions (clusters from GET /api/transactions/duplicates).
+ * Each cluster can be merged into its oldest transaction, or single entries deleted.
+ * Notifies parent via onChanged.
+ *
+ * @param {{ clusters?: Array<{fingerprint:string,transactions:Array}>, onChanged?: function }} props
+ */
+const DuplicatesPanel = ({ clusters = [], onChanged }) => {
+  const { getAccessTokenSilently } = useAuth0();
+  const [busyKey, setBusyKey] = useState(null);
+
+  const authHeaders = async () => {
+    const token = await getAccessTokenSilently();
+    return { headers: { Authorization: `Bearer ${token}` } };
+  };
+
+  const handleMerge = async (cluster) => {
+    const [keep, ...others] = cluster.transactions;
+    setBusyKey(cluster.fingerprint);
+    try {
+      await api.post(
+        `/api/transactions/${keep.id}/merge`,
+        { ids: others.map((tx) => tx.id) },
+        await authHeaders()
+      );
+      if (onChanged) onChanged();
+    } catch (err) {
+      console.error("Merge duplicates error:", err);
+      alert("Could not merge the transactions. See console.");
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const handleDelete = async (tx) => {
+    if (!window.confirm("Delete this transaction?")) return;
+    setBusyKey(tx.id);
+    try {
+      await api.delete(`/api/transactions/${tx.id}`, await authHeaders());
+      if (onChanged) onChanged();
+    } catch (err) {
+      console.error("Delete duplicate error:", err);
+      alert("Could not delete the transaction. See console.");
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  if (clusters.length === 0) {
+    return <div className="empty-state">No duplicate transactions found.</div>;
+  }
+
+  return (
+    <ul className="budget-list" role="list">
+      {clusters.map((cluster) => {
+        const [first] = cluster.transactions;
+        return (
+          <li className="budget-item" key={cluster.fingerprint + first.id} role="listitem">
+            <div className="budget-item__details">
+              <span className="budget-item__period">
+                {first.description || first.category} · {cluster.transactions.length} entries
+              </span>
+              <span className="budget-item__amount">
+                {first.type === "income" && "+"}
+                {formatCurrency(first.amount)}
+              </span>
+            </div>
+            <ul className="checkbox-list" role="list">
+              {cluster.transactions.map((tx) => (
+                <li className="checkbox-list__item" key={tx.id}>
+                  <span>{formatDate(tx.date || tx.createdAt)}</span>
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    disabled={busyKey !== null}
+                    onClick={() => handleDelete(tx)}
+                  >
+                    Delete
+                  </Button>
+                </li>
+              ))}
+            </ul>
+            <div className="budget-item__actions">
+              <Button
+                type="button"
+                variant="secondary"
+                disabled={busyKey !== null}
+                onClick={() => handleMerge(cluster)}
+              >
+                {busyKey === cluster.fingerprint ? "Merging..." : "Merge"}
+              </Button>
+            </div>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default DuplicatesPanel;
@@ -0,0 +1,81 @@
+import React, { useState } from "react";
+import { useAuth0 } from "@auth0/auth0-react";
+import api from "../api/api";
+import Select from "./ui/Select";
+import Button from "./ui/Button";
+
+const FORMATS = [
+  { value: "csv", label: "CSV" },
+  { value: "json", label: "JSON" },
+  { value: "ofx", label: "OFX" },
+];
+
+/**
+ * Downloads transactions from GET /api/transactions/export in the chosen format,
+ * limited to `category` when one is selected (the Dashboard's category filter).
+ *
+ * @param {{ category?: string }} props
+ */
+const ExportButton = ({ category }) => {
+  const { getAccessTokenSilently } = useAuth0();
+  const [format, setFormat] = useState("csv");
+  const [busy, setBusy] = useState(false);
+
+  const handleExport = async () => {
+    setBusy(true);
+    try {
+      const token = await getAccessTokenSilently();
+      const res = await api.get("/api/transactions/export", {
+        headers: { Authorization: `Bearer ${token}` },
+        params: { format, category: category || undefined },
+        responseType: "blob",
+      });
+      // Use the server's file name when the header is exposed
+      const disposition = res.headers?.["content-disposition"] || "";
+      const fileName =
+        /filename="([^"]+)"/.exec(disposition)?.[1] || `walletalert-transactions.${format}`;
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error("Export error:", err);
+      alert("Could not export transactions. See console.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <>
+      <Select
+        id="export-format"
+        aria-label="Export format"
+        value={format}
+        onChange={(e) => setFormat(e.target.value)}
+        style={{ maxWidth: 100 }}
+      >
+        {FORMATS.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </Select>
+      <Button
+        type="button"
+        variant="secondary"
+        disabled={busy}
+        aria-busy={busy}
+        onClick={handleExport}
+      >
+        {busy ? "Exporting..." : "Export"}
+      </Button>
+    </>
+  );
+};
+
+export default ExportButton;
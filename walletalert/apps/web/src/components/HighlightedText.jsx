@@ -0,0 +1,24 @@
+import React from "react";
+
+/**
+ * Renders text with the given character ranges wrapped in <mark> (search highlights from
+ * GET /api/transactions/search).
+ *
+ * @param {{ text?: string, ranges?: Array<[number, number]> }} props
+ */
+const HighlightedText = ({ text = "", ranges = [] }) => {
+  const parts = [];
+  let position = 0;
+  [...ranges]
+    .sort((a, b) => a[0] - b[0])
+    .forEach(([start, end]) => {
+      if (start < position) return;
+      if (start > position) parts.push(text.slice(position, start));
+      parts.push(<mark key={start}>{text.slice(start, end)}</mark>);
+      position = end;
+    });
+  if (position < text.length) parts.push(text.slice(position));
+  return <>{parts}</>;
+};
+
+export default HighlightedText;
@@ -0,0 +1,397 @@
+import React, { useState } from "react";
+import { useAuth0 } from "@auth0/auth0-react";
+import api from "../api/api";
+import Input from "./ui/Input";
+import Select from "./ui/Select";
+import Button from "./ui/Button";
+import { formatCurrency } from "../utils/format";
+import { formatDate } from "../utils/date";
+
+const FIELDS = [
+  { value: "date", label: "Date", required: true },
+  { value: "amount", label: "Amount", required: true },
+  { value: "description", label: "Description" },
+  { value: "category", label: "Category" },
+  { value: "type", label: "Type (income/expense)" },
+];
+
+const DATE_FORMATS = [
+  { value: "auto", label: "Detect automatically" },
+  { value: "YYYY-MM-DD", label: "YYYY-MM-DD" },
+  { value: "MM/DD/YYYY", label: "MM/DD/YYYY" },
+  { value: "DD/MM/YYYY", label: "DD/MM/YYYY" },
+];
+
+const AMOUNT_SIGNS = [
+  { value: "positive", label: "All amounts are expenses" },
+  { value: "signed", label: "Negative = expense, positive = income" },
+];
+
+const PREVIEW_ROWS = 50;
+
+const FORMAT_LABELS = { csv: "CSV", ofx: "OFX/QFX", qif: "QIF" };
+
+/**
+ * Bank statement import wizard: choose a CSV, OFX/QFX or QIF file (format detected by the API),
+ * map CSV columns, preview every row with the server's validation errors and skipped lines
+ * (already imported or likely duplicates of existing transactions; dry run of
+ * POST /api/transactions/import), then import the valid rows in one batch.
+ * Notifies parent via onImported and onClose.
+ *
+ * @param {{ categories?: string[], incomeCategories?: string[], onImported?: function, onClose?: function }} props
+ */
+const ImportWizard = ({ categories = [], incomeCategories = [], onImported, onClose }) => {
+  const { getAccessTokenSilently } = useAuth0();
+  const [fileName, setFileName] = useState("");
+  const [content, setContent] = useState("");
+  const [format, setFormat] = useState("");
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState(null);
+  const [dateFormat, setDateFormat] = useState("auto");
+  const [amountSign, setAmountSign] = useState("positive");
+  const [defaultCategory, setDefaultCategory] = useState("");
+  const [defaultIncomeCategory, setDefaultIncomeCategory] = useState("");
+  const [includeDuplicates, setIncludeDuplicates] = useState(false);
+  const [report, setReport] = useState(null);
+  const [headers, setHeaders] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  const send = async (body) => {
+    const token = await getAccessTokenSilently();
+    return api.post("/api/transactions/import", body, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+  };
+
+  const buildBody = (overrides = {}) => ({
+    content,
+    hasHeader,
+    mapping: mapping || undefined,
+    dateFormat,
+    amountSign,
+    defaultCategory: defaultCategory || undefined,
+    defaultIncomeCategory: defaultIncomeCategory || undefined,
+    force: includeDuplicates || undefined,
+    ...overrides,
+  });
+
+  // A failed preview still returns the header and mapping so the user can fix the columns
+  const runPreview = async (body) => {
+    setError("");
+    setMessage("");
+    setBusy(true);
+    try {
+      const res = await send({ ...body, dryRun: true });
+      setReport(res.data);
+      setFormat(res.data.format || "");
+      setHeaders(res.data.headers || []);
+      setMapping(res.data.mapping || {});
+    } catch (err) {
+      const data = err?.response?.data || {};
+      console.error("Import preview error:", data || err.message || err);
+      setReport(null);
+      if (data.format) setFormat(data.format);
+      if (data.headers) setHeaders(data.headers);
+      if (data.mapping) setMapping(data.mapping);
+      setError(data.error || "Could not read the file. Try again.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    const text = await file.text();
+    setFileName(file.name);
+    setContent(text);
+    setFormat("");
+    setHeaders([]);
+    setMapping(null);
+    // Let the server detect the format and guess CSV columns from the header row
+    await runPreview(buildBody({ content: text, mapping: undefined }));
+  };
+
+  // Any change invalidates the preview; the user previews again before importing
+  const changeOption = (setter) => (value) => {
+    setter(value);
+    setReport(null);
+  };
+
+  const handleMappingChange = (field, column) => {
+    setMapping((current) => ({ ...current, [field]: column || undefined }));
+    setReport(null);
+  };
+
+  const handleImport = async () => {
+    setError("");
+    setBusy(true);
+    try {
+      const res = await send({ ...buildBody(), skipInvalid: true });
+      setMessage(`Imported ${res.data.imported} transaction(s).`);
+      setReport(null);
+      setContent("");
+      setFormat("");
+      setFileName("");
+      if (onImported) onImported(res.data);
+    } catch (err) {
+      console.error("Import error:", err?.response?.data || err.message || err);
+      setError(err?.response?.data?.error || "Could not import the file. Try again.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const previewRows = report ? report.rows.slice(0, PREVIEW_ROWS) : [];
+
+  return (
+    <div className="form">
+      <div className="form-field">
+        <label className="form-label" htmlFor="import-file">
+          Statement file (CSV, OFX, QFX or QIF)
+        </label>
+        <Input
+          id="import-file"
+          type="file"
+          accept=".csv,.ofx,.qfx,.qif,text/csv"
+          onChange={handleFile}
+          disabled={busy}
+        />
+        {fileName && (
+          <span className="form-helper">
+            {fileName}
+            {format && ` · ${FORMAT_LABELS[format] || format}`}
+          </span>
+        )}
+      </div>
+
+      {content && format === "csv" && headers.length > 0 && (
+        <>
+          <label className="checkbox-list__item">
+            <input
+              type="checkbox"
+              checked={hasHeader}
+              onChange={(e) => {
+                // Column names change with the header row, so guess the mapping again
+                setHasHeader(e.target.checked);
+                setMapping(null);
+                setReport(null);
+              }}
+            />
+            First row is a header
+          </label>
+
+          <fieldset className="form-field checkbox-list">
+            <legend className="form-label">Columns</legend>
+            {FIELDS.map((field) => (
+              <div className="form-field" key={field.value}>
+                <label className="form-label" htmlFor={`import-map-${field.value}`}>
+                  {field.label}
+                  {field.required && " *"}
+                </label>
+                <Select
+                  id={`import-map-${field.value}`}
+                  value={mapping?.[field.value] ?? ""}
+                  onChange={(e) => handleMappingChange(field.value, e.target.value)}
+                >
+                  <option value="">Not in file</option>
+                  {headers.map((header) => (
+                    <option key={header} value={header}>
+                      {header}
+                    </option>
+                  ))}
+                </Select>
+              </div>
+            ))}
+          </fieldset>
+        </>
+      )}
+
+      {content && (format === "csv" || format === "qif") && (
+        <div className="form-field">
+          <label className="form-label" htmlFor="import-date-format">
+            Date format
+          </label>
+          <Select
+            id="import-date-format"
+            value={dateFormat}
+            onChange={(e) => changeOption(setDateFormat)(e.target.value)}
+          >
+            {DATE_FORMATS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </Select>
+        </div>
+      )}
+
+      {content && format === "csv" && (
+        <div className="form-field">
+          <label className="form-label" htmlFor="import-amount-sign">
+            Amounts
+          </label>
+          <Select
+            id="import-amount-sign"
+            value={amountSign}
+            onChange={(e) => changeOption(setAmountSign)(e.target.value)}
+          >
+            {AMOUNT_SIGNS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </Select>
+        </div>
+      )}
+
+      {content && format && (
+        <>
+          <div className="form-field">
+            <label className="form-label" htmlFor="import-default-category">
+              Category for expenses without one
+            </label>
+            <Select
+              id="import-default-category"
+              value={defaultCategory}
+              onChange={(e) => changeOption(setDefaultCategory)(e.target.value)}
+            >
+              <option value="">None</option>
+              {categories.map((name) => (
+                <option key={name} value={name}>
+                  {name}
+                </option>
+              ))}
+            </Select>
+          </div>
+
+          <div className="form-field">
+            <label className="form-label" htmlFor="import-default-income-category">
+              Category for income without one
+            </label>
+            <Select
+              id="import-default-income-category"
+              value={defaultIncomeCategory}
+              onChange={(e) => changeOption(setDefaultIncomeCategory)(e.target.value)}
+            >
+              <option value="">None</option>
+              {incomeCategories.map((name) => (
+                <option key={name} value={name}>
+                  {name}
+                </option>
+              ))}
+            </Select>
+          </div>
+
+          <label className="checkbox-list__item">
+            <input
+              type="checkbox"
+              checked={includeDuplicates}
+              onChange={(e) => changeOption(setIncludeDuplicates)(e.target.checked)}
+            />
+            Also import rows that look like existing transactions
+          </label>
+
+          <Button
+            type="button"
+            variant="secondary"
+            disabled={busy}
+            onClick={() => runPreview(buildBody())}
+          >
+            {busy ? "Checking..." : "Preview"}
+          </Button>
+        </>
+      )}
+
+      {report && (
+        <>
+          <p className="form-helper" aria-live="polite">
+            {report.valid} of {report.total} row(s) ready to import
+            {report.invalid > 0 && `, ${report.invalid} with errors (not imported)`}
+            {report.skipped > 0 && `, ${report.skipped} skipped`}.
+            {report.total > PREVIEW_ROWS && ` Showing the first ${PREVIEW_ROWS}.`}
+          </p>
+          <div className="table-wrapper" role="region" aria-label="Import preview">
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th scope="col">Line</th>
+                  <th scope="col">Date</th>
+                  <th scope="col">Description</th>
+                  <th scope="col">Category</th>
+                  <th scope="col" style={{ textAlign: "right" }}>
+                    Amount
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {previewRows.map((row) => {
+                  const tx = row.transaction || row.input || {};
+                  return (
+                    <tr key={row.line}>
+                      <td data-label="Line">{row.line}</td>
+                      <td data-label="Date">{tx.date ? formatDate(tx.date) : "-"}</td>
+                      <td data-label="Description">
+                        {tx.description || "-"}
+                        {row.error && (
+                          <span className="form-error" role="alert">
+                            {" "}
+                            {row.error}
+                          </span>
+                        )}
+                        {row.skipped && (
+                          <span className="form-helper"> Skipped: {row.skipped}</span>
+                        )}
+                      </td>
+                      <td data-label="Category">{tx.category || "-"}</td>
+                      <td data-label="Amount" style={{ textAlign: "right" }}>
+                        {tx.amount === undefined
+                          ? "-"
+                          : `${tx.type === "income" ? "+" : ""}${formatCurrency(tx.amount)}`}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      {error && (
+        <span className="form-error" role="alert">
+          {error}
+        </span>
+      )}
+      {message && (
+        <span className="form-helper" role="status">
+          {message}
+        </span>
+      )}
+
+      <div className="table-actions">
+        {onClose && (
+          <Button type="button" variant="ghost" onClick={onClose}>
+            Close
+          </Button>
+        )}
+        <Button
+          type="button"
+          disabled={busy || !report || report.valid === 0}
+          aria-busy={busy}
+          onClick={handleImport}
+        >
+          {busy
+            ? "Importing..."
+            : report && report.invalid > 0
+            ? `Import ${report.valid} Valid Rows`
+            : "Import"}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default ImportWizard;
@@ -4,23 +4,37 @@ import api from "../api/api";
 import Input from "./ui/Input";
 import Select from "./ui/Select";
 import Button from "./ui/Button";
+import { formatCurrency } from "../utils/format";
+import { formatDate } from "../utils/date";
+
+const TYPES = [
+  { value: "expense", label: "Expense" },
+  { value: "income", label: "Income" },
+];
 
 /**
- * Quick-add expense form for logging a single transaction with minimal inputs.
+ * Quick-add form for logging a single expense or income transaction with minimal inputs.
  * Validates amount/category, posts to /api/transactions, and notifies parent via onAdded.
+ * Category choices follow the selected type (expense `categories` or `incomeCategories`).
+ * When the API flags a likely duplicate (409), the user can confirm to add it anyway.
  *
- * @param {{ onAdded?: function, categories?: string[] }} props
+ * @param {{ onAdded?: function, categories?: string[], incomeCategories?: string[] }} props
  */
-const QuickExpenseForm = ({ onAdded, categories = [] }) => {
+const QuickExpenseForm = ({ onAdded, categories = [], incomeCategories = [] }) => {
   const { getAccessTokenSilently } = useAuth0();
+  const [type, setType] = useState("expense");
   const [amount, setAmount] = useState("");
   const [category, setCategory] = useState("");
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
+  const [duplicate, setDuplicate] = useState(null);
+
+  const isIncome = type === "income";
+  const noun = isIncome ? "income" : "expenses";
 
   const categoryOptions = useMemo(
-    () => categories.filter((item) => Boolean(item)),
-    [categories]
+    () => (isIncome ? incomeCategories : categories).filter((item) => Boolean(item)),
+    [categories, incomeCategories, isIncome]
   );
 
   useEffect(() => {
@@ -33,46 +47,74 @@ const QuickExpenseForm = ({ onAdded, categories = [] }) => {
     }
   }, [categoryOptions, category]);
 
-  const handleSubmit = async (event) => {
-    event.preventDefault();
-    setError("");
-
-    if (!categoryOptions.length) {
-      setError("Add a category before logging expenses.");
-      return;
-    }
-
-    const parsedAmount = Number(amount);
-    if (!Number.isFinite(parsedAmount) || parsedAmount <= 0) {
-      setError("Expense amount must be greater than zero.");
-      return;
-    }
-
+  const submit = async (payload, force = false) => {
     setLoading(true);
     try {
       const token = await getAccessTokenSilently();
-      const payload = {
-        amount: parsedAmount,
-        category,
-        date: new Date().toISOString(),
-        description: category,
-      };
       const res = await api.post("/api/transactions", payload, {
         headers: { Authorization: `Bearer ${token}` },
+        params: force ? { force: true } : undefined,
       });
       setAmount("");
       setCategory(categoryOptions[0] || "");
+      setDuplicate(null);
       if (onAdded) onAdded(res.data);
     } catch (err) {
-      console.error("Add expense error:", err?.response?.data || err.message || err);
-      setError(err?.response?.data?.error || "Could not add expense. Try again.");
+      console.error("Add transaction error:", err?.response?.data || err.message || err);
+      if (err?.response?.status === 409) {
+        setDuplicate({ payload, match: err.response.data.duplicate });
+        return;
+      }
+      setError(err?.response?.data?.error || `Could not add ${isIncome ? "income" : "expense"}. Try again.`);
     } finally {
       setLoading(false);
     }
   };
 
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError("");
+    setDuplicate(null);
+
+    if (!categoryOptions.length) {
+      setError(`Add a category before logging ${noun}.`);
+      return;
+    }
+
+    const parsedAmount = Number(amount);
+    if (!Number.isFinite(parsedAmount) || parsedAmount <= 0) {
+      setError(`${isIncome ? "Income" : "Expense"} amount must be greater than zero.`);
+      return;
+    }
+
+    await submit({
+      amount: parsedAmount,
+      type,
+      category,
+      date: new Date().toISOString(),
+      description: category,
+    });
+  };
+
   return (
     <form className="form" onSubmit={handleSubmit} noValidate>
+      <div className="form-field">
+        <label className="form-label" htmlFor="quick-type">
+          Type
+        </label>
+        <Select
+          id="quick-type"
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+        >
+          {TYPES.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </Select>
+      </div>
+
       <div className="form-field">
         <label className="form-label" htmlFor="quick-amount">
           Amount
@@ -109,7 +151,7 @@ const QuickExpenseForm = ({ onAdded, categories = [] }) => {
         </Select>
         {!categoryOptions.length && (
           <span className="form-helper">
-            Add at least one category to start tracking expenses.
+            Add at least one {isIncome ? "income " : ""}category to start tracking {noun}.
           </span>
         )}
       </div>
@@ -120,12 +162,35 @@ const QuickExpenseForm = ({ onAdded, categories = [] }) => {
         </span>
       )}
 
+      {duplicate && (
+        <div className="form-field" role="alert">
+          <span className="form-error">
+            You already logged {formatCurrency(duplicate.match?.amount)} for{" "}
+            {duplicate.match?.category}
+            {duplicate.match?.date && ` on ${formatDate(duplicate.match.date)}`}. Add it again?
+          </span>
+          <div className="table-actions">
+            <Button
+              type="button"
+              variant="secondary"
+              disabled={loading}
+              onClick={() => submit(duplicate.payload, true)}
+            >
+              Add Anyway
+            </Button>
+            <Button type="button" variant="ghost" onClick={() => setDuplicate(null)}>
+              Cancel
+            </Button>
+          </div>
+        </div>
+      )}
+
       <Button
         type="submit"
         disabled={loading || !categoryOptions.length}
         aria-busy={loading}
       >
-        {loading ? "Logging..." : "Add Expense"}
+        {loading ? "Logging..." : isIncome ? "Add Income" : "Add Expense"}
       </Button>
     </form>
   );
@@ -0,0 +1,294 @@
+import React, { useEffect, useState } from "react";
+import { useAuth0 } from "@auth0/auth0-react";
+import api from "../api/api";
+import Input from "./ui/Input";
+import Select from "./ui/Select";
+import Button from "./ui/Button";
+import { formatCurrency } from "../utils/format";
+
+const FREQUENCIES = [
+  { value: "monthly", label: "Monthly", unit: "month" },
+  { value: "weekly", label: "Weekly", unit: "week" },
+  { value: "custom", label: "Every N days", unit: "day" },
+];
+
+/**
+ * Describe a schedule for display, e.g. "Monthly", "Every 2 weeks", "Every 10 days".
+ * @param {{frequency:string,interval?:number}} item
+ * @returns {string}
+ */
+const describeSchedule = ({ frequency, interval = 1 }) => {
+  const option = FREQUENCIES.find((f) => f.value === frequency);
+  if (!option) return frequency;
+  if (interval === 1 && frequency !== "custom") return option.label;
+  return `Every ${interval} ${option.unit}${interval === 1 ? "" : "s"}`;
+};
+
+/**
+ * Management panel for recurring expenses (rent, phone/internet, subscriptions) and income
+ * (paychecks, stipends): lists schedules with their next run date, creates new ones, and
+ * pauses/resumes or deletes existing ones.
+ * The API scheduler turns each due occurrence into a transaction; notifies parent via onChanged.
+ *
+ * @param {{ recurring?: Array, categories?: string[], incomeCategories?: string[], onChanged?: function }} props
+ */
+const RecurringManager = ({ recurring = [], categories = [], incomeCategories = [], onChanged }) => {
+  const { getAccessTokenSilently } = useAuth0();
+  const [type, setType] = useState("expense");
+  const [description, setDescription] = useState("");
+  const [amount, setAmount] = useState("");
+  const [category, setCategory] = useState(categories[0] || "");
+  const [frequency, setFrequency] = useState("monthly");
+  const [every, setEvery] = useState("1");
+  const [startDate, setStartDate] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState("");
+
+  const categoryOptions = type === "income" ? incomeCategories : categories;
+
+  useEffect(() => {
+    if (!categoryOptions.includes(category)) setCategory(categoryOptions[0] || "");
+  }, [categoryOptions, category]);
+
+  const authHeaders = async () => {
+    const token = await getAccessTokenSilently();
+    return { headers: { Authorization: `Bearer ${token}` } };
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError("");
+
+    const parsedAmount = Number(amount);
+    if (!Number.isFinite(parsedAmount) || parsedAmount <= 0) {
+      setError("Amount must be greater than zero.");
+      return;
+    }
+    if (!category) {
+      setError("Choose a category.");
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const payload = {
+        description: description.trim(),
+        amount: parsedAmount,
+        type,
+        category,
+        frequency,
+        interval: Number(every) || 1,
+      };
+      if (startDate) payload.startDate = startDate;
+      await api.post("/api/recurring", payload, await authHeaders());
+      setDescription("");
+      setAmount("");
+      setEvery("1");
+      setStartDate("");
+      if (onChanged) onChanged();
+    } catch (err) {
+      console.error("Create recurring error:", err?.response?.data || err.message || err);
+      setError(err?.response?.data?.error || "Could not save the schedule. Try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (item) => {
+    setBusyId(item.id);
+    try {
+      await api.put(
+        `/api/recurring/${item.id}`,
+        { active: !item.active },
+        await authHeaders()
+      );
+      if (onChanged) onChanged();
+    } catch (err) {
+      console.error("Update recurring error:", err);
+      alert("Could not update the schedule. See console.");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (item) => {
+    if (!window.confirm("Stop this recurring schedule? Past transactions are kept.")) return;
+    setBusyId(item.id);
+    try {
+      await api.delete(`/api/recurring/${item.id}`, await authHeaders());
+      if (onChanged) onChanged();
+    } catch (err) {
+      console.error("Delete recurring error:", err);
+      alert("Could not delete the schedule. See console.");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <>
+      {recurring.length === 0 ? (
+        <div className="empty-state">
+          Schedule rent, bills, subscriptions, and paychecks so they log themselves.
+        </div>
+      ) : (
+        <ul className="budget-list" role="list">
+          {recurring.map((item) => (
+            <li className="budget-item" key={item.id} role="listitem">
+              <div className="budget-item__details">
+                <span className="budget-item__period">
+                  {item.description || item.category} · {describeSchedule(item)}
+                  {item.active ? ` · next ${item.nextRunDate}` : " · paused"}
+                </span>
+                <span className="budget-item__amount">
+                  {item.type === "income" && "+"}
+                  {formatCurrency(item.amount)}
+                </span>
+              </div>
+              <div className="budget-item__actions">
+                <Button
+                  type="button"
+                  variant="secondary"
+                  disabled={busyId === item.id}
+                  onClick={() => handleToggle(item)}
+                >
+                  {item.active ? "Pause" : "Resume"}
+                </Button>
+                <Button
+                  type="button"
+                  variant="ghost"
+                  disabled={busyId === item.id}
+                  onClick={() => handleDelete(item)}
+                >
+                  Delete
+                </Button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="form" onSubmit={handleSubmit} noValidate>
+        <div className="form-field">
+          <label className="form-label" htmlFor="recurring-type">
+            Type
+          </label>
+          <Select
+            id="recurring-type"
+            value={type}
+            onChange={(e) => setType(e.target.value)}
+          >
+            <option value="expense">Expense</option>
+            <option value="income">Income</option>
+          </Select>
+        </div>
+
+        <div className="form-field">
+          <label className="form-label" htmlFor="recurring-description">
+            Description
+          </label>
+          <Input
+            id="recurring-description"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            placeholder={type === "income" ? "Paycheck, stipend..." : "Rent, phone, streaming..."}
+          />
+        </div>
+
+        <div className="form-field">
+          <label className="form-label" htmlFor="recurring-amount">
+            Amount
+          </label>
+          <Input
+            id="recurring-amount"
+            type="number"
+            min="0.01"
+            step="0.01"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            placeholder="0.00"
+            aria-invalid={Boolean(error)}
+            required
+          />
+        </div>
+
+        <div className="form-field">
+          <label className="form-label" htmlFor="recurring-category">
+            Category
+          </label>
+          <Select
+            id="recurring-category"
+            value={category}
+            onChange={(e) => setCategory(e.target.value)}
+          >
+            {categoryOptions.map((name) => (
+              <option key={name} value={name}>
+                {name}
+              </option>
+            ))}
+          </Select>
+        </div>
+
+        <div className="form-field">
+          <label className="form-label" htmlFor="recurring-frequency">
+            Repeats
+          </label>
+          <Select
+            id="recurring-frequency"
+            value={frequency}
+            onChange={(e) => setFrequency(e.target.value)}
+          >
+            {FREQUENCIES.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </Select>
+        </div>
+
+        <div className="form-field">
+          <label className="form-label" htmlFor="recurring-interval">
+            Every how many {FREQUENCIES.find((f) => f.value === frequency)?.unit}s
+          </label>
+          <Input
+            id="recurring-interval"
+            type="number"
+            min="1"
+            max="365"
+            step="1"
+            value={every}
+            onChange={(e) => setEvery(e.target.value)}
+          />
+        </div>
+
+        <div className="form-field">
+          <label className="form-label" htmlFor="recurring-start">
+            First charge
+          </label>
+          <Input
+            id="recurring-start"
+            type="date"
+            value={startDate}
+            onChange={(e) => setStartDate(e.target.value)}
+          />
+          <span className="form-helper">
+            Defaults to today. Past dates are filled in right away.
+          </span>
+        </div>
+
+        {error && (
+          <span className="form-error" role="alert">
+            {error}
+          </span>
+        )}
+
+        <Button type="submit" disabled={saving} aria-busy={saving}>
+          {saving ? "Saving..." : type === "income" ? "Add Recurring Income" : "Add Recurring Expense"}
+        </Button>
+      </form>
+    </>
+  );
+};
+
+export default RecurringManager;
@@ -0,0 +1,125 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { useAuth0 } from "@auth0/auth0-react";
+import api from "../api/api";
+import Input from "./ui/Input";
+import Select from "./ui/Select";
+import Button from "./ui/Button";
+import { WEEKDAYS, getBrowserTimezone } from "../utils/date";
+
+const listTimezones = () => {
+  try {
+    return typeof Intl.supportedValuesOf === "function"
+      ? Intl.supportedValuesOf("timeZone")
+      : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Form for the user's period settings: the day weeks start on and the timezone whose midnight
+ * bounds every budget period. Saves via PUT /api/profile and notifies parent via onSaved.
+ *
+ * @param {{ settings?: { weekStartsOn?: number, timezone?: string|null }, onSaved?: function }} props
+ */
+const SettingsForm = ({ settings = {}, onSaved }) => {
+  const { getAccessTokenSilently } = useAuth0();
+  const browserTimezone = useMemo(() => getBrowserTimezone(), []);
+  const [weekStartsOn, setWeekStartsOn] = useState(1);
+  const [timezone, setTimezone] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    setWeekStartsOn(Number.isInteger(settings.weekStartsOn) ? settings.weekStartsOn : 1);
+    setTimezone(settings.timezone || browserTimezone || "");
+  }, [settings.weekStartsOn, settings.timezone, browserTimezone]);
+
+  const timezones = useMemo(() => {
+    const list = listTimezones();
+    // Keep the current value selectable even when the runtime list omits it (e.g. "UTC")
+    return timezone && !list.includes(timezone) ? [timezone, ...list] : list;
+  }, [timezone]);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError("");
+    setLoading(true);
+    try {
+      const token = await getAccessTokenSilently();
+      const res = await api.put(
+        "/api/profile",
+        { weekStartsOn, timezone: timezone || null },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      if (onSaved) onSaved(res.data?.settings);
+    } catch (err) {
+      console.error("Save settings error:", err?.response?.data || err.message || err);
+      setError(err?.response?.data?.error || "Could not save settings. Try again.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form className="form" onSubmit={handleSubmit} noValidate>
+      <div className="form-field">
+        <label className="form-label" htmlFor="settings-week-start">
+          Weeks start on
+        </label>
+        <Select
+          id="settings-week-start"
+          value={weekStartsOn}
+          onChange={(e) => setWeekStartsOn(Number(e.target.value))}
+        >
+          {WEEKDAYS.map((day) => (
+            <option key={day.value} value={day.value}>
+              {day.label}
+            </option>
+          ))}
+        </Select>
+      </div>
+
+      <div className="form-field">
+        <label className="form-label" htmlFor="settings-timezone">
+          Timezone
+        </label>
+        {timezones.length > 0 ? (
+          <Select
+            id="settings-timezone"
+            value={timezone}
+            onChange={(e) => setTimezone(e.target.value)}
+          >
+            {timezones.map((zone) => (
+              <option key={zone} value={zone}>
+                {zone}
+              </option>
+            ))}
+          </Select>
+        ) : (
+          <Input
+            id="settings-timezone"
+            value={timezone}
+            onChange={(e) => setTimezone(e.target.value)}
+            placeholder="America/New_York"
+          />
+        )}
+        <span className="form-helper">
+          Budget periods start at midnight in this timezone.
+        </span>
+      </div>
+
+      {error && (
+        <span className="form-error" role="alert">
+          {error}
+        </span>
+      )}
+
+      <Button type="submit" disabled={loading} aria-busy={loading}>
+        {loading ? "Saving..." : "Save Settings"}
+      </Button>
+    </form>
+  );
+};
+
+export default SettingsForm;
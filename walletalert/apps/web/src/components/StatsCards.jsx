@@ -1,24 +1,74 @@
-import React, { useMemo } from "react";
+import React, { useEffect, useMemo, useState } from "react";
+import { useAuth0 } from "@auth0/auth0-react";
+import api from "../api/api";
 import { formatCurrency as fmtCur } from "../utils/format";
-import { calculateCurrentPeriodSpending } from "../utils/budget";
+import { formatDay } from "../utils/date";
+import { cashFlowFromTotals, getActivePeriodBounds } from "../utils/budget";
+import { PERIOD_GROUPING } from "../utils/reports";
 
 const formatPercent = (value) =>
   Number.isFinite(value) ? `${Math.round(value)}%` : "-";
 
 /**
- * Displays summary budget metrics (total budget, spent, remaining) using current-period spending.
+ * Displays summary budget metrics (total budget, spent, remaining) using current-period spending,
+ * cash-flow metrics (income, net cash flow, savings rate) for the same period,
+ * plus one card per category-scoped budget showing its own utilization.
+ * Period boundaries follow the user's `settings` (week start, timezone). Budget figures come from
+ * GET /api/budgets/status and period totals from GET /api/reports/summary; a change of `refreshKey`
+ * refetches them after data changes.
  *
- * @param {{ budgets?: Array, transactions?: Array }} props
+ * @param {{ budgets?: Array, settings?: Object, refreshKey?: any }} props
  */
-const StatsCards = ({ budgets = [], transactions = [] }) => {
-  const totals = useMemo(() => {
-    const totalBudget = budgets.reduce((sum, budget) => {
-      const amt = Number(budget.amount);
-      return Number.isFinite(amt) ? sum + Math.max(0, amt) : sum;
-    }, 0);
+const StatsCards = ({ budgets = [], settings = {}, refreshKey }) => {
+  const { getAccessTokenSilently } = useAuth0();
+  const [statuses, setStatuses] = useState([]);
+  const [periodTotals, setPeriodTotals] = useState({ spent: 0, income: 0 });
+  const [loadError, setLoadError] = useState("");
+
+  // Spending and cash flow cover the current period of the shortest budget period in use
+  const timezone = settings.timezone || null;
+  const activePeriod = useMemo(() => {
+    const { period, start } = getActivePeriodBounds(budgets, settings);
+    return { period, from: formatDay(start, timezone) };
+  }, [budgets, settings, timezone]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const token = await getAccessTokenSilently();
+        const headers = { Authorization: `Bearer ${token}` };
+        const [statusRes, summaryRes] = await Promise.all([
+          api.get("/api/budgets/status", { headers }),
+          api.get("/api/reports/summary", {
+            headers,
+            params: {
+              groupBy: PERIOD_GROUPING[activePeriod.period] || "day",
+              from: activePeriod.from,
+            },
+          }),
+        ]);
+        if (cancelled) return;
+        setStatuses(statusRes.data || []);
+        setPeriodTotals(summaryRes.data?.totals || { spent: 0, income: 0 });
+        setLoadError("");
+      } catch (error) {
+        if (cancelled) return;
+        console.error("Stats fetch error:", error);
+        setLoadError("Could not load budget figures.");
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [getAccessTokenSilently, activePeriod, refreshKey]);
 
-    // Only count spending from the current budget period
-    const totalSpent = calculateCurrentPeriodSpending(transactions, budgets);
+  const totals = useMemo(() => {
+    // Available amounts already include the carried-over surplus/deficit of rollover budgets
+    const carriedOver = statuses.reduce((sum, status) => sum + status.carriedOver, 0);
+    const totalBudget = statuses.reduce((sum, status) => sum + status.available, 0);
+    const totalSpent = periodTotals.spent;
 
     const remaining = totalBudget - totalSpent;
     const utilization =
@@ -29,10 +79,21 @@ const StatsCards = ({ budgets = [], transactions = [] }) => {
       totalSpent,
       remaining,
       utilization,
+      carriedOver,
     };
-  }, [budgets, transactions]);
+  }, [statuses, periodTotals]);
+
+  const { totalBudget, totalSpent, remaining, utilization, carriedOver } = totals;
+
+  const cashFlow = useMemo(
+    () => cashFlowFromTotals(periodTotals.income, periodTotals.spent),
+    [periodTotals]
+  );
 
-  const { totalBudget, totalSpent, remaining, utilization } = totals;
+  const scopedBudgets = useMemo(
+    () => statuses.filter((status) => status.categories?.length > 0),
+    [statuses]
+  );
 
   const fmtCurrency = (value) => fmtCur(value);
 
@@ -41,31 +102,100 @@ const StatsCards = ({ budgets = [], transactions = [] }) => {
     remaining >= 0 ? "stat-card__delta--positive" : "stat-card__delta--negative";
 
   return (
-    <div className="stat-grid" role="list">
-      <article className="stat-card" data-accent="secondary" role="listitem">
-        <h3 className="stat-card__label">Total Budget</h3>
-        <div className="stat-card__value" aria-live="polite">
-          {fmtCurrency(totalBudget)}
-        </div>
-        <p className="form-helper">Allocated across all active plans.</p>
-      </article>
-
-      <article className="stat-card" data-accent="accent" role="listitem">
-        <h3 className="stat-card__label">Total Spent</h3>
-        <div className="stat-card__value">{fmtCurrency(totalSpent)}</div>
-        <p className="stat-card__delta stat-card__delta--negative">
-          {formatPercent(utilization)} of budget used
-        </p>
-      </article>
-
-      <article className="stat-card" data-accent={remaining >= 0 ? "success" : "error"} role="listitem">
-        <h3 className="stat-card__label">Remaining</h3>
-        <div className="stat-card__value">{fmtCurrency(remaining)}</div>
-        <p className={`stat-card__delta ${statusClass}`}>
-          {statusLabel}
-        </p>
-      </article>
-    </div>
+    <>
+      {loadError && (
+        <span className="form-error" role="alert">
+          {loadError}
+        </span>
+      )}
+      <div className="stat-grid" role="list">
+        <article className="stat-card" data-accent="secondary" role="listitem">
+          <h3 className="stat-card__label">Total Budget</h3>
+          <div className="stat-card__value" aria-live="polite">
+            {fmtCurrency(totalBudget)}
+          </div>
+          <p className="form-helper">
+            {carriedOver !== 0
+              ? `Includes ${fmtCurrency(carriedOver)} carried over.`
+              : "Allocated across all active plans."}
+          </p>
+        </article>
+
+        <article className="stat-card" data-accent="accent" role="listitem">
+          <h3 className="stat-card__label">Total Spent</h3>
+          <div className="stat-card__value">{fmtCurrency(totalSpent)}</div>
+          <p className="stat-card__delta stat-card__delta--negative">
+            {formatPercent(utilization)} of budget used
+          </p>
+        </article>
+
+        <article className="stat-card" data-accent={remaining >= 0 ? "success" : "error"} role="listitem">
+          <h3 className="stat-card__label">Remaining</h3>
+          <div className="stat-card__value">{fmtCurrency(remaining)}</div>
+          <p className={`stat-card__delta ${statusClass}`}>
+            {statusLabel}
+          </p>
+        </article>
+
+        <article className="stat-card" data-accent="success" role="listitem">
+          <h3 className="stat-card__label">Income</h3>
+          <div className="stat-card__value">{fmtCurrency(cashFlow.income)}</div>
+          <p className="form-helper">Received this period.</p>
+        </article>
+
+        <article
+          className="stat-card"
+          data-accent={cashFlow.net >= 0 ? "success" : "error"}
+          role="listitem"
+        >
+          <h3 className="stat-card__label">Net Cash Flow</h3>
+          <div className="stat-card__value">{fmtCurrency(cashFlow.net)}</div>
+          <p
+            className={`stat-card__delta ${
+              cashFlow.net >= 0 ? "stat-card__delta--positive" : "stat-card__delta--negative"
+            }`}
+          >
+            {cashFlow.net >= 0 ? "Earning more than spending" : "Spending more than earning"}
+          </p>
+        </article>
+
+        <article className="stat-card" data-accent="secondary" role="listitem">
+          <h3 className="stat-card__label">Savings Rate</h3>
+          <div className="stat-card__value">
+            {cashFlow.savingsRate === null ? "-" : formatPercent(cashFlow.savingsRate)}
+          </div>
+          <p className="form-helper">
+            {cashFlow.savingsRate === null
+              ? "Log income to see your savings rate."
+              : "Share of income left after spending."}
+          </p>
+        </article>
+
+        {scopedBudgets.map(({ budgetId, categories, period, spent, available, carriedOver: carried, remaining: left, utilization: used }) => (
+          <article
+            key={budgetId}
+            className="stat-card"
+            data-accent={left >= 0 ? "secondary" : "error"}
+            role="listitem"
+          >
+            <h3 className="stat-card__label">
+              {categories.join(", ")} · {period}
+            </h3>
+            <div className="stat-card__value">
+              {fmtCurrency(spent)} / {fmtCurrency(available)}
+            </div>
+            <p
+              className={`stat-card__delta ${
+                left >= 0 ? "stat-card__delta--positive" : "stat-card__delta--negative"
+              }`}
+            >
+              {formatPercent(used)} used
+              {carried !== 0 && ` · includes ${fmtCurrency(carried)} carried over`}
+            </p>
+          </article>
+        ))}
+      </div>
+    </>
   );
 };
 
@@ -0,0 +1,351 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { useAuth0 } from "@auth0/auth0-react";
+import api from "../api/api";
+import Select from "./ui/Select";
+import Button from "./ui/Button";
+import { formatCurrency } from "../utils/format";
+import { compareReports, reportLabel } from "../utils/reports";
+import { getCategoryPresentation } from "../utils/categories";
+
+const REPORT_PERIODS = [
+  { value: "weekly", label: "Weekly" },
+  { value: "monthly", label: "Monthly" },
+];
+
+const budgetScope = (comparison) =>
+  comparison.categories?.length ? comparison.categories.join(", ") : "All spending";
+
+const formatChange = (change) =>
+  `${change > 0 ? "+" : ""}${formatCurrency(change)}`;
+
+// A category name in the user's color and emoji, as in the transaction table
+const CategoryChip = ({ name, options }) => {
+  const style = getCategoryPresentation(name, options);
+  return (
+    <span className="category-chip" style={{ backgroundColor: `${style.color}22` }}>
+      <span className="category-chip__emoji" role="img" aria-label={`${style.originalName} category`}>
+        {style.emoji || style.initials}
+      </span>
+      {style.originalName}
+    </span>
+  );
+};
+
+/**
+ * Weekly and monthly summary reports (GET /api/reports): one closed period at a time with its totals,
+ * category breakdown and budget comparison. Older/Newer page back through past periods (loading older
+ * pages as needed), and a second report can be picked to compare the two side by side. Monthly reports
+ * offer the month's printable statement (HTML in a new tab) and its PDF.
+ * A change of `refreshKey` reloads the list. Categories are shown with `categoryDisplayOptions` (the user's
+ * colors and emoji).
+ *
+ * @param {{ refreshKey?: any, categoryDisplayOptions?: Object }} props
+ */
+const SummaryReports = ({ refreshKey, categoryDisplayOptions = {} }) => {
+  const { getAccessTokenSilently } = useAuth0();
+  const [period, setPeriod] = useState("monthly");
+  const [reports, setReports] = useState([]);
+  const [nextBefore, setNextBefore] = useState(null);
+  const [index, setIndex] = useState(0);
+  const [compareId, setCompareId] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [loadError, setLoadError] = useState("");
+  const [statementBusy, setStatementBusy] = useState(false);
+
+  const fetchPage = useCallback(
+    async (before) => {
+      const token = await getAccessTokenSilently();
+      const res = await api.get("/api/reports", {
+        headers: { Authorization: `Bearer ${token}` },
+        params: { period, before },
+      });
+      return res.data;
+    },
+    [getAccessTokenSilently, period]
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    fetchPage()
+      .then((page) => {
+        if (cancelled) return;
+        setReports(page.reports || []);
+        setNextBefore(page.nextBefore);
+        setIndex(0);
+        setCompareId("");
+        setLoadError("");
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        console.error("Reports fetch error:", error);
+        setLoadError("Could not load summary reports.");
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [fetchPage, refreshKey]);
+
+  const handleOlder = async () => {
+    if (index + 1 < reports.length) {
+      setIndex(index + 1);
+      return;
+    }
+    if (!nextBefore) return;
+    setLoading(true);
+    try {
+      const page = await fetchPage(nextBefore);
+      setReports((current) => [...current, ...(page.reports || [])]);
+      setNextBefore(page.nextBefore);
+      if (page.reports?.length) setIndex(index + 1);
+      setLoadError("");
+    } catch (error) {
+      console.error("Reports fetch error:", error);
+      setLoadError("Could not load older reports.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const report = reports[index] || null;
+  const compared = reports.find((item) => item.id === compareId && item !== report) || null;
+  const comparison = useMemo(
+    () => (report && compared ? compareReports(report, compared) : null),
+    [report, compared]
+  );
+
+  // Statements are rendered by GET /api/reports/:month/statement.(html|pdf); the HTML opens in a new
+  // tab (opened before the request so popup blockers allow it), the PDF downloads
+  const handleStatement = async (format) => {
+    const month = report.key.slice(0, 7);
+    const tab = format === "html" ? window.open("", "_blank") : null;
+    setStatementBusy(true);
+    try {
+      const token = await getAccessTokenSilently();
+      const res = await api.get(`/api/reports/${month}/statement.${format}`, {
+        headers: { Authorization: `Bearer ${token}` },
+        responseType: "blob",
+      });
+      const url = URL.createObjectURL(res.data);
+      if (tab) {
+        tab.location.href = url;
+      } else {
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `walletalert-statement-${month}.pdf`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // The new tab still loads from the URL, so only the download's URL is released now
+        URL.revokeObjectURL(url);
+      }
+    } catch (err) {
+      if (tab) tab.close();
+      console.error("Statement error:", err);
+      alert("Could not create the statement. See console.");
+    } finally {
+      setStatementBusy(false);
+    }
+  };
+
+  return (
+    <div className="chart-panel">
+      <div className="chart-toolbar">
+        <label htmlFor="report-period">Report</label>
+        <Select
+          id="report-period"
+          value={period}
+          onChange={(e) => setPeriod(e.target.value)}
+        >
+          {REPORT_PERIODS.map((item) => (
+            <option key={item.value} value={item.value}>
+              {item.label}
+            </option>
+          ))}
+        </Select>
+        <Button
+          type="button"
+          variant="ghost"
+          disabled={loading || index === 0}
+          onClick={() => setIndex(index - 1)}
+        >
+          Newer
+        </Button>
+        <Button
+          type="button"
+          variant="ghost"
+          disabled={loading || (index + 1 >= reports.length && !nextBefore)}
+          onClick={handleOlder}
+        >
+          Older
+        </Button>
+        {report && period === "monthly" && (
+          <>
+            <Button
+              type="button"
+              variant="secondary"
+              disabled={statementBusy}
+              onClick={() => handleStatement("html")}
+            >
+              Print Statement
+            </Button>
+            <Button
+              type="button"
+              variant="secondary"
+              disabled={statementBusy}
+              onClick={() => handleStatement("pdf")}
+            >
+              {statementBusy ? "Preparing..." : "Download PDF"}
+            </Button>
+          </>
+        )}
+        {report && (
+          <>
+            <label htmlFor="report-compare">Compare with</label>
+            <Select
+              id="report-compare"
+              value={compared ? compareId : ""}
+              onChange={(e) => setCompareId(e.target.value)}
+            >
+              <option value="">None</option>
+              {reports
+                .filter((item) => item !== report)
+                .map((item) => (
+                  <option key={item.id} value={item.id}>
+                    {reportLabel(item)}
+                  </option>
+                ))}
+            </Select>
+          </>
+        )}
+      </div>
+
+      {loadError && <p className="form-error">{loadError}</p>}
+
+      {!report && !loading && !loadError && (
+        <div className="empty-state">
+          No closed {period === "weekly" ? "weeks" : "months"} yet. A report is saved once a period
+          with transactions has ended.
+        </div>
+      )}
+
+      {report && !comparison && (
+        <>
+          <div className="stat-grid">
+            <div className="stat-card">
+              <div className="stat-card__label">{reportLabel(report)} spending</div>
+              <div className="stat-card__value">{formatCurrency(report.totalSpending)}</div>
+            </div>
+            <div className="stat-card" data-accent="success">
+              <div className="stat-card__label">Income</div>
+              <div className="stat-card__value">{formatCurrency(report.totalIncome)}</div>
+            </div>
+            <div className="stat-card" data-accent="secondary">
+              <div className="stat-card__label">Transactions</div>
+              <div className="stat-card__value">{report.transactionCount}</div>
+            </div>
+          </div>
+
+          {report.categories.length > 0 ? (
+            <div className="table-wrapper">
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Category</th>
+                    <th>Spent</th>
+                    <th>Transactions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.categories.map((row) => (
+                    <tr key={row.category}>
+                      <td data-label="Category">
+                        <CategoryChip name={row.category} options={categoryDisplayOptions} />
+                      </td>
+                      <td data-label="Spent">{formatCurrency(row.spent)}</td>
+                      <td data-label="Transactions">{row.count}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="empty-state">No spending in this period.</div>
+          )}
+
+          {report.budgets.length > 0 && (
+            <div className="table-wrapper">
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Budget</th>
+                    <th>Available</th>
+                    <th>Spent</th>
+                    <th>Remaining</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.budgets.map((row) => (
+                    <tr key={row.budgetId}>
+                      <td data-label="Budget">{budgetScope(row)}</td>
+                      <td data-label="Available">{formatCurrency(row.available)}</td>
+                      <td data-label="Spent">{formatCurrency(row.spent)}</td>
+                      <td data-label="Remaining">
+                        {formatCurrency(row.remaining)}
+                        {row.exceeded && <span className="form-error"> Over budget</span>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+
+      {comparison && (
+        <div className="table-wrapper">
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Category</th>
+                <th>{reportLabel(report)}</th>
+                <th>{reportLabel(compared)}</th>
+                <th>Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              {comparison.rows.map((row) => (
+                <tr key={row.category}>
+                  <td data-label="Category">
+                    <CategoryChip name={row.category} options={categoryDisplayOptions} />
+                  </td>
+                  <td data-label={reportLabel(report)}>{formatCurrency(row.base)}</td>
+                  <td data-label={reportLabel(compared)}>{formatCurrency(row.other)}</td>
+                  <td data-label="Change">{formatChange(row.change)}</td>
+                </tr>
+              ))}
+              <tr>
+                <td data-label="Category"><strong>Total spending</strong></td>
+                <td data-label={reportLabel(report)}>{formatCurrency(comparison.totals.spending.base)}</td>
+                <td data-label={reportLabel(compared)}>{formatCurrency(comparison.totals.spending.other)}</td>
+                <td data-label="Change">{formatChange(comparison.totals.spending.change)}</td>
+              </tr>
+              <tr>
+                <td data-label="Category"><strong>Income</strong></td>
+                <td data-label={reportLabel(report)}>{formatCurrency(comparison.totals.income.base)}</td>
+                <td data-label={reportLabel(compared)}>{formatCurrency(comparison.totals.income.other)}</td>
+                <td data-label="Change">{formatChange(comparison.totals.income.change)}</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SummaryReports;
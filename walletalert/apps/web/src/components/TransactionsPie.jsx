@@ -11,21 +11,31 @@ import { formatCurrency } from "../utils/format";
 import { getCategoryColor, getCategoryPresentation } from "../utils/categories";
 
 /**
- * Pie chart visualization of spending by category.
+ * Pie chart visualization of spending by category. Takes category `groups` from
+ * GET /api/reports/summary?groupBy=category, or totals a (small) `transactions` list itself.
+ * Clicking a slice calls `onSelectCategory(name)`, e.g. to drill into a parent category.
  *
- * @param {{ transactions?: Array, categoryDisplayOptions?: Object }} props
+ * @param {{ groups?: Array<{key:string,spent:number}>, transactions?: Array, categoryDisplayOptions?: Object, onSelectCategory?: function }} props
  */
 const TransactionsPie = ({
+  groups,
   transactions = [],
   categoryDisplayOptions = {},
+  onSelectCategory,
 }) => {
   const data = useMemo(() => {
     const byCategory = new Map();
-    for (const t of transactions) {
-      const category = t.category || "Uncategorized";
-      const amount = Number(t.amount || 0);
-      if (!Number.isFinite(amount) || amount <= 0) continue;
-      byCategory.set(category, (byCategory.get(category) || 0) + amount);
+    if (groups) {
+      groups.forEach((group) => {
+        if (group.spent > 0) byCategory.set(group.key, group.spent);
+      });
+    } else {
+      for (const t of transactions) {
+        const category = t.category || "Uncategorized";
+        const amount = Number(t.amount || 0);
+        if (!Number.isFinite(amount) || amount <= 0) continue;
+        byCategory.set(category, (byCategory.get(category) || 0) + amount);
+      }
     }
     return Array.from(byCategory.entries()).map(([name, value]) => {
       const presentation = getCategoryPresentation(name, categoryDisplayOptions);
@@ -35,7 +45,7 @@ const TransactionsPie = ({
         color: getCategoryColor(name, categoryDisplayOptions),
       };
     });
-  }, [transactions, categoryDisplayOptions]);
+  }, [groups, transactions, categoryDisplayOptions]);
 
   if (data.length === 0) {
     return <div className="empty-state">No expenses recorded for this view.</div>;
@@ -54,6 +64,8 @@ const TransactionsPie = ({
           innerRadius={56}
           paddingAngle={4}
           stroke="var(--color-background)"
+          onClick={onSelectCategory ? (entry) => onSelectCategory(entry.name) : undefined}
+          style={onSelectCategory ? { cursor: "pointer" } : undefined}
         >
           {data.map((entry) => (
             <Cell key={entry.name} fill={entry.color} />
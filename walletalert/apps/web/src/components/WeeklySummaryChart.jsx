@@ -1,4 +1,5 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { useAuth0 } from "@auth0/auth0-react";
 import {
   BarChart,
   Bar,
@@ -9,26 +10,50 @@ import {
   Tooltip,
   ResponsiveContainer,
 } from "recharts";
+import api from "../api/api";
 import Select from "./ui/Select";
+import {
+  BUDGET_PERIODS,
+  buildBudgetLedger,
+  getPeriodBounds,
+  isIncomeTransaction,
+  isScopedBudget,
+} from "../utils/budget";
+import { formatCurrency } from "../utils/format";
+import { dayOf, formatDay, fromDayNumber } from "../utils/date";
+import { PERIOD_GROUPING, summaryRange, summaryToTransactions } from "../utils/reports";
 
-const PAD = (value) => String(value).padStart(2, "0");
-
-const formatRangeLabel = (start, end) => {
+// Labels are formatted in the user's timezone so bars line up with their period boundaries
+const formatRangeLabel = (start, end, timeZone) => {
   const formatter = new Intl.DateTimeFormat(undefined, {
     month: "short",
     day: "numeric",
+    timeZone,
   });
   return `${formatter.format(start)} – ${formatter.format(end)}`;
 };
 
-const formatMonthLabel = (date) => {
+const formatMonthLabel = (date, timeZone) => {
   const formatter = new Intl.DateTimeFormat(undefined, {
     month: "short",
     year: "numeric",
+    timeZone,
   });
   return formatter.format(date);
 };
 
+const SEMESTER_NAMES = ["Spring", "Spring", "Spring", "Spring", "Spring", "Summer", "Summer", "Fall", "Fall", "Fall", "Fall", "Fall"];
+
+const formatPeriodLabel = (period, start, end, timezone) => {
+  const timeZone = timezone || undefined;
+  if (period === "monthly") return formatMonthLabel(start, timeZone);
+  const { year, month } = fromDayNumber(dayOf(start, timezone));
+  if (period === "yearly") return String(year);
+  if (period === "semester") return `${SEMESTER_NAMES[month]} ${year}`;
+  // Last millisecond of the period falls on its final day in any timezone
+  return formatRangeLabel(start, new Date(end.getTime() - 1), timeZone);
+};
+
 const toSafeDate = (value) => {
   if (!value) return null;
   const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
@@ -38,27 +63,6 @@ const toSafeDate = (value) => {
 const roundCurrency = (value) =>
   Math.round((Number(value) + Number.EPSILON) * 100) / 100;
 
-const startOfWeek = (date) => {
-  const d = new Date(date);
-  d.setHours(0, 0, 0, 0);
-  const day = d.getDay();
-  const diff = (day + 6) % 7;
-  d.setDate(d.getDate() - diff);
-  return d;
-};
-
-const startOfMonth = (date) => {
-  const d = new Date(date);
-  d.setHours(0, 0, 0, 0);
-  d.setDate(1);
-  return d;
-};
-
-const weekKey = (date) =>
-  `${date.getFullYear()}-${PAD(date.getMonth() + 1)}-${PAD(date.getDate())}`;
-const monthKey = (date) =>
-  `${date.getFullYear()}-${PAD(date.getMonth() + 1)}`;
-
 const sumBudget = (budgets = [], period) =>
   budgets.reduce((total, budget) => {
     if (budget.period !== period) return total;
@@ -66,94 +70,127 @@ const sumBudget = (budgets = [], period) =>
     return Number.isFinite(amount) ? total + Math.max(0, amount) : total;
   }, 0);
 
-const WEEK_BARS = 6;
-const MONTH_BARS = 6;
-
-const buildWeeklySeries = (transactions = [], budgetTotal) => {
-  const totals = new Map();
-
-  transactions.forEach((tx) => {
-    const parsedAmount = Number(tx.amount);
-    if (!Number.isFinite(parsedAmount) || parsedAmount <= 0) return;
-    const parsedDate = toSafeDate(tx.date || tx.createdAt);
-    if (!parsedDate) return;
-    const weekStart = startOfWeek(parsedDate);
-    const key = weekKey(weekStart);
-    const entry = totals.get(key) || { date: weekStart, spent: 0 };
-    entry.spent += parsedAmount;
-    totals.set(key, entry);
-  });
-
-  const list = [];
-  const currentWeekStart = startOfWeek(new Date());
-  for (let i = WEEK_BARS - 1; i >= 0; i -= 1) {
-    const weekStart = new Date(currentWeekStart);
-    weekStart.setDate(weekStart.getDate() - i * 7);
-    const key = weekKey(weekStart);
-    const entry = totals.get(key);
-    const weekEnd = new Date(weekStart);
-    weekEnd.setDate(weekEnd.getDate() + 6);
-    list.push({
-      name: formatRangeLabel(weekStart, weekEnd),
-      spent: roundCurrency(entry ? entry.spent : 0),
-      budget: roundCurrency(budgetTotal),
-      key,
-      isCurrent: i === 0,
-    });
-  }
+/**
+ * Build a lookup of the budget line for a period start: base amounts of the budgets whose
+ * own period covers it, plus the carried-over balance from the ledger for rollover budgets.
+ * `ledgerTotals` maps a rollover budget id to its spending totals (already limited to the
+ * budget's categories by the server) since the budget started.
+ */
+const buildBudgetLine = (budgets = [], period, ledgerTotals = {}, settings = {}) => {
+  const matching = budgets.filter((budget) => budget.period === period);
+  const ledgers = matching.map((budget) =>
+    budget.rollover
+      ? new Map(
+          buildBudgetLedger(
+            ledgerTotals[budget.id] || [],
+            { ...budget, categories: [] },
+            new Date(),
+            settings
+          ).map((row) => [row.start.getTime(), row])
+        )
+      : null
+  );
 
-  return list;
+  return (periodStart) =>
+    matching.reduce(
+      (line, budget, index) => {
+        const amount = Number(budget.amount);
+        if (!Number.isFinite(amount)) return line;
+        const bounds = getPeriodBounds(period, periodStart, { ...budget, ...settings });
+        if (periodStart < bounds.start || periodStart >= bounds.end) return line;
+        const row = ledgers[index]?.get(bounds.start.getTime());
+        return {
+          total: line.total + (row ? row.available : Math.max(0, amount)),
+          carriedOver: line.carriedOver + (row ? row.carriedOver : 0),
+        };
+      },
+      { total: 0, carriedOver: 0 }
+    );
 };
 
-const buildMonthlySeries = (transactions = [], budgetTotal) => {
-  const totals = new Map();
-
-  transactions.forEach((tx) => {
-    const parsedAmount = Number(tx.amount);
-    if (!Number.isFinite(parsedAmount) || parsedAmount <= 0) return;
-    const parsedDate = toSafeDate(tx.date || tx.createdAt);
-    if (!parsedDate) return;
-    const monthStart = startOfMonth(parsedDate);
-    const key = monthKey(monthStart);
-    const entry = totals.get(key) || { date: monthStart, spent: 0 };
-    entry.spent += parsedAmount;
-    totals.set(key, entry);
-  });
+const ALL_SCOPE = "all";
 
-  const list = [];
-  const currentMonthStart = startOfMonth(new Date());
-  for (let i = MONTH_BARS - 1; i >= 0; i -= 1) {
-    const monthStart = new Date(currentMonthStart);
-    monthStart.setMonth(monthStart.getMonth() - i);
-    const key = monthKey(monthStart);
-    const entry = totals.get(key);
-    list.push({
-      name: formatMonthLabel(monthStart),
-      spent: roundCurrency(entry ? entry.spent : 0),
-      budget: roundCurrency(budgetTotal),
-      key,
-      isCurrent: i === 0,
-    });
-  }
+const SERIES_BARS = 6;
 
-  return list;
+/**
+ * Bounds of the most recent periods, oldest first. Custom ranges do not repeat, so they give one.
+ */
+const buildBarBounds = (period, options) => {
+  const bounds = [getPeriodBounds(period, new Date(), options)];
+  while (bounds.length < SERIES_BARS) {
+    const previous = getPeriodBounds(
+      period,
+      new Date(bounds[0].start.getTime() - 1),
+      options
+    );
+    if (previous.start >= bounds[0].start) break;
+    bounds.unshift(previous);
+  }
+  return bounds;
 };
 
-const PERIODS = [
-  { value: "weekly", label: "Weekly", builder: buildWeeklySeries },
-  { value: "monthly", label: "Monthly", builder: buildMonthlySeries },
-];
+/**
+ * Build one bar per period with spending, income, and budget totals.
+ * `transactions` are the summary totals for the bars' date range.
+ */
+const buildSeries = (transactions = [], budgetLine, period, bounds, options) =>
+  bounds.map(({ start, end }, index) => {
+    const totals = transactions.reduce(
+      (sum, tx) => {
+        const parsedAmount = Number(tx.amount);
+        if (!Number.isFinite(parsedAmount) || parsedAmount <= 0) return sum;
+        const parsedDate = toSafeDate(tx.date || tx.createdAt);
+        if (!parsedDate || parsedDate < start || parsedDate >= end) return sum;
+        if (isIncomeTransaction(tx)) sum.income += parsedAmount;
+        else sum.spent += parsedAmount;
+        return sum;
+      },
+      { spent: 0, income: 0 }
+    );
+    const line = budgetLine(start);
+    return {
+      name: formatPeriodLabel(period, start, end, options.timezone),
+      spent: roundCurrency(totals.spent),
+      income: roundCurrency(totals.income),
+      budget: roundCurrency(line.total),
+      carriedOver: roundCurrency(line.carriedOver),
+      key: start.toISOString(),
+      isCurrent: index === bounds.length - 1,
+    };
+  });
 
 /**
- * Bar chart that compares spending against budgets over recent weekly/monthly periods.
+ * Bar chart that compares spending against budgets and income over recent periods of the selected type.
+ * Weekly and monthly are always offered; other periods appear once a budget uses them.
+ * A category-scoped budget can be selected to chart only its categories against its own amount
+ * (income is hidden then, since it never counts toward a budget).
+ * Bars follow the user's `settings` (week start day, timezone) from /api/profile. Totals come from
+ * GET /api/reports/summary; a change of `refreshKey` refetches them after data changes.
  *
- * @param {{ budgets?: Array, transactions?: Array }} props
+ * @param {{ budgets?: Array, settings?: Object, refreshKey?: any }} props
  */
-const WeeklySummaryChart = ({ budgets = [], transactions = [] }) => {
+const WeeklySummaryChart = ({ budgets = [], settings = {}, refreshKey }) => {
+  const { getAccessTokenSilently } = useAuth0();
+  const [seriesTotals, setSeriesTotals] = useState([]);
+  const [ledgerTotals, setLedgerTotals] = useState({});
+  const [loadError, setLoadError] = useState("");
+
+  const periods = useMemo(
+    () =>
+      BUDGET_PERIODS.filter(
+        (item) =>
+          item.value === "weekly" ||
+          item.value === "monthly" ||
+          budgets.some((b) => b.period === item.value)
+      ),
+    [budgets]
+  );
+
   const defaultPeriod = useMemo(() => {
-    if (budgets.some((b) => b.period === "weekly")) return "weekly";
-    if (budgets.some((b) => b.period === "monthly")) return "monthly";
-    return "weekly";
+    const used = BUDGET_PERIODS.find((item) =>
+      budgets.some((b) => b.period === item.value)
+    );
+    return used ? used.value : "weekly";
   }, [budgets]);
 
   const [period, setPeriod] = useState(defaultPeriod);
@@ -163,21 +200,149 @@ const WeeklySummaryChart = ({ budgets = [], transactions = [] }) => {
   }, [defaultPeriod]);
 
   const activePeriod = useMemo(
-    () => PERIODS.find((item) => item.value === period) || PERIODS[0],
-    [period]
+    () => periods.find((item) => item.value === period) || periods[0],
+    [periods, period]
   );
 
-  const budgetTotal = useMemo(
-    () => sumBudget(budgets, activePeriod.value),
+  const [scope, setScope] = useState(ALL_SCOPE);
+
+  const scopedBudgets = useMemo(
+    () =>
+      budgets.filter(
+        (b) => isScopedBudget(b) && b.period === activePeriod.value
+      ),
     [budgets, activePeriod.value]
   );
 
+  const selectedBudget = useMemo(
+    () => scopedBudgets.find((b) => b.id === scope) || null,
+    [scopedBudgets, scope]
+  );
+
+  useEffect(() => {
+    if (scope !== ALL_SCOPE && !selectedBudget) setScope(ALL_SCOPE);
+  }, [scope, selectedBudget]);
+
+  const chartBudgets = useMemo(
+    () => (selectedBudget ? [selectedBudget] : budgets),
+    [budgets, selectedBudget]
+  );
+
+  const budgetTotal = useMemo(
+    () => sumBudget(chartBudgets, activePeriod.value),
+    [chartBudgets, activePeriod.value]
+  );
+
+  // Biweekly anchors and custom ranges come from the selected (or first) budget of the period
+  const periodOptions = useMemo(
+    () => ({
+      ...(selectedBudget || budgets.find((b) => b.period === activePeriod.value)),
+      ...settings,
+    }),
+    [budgets, selectedBudget, activePeriod.value, settings]
+  );
+
+  const bounds = useMemo(
+    () => buildBarBounds(activePeriod.value, periodOptions),
+    [activePeriod.value, periodOptions]
+  );
+
+  const fetchTotals = useCallback(
+    async (params) => {
+      const token = await getAccessTokenSilently();
+      const res = await api.get("/api/reports/summary", {
+        headers: { Authorization: `Bearer ${token}` },
+        params,
+      });
+      return summaryToTransactions(res.data?.groups || []);
+    },
+    [getAccessTokenSilently]
+  );
+
+  const timezone = settings.timezone || null;
+  const groupBy = PERIOD_GROUPING[activePeriod.value] || "day";
+
+  // Totals for the bars; a selected budget limits them to its categories' spending
+  useEffect(() => {
+    let cancelled = false;
+    const params = {
+      groupBy,
+      ...summaryRange(bounds, timezone),
+      ...(selectedBudget
+        ? { type: "expense", category: selectedBudget.categories.join(",") }
+        : {}),
+    };
+    fetchTotals(params)
+      .then((totals) => {
+        if (cancelled) return;
+        setSeriesTotals(totals);
+        setLoadError("");
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        console.error("Summary fetch error:", error);
+        setLoadError("Could not load spending totals.");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [fetchTotals, groupBy, bounds, timezone, selectedBudget, refreshKey]);
+
+  // Rollover budgets carry balances from their first period, so their totals start there
+  useEffect(() => {
+    let cancelled = false;
+    const rolloverBudgets = chartBudgets.filter(
+      (budget) => budget.rollover && budget.period === activePeriod.value
+    );
+    Promise.all(
+      rolloverBudgets.map((budget) => {
+        const first = getPeriodBounds(
+          budget.period,
+          new Date(budget.createdAt || Date.now()),
+          { ...budget, ...settings }
+        );
+        return fetchTotals({
+          groupBy,
+          from: formatDay(first.start, timezone),
+          type: "expense",
+          category: budget.categories?.length ? budget.categories.join(",") : undefined,
+        }).then((totals) => [budget.id, totals]);
+      })
+    )
+      .then((entries) => {
+        if (!cancelled) setLedgerTotals(Object.fromEntries(entries));
+      })
+      .catch((error) => {
+        if (!cancelled) console.error("Budget ledger fetch error:", error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [fetchTotals, groupBy, chartBudgets, activePeriod.value, settings, timezone, refreshKey]);
+
+  const budgetLine = useMemo(
+    () => buildBudgetLine(chartBudgets, activePeriod.value, ledgerTotals, settings),
+    [chartBudgets, activePeriod.value, ledgerTotals, settings]
+  );
+
   const data = useMemo(
-    () => activePeriod.builder(transactions, budgetTotal),
-    [activePeriod, transactions, budgetTotal]
+    () =>
+      buildSeries(
+        seriesTotals,
+        budgetLine,
+        activePeriod.value,
+        bounds,
+        periodOptions
+      ),
+    [activePeriod.value, seriesTotals, budgetLine, bounds, periodOptions]
   );
 
-  const hasData = data.some((item) => item.spent > 0 || item.budget > 0);
+  const currentCarry = data.find((item) => item.isCurrent)?.carriedOver || 0;
+
+  const hasData = data.some(
+    (item) => item.spent > 0 || item.income > 0 || item.budget > 0
+  );
+  const hasIncome = data.some((item) => item.income > 0);
 
   return (
     <>
@@ -189,14 +354,38 @@ const WeeklySummaryChart = ({ budgets = [], transactions = [] }) => {
           onChange={(e) => setPeriod(e.target.value)}
           style={{ maxWidth: 200 }}
         >
-          {PERIODS.map((option) => (
+          {periods.map((option) => (
             <option key={option.value} value={option.value}>
               {option.label}
             </option>
           ))}
         </Select>
+
+        {scopedBudgets.length > 0 && (
+          <>
+            <label htmlFor="summary-scope">Budget</label>
+            <Select
+              id="summary-scope"
+              value={scope}
+              onChange={(e) => setScope(e.target.value)}
+              style={{ maxWidth: 240 }}
+            >
+              <option value={ALL_SCOPE}>All spending</option>
+              {scopedBudgets.map((budget) => (
+                <option key={budget.id} value={budget.id}>
+                  {budget.categories.join(", ")}
+                </option>
+              ))}
+            </Select>
+          </>
+        )}
       </div>
 
+      {loadError && (
+        <span className="form-error" role="alert">
+          {loadError}
+        </span>
+      )}
       {hasData ? (
         <div className="chart-wrapper" role="img" aria-label="Spending chart">
           <ResponsiveContainer width="100%" height="100%">
@@ -222,6 +411,17 @@ const WeeklySummaryChart = ({ budgets = [], transactions = [] }) => {
                 }}
               />
               <Bar dataKey="budget" fill="#cbd5f5" radius={[8, 8, 0, 0]} />
+              {hasIncome && (
+                <Bar dataKey="income" radius={[8, 8, 0, 0]}>
+                  {data.map((entry) => (
+                    <Cell
+                      key={entry.key}
+                      fill="#22c55e"
+                      fillOpacity={entry.isCurrent ? 1 : 0.5}
+                    />
+                  ))}
+                </Bar>
+              )}
               <Bar dataKey="spent" radius={[8, 8, 0, 0]}>
                 {data.map((entry) => (
                   <Cell
@@ -239,6 +439,12 @@ const WeeklySummaryChart = ({ budgets = [], transactions = [] }) => {
           Add budgets or expenses to activate this insight.
         </div>
       )}
+      {currentCarry !== 0 && (
+        <p className="form-helper">
+          This period&apos;s budget includes {formatCurrency(currentCarry)}{" "}
+          carried over.
+        </p>
+      )}
       {budgetTotal === 0 && (
         <p className="form-helper">
           Add a {activePeriod.label.toLowerCase()} budget to compare against
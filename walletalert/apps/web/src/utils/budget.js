@@ -1,43 +1,101 @@
+import { dayOf, fromDayNumber, parseDay, startOfDay, toDayNumber } from "./date";
 
 /**
- * Get the start date for the current budget period
- * @param {string} period - "weekly" or "monthly"
- * @returns {Date} The start date of the current period
+ * Budget periods supported by the API, ordered from shortest to longest (custom last).
  */
-export function getCurrentPeriodStart(period) {
-    const now = new Date();
+export const BUDGET_PERIODS = [
+    { value: "weekly", label: "Weekly" },
+    { value: "biweekly", label: "Biweekly" },
+    { value: "monthly", label: "Monthly" },
+    { value: "semester", label: "Semester" },
+    { value: "yearly", label: "Yearly" },
+    { value: "custom", label: "Custom range" },
+];
+
+/**
+ * Parse a date-only value ("YYYY-MM-DD") as local midnight
+ * @param {string|Date|null|undefined} value - Date-like input
+ * @returns {Date|null} Local midnight, or null when invalid
+ */
+export function parseLocalDate(value) {
+    const dayNumber = parseDay(value);
+    return dayNumber === null ? null : startOfDay(dayNumber);
+}
+
+/**
+ * Get the [start, end) bounds of the budget period containing a date
+ * @param {string} period - "weekly", "biweekly", "monthly", "semester", "yearly" or "custom"
+ * @param {Date} [date] - Reference date (defaults to now)
+ * @param {{anchorDate?:string,range?:{start:string,end:string},createdAt?:string,weekStartsOn?:number,timezone?:string}} [options]
+ *        Budget fields (biweekly periods align to anchorDate or createdAt; custom periods use the inclusive range)
+ *        merged with the user's settings (week start day, IANA timezone whose midnight bounds each period)
+ * @returns {{start: Date, end: Date}} Period bounds
+ */
+export function getPeriodBounds(period, date = new Date(), options = {}) {
+    const timezone = options.timezone || null;
+    const today = dayOf(date, timezone);
+    const { year, month, weekday } = fromDayNumber(today);
+    const span = (startDay, endDay) => ({
+        start: startOfDay(startDay, timezone),
+        end: startOfDay(endDay, timezone),
+    });
 
     if (period === "weekly") {
-        // Start of the current week (Monday)
-        const day = now.getDay();
-        const diff = (day + 6) % 7; // Days since Monday
-        const weekStart = new Date(now);
-        weekStart.setDate(now.getDate() - diff);
-        weekStart.setHours(0, 0, 0, 0);
-        return weekStart;
+        // Weeks start on the user's chosen day (Monday by default)
+        const weekStartsOn = Number.isInteger(options.weekStartsOn) ? options.weekStartsOn : 1;
+        const start = today - ((weekday - weekStartsOn + 7) % 7);
+        return span(start, start + 7);
+    }
+
+    if (period === "biweekly") {
+        const anchor =
+            parseDay(options.anchorDate, timezone) ??
+            parseDay(options.createdAt, timezone) ??
+            today;
+        const start = anchor + Math.floor((today - anchor) / 14) * 14;
+        return span(start, start + 14);
+    }
+
+    if (period === "semester") {
+        // Academic calendar: spring Jan–May, summer Jun–Jul, fall Aug–Dec
+        if (month < 5) return span(toDayNumber(year, 0, 1), toDayNumber(year, 5, 1));
+        if (month < 7) return span(toDayNumber(year, 5, 1), toDayNumber(year, 7, 1));
+        return span(toDayNumber(year, 7, 1), toDayNumber(year + 1, 0, 1));
     }
 
-    if (period === "monthly") {
-        // Start of the current month (1st day)
-        const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-        monthStart.setHours(0, 0, 0, 0);
-        return monthStart;
+    if (period === "yearly") {
+        return span(toDayNumber(year, 0, 1), toDayNumber(year + 1, 0, 1));
     }
 
-    // Default: start of current month
-    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-    monthStart.setHours(0, 0, 0, 0);
-    return monthStart;
+    if (period === "custom") {
+        const start = parseDay(options.range?.start, timezone);
+        const last = parseDay(options.range?.end, timezone);
+        if (start !== null && last !== null && last >= start) return span(start, last + 1);
+    }
+
+    // Monthly (and default): 1st of the month
+    return span(toDayNumber(year, month, 1), toDayNumber(year, month + 1, 1));
+}
+
+/**
+ * Get the start date for the current budget period
+ * @param {string} period - Budget period (see getPeriodBounds)
+ * @param {Object} [options] - Budget anchorDate/range and user weekStartsOn/timezone (see getPeriodBounds)
+ * @returns {Date} The start date of the current period
+ */
+export function getCurrentPeriodStart(period, options) {
+    return getPeriodBounds(period, new Date(), options).start;
 }
 
 /**
  * Filter transactions to only include those in the current period
  * @param {Array} transactions - All transactions
- * @param {string} period - "weekly" or "monthly"
+ * @param {string} period - Budget period (see getPeriodBounds)
+ * @param {Object} [options] - Budget anchorDate/range and user weekStartsOn/timezone (see getPeriodBounds)
  * @returns {Array} Filtered transactions
  */
-export function filterTransactionsByPeriod(transactions, period) {
-    const periodStart = getCurrentPeriodStart(period);
+export function filterTransactionsByPeriod(transactions, period, options) {
+    const periodStart = getCurrentPeriodStart(period, options);
 
     return transactions.filter(tx => {
         const txDate = new Date(tx.date || tx.createdAt);
@@ -46,53 +104,215 @@ export function filterTransactionsByPeriod(transactions, period) {
 }
 
 /**
- * Calculate total spent for transactions in the current budget periods
+ * Check whether a transaction counts toward a budget (budgets without categories cover everything)
+ * @param {Object} tx - Transaction with a category name
+ * @param {Object} budget - Budget with an optional categories list
+ * @returns {boolean} True when the transaction is in the budget's scope
+ */
+export function transactionMatchesBudget(tx, budget) {
+    const scope = Array.isArray(budget?.categories) ? budget.categories : [];
+    if (scope.length === 0) return true;
+    const name = String(tx?.category || "").trim().toLowerCase();
+    return scope.some(c => String(c).trim().toLowerCase() === name);
+}
+
+/**
+ * Check whether a transaction records income (transactions without a type are expenses)
+ * @param {Object} tx - Transaction with an optional type
+ * @returns {boolean} True for income
+ */
+export function isIncomeTransaction(tx) {
+    return tx?.type === "income";
+}
+
+/**
+ * Check whether a budget is limited to specific categories
+ * @param {Object} budget - Budget with an optional categories list
+ * @returns {boolean} True for category-scoped budgets
+ */
+export function isScopedBudget(budget) {
+    return Array.isArray(budget?.categories) && budget.categories.length > 0;
+}
+
+// Whether a transaction is spending in the budget's scope within [start, end)
+const countsTowardBudget = (tx, budget, start, end) => {
+    const amt = Number(tx.amount);
+    if (!Number.isFinite(amt) || amt <= 0 || isIncomeTransaction(tx)) return false;
+    if (!transactionMatchesBudget(tx, budget)) return false;
+    const txDate = new Date(tx.date || tx.createdAt);
+    return txDate >= start && txDate < end;
+};
+
+const sumBudgetSpending = (transactions, budget, start, end) =>
+    transactions.reduce((sum, tx) => (countsTowardBudget(tx, budget, start, end) ? sum + Number(tx.amount) : sum), 0);
+
+/**
+ * Build a budget's per-period ledger, from the period it was created in up to the current one.
+ * Rollover budgets carry each period's surplus or deficit into the next period.
  * @param {Array} transactions - All transactions
- * @param {Array} budgets - All budgets with their periods
- * @returns {number} Total spent in current periods
+ * @param {Object} budget - Budget with period, amount, optional categories/rollover/createdAt
+ * @param {Date} [now] - Reference date (defaults to now)
+ * @param {{weekStartsOn?:number,timezone?:string}} [settings] - User period settings from /api/profile
+ * @returns {Array<{start:Date,end:Date,amount:number,carriedOver:number,available:number,spent:number,balance:number}>} Ledger rows, oldest first
  */
-export function calculateCurrentPeriodSpending(transactions, budgets) {
-    // Get all unique periods from budgets
-    const periods = [...new Set(budgets.map(b => b.period))];
+export function buildBudgetLedger(transactions, budget, now = new Date(), settings = {}) {
+    const period = budget.period || "monthly";
+    const amount = Math.max(0, Number(budget.amount) || 0);
+    const options = { ...budget, ...settings };
+    const current = getPeriodBounds(period, now, options);
+
+    const created = new Date(budget.createdAt || now);
+    const first = Number.isNaN(created.getTime()) || created > now ? now : created;
+    let { start, end } = getPeriodBounds(period, first, options);
 
-    // If no budgets, use monthly as default
-    if (periods.length === 0) {
-        periods.push("monthly");
+    const ledger = [];
+    let carry = 0;
+    while (start.getTime() <= current.start.getTime()) {
+        const carriedOver = budget.rollover ? carry : 0;
+        const available = amount + carriedOver;
+        const spent = sumBudgetSpending(transactions, budget, start, end);
+        const balance = available - spent;
+        ledger.push({ start, end, amount, carriedOver, available, spent, balance });
+        carry = balance;
+        const next = getPeriodBounds(period, end, options);
+        if (next.start.getTime() <= start.getTime()) break; // Custom ranges do not repeat
+        ({ start, end } = next);
     }
+    return ledger;
+}
+
+/**
+ * Calculate a single budget's spending and utilization in its current period
+ * @param {Array} transactions - All transactions
+ * @param {Object} budget - Budget with period, amount, optional categories and rollover
+ * @param {Object} [settings] - User period settings (weekStartsOn, timezone)
+ * @returns {{spent:number,amount:number,carriedOver:number,available:number,remaining:number,utilization:number}} Budget status
+ */
+export function calculateBudgetUtilization(transactions, budget, settings) {
+    const ledger = buildBudgetLedger(transactions, budget, new Date(), settings);
+    const { spent, amount, carriedOver, available, balance } = ledger[ledger.length - 1];
 
-    // Use the most restrictive period (weekly is more restrictive than monthly)
-    const activePeriod = periods.includes("weekly") ? "weekly" : "monthly";
+    let utilization = 0;
+    if (available > 0) utilization = (spent / available) * 100;
+    else if (available < 0 || spent > 0) utilization = 100;
 
-    const filteredTransactions = filterTransactionsByPeriod(transactions, activePeriod);
+    return {
+        spent,
+        amount,
+        carriedOver,
+        available,
+        remaining: balance,
+        utilization,
+    };
+}
 
-    return filteredTransactions.reduce((sum, tx) => {
+/**
+ * Current period of the shortest recurring budget period in use (monthly without budgets), which the
+ * overall spending and cash-flow figures cover
+ * @param {Array} budgets - All budgets with their periods
+ * @param {Object} [settings] - User period settings (weekStartsOn, timezone)
+ * @param {Date} [now] - Reference date
+ * @returns {{period:string,start:Date,end:Date}} Period name and its [start, end) bounds
+ */
+export function getActivePeriodBounds(budgets, settings = {}, now = new Date()) {
+    const periods = new Set(budgets.map(b => b.period));
+
+    // Use the most restrictive recurring period (weekly < biweekly < monthly < semester < yearly)
+    const period =
+        BUDGET_PERIODS.map(p => p.value).find(p => p !== "custom" && periods.has(p)) ||
+        "monthly";
+    const activeBudget = budgets.find(b => b.period === period);
+
+    return { period, ...getPeriodBounds(period, now, { ...activeBudget, ...settings }) };
+}
+
+// Transactions from the start of the active budget period on
+const filterActivePeriodTransactions = (transactions, budgets, settings = {}) => {
+    const { start } = getActivePeriodBounds(budgets, settings);
+    return transactions.filter(tx => new Date(tx.date || tx.createdAt) >= start);
+};
+
+const sumAmounts = (transactions) =>
+    transactions.reduce((sum, tx) => {
         const amt = Number(tx.amount);
         return Number.isFinite(amt) && amt > 0 ? sum + amt : sum;
     }, 0);
+
+/**
+ * Calculate total spent for transactions in the current budget periods (income excluded)
+ * @param {Array} transactions - All transactions
+ * @param {Array} budgets - All budgets with their periods
+ * @param {Object} [settings] - User period settings (weekStartsOn, timezone)
+ * @returns {number} Total spent in current periods
+ */
+export function calculateCurrentPeriodSpending(transactions, budgets, settings = {}) {
+    const current = filterActivePeriodTransactions(transactions, budgets, settings);
+    return sumAmounts(current.filter(tx => !isIncomeTransaction(tx)));
+}
+
+/**
+ * Calculate income, spending, net cash flow, and savings rate for the current budget period
+ * @param {Array} transactions - All transactions
+ * @param {Array} budgets - All budgets with their periods
+ * @param {Object} [settings] - User period settings (weekStartsOn, timezone)
+ * @returns {{income:number,expenses:number,net:number,savingsRate:number|null}} Savings rate is the
+ *   percentage of income not spent, or null without income
+ */
+export function calculateCashFlow(transactions, budgets, settings = {}) {
+    const current = filterActivePeriodTransactions(transactions, budgets, settings);
+    return cashFlowFromTotals(
+        sumAmounts(current.filter(isIncomeTransaction)),
+        sumAmounts(current.filter(tx => !isIncomeTransaction(tx)))
+    );
 }
 
 /**
- * Calculate spending for each budget period separately
+ * Net cash flow and savings rate from income and spending totals (e.g. GET /api/reports/summary totals)
+ * @param {number} income - Income received
+ * @param {number} expenses - Amount spent
+ * @returns {{income:number,expenses:number,net:number,savingsRate:number|null}} Savings rate is the
+ *   percentage of income not spent, or null without income
+ */
+export function cashFlowFromTotals(income, expenses) {
+    const net = income - expenses;
+    return {
+        income,
+        expenses,
+        net,
+        savingsRate: income > 0 ? (net / income) * 100 : null,
+    };
+}
+
+/**
+ * Calculate spending for each budget period separately. Each period's total covers the transactions in
+ * scope of any of its budgets, counted once even when several budgets of that period overlap.
  * @param {Array} transactions - All transactions
  * @param {Array} budgets - All budgets with their periods
- * @returns {Object} Spending totals by period { weekly: number, monthly: number }
+ * @param {Object} [settings] - User period settings (weekStartsOn, timezone)
+ * @returns {Object} Spending totals by period { weekly: number, monthly: number, ...other periods in use }
  */
-export function calculateSpendingByPeriod(transactions, budgets) {
+export function calculateSpendingByPeriod(transactions, budgets, settings = {}) {
     const periods = {
         weekly: 0,
         monthly: 0
     };
 
+    const budgetsByPeriod = new Map();
     budgets.forEach(budget => {
         const period = budget.period || "monthly";
-        const filteredTxs = filterTransactionsByPeriod(transactions, period);
-
-        const spent = filteredTxs.reduce((sum, tx) => {
-            const amt = Number(tx.amount);
-            return Number.isFinite(amt) && amt > 0 ? sum + amt : sum;
-        }, 0);
+        budgetsByPeriod.set(period, [...(budgetsByPeriod.get(period) || []), budget]);
+    });
 
-        periods[period] += spent;
+    const now = new Date();
+    budgetsByPeriod.forEach((periodBudgets, period) => {
+        const scopes = periodBudgets.map(budget => ({
+            budget,
+            ...getPeriodBounds(period, now, { ...budget, ...settings }),
+        }));
+        const inScope = transactions.filter(tx =>
+            scopes.some(({ budget, start, end }) => countsTowardBudget(tx, budget, start, end))
+        );
+        periods[period] = sumAmounts(inScope);
     });
 
     return periods;
@@ -103,4 +103,44 @@ export const getCategoryPresentation = (name, options = {}) => {
 export const getCategoryColor = (name, options) =>
   getCategoryPresentation(name, options).color;
 
+/**
+ * Emoji and color overrides from the user's categories (as returned by GET /api/categories), keyed like
+ * getCategoryPresentation expects.
+ * @param {Array<{name:string,emoji?:string,color?:string}>} categories
+ * @returns {{emojiOverrides:Object,colorOverrides:Object}}
+ */
+export const presentationOptions = (categories = []) => {
+  const emojiOverrides = {};
+  const colorOverrides = {};
+  categories.forEach((category) => {
+    const key = category?.name?.trim().toLowerCase();
+    if (!key) return;
+    if (category.emoji) emojiOverrides[key] = { emoji: category.emoji };
+    if (category.color) colorOverrides[key] = category.color;
+  });
+  return { emojiOverrides, colorOverrides };
+};
+
 export const CATEGORY_CONFIG_MAP = CATEGORY_CONFIG;
+
+/**
+ * Arrange categories as a tree: top-level categories by name, each with its subcategories (by name) in
+ * `children`. A subcategory whose parent is missing is shown at the top level.
+ * @param {Array<{id:string,name:string,parentId?:string}>} categories
+ * @returns {Array<Object>} Top-level categories with `children`.
+ */
+export const buildCategoryTree = (categories = []) => {
+  const byName = (a, b) =>
+    (a.name || "").localeCompare(b.name || "", undefined, { sensitivity: "base" });
+  const ids = new Set(categories.map((category) => String(category.id)));
+  const isChild = (category) => Boolean(category.parentId) && ids.has(String(category.parentId));
+  return categories
+    .filter((category) => !isChild(category))
+    .sort(byName)
+    .map((parent) => ({
+      ...parent,
+      children: categories
+        .filter((category) => isChild(category) && String(category.parentId) === String(parent.id))
+        .sort(byName),
+    }));
+};
@@ -23,3 +23,138 @@ export function formatDate(value, options) {
   }
 }
 
+
+/**
+ * Week start options for the settings form (value matches `Date#getDay()`).
+ */
+export const WEEKDAYS = [
+  { value: 0, label: 'Sunday' },
+  { value: 1, label: 'Monday' },
+  { value: 2, label: 'Tuesday' },
+  { value: 3, label: 'Wednesday' },
+  { value: 4, label: 'Thursday' },
+  { value: 5, label: 'Friday' },
+  { value: 6, label: 'Saturday' },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const zonedFormatters = new Map();
+
+// Wall-clock fields of an instant in `timezone` (browser-local when unset); month is 0-based.
+function getWallClock(date, timezone) {
+  if (!timezone) {
+    return {
+      year: date.getFullYear(), month: date.getMonth(), day: date.getDate(),
+      hour: date.getHours(), minute: date.getMinutes(), second: date.getSeconds(),
+    };
+  }
+  let formatter = zonedFormatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone, hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric',
+    });
+    zonedFormatters.set(timezone, formatter);
+  }
+  const parts = {};
+  formatter.formatToParts(date).forEach(({ type, value }) => { parts[type] = Number(value); });
+  return {
+    year: parts.year, month: parts.month - 1, day: parts.day,
+    hour: parts.hour % 24, minute: parts.minute, second: parts.second,
+  };
+}
+
+/**
+ * The browser's IANA timezone name, or null when the runtime does not expose it.
+ * @returns {string|null}
+ */
+export function getBrowserTimezone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Calendar date as a whole day number (days since 1970-01-01), for DST-safe date arithmetic.
+ * @param {number} year
+ * @param {number} month - 0-based month (overflow rolls into the next year)
+ * @param {number} day
+ * @returns {number}
+ */
+export const toDayNumber = (year, month, day) => Math.round(Date.UTC(year, month, day) / DAY_MS);
+
+/**
+ * Day number of the calendar date an instant falls on in `timezone`.
+ * @param {Date} date
+ * @param {string|null} [timezone] - IANA name; browser-local when unset
+ * @returns {number}
+ */
+export function dayOf(date, timezone) {
+  const { year, month, day } = getWallClock(date, timezone);
+  return toDayNumber(year, month, day);
+}
+
+/**
+ * Split a day number into calendar fields (0-based month, weekday 0 = Sunday).
+ * @param {number} dayNumber
+ * @returns {{year:number,month:number,day:number,weekday:number}}
+ */
+export function fromDayNumber(dayNumber) {
+  const date = new Date(dayNumber * DAY_MS);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth(),
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay(),
+  };
+}
+
+/**
+ * The instant at which a calendar day starts in `timezone`.
+ * @param {number} dayNumber
+ * @param {string|null} [timezone] - IANA name; browser-local when unset
+ * @returns {Date}
+ */
+export function startOfDay(dayNumber, timezone) {
+  const { year, month, day } = fromDayNumber(dayNumber);
+  if (!timezone) return new Date(year, month, day);
+  const wallTime = Date.UTC(year, month, day);
+  const offsetAt = (instant) => {
+    const wall = getWallClock(new Date(instant), timezone);
+    return Date.UTC(wall.year, wall.month, wall.day, wall.hour, wall.minute, wall.second) - instant;
+  };
+  // Second pass corrects for an offset change (DST) between the guess and the real instant
+  const guess = wallTime - offsetAt(wallTime);
+  return new Date(wallTime - offsetAt(guess));
+}
+
+/**
+ * Day number of a date-like value: "YYYY-MM-DD" strings are calendar dates as written,
+ * other values are instants read in `timezone`.
+ * @param {string|Date|null|undefined} value
+ * @param {string|null} [timezone]
+ * @returns {number|null} Day number, or null when invalid
+ */
+export function parseDay(value, timezone) {
+  if (!value) return null;
+  const match = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (match) return toDayNumber(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : dayOf(date, timezone);
+}
+
+/**
+ * "YYYY-MM-DD" of the calendar date an instant falls on in `timezone` (the API's day format).
+ * @param {Date} date
+ * @param {string|null} [timezone] - IANA name; browser-local when unset
+ * @returns {string}
+ */
+export function formatDay(date, timezone) {
+  const { year, month, day } = fromDayNumber(dayOf(date, timezone));
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${year}-${pad(month + 1)}-${pad(day)}`;
+}
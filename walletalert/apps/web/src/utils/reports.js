@@ -0,0 +1,92 @@
+import { formatDate, formatDay } from "./date";
+
+/**
+ * Summary grouping (GET /api/reports/summary `groupBy`) for each budget period: the largest unit
+ * that never straddles a period boundary, so summing groups gives exact period totals.
+ */
+export const PERIOD_GROUPING = {
+  weekly: "week",
+  biweekly: "day",
+  monthly: "month",
+  semester: "month",
+  yearly: "month",
+  custom: "day",
+};
+
+/**
+ * Query parameters covering a list of [start, end) periods as inclusive days
+ * @param {Array<{start:Date,end:Date}>} bounds - Periods, oldest first
+ * @param {string|null} [timezone] - User timezone from /api/profile settings
+ * @returns {{from?:string,to?:string}} `from`/`to` for the summary endpoint
+ */
+export function summaryRange(bounds, timezone) {
+  if (bounds.length === 0) return {};
+  const last = bounds[bounds.length - 1];
+  return {
+    from: formatDay(bounds[0].start, timezone),
+    // The last millisecond of a period falls on its final day
+    to: formatDay(new Date(last.end.getTime() - 1), timezone),
+  };
+}
+
+/**
+ * Turn date summary groups into one spending and one income entry per group, dated at the group
+ * start, so period helpers written for transactions (chart series, budget ledgers) work on totals
+ * @param {Array<{start:string,spent:number,income:number}>} groups - Summary groups
+ * @returns {Array<{amount:number,type:string,date:string}>} Transaction-shaped totals
+ */
+export function summaryToTransactions(groups = []) {
+  return groups.flatMap((group) => [
+    ...(group.spent > 0 ? [{ amount: group.spent, type: "expense", date: group.start }] : []),
+    ...(group.income > 0 ? [{ amount: group.income, type: "income", date: group.start }] : []),
+  ]);
+}
+
+/**
+ * Heading for a summary report, from its period kind and `key` (the first day of the period)
+ * @param {{period:string,key:string}} report - Report from GET /api/reports
+ * @returns {string} e.g. "March 2026" or "Week of Mar 02, 2026"
+ */
+export function reportLabel(report) {
+  // The key is already the user's calendar day, so it is formatted as a UTC date to keep it unchanged
+  const day = `${report.key}T00:00:00.000Z`;
+  if (report.period === "monthly") {
+    return formatDate(day, { month: "long", year: "numeric", timeZone: "UTC" });
+  }
+  return `Week of ${formatDate(day, { month: "short", day: "2-digit", year: "numeric", timeZone: "UTC" })}`;
+}
+
+const roundCurrency = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+/**
+ * Line up two summary reports (GET /api/reports) category by category for a side-by-side view.
+ * Categories match case-insensitively; one missing from a report counts as zero there.
+ * @param {{totalSpending:number,totalIncome:number,categories:Array<{category:string,spent:number}>}} base
+ * @param {{totalSpending:number,totalIncome:number,categories:Array<{category:string,spent:number}>}} other
+ * @returns {{rows:Array<{category:string,base:number,other:number,change:number}>,totals:{spending:Object,income:Object}}}
+ *          Rows ordered by the larger of the two amounts; `change` is `other - base`
+ */
+export function compareReports(base, other) {
+  const rows = new Map();
+  const add = (report, side) => {
+    (report?.categories || []).forEach(({ category, spent }) => {
+      const key = String(category).trim().toLowerCase();
+      const row = rows.get(key) || { category, base: 0, other: 0 };
+      row[side] += spent;
+      rows.set(key, row);
+    });
+  };
+  add(base, "base");
+  add(other, "other");
+
+  const pair = (a = 0, b = 0) => ({ base: a, other: b, change: roundCurrency(b - a) });
+  return {
+    rows: [...rows.values()]
+      .map((row) => ({ ...row, change: roundCurrency(row.other - row.base) }))
+      .sort((a, b) => Math.max(b.base, b.other) - Math.max(a.base, a.other) || a.category.localeCompare(b.category)),
+    totals: {
+      spending: pair(base?.totalSpending, other?.totalSpending),
+      income: pair(base?.totalIncome, other?.totalIncome),
+    },
+  };
+}